@@ -59,6 +59,7 @@ import {
   MOB_STAND_MIN_MS, MOB_STAND_MAX_MS, MOB_MOVE_MIN_MS, MOB_MOVE_MAX_MS,
   MINIMAP_PADDING, MINIMAP_TITLE_HEIGHT, MINIMAP_BORDER_RADIUS,
   MINIMAP_PLAYER_RADIUS, MINIMAP_PORTAL_RADIUS, MINIMAP_CLOSE_SIZE,
+  MINIMAP_MOB_RADIUS, MINIMAP_ZOOM_LEVELS, MINIMAP_NPC_LABEL_MS,
   MAP_BANNER_SHOW_MS, MAP_BANNER_FADE_MS, MAP_BANNER_SLIDE_MS,
   wzCursor, CURSOR_IDLE, CURSOR_CANCLICK, CURSOR_CLICKING,
   characterPlacementTemplateCache, objectAnimStates,
@@ -97,8 +98,21 @@ import {
   setPendingMapChangeResolve, setPendingMapChangeReject, setPendingMapChangeTimer,
   setLastPosSendTime, setLastChatSendTime, setLastEmoteTime, setLastMobStateSendTime,
   remoteLookData, remoteTemplateCache,
+  handleServerMessage, buildMobStateMessage,
 } from './net.js';
 
+// Session recording + playback
+import {
+  REPLAY_SPEEDS, REPLAY_INPUT_BITS,
+  isReplayRecording, isReplayRecordingFull, beginReplayRecording, endReplayRecording, recordReplayTick,
+  isReplayPlaying, getReplayPlayback, beginReplayPlayback, advanceReplayClock, nextReplayEvent,
+  isReplayFinished, decodeReplay, downloadReplay,
+} from './replay.js';
+
+// World map window: regions, spots, position markers
+import { refreshWorldMapWindow, refreshWorldMapMarkers } from './worldmap.js';
+import { requestCashShop, openCashShopWindow, closeCashShopWindow, refreshCashShopWindow } from './cashshop.js';
+
 // Life system: mobs, NPCs, combat, damage, reactors, spatial, map data, portals
 import {
   lifeAnimationPromises,
@@ -122,7 +136,8 @@ import {
   drawNpcAmbientBubble,
   spawnDamageNumber, updateDamageNumbers, drawDamageNumbers,
   calculatePlayerDamageRange, calculateMobDamage,
-  findMobsInRange, performAttack, applyAttackToMob,
+  findMobsInRange, performAttack, performSkill, applyAttackToMob, playMobSkillAnimation,
+  setMobLifeId, applyBossState, loadMobName,
   updatePlayerAttack, updateMobCombatStates,
   findNpcAtScreen, openNpcDialogue, closeNpcDialogue, advanceNpcDialogue, drawNpcDialogue,
   loadReactorAnimation, syncServerReactors, initReactorRuntimeStates,
@@ -150,9 +165,14 @@ import {
   playerQuestStates, getQuestInfo, getQuestDef, getQuestAct,
   serializeQuestStates, forfeitQuest,
   getQuestsByState, getAvailableQuests, countItemInInventory,
-  getItemName,
+  getItemName, getNpcQuestIconType,
 } from './quests.js';
 
+import {
+  getSkillBook, getJobLineage, getPlayerJobId, assignSkillPoint,
+  playerStatuses, getStatusEffectRemaining,
+} from './skills.js';
+
 // Player physics, foothold helpers, wall collision, camera
 import {
   findGroundLanding, findFootholdAtXNearY, findFootholdById, findFootholdBelow,
@@ -207,8 +227,8 @@ import {
   preloadMapAssets,
   loadSetEffects, findActiveSetEffect,
   updateSetEffectAnimation, updateSetEffectAnimations, drawSetEffect,
-  loadLevelUpEffect, triggerLevelUpEffect,
-  updateAndDrawLocalLevelUpEffect, updateAndDrawRemoteLevelUpEffect, triggerRemoteLevelUpEffect,
+  loadLevelUpEffect, triggerLevelUpEffect, triggerCharEffect,
+  updateAndDrawLocalCharEffect, updateAndDrawRemoteCharEffect, triggerRemoteLevelUpEffect, triggerRemoteCharEffect,
   drawChatBubble, drawPlayerNameLabel,
   randomBlinkCooldownMs,
 } from './character.js';
@@ -225,7 +245,7 @@ import {
 // Equipment, ground drops, chair system, cursor, UI windows
 import {
   loadEquipWzData, resolveCashWeaponData,
-  unequipItem, equipItemFromInventory,
+  unequipItem, equipItemFromInventory, handleScrollResult, applyServerEquipment,
   dropItemOnMap, showDropQuantityModal, executeDropOnMap,
   loadChairSprite, isChairItem, useChair, standUpFromChair,
   updateGroundDrops, drawGroundDrops,
@@ -414,8 +434,8 @@ const FIXED_KEY_ACTIONS = {
 
 const ACTION_LABELS = {
   attack: "Attack", jump: "Jump", loot: "Pick Up",
-  equip: "Equip", inventory: "Items", stat: "Stats", keybinds: "Keys",
-  minimap: "Mini Map", questlog: "Quest Log",
+  equip: "Equip", inventory: "Items", stat: "Stats", skill: "Skills", party: "Party", buddy: "Buddies", keybinds: "Keys",
+  minimap: "Mini Map", worldmap: "World Map", questlog: "Quest Log", cashshop: "Cash Shop",
   face1: "Pain", face2: "Happy", face3: "Troubled", face4: "Cry", face5: "Angry",
   face6: "Surprised", face7: "Shocked", face8: "Tongue", face9: "Snooze",
 };
@@ -496,9 +516,14 @@ const BINDABLE_ACTIONS = [
   { id: "equip", label: "Equip" },
   { id: "inventory", label: "Items" },
   { id: "stat", label: "Stats" },
+  { id: "skill", label: "Skills" },
+  { id: "party", label: "Party" },
+  { id: "buddy", label: "Buddies" },
   { id: "keybinds", label: "Keys" },
   { id: "minimap", label: "Mini Map" },
+  { id: "worldmap", label: "World Map" },
   { id: "questlog", label: "Quest Log" },
+  { id: "cashshop", label: "Cash Shop" },
   { id: "face1", label: "Pain" },
   { id: "face2", label: "Happy" },
   { id: "face3", label: "Troubled" },
@@ -564,11 +589,16 @@ function getDefaultKeymap() {
     KeyC: { type: "action", id: "attack" },
     KeyZ: { type: "action", id: "loot" },
     KeyS: { type: "action", id: "stat" },
+    KeyL: { type: "action", id: "skill" },
+    KeyP: { type: "action", id: "party" },
+    KeyB: { type: "action", id: "buddy" },
     KeyE: { type: "action", id: "equip" },
     KeyI: { type: "action", id: "inventory" },
     KeyK: { type: "action", id: "keybinds" },
     KeyM: { type: "action", id: "minimap" },
+    KeyW: { type: "action", id: "worldmap" },
     KeyQ: { type: "action", id: "questlog" },
+    KeyO: { type: "action", id: "cashshop" },
     F1: { type: "action", id: "face1" },
     F2: { type: "action", id: "face2" },
     F3: { type: "action", id: "face3" },
@@ -581,6 +611,52 @@ function getDefaultKeymap() {
 
 if (!runtime.keymap) runtime.keymap = getDefaultKeymap();
 
+/**
+ * Controller tab layout — standard Gamepad API button indices ("Pad{index}").
+ * D-pad (12–15) and the left stick always move, like the arrow keys.
+ */
+const PAD_LAYOUT = [
+  { keys: [
+    { code: "Pad6", label: "LT" }, { code: "Pad4", label: "LB" },
+    { code: "Pad8", label: "Back" }, { code: "Pad9", label: "Start" },
+    { code: "Pad5", label: "RB" }, { code: "Pad7", label: "RT" },
+  ]},
+  { keys: [
+    { code: "PadDpad", label: "D-Pad", wide: true, fixed: true },
+    { code: "PadStick", label: "L Stick", wide: true, fixed: true },
+    { code: "Pad10", label: "L3" }, { code: "Pad11", label: "R3" },
+  ]},
+  { keys: [
+    { code: "Pad2", label: "X" }, { code: "Pad3", label: "Y" },
+    { code: "Pad0", label: "A" }, { code: "Pad1", label: "B" },
+  ]},
+];
+
+const PAD_FIXED_ACTIONS = { PadDpad: "Move / Portal", PadStick: "Move / Portal" };
+
+function getDefaultPadmap() {
+  return {
+    Pad0: { type: "action", id: "jump" },
+    Pad2: { type: "action", id: "attack" },
+    Pad1: { type: "action", id: "loot" },
+    Pad3: { type: "action", id: "inventory" },
+    Pad4: { type: "action", id: "skill" },
+    Pad5: { type: "action", id: "equip" },
+    Pad8: { type: "action", id: "minimap" },
+    Pad9: { type: "action", id: "keybinds" },
+  };
+}
+
+if (!runtime.padmap) runtime.padmap = getDefaultPadmap();
+
+/** Which binding set the Key Config window edits: "keyboard" or "controller". */
+let _kbTab = "keyboard";
+
+/** Bindings edited by the active Key Config tab. */
+function activeBindingMap() {
+  return _kbTab === "controller" ? runtime.padmap : runtime.keymap;
+}
+
 // ── Keyboard drag state (click-to-pick-up, click-to-place) ──
 let _kbDrag = null;  // { type, id, name?, iconKey?, qty?, sourceCode? } or null
 let _lastItemUseTime = 0;
@@ -611,8 +687,8 @@ function _kbPickUp(info) {
     }
   }
 
-  // Item → item icon from iconDataUriCache
-  if (!hasIcon && info.type === "item" && info.iconKey) {
+  // Item / skill → icon from iconDataUriCache
+  if (!hasIcon && (info.type === "item" || info.type === "skill") && info.iconKey) {
     const iconUri = fn.getIconDataUri ? fn.getIconDataUri(info.iconKey) : null;
     if (iconUri) {
       _kbGhost.classList.add("kb-has-item");
@@ -640,7 +716,7 @@ function _kbCancel() {
   // If we picked up from a key, restore it
   if (_kbDrag?.sourceCode) {
     const { sourceCode, ...binding } = _kbDrag;
-    runtime.keymap[sourceCode] = binding;
+    activeBindingMap()[sourceCode] = binding;
     saveKeymap();
   }
   _kbDrag = null;
@@ -661,13 +737,48 @@ function _kbEnsureDragListeners() {
   });
 }
 
+/** Render a skill binding on a key: skill icon, or its name until the icon loads. */
+function appendSkillKeyContent(el, mapping) {
+  el.classList.add("kb-has-item");
+  const iconUri = fn.getIconDataUri ? fn.getIconDataUri(mapping.iconKey) : null;
+  if (iconUri) {
+    const img = document.createElement("img");
+    img.className = "kb-item-overlay";
+    img.src = iconUri;
+    img.draggable = false;
+    el.appendChild(img);
+  } else {
+    const act = document.createElement("span");
+    act.className = "kb-key-action";
+    act.textContent = mapping.name || `#${mapping.id}`;
+    el.appendChild(act);
+  }
+}
+
 function buildKeybindsUI() {
   if (!keybindsGridEl) return;
   // Trigger face icon loading (no-op if already loaded or loading)
   loadFaceExpressionIcons();
   keybindsGridEl.innerHTML = "";
   _kbEnsureDragListeners();
+  for (const tab of document.querySelectorAll("#keybinds-tabs .skill-tab")) {
+    tab.classList.toggle("active", tab.dataset.kbTab === _kbTab);
+  }
+
+  if (_kbTab === "controller") buildPadBindsGrid();
+  else buildKeyboardGrid();
+  buildActionPalette();
+}
 
+/** Switch the Key Config tab; a held binding goes back where it came from. */
+function setKeybindsTab(tab) {
+  if (tab === _kbTab) return;
+  if (_kbDrag) _kbCancel();
+  _kbTab = tab;
+  buildKeybindsUI();
+}
+
+function buildKeyboardGrid() {
   for (const row of KB_LAYOUT) {
     const rowEl = document.createElement("div");
     rowEl.className = "kb-row";
@@ -739,6 +850,8 @@ function buildKeybindsUI() {
               qtyEl.textContent = liveQty;
               el.appendChild(qtyEl);
             }
+          } else if (mapping.type === "skill") {
+            appendSkillKeyContent(el, mapping);
           }
         }
       }
@@ -843,6 +956,8 @@ function buildKeybindsUI() {
               img.draggable = false;
               el.appendChild(img);
             }
+          } else if (mapping.type === "skill") {
+            appendSkillKeyContent(el, mapping);
           }
         }
 
@@ -900,10 +1015,117 @@ function buildKeybindsUI() {
 
     keybindsGridEl.appendChild(rowEl);
   }
+}
+
+/** Controller tab: one key per bindable button, same click/right-click rules as the keyboard. */
+function buildPadBindsGrid() {
+  for (const row of PAD_LAYOUT) {
+    const rowEl = document.createElement("div");
+    rowEl.className = "kb-row kb-pad-row";
+
+    for (const key of row.keys) {
+      const el = document.createElement("div");
+      el.className = "kb-key";
+      if (key.wide) el.classList.add("kb-key-wide");
+      if (key.fixed) el.classList.add("kb-key-fixed");
+      el.dataset.code = key.code;
+
+      const lbl = document.createElement("span");
+      lbl.className = "kb-key-label";
+      lbl.textContent = key.label;
+      el.appendChild(lbl);
+
+      if (key.fixed) {
+        const act = document.createElement("span");
+        act.className = "kb-key-action";
+        act.textContent = PAD_FIXED_ACTIONS[key.code];
+        el.appendChild(act);
+        rowEl.appendChild(el);
+        continue;
+      }
 
+      const mapping = runtime.padmap[key.code];
+      if (mapping?.type === "action") {
+        const faceUrl = mapping.id.startsWith("face") ? _faceIconCache.get(mapping.id) : null;
+        if (faceUrl) {
+          el.classList.add("kb-has-face");
+          const img = document.createElement("img");
+          img.className = "kb-face-overlay";
+          img.src = faceUrl;
+          img.draggable = false;
+          el.appendChild(img);
+        } else {
+          el.classList.add("kb-has-action");
+          const act = document.createElement("span");
+          act.className = "kb-key-action";
+          act.textContent = ACTION_LABELS[mapping.id] || mapping.id;
+          el.appendChild(act);
+        }
+      } else if (mapping?.type === "item") {
+        el.classList.add("kb-has-item");
+        const iconUri = fn.getIconDataUri ? fn.getIconDataUri(mapping.iconKey) : null;
+        if (iconUri) {
+          const img = document.createElement("img");
+          img.className = "kb-item-overlay";
+          img.src = iconUri;
+          img.draggable = false;
+          el.appendChild(img);
+        }
+      } else if (mapping?.type === "skill") {
+        appendSkillKeyContent(el, mapping);
+      }
+
+      if (_kbDrag || draggedItem.active) el.classList.add("kb-drag-over");
+
+      el.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (_kbDrag) {
+          const { sourceCode, ...binding } = _kbDrag;
+          runtime.padmap[key.code] = binding;
+          saveKeymap();
+          _kbDrag = null;
+          if (_kbGhost) { _kbGhost.remove(); _kbGhost = null; }
+          buildKeybindsUI();
+          return;
+        }
+        if (draggedItem.active && draggedItem.id) {
+          runtime.padmap[key.code] = {
+            type: "item", id: draggedItem.id, name: draggedItem.name || "",
+            iconKey: draggedItem.iconKey || "", qty: draggedItem.qty || 1,
+          };
+          cancelItemDrag();
+          buildKeybindsUI();
+          saveKeymap();
+          return;
+        }
+        if (mapping) {
+          const m = { ...runtime.padmap[key.code], sourceCode: key.code };
+          delete runtime.padmap[key.code];
+          saveKeymap();
+          _kbPickUp(m);
+        }
+      });
+
+      el.addEventListener("contextmenu", (e) => {
+        e.preventDefault();
+        if (_kbDrag) { _kbCancel(); return; }
+        if (runtime.padmap[key.code]) {
+          delete runtime.padmap[key.code];
+          buildKeybindsUI();
+          saveKeymap();
+        }
+      });
+
+      rowEl.appendChild(el);
+    }
+    keybindsGridEl.appendChild(rowEl);
+  }
+}
+
+function buildActionPalette() {
   // ── Action Palette (always visible) ──
   const assignedActions = new Set();
-  for (const m of Object.values(runtime.keymap || {})) {
+  for (const m of Object.values(activeBindingMap() || {})) {
     if (m && m.type === "action") assignedActions.add(m.id);
   }
   const unassigned = BINDABLE_ACTIONS.filter(a => !assignedActions.has(a.id));
@@ -956,7 +1178,7 @@ function buildKeybindsUI() {
           // Already holding something — cancel it, then pick up this one
           if (_kbDrag.sourceCode) {
             const { sourceCode, ...binding } = _kbDrag;
-            runtime.keymap[sourceCode] = binding;
+            activeBindingMap()[sourceCode] = binding;
             saveKeymap();
           }
           _kbDrag = null;
@@ -973,10 +1195,13 @@ function buildKeybindsUI() {
 }
 
 function saveKeymap() {
-  try { localStorage.setItem("shlop.keymap", JSON.stringify(runtime.keymap)); } catch {}
+  try {
+    localStorage.setItem("shlop.keymap", JSON.stringify(runtime.keymap));
+    localStorage.setItem("shlop.padmap", JSON.stringify(runtime.padmap));
+  } catch {}
 }
 
-function loadKeymap(savedKeymap) {
+function loadKeymap(savedKeymap, savedPadmap) {
   if (savedKeymap && typeof savedKeymap === "object" && Object.keys(savedKeymap).length > 0) {
     runtime.keymap = savedKeymap;
   } else {
@@ -988,6 +1213,155 @@ function loadKeymap(savedKeymap) {
   if (!runtime.keymap || Object.keys(runtime.keymap).length === 0) {
     runtime.keymap = getDefaultKeymap();
   }
+
+  if (savedPadmap && typeof savedPadmap === "object" && Object.keys(savedPadmap).length > 0) {
+    runtime.padmap = savedPadmap;
+  } else {
+    try {
+      const stored = localStorage.getItem("shlop.padmap");
+      if (stored) runtime.padmap = JSON.parse(stored);
+    } catch {}
+  }
+  if (!runtime.padmap || Object.keys(runtime.padmap).length === 0) {
+    runtime.padmap = getDefaultPadmap();
+  }
+}
+
+/**
+ * Run a keymap / padmap binding (key or controller button press).
+ * Returns true when the press was consumed.
+ */
+function dispatchKeymapBinding(km) {
+  // Item hotkeys — use consumable (200ms cooldown)
+  if (km.type === "item" && runtime.input.enabled) {
+    const now = performance.now();
+    if (now - _lastItemUseTime < 200) return true;
+    _lastItemUseTime = now;
+    wsSend({ type: "use_item", item_id: km.id });
+    return true;
+  }
+  // Skill hotkeys — server validates MP/cooldown/range
+  if (km.type === "skill" && runtime.input.enabled) {
+    performSkill(km.id);
+    return true;
+  }
+  if (km.type !== "action") return false;
+
+  // Action hotkeys
+  const winActions = { equip: 1, inventory: 1, keybinds: 1, stat: 1, skill: 1, party: 1, buddy: 1, worldmap: 1 };
+  if (winActions[km.id]) { toggleUIWindow(km.id); return true; }
+  if (km.id === "questlog") { toggleUIWindow("quest"); refreshQuestLog(); return true; }
+  if (km.id === "cashshop") { requestCashShop(); return true; }
+  if (km.id === "minimap") {
+    runtime.settings.minimapVisible = !runtime.settings.minimapVisible;
+    if (settingsMinimapToggleEl) settingsMinimapToggleEl.checked = runtime.settings.minimapVisible;
+    return true;
+  }
+  if (!runtime.input.enabled) return false;
+
+  if (km.id === "attack") { performAttack(); return true; }
+  if (km.id === "jump") {
+    if (!runtime.input.jumpHeld) runtime.input.jumpQueued = true;
+    runtime.input.jumpHeld = true;
+    return true;
+  }
+  if (km.id === "loot") { tryLootDrop(); return true; }
+  // Face expressions
+  const FACE_MAP = {
+    face1: "hit", face2: "smile", face3: "troubled", face4: "cry",
+    face5: "angry", face6: "bewildered", face7: "stunned", face8: "chu", face9: "hum",
+  };
+  if (FACE_MAP[km.id]) {
+    const now = performance.now();
+    if (now - _lastEmoteTime < 1000) return true;
+    setLastEmoteTime(now);
+    const expr = FACE_MAP[km.id];
+    runtime.faceAnimation.overrideExpression = expr;
+    runtime.faceAnimation.overrideUntilMs = now + 2500;
+    runtime.faceAnimation.expression = expr;
+    runtime.faceAnimation.frameIndex = 0;
+    runtime.faceAnimation.frameTimerMs = 0;
+    wsSend({ type: "face", expression: expr });
+    return true;
+  }
+  return false;
+}
+
+// ─── Gamepad ─────────────────────────────────────────────────────────────────
+
+/** Left stick travel before it counts as a direction. */
+const GAMEPAD_STICK_DEADZONE = 0.5;
+/** Standard mapping d-pad buttons → movement input. */
+const GAMEPAD_DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+/** Last polled controller state, for press/release edges. */
+const _padState = { buttons: [], dirs: { left: false, right: false, up: false, down: false } };
+
+/**
+ * Poll the first connected controller (called every frame from update()).
+ * Only press/release edges touch runtime.input, so the keyboard keeps working
+ * alongside an idle controller.
+ */
+function updateGamepadInput() {
+  const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  let pad = null;
+  for (const p of pads) {
+    if (p?.connected) { pad = p; break; }
+  }
+  if (!pad) {
+    if (_padState.buttons.length > 0) releaseGamepadInput();
+    return;
+  }
+
+  const active = document.activeElement;
+  const typing = runtime.chat.inputActive
+    || (active && active !== canvasEl && ["INPUT", "TEXTAREA", "SELECT"].includes(active.tagName));
+  const canAct = runtime.input.enabled && !typing;
+
+  // Movement: d-pad or left stick (fixed, like the arrow keys)
+  const ax = pad.axes[0] ?? 0;
+  const ay = pad.axes[1] ?? 0;
+  const pressed = (i) => !!pad.buttons[i]?.pressed;
+  const dirs = {
+    left: pressed(GAMEPAD_DPAD.left) || ax < -GAMEPAD_STICK_DEADZONE,
+    right: pressed(GAMEPAD_DPAD.right) || ax > GAMEPAD_STICK_DEADZONE,
+    up: pressed(GAMEPAD_DPAD.up) || ay < -GAMEPAD_STICK_DEADZONE,
+    down: pressed(GAMEPAD_DPAD.down) || ay > GAMEPAD_STICK_DEADZONE,
+  };
+  for (const dir of ["left", "right", "up", "down"]) {
+    if (dirs[dir] === _padState.dirs[dir]) continue;
+    _padState.dirs[dir] = dirs[dir];
+    if (!dirs[dir]) { runtime.input[dir] = false; continue; }
+    if (!canAct) continue;
+    runtime.input[dir] = true;
+    if (dir === "up") void tryUsePortal(true);
+  }
+
+  // Bound buttons (padmap)
+  for (let i = 0; i < pad.buttons.length; i++) {
+    if (Object.values(GAMEPAD_DPAD).includes(i)) continue;
+    const down = pressed(i);
+    const was = !!_padState.buttons[i];
+    _padState.buttons[i] = down;
+    if (down === was) continue;
+    const km = runtime.padmap?.[`Pad${i}`];
+    if (!km) continue;
+    if (!down) {
+      if (km.type === "action" && km.id === "jump") runtime.input.jumpHeld = false;
+      continue;
+    }
+    if (!typing) dispatchKeymapBinding(km);
+  }
+}
+
+/** Controller gone: release everything it was holding. */
+function releaseGamepadInput() {
+  for (const dir of ["left", "right", "up", "down"]) {
+    if (_padState.dirs[dir]) runtime.input[dir] = false;
+    _padState.dirs[dir] = false;
+  }
+  _padState.buttons = [];
+  runtime.input.jumpHeld = false;
 }
 
 // (canvasResizeObserver moved to input.js)
@@ -1329,6 +1703,413 @@ function buildZMapOrder(zMapJson) {
 // ─── Status Bar (HP / MP / EXP) ──────────────────────────────────────────────
 // (STATUSBAR_HEIGHT, STATUSBAR_BAR_HEIGHT, STATUSBAR_PADDING_H defined in UI constants section)
 
+// ─── Status Effect Icons (mob skill debuffs) ─────────────────────────────────
+
+const STATUS_ICON_SIZE = 30;
+const STATUS_ICON_GAP = 4;
+/** Badge label + colour per effect (drawn top-right, below the HUD buttons). */
+const STATUS_ICON_STYLES = {
+  stun: { label: "STN", color: "#d9b526" },
+  seal: { label: "SEL", color: "#8e5bd6" },
+  poison: { label: "PSN", color: "#3fae4a" },
+  slow: { label: "SLW", color: "#3b82c4" },
+};
+
+function drawStatusEffectIcons() {
+  if (playerStatuses.size === 0) return;
+  let x = canvasEl.width - 10 - STATUS_ICON_SIZE;
+  const y = 52;
+
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (const effect of Object.keys(STATUS_ICON_STYLES)) {
+    const remaining = getStatusEffectRemaining(effect);
+    if (remaining <= 0) continue;
+    const style = STATUS_ICON_STYLES[effect];
+
+    ctx.fillStyle = "rgba(10, 15, 30, 0.7)";
+    roundRect(ctx, x, y, STATUS_ICON_SIZE, STATUS_ICON_SIZE, 4);
+    ctx.fill();
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = 2;
+    roundRect(ctx, x + 1, y + 1, STATUS_ICON_SIZE - 2, STATUS_ICON_SIZE - 2, 4);
+    ctx.stroke();
+
+    ctx.fillStyle = style.color;
+    ctx.font = "bold 10px 'Dotum', Arial, sans-serif";
+    ctx.fillText(style.label, x + STATUS_ICON_SIZE / 2, y + 11);
+    ctx.fillStyle = "#fff";
+    ctx.font = "9px 'Dotum', Arial, sans-serif";
+    ctx.fillText(`${Math.ceil(remaining)}s`, x + STATUS_ICON_SIZE / 2, y + 22);
+
+    x -= STATUS_ICON_SIZE + STATUS_ICON_GAP;
+  }
+  ctx.restore();
+}
+
+// ─── Boss HP Bar ─────────────────────────────────────────────────────────────
+
+const BOSS_BAR_HEIGHT = 12;
+const BOSS_ICON_SIZE = 32;
+/** Gap between the MobGage frame edge and the icon / gauge inside it */
+const BOSS_FRAME_PAD = 3;
+
+/**
+ * MobGage art from UI.wz/UIWindow.img → MobGage:
+ *   backgrnd     frame behind the icon and gauge
+ *   Gage/{n}/0   gauge strip for Mob.wz info/hpTagColor n (stretched to the HP fraction)
+ *   Gage/{n}/1   empty strip for info/hpTagBgcolor n (stretched across the bar)
+ *   Mob/{mobId}  boss icon
+ * null until loaded; { backgrnd, gage: Map<n, {fill, empty}> } after (entries may be null).
+ */
+let _mobGage = null;
+let _mobGageLoading = false;
+/** Boss icons: mobId → ImageBitmap | null */
+const _bossIconImages = new Map();
+
+async function loadMobGageNode() {
+  const uiJson = await fetchJson("/resourcesv3/UI.wz/UIWindow.img.xml");
+  return uiJson?.$$?.find(n => n.$imgdir === "MobGage") ?? null;
+}
+
+async function ensureMobGage() {
+  if (_mobGage || _mobGageLoading) return;
+  _mobGageLoading = true;
+  const gage = new Map();
+  let backgrnd = null;
+  try {
+    const mobGage = await loadMobGageNode();
+    const frameNode = mobGage?.$$?.find(n => n.$canvas === "backgrnd");
+    if (frameNode?.basedata) backgrnd = await canvasToImageBitmap(frameNode);
+    for (const dir of mobGage?.$$?.find(n => n.$imgdir === "Gage")?.$$ ?? []) {
+      const n = parseInt(dir.$imgdir, 10);
+      if (isNaN(n)) continue;
+      const strip = async (name) => {
+        const node = dir.$$?.find(c => c.$canvas === name);
+        return node?.basedata ? canvasToImageBitmap(node) : null;
+      };
+      gage.set(n, { fill: await strip("0"), empty: await strip("1") });
+    }
+  } catch {}
+  _mobGage = { backgrnd, gage };
+}
+
+async function ensureBossIcon(mobId) {
+  if (_bossIconImages.has(mobId)) return;
+  _bossIconImages.set(mobId, null);
+  try {
+    const mobGage = await loadMobGageNode();
+    const mobDir = mobGage?.$$?.find(n => n.$imgdir === "Mob");
+    const iconNode = mobDir?.$$?.find(n => n.$canvas === String(mobId).padStart(7, "0"));
+    if (!iconNode?.basedata) return;
+    const bitmap = await canvasToImageBitmap(iconNode);
+    if (bitmap) _bossIconImages.set(mobId, bitmap);
+  } catch {}
+}
+
+/** Gauge strips for a tag colour index; 0 (unset) and unknown indices fall back to strip set 1. */
+function mobGageStrips(index) {
+  const gage = _mobGage?.gage;
+  return gage?.get(index) ?? gage?.get(1) ?? gage?.values().next().value ?? null;
+}
+
+/**
+ * Top-of-screen HP bar for the first living boss on the map, drawn from the
+ * MobGage frame and the boss's hpTagColor / hpTagBgcolor gauge strips. Revive
+ * phases show as pips under the bar (filled = phases still to beat, current included).
+ */
+function drawBossHpBar() {
+  let boss = null;
+  for (const b of runtime.bosses.values()) {
+    if (!b.dead) { boss = b; break; }
+  }
+  if (!boss) return;
+  void ensureMobGage();
+  void ensureBossIcon(boss.mobId);
+  const icon = _bossIconImages.get(boss.mobId) ?? null;
+  const fill = mobGageStrips(boss.tagColor)?.fill ?? null;
+  const empty = mobGageStrips(boss.tagBgColor)?.empty ?? null;
+  const frame = _mobGage?.backgrnd ?? null;
+  // Nothing to draw the gauge with until UI.wz has loaded
+  if (!fill || !empty) return;
+
+  const barH = fill.height || BOSS_BAR_HEIGHT;
+  const totalW = frame ? frame.width : Math.min(480, Math.round(canvasEl.width * 0.5));
+  const totalH = frame ? frame.height : BOSS_ICON_SIZE + BOSS_FRAME_PAD * 2;
+  const x = Math.round((canvasEl.width - totalW) / 2);
+  const y = 10;
+  const iconSize = Math.min(BOSS_ICON_SIZE, totalH - BOSS_FRAME_PAD * 2);
+  const barX = x + BOSS_FRAME_PAD * 2 + iconSize;
+  const barW = totalW - (barX - x) - BOSS_FRAME_PAD;
+  const barY = y + Math.round((totalH - barH) / 2);
+  const frac = boss.maxHp > 0 ? Math.max(0, Math.min(1, boss.hp / boss.maxHp)) : 0;
+
+  ctx.save();
+  if (frame) ctx.drawImage(frame, x, y);
+  if (icon) ctx.drawImage(icon, x + BOSS_FRAME_PAD, y + Math.round((totalH - iconSize) / 2), iconSize, iconSize);
+  ctx.drawImage(empty, barX, barY, barW, barH);
+  const fillW = Math.round(barW * frac);
+  if (fillW > 0) ctx.drawImage(fill, barX, barY, fillW, barH);
+
+  ctx.font = "bold 10px 'Dotum', Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#fff";
+  ctx.fillText(`${(frac * 100).toFixed(1)}%`, barX + barW / 2, barY + barH / 2 + 1);
+
+  if (boss.phases > 1) {
+    const pipY = y + totalH + 3;
+    for (let i = 0; i < boss.phases; i++) {
+      ctx.drawImage(i >= boss.phase ? fill : empty, barX + i * 12, pipY, 8, 4);
+    }
+  }
+  ctx.restore();
+}
+
+/** Server-wide `boss_spawn` announcement in the chat log. */
+async function announceBossSpawn(mobId, mapId) {
+  const name = (await loadMobName(mobId)) || "A boss";
+  const mapName = getMapStringName(mapId) ?? `map ${mapId}`;
+  addSystemChatMessage(`${name} has appeared at ${mapName}!`);
+}
+
+// ─── Field Rules ─────────────────────────────────────────────────────────────
+
+const FIELD_CLOCK_HEIGHT = 26;
+const FIELD_DENIED_MESSAGES = {
+  drop: "You can't drop items in this map.",
+  chair: "You can't sit on a chair in this map.",
+  portal_scroll: "You can't use that scroll in this map.",
+};
+
+/**
+ * Apply the current map's field rules (map_state.field, null = none). Maps
+ * without mob spawns lose the mobs initLifeRuntimeStates placed from WZ.
+ */
+function applyFieldRules(field) {
+  runtime.field = field
+    ? { ...field, clockEndsAt: field.time_left_ms > 0 ? performance.now() + field.time_left_ms : 0 }
+    : null;
+  if (field?.no_mob_spawn && runtime.map) {
+    for (const idx of [...lifeRuntimeState.keys()]) {
+      if (runtime.map.lifeEntries[idx]?.type === "m") lifeRuntimeState.delete(idx);
+    }
+  }
+}
+
+/** Rules to replay a map with (time left instead of the local clock). */
+function fieldRulesSnapshot() {
+  if (!runtime.field) return null;
+  const { clockEndsAt, ...field } = runtime.field;
+  return { ...field, time_left_ms: clockEndsAt > 0 ? Math.max(0, clockEndsAt - performance.now()) : 0 };
+}
+
+/** True (and tells the player) when the map's field limit forbids `action`. */
+function isFieldLimited(action) {
+  if (!runtime.field?.[`no_${action}`]) return false;
+  addSystemChatMessage(FIELD_DENIED_MESSAGES[action]);
+  return true;
+}
+
+/** Server rejected an action on this map (field_denied). */
+function handleFieldDenied(action) {
+  if (action === "chair") standUpFromChair();
+  addSystemChatMessage(FIELD_DENIED_MESSAGES[action] ?? "You can't do that in this map.");
+}
+
+function isFieldClockShown() {
+  return !!runtime.field && runtime.field.clockEndsAt > 0;
+}
+
+/** Countdown for timed maps — the server sends the player out when it hits 0:00. */
+function drawFieldClock() {
+  if (!isFieldClockShown()) return;
+  const sec = Math.max(0, Math.ceil((runtime.field.clockEndsAt - performance.now()) / 1000));
+  const text = `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+
+  ctx.save();
+  ctx.font = "bold 16px 'Dotum', Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const w = Math.max(72, ctx.measureText(text).width + 24);
+  const x = canvasEl.width / 2 - w / 2;
+  const bossShown = [...runtime.bosses.values()].some((b) => !b.dead);
+  const y = bossShown ? 10 + BOSS_ICON_SIZE + 8 : 8;
+  ctx.fillStyle = "rgba(10, 15, 30, 0.75)";
+  roundRect(ctx, x, y, w, FIELD_CLOCK_HEIGHT, 4);
+  ctx.fill();
+  ctx.fillStyle = sec <= 10 ? "#ff5a5a" : "#fff";
+  ctx.fillText(text, canvasEl.width / 2, y + FIELD_CLOCK_HEIGHT / 2);
+  ctx.restore();
+}
+
+// ─── Replays ─────────────────────────────────────────────────────────────────
+
+/** Start recording: the header holds everything playback needs to rebuild the scene. */
+function startReplayRecording() {
+  if (isReplayPlaying()) { addSystemChatMessage("Stop the replay first.", "error"); return; }
+  if (isReplayRecording()) { addSystemChatMessage("Already recording."); return; }
+  if (!runtime.map) return;
+  const players = [...remotePlayers.values()].map((rp) => ({
+    id: rp.id, name: rp.name, look: rp.look,
+    x: Math.round(rp.renderX), y: Math.round(rp.renderY), action: rp.action, facing: rp.facing,
+    chair_id: rp.chairId, achievements: rp.achievements, level: rp.level, job: rp.job,
+  }));
+  beginReplayRecording({
+    started_at: new Date().toISOString(),
+    map_id: runtime.mapId,
+    save: buildCharacterSave(),
+    snapshot: {
+      players,
+      mob_authority: _isMobAuthority,
+      mobs: buildMobStateMessage(),
+      shop_npcs: [...(runtime.shopNpcs || [])],
+      storage_npcs: [...(runtime.storageNpcs || [])],
+      field: fieldRulesSnapshot(),
+    },
+  });
+  addSystemChatMessage("Recording replay. Type /replay stop to save it.");
+}
+
+/** /replay stop: save the recording, or leave playback (reload — the live session was replaced). */
+async function stopReplay() {
+  if (isReplayPlaying()) {
+    window.location.reload();
+    return;
+  }
+  const replay = endReplayRecording();
+  if (!replay) { addSystemChatMessage("Not recording."); return; }
+  await downloadReplay(replay);
+  addSystemChatMessage(`Replay saved (${Math.round(replay.duration_ms / 1000)}s, ${replay.events.length} events).`);
+}
+
+function openReplayFile() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,.gz,application/json,application/gzip";
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      await playReplay(await decodeReplay(file));
+    } catch (err) {
+      addSystemChatMessage(`Couldn't play replay: ${err?.message ?? err}`, "error");
+    }
+  });
+  input.click();
+}
+
+/**
+ * Replace the game state with a recording: the recorded character on the
+ * recorded map, acting as a connected non-authority client so mobs follow
+ * the recorded mob_state messages instead of local AI.
+ */
+async function playReplay(replay) {
+  if (isReplayRecording()) endReplayRecording();
+  beginReplayPlayback(replay);
+  resetGameplayInput();
+  setWsConnected(true);
+  applyCharacterSave(replay.save);
+  await loadMap(replay.map_id);
+
+  const snap = replay.snapshot || {};
+  handleServerMessage({
+    type: "map_state", players: snap.players || [], drops: [], mob_authority: false,
+    shop_npcs: snap.shop_npcs || [], storage_npcs: snap.storage_npcs || [], bosses: [],
+    field: snap.field || null,
+  });
+  if (snap.mobs) handleServerMessage(snap.mobs);
+  setIsMobAuthority(false);
+
+  getReplayPlayback().ready = true;
+  addSystemChatMessage(`Playing replay from ${replay.started_at} (${Math.round((replay.duration_ms || 0) / 1000)}s). /replay pause | speed <x> | stop`);
+}
+
+function toggleReplayPause() {
+  const pb = getReplayPlayback();
+  if (!pb) { addSystemChatMessage("No replay is playing."); return; }
+  pb.paused = !pb.paused;
+}
+
+function setReplaySpeed(speed) {
+  const pb = getReplayPlayback();
+  if (!pb) { addSystemChatMessage("No replay is playing."); return; }
+  if (!REPLAY_SPEEDS.includes(speed)) {
+    addSystemChatMessage(`Speed must be one of ${REPLAY_SPEEDS.join(", ")}.`, "error");
+    return;
+  }
+  pb.speed = speed;
+}
+
+/** Playback step (replaces input + physics in update): feed due events, pose the player. */
+function updateReplayPlayback(dt) {
+  advanceReplayClock(dt * 1000);
+  let ev;
+  while ((ev = nextReplayEvent())) {
+    const [, kind, data] = ev;
+    if (kind === "p") {
+      const p = runtime.player;
+      const [x, y, action, frameIndex, facing] = data;
+      p.prevX = p.x;
+      p.prevY = p.y;
+      p.x = x;
+      p.y = y;
+      p.action = action;
+      p.frameIndex = frameIndex;
+      p.facing = facing;
+    } else if (kind === "in") {
+      handleServerMessage(data);
+      // The recording decides where mobs are, even if the recorder had authority
+      setIsMobAuthority(false);
+      // Map change: hold the rest until the new map has loaded
+      if (data.type === "change_map") break;
+    } else if (kind === "out" && data.type === "mob_state") {
+      // The recorder was mob authority — its broadcasts are the mob positions
+      handleServerMessage(data);
+    }
+  }
+}
+
+/** Replay / recording indicator (top centre). */
+function drawReplayHud() {
+  const pb = getReplayPlayback();
+  if (!pb && !isReplayRecording()) return;
+
+  let text;
+  if (pb) {
+    const fmt = (ms) => {
+      const sec = Math.floor(ms / 1000);
+      return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+    };
+    const total = pb.replay.duration_ms || 0;
+    const held = Object.entries(REPLAY_INPUT_BITS)
+      .filter(([, bit]) => pb.inputBits & bit)
+      .map(([flag]) => ({ left: "←", right: "→", up: "↑", down: "↓", jumpHeld: "J" })[flag])
+      .join(" ");
+    const state = isReplayFinished() ? "END" : pb.paused ? "II" : "▶";
+    text = `${state} REPLAY ${fmt(Math.min(pb.clockMs, total))} / ${fmt(total)}  x${pb.speed}${held ? `   ${held}` : ""}`;
+  } else {
+    text = "● REC";
+  }
+
+  ctx.save();
+  ctx.font = "bold 12px 'Dotum', Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const w = ctx.measureText(text).width + 20;
+  const x = canvasEl.width / 2 - w / 2;
+  // Below the boss HP bar when one is showing
+  const bossShown = [...runtime.bosses.values()].some((b) => !b.dead);
+  const y = (bossShown ? 10 + BOSS_ICON_SIZE + 8 : 8) + (isFieldClockShown() ? FIELD_CLOCK_HEIGHT + 6 : 0);
+  ctx.fillStyle = "rgba(10, 15, 30, 0.7)";
+  roundRect(ctx, x, y, w, 22, 4);
+  ctx.fill();
+  ctx.fillStyle = pb ? "#fff" : "#ff5a5a";
+  ctx.fillText(text, canvasEl.width / 2, y + 11);
+  ctx.restore();
+}
+
 // ─── Map Name Banner ─────────────────────────────────────────────────────────
 
 
@@ -1757,11 +2538,667 @@ document.querySelectorAll(".quest-tab").forEach(btn => {
   });
 });
 
+// ── Stat Window AP buttons (server-authoritative: assign_ap / auto_assign_ap / reset_ap) ──
+
+function sendApRequest(msg) {
+  if (!_wsConnected) {
+    fn.addSystemChatMessage("AP distribution requires online mode.", "error");
+    return;
+  }
+  wsSend(msg);
+}
+
+document.querySelectorAll("[data-ap-stat]").forEach(btn => {
+  // Shift+click spends all remaining AP on the stat
+  btn.addEventListener("click", (e) => {
+    const amount = e.shiftKey ? (runtime.player.ap ?? 0) : 1;
+    sendApRequest({ type: "assign_ap", stat: btn.dataset.apStat, amount });
+  });
+});
+document.querySelectorAll("[data-ap-reset]").forEach(btn => {
+  btn.addEventListener("click", () => sendApRequest({ type: "reset_ap", stat: btn.dataset.apReset }));
+});
+document.getElementById("stat-auto-assign")?.addEventListener("click", () => {
+  sendApRequest({ type: "auto_assign_ap" });
+});
+
+// ── Skill Window ──
+
+let _skillWindowTab = 0; // jobId of the selected tab
+
+/** Job names for skill window tabs (Skill.wz job → display name). */
+const SKILL_TAB_NAMES = {
+  0: "Beginner",
+  100: "Warrior", 110: "Fighter", 120: "Page", 130: "Spearman",
+  200: "Magician", 210: "F/P Wizard", 220: "I/L Wizard", 230: "Cleric",
+  300: "Bowman", 310: "Hunter", 320: "Crossbowman",
+  400: "Thief", 410: "Assassin", 420: "Bandit",
+  500: "Pirate", 510: "Brawler", 520: "Gunslinger",
+};
+
+function refreshSkillWindow() {
+  const tabsEl = document.getElementById("skill-tabs");
+  const listEl = document.getElementById("skill-list");
+  const spEl = document.getElementById("skill-sp");
+  if (!listEl || !tabsEl) return;
+  if (spEl) spEl.textContent = runtime.player.sp ?? 0;
+
+  const lineage = getJobLineage(getPlayerJobId());
+  if (!lineage.includes(_skillWindowTab)) _skillWindowTab = lineage[lineage.length - 1];
+
+  tabsEl.innerHTML = "";
+  for (const jobId of lineage) {
+    const tab = document.createElement("button");
+    tab.className = "skill-tab" + (jobId === _skillWindowTab ? " active" : "");
+    tab.textContent = SKILL_TAB_NAMES[jobId] || String(jobId);
+    tab.addEventListener("click", () => {
+      _skillWindowTab = jobId;
+      refreshSkillWindow();
+    });
+    tabsEl.appendChild(tab);
+  }
+
+  listEl.innerHTML = "";
+  const group = getSkillBook().find(g => g.jobId === _skillWindowTab);
+  if (!group || group.skills.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = group ? "No skills for this job" : "Loading skills…";
+    listEl.appendChild(empty);
+    return;
+  }
+
+  const sp = runtime.player.sp ?? 0;
+  for (const skill of group.skills) {
+    const row = document.createElement("div");
+    row.className = "skill-row" + (skill.level > 0 ? "" : " skill-unlearned");
+
+    const iconUri = fn.getIconDataUri(skill.iconKey);
+    const icon = document.createElement(iconUri ? "img" : "div");
+    icon.className = "skill-icon";
+    if (iconUri) { icon.src = iconUri; icon.draggable = false; }
+    // Click a learned skill's icon → pick it up for the Key Config window
+    icon.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (skill.level <= 0) return;
+      if (!isUIWindowVisible("keybinds")) toggleUIWindow("keybinds");
+      _kbPickUp({ type: "skill", id: skill.id, name: skill.name, iconKey: skill.iconKey });
+    });
+    icon.addEventListener("mouseenter", (e) => {
+      showTooltip(e, `${skill.name}\n${skill.desc.replace(/\\n/g, "\n")}`.trim());
+    });
+    icon.addEventListener("mousemove", moveTooltip);
+    icon.addEventListener("mouseleave", hideTooltip);
+    row.appendChild(icon);
+
+    const info = document.createElement("div");
+    info.className = "skill-info";
+    const name = document.createElement("div");
+    name.className = "skill-name";
+    name.textContent = skill.name;
+    const level = document.createElement("div");
+    level.className = "skill-level";
+    level.textContent = `Lv. ${skill.level} / ${skill.cap}`;
+    info.appendChild(name);
+    info.appendChild(level);
+    row.appendChild(info);
+
+    const plus = document.createElement("button");
+    plus.className = "skill-plus";
+    plus.textContent = "+";
+    plus.disabled = sp <= 0 || skill.level >= skill.cap;
+    plus.addEventListener("click", () => assignSkillPoint(skill.id));
+    row.appendChild(plus);
+
+    listEl.appendChild(row);
+  }
+}
+
+// ── NPC Shop Window (server-authoritative: shop_buy / shop_sell / shop_recharge) ──
+
+const SHOP_SELL_TABS = ["EQUIP", "USE", "SETUP", "ETC"];
+let _shopSellTab = "EQUIP";
+
+/** Throwing stars (207) and bullets (233) — sold as a whole stack and recharged. */
+function isRechargeableItem(itemId) {
+  const prefix = Math.floor(itemId / 10000);
+  return prefix === 207 || prefix === 233;
+}
+
+function shopItemIconKey(itemId) {
+  const wzCat = inventoryTypeById(itemId) === "EQUIP" ? equipWzCategoryFromId(itemId) : null;
+  return wzCat ? loadEquipIcon(itemId, wzCat) : loadItemIcon(itemId);
+}
+
+function openShopWindow() {
+  const titleEl = document.getElementById("shop-title");
+  if (titleEl) titleEl.textContent = runtime.shop.name;
+  if (isUIWindowVisible("shop")) refreshShopWindow();
+  else toggleUIWindow("shop");
+}
+
+/** Hide the shop window and end the server-side shop session. */
+function closeShopWindow() {
+  if (!isUIWindowVisible("shop")) return;
+  getUIWindowEl("shop").classList.add("hidden");
+  if (_wsConnected) wsSend({ type: "shop_close" });
+}
+
+/** Ask how many to buy/sell; calls onConfirm(qty) with a clamped quantity. */
+function showShopQuantityModal(title, maxQty, onConfirm) {
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.style.cssText = "z-index:200000;";
+  overlay.innerHTML = `
+    <div class="modal-panel" style="width:260px;">
+      <div class="modal-titlebar"><span class="modal-title">${title}</span></div>
+      <div class="modal-body" style="padding:12px 16px;">
+        <div style="display:flex;align-items:center;justify-content:center;gap:8px;">
+          <input type="number" class="modal-input" id="shop-qty-input"
+            min="1" max="${maxQty}" value="1"
+            style="width:80px;text-align:center;" />
+          <span style="color:#777;font-size:11px;">/ ${maxQty}</span>
+        </div>
+      </div>
+      <div class="modal-buttons" style="margin-bottom:8px;">
+        <button class="modal-btn modal-btn-ok" id="shop-qty-ok">OK</button>
+        <button class="modal-btn modal-btn-cancel" id="shop-qty-cancel">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const input = overlay.querySelector("#shop-qty-input");
+  input.focus();
+  input.select();
+
+  const close = () => overlay.remove();
+  const confirm = () => {
+    let qty = parseInt(input.value, 10);
+    if (isNaN(qty) || qty < 1) qty = 1;
+    if (qty > maxQty) qty = maxQty;
+    close();
+    onConfirm(qty);
+  };
+
+  overlay.querySelector("#shop-qty-ok").addEventListener("click", () => { playUISound("BtMouseClick"); confirm(); });
+  overlay.querySelector("#shop-qty-cancel").addEventListener("click", () => { playUISound("BtMouseClick"); close(); });
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    if (e.key === "Enter") confirm();
+    if (e.key === "Escape") close();
+  });
+  overlay.addEventListener("pointerdown", (e) => { if (e.target === overlay) close(); });
+}
+
+function buyShopItem(entry) {
+  const name = getItemName(entry.item_id) || `Item ${entry.item_id}`;
+  const meso = runtime.player.meso || 0;
+  const maxAfford = entry.price > 0 ? Math.floor(meso / entry.price) : 100;
+  const maxQty = Math.min(isItemStackable(entry.item_id) ? 100 : 1, maxAfford);
+  if (maxQty < 1) {
+    fn.addSystemChatMessage("You don't have enough mesos.", "error");
+    return;
+  }
+  if (maxQty === 1) {
+    wsSend({ type: "shop_buy", item_id: entry.item_id, qty: 1 });
+    return;
+  }
+  showShopQuantityModal(`Buy ${name}`, maxQty, (qty) => {
+    wsSend({ type: "shop_buy", item_id: entry.item_id, qty });
+  });
+}
+
+function sellShopItem(item) {
+  if (item.qty <= 1 || isRechargeableItem(item.id)) {
+    wsSend({ type: "shop_sell", inv_type: item.invType, slot: item.slot, qty: item.qty });
+    return;
+  }
+  showShopQuantityModal(`Sell ${getItemName(item.id) || item.name || "item"}`, item.qty, (qty) => {
+    wsSend({ type: "shop_sell", inv_type: item.invType, slot: item.slot, qty });
+  });
+}
+
+function buildShopRow(itemId, iconKey, label, priceText, buttons) {
+  const row = document.createElement("div");
+  row.className = "skill-row";
+
+  const iconUri = iconKey ? fn.getIconDataUri(iconKey) : null;
+  const icon = document.createElement(iconUri ? "img" : "div");
+  icon.className = "skill-icon";
+  if (iconUri) { icon.src = iconUri; icon.draggable = false; }
+  row.appendChild(icon);
+
+  const info = document.createElement("div");
+  info.className = "skill-info";
+  const name = document.createElement("div");
+  name.className = "skill-name";
+  name.textContent = label || getItemName(itemId) || `Item ${itemId}`;
+  const price = document.createElement("div");
+  price.className = "shop-price";
+  price.textContent = priceText;
+  info.appendChild(name);
+  info.appendChild(price);
+  row.appendChild(info);
+
+  for (const { text, onClick, disabled } of buttons) {
+    const btn = document.createElement("button");
+    btn.className = "shop-btn";
+    btn.textContent = text;
+    btn.disabled = !!disabled;
+    btn.addEventListener("click", onClick);
+    row.appendChild(btn);
+  }
+  return row;
+}
+
+function refreshShopWindow() {
+  const buyEl = document.getElementById("shop-buy-list");
+  const sellEl = document.getElementById("shop-sell-list");
+  const tabsEl = document.getElementById("shop-sell-tabs");
+  const mesoEl = document.getElementById("shop-meso");
+  if (!buyEl || !sellEl || !tabsEl) return;
+  const meso = runtime.player.meso || 0;
+  if (mesoEl) mesoEl.textContent = meso.toLocaleString();
+
+  buyEl.innerHTML = "";
+  for (const entry of runtime.shop.items) {
+    buyEl.appendChild(buildShopRow(entry.item_id, shopItemIconKey(entry.item_id), null, `${entry.price.toLocaleString()} meso`, [
+      { text: "Buy", onClick: () => buyShopItem(entry), disabled: meso < entry.price },
+    ]));
+  }
+
+  tabsEl.innerHTML = "";
+  for (const tab of SHOP_SELL_TABS) {
+    const btn = document.createElement("button");
+    btn.className = "skill-tab" + (tab === _shopSellTab ? " active" : "");
+    btn.textContent = tab.charAt(0) + tab.slice(1).toLowerCase();
+    btn.addEventListener("click", () => {
+      _shopSellTab = tab;
+      refreshShopWindow();
+    });
+    tabsEl.appendChild(btn);
+  }
+
+  sellEl.innerHTML = "";
+  const items = playerInventory
+    .filter(it => it.invType === _shopSellTab)
+    .sort((a, b) => a.slot - b.slot);
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Nothing to sell";
+    sellEl.appendChild(empty);
+    return;
+  }
+  for (const item of items) {
+    const unit = runtime.shop.sellPrices[item.id] ?? 0;
+    const buttons = [{ text: "Sell", onClick: () => sellShopItem(item), disabled: unit <= 0 }];
+    if (runtime.shop.recharge && isRechargeableItem(item.id)) {
+      buttons.push({ text: "Recharge", onClick: () => wsSend({ type: "shop_recharge", slot: item.slot }) });
+    }
+    const label = item.qty > 1 ? `${getItemName(item.id) || item.name || ""} x${item.qty}`.trim() : null;
+    sellEl.appendChild(buildShopRow(item.id, shopItemIconKey(item.id), label, `${unit.toLocaleString()} meso`, buttons));
+  }
+}
+
+// ── Storage Window (server-authoritative: storage_open / storage_result) ──
+
+const STORAGE_INV_TABS = [...SHOP_SELL_TABS, "CASH"];
+let _storageInvTab = "EQUIP";
+
+function openStorageWindow() {
+  if (isUIWindowVisible("storage")) refreshStorageWindow();
+  else toggleUIWindow("storage");
+}
+
+/** Hide the storage window and end the server-side storage session. */
+function closeStorageWindow() {
+  if (!isUIWindowVisible("storage")) return;
+  getUIWindowEl("storage").classList.add("hidden");
+  if (_wsConnected) wsSend({ type: "storage_close" });
+}
+
+function depositStorageItem(item) {
+  const send = (qty) => wsSend({ type: "storage_deposit", inv_type: item.invType, slot: item.slot, qty });
+  if (item.qty <= 1 || isRechargeableItem(item.id)) {
+    send(item.qty);
+    return;
+  }
+  showShopQuantityModal(`Store ${getItemName(item.id) || item.name || "item"}`, item.qty, send);
+}
+
+function refreshStorageWindow() {
+  const listEl = document.getElementById("storage-list");
+  const invEl = document.getElementById("storage-inv-list");
+  const tabsEl = document.getElementById("storage-inv-tabs");
+  if (!listEl || !invEl || !tabsEl) return;
+  const storage = runtime.storage;
+  const meso = runtime.player.meso || 0;
+  const headerEl = document.getElementById("storage-header");
+  if (headerEl) headerEl.textContent = `Storage (${storage.items.length}/${storage.slots})`;
+  const storedMesoEl = document.getElementById("storage-meso");
+  if (storedMesoEl) storedMesoEl.textContent = storage.meso.toLocaleString();
+  const mesoEl = document.getElementById("storage-player-meso");
+  if (mesoEl) mesoEl.textContent = meso.toLocaleString();
+
+  listEl.innerHTML = "";
+  if (storage.items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Your storage is empty";
+    listEl.appendChild(empty);
+  }
+  storage.items.forEach((entry, index) => {
+    const label = entry.qty > 1 ? `${getItemName(entry.item_id) || `Item ${entry.item_id}`} x${entry.qty}` : null;
+    listEl.appendChild(buildShopRow(entry.item_id, shopItemIconKey(entry.item_id), label, "", [
+      { text: "Take", onClick: () => wsSend({ type: "storage_withdraw", index }) },
+    ]));
+  });
+
+  tabsEl.innerHTML = "";
+  for (const tab of STORAGE_INV_TABS) {
+    const btn = document.createElement("button");
+    btn.className = "skill-tab" + (tab === _storageInvTab ? " active" : "");
+    btn.textContent = tab.charAt(0) + tab.slice(1).toLowerCase();
+    btn.addEventListener("click", () => {
+      _storageInvTab = tab;
+      refreshStorageWindow();
+    });
+    tabsEl.appendChild(btn);
+  }
+
+  invEl.innerHTML = "";
+  const items = playerInventory
+    .filter(it => it.invType === _storageInvTab)
+    .sort((a, b) => a.slot - b.slot);
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Nothing to store";
+    invEl.appendChild(empty);
+    return;
+  }
+  const full = storage.items.length >= storage.slots;
+  for (const item of items) {
+    const label = item.qty > 1 ? `${getItemName(item.id) || item.name || ""} x${item.qty}`.trim() : null;
+    invEl.appendChild(buildShopRow(item.id, shopItemIconKey(item.id), label, `Fee ${storage.fee.toLocaleString()} meso`, [
+      { text: "Store", onClick: () => depositStorageItem(item), disabled: meso < storage.fee || (full && !isItemStackable(item.id)) },
+    ]));
+  }
+}
+
+{
+  const mesoInput = document.getElementById("storage-meso-input");
+  const moveMeso = (sign) => {
+    const amount = parseInt(mesoInput?.value, 10);
+    if (!(amount > 0)) return;
+    wsSend({ type: "storage_meso", amount: sign * amount });
+    mesoInput.value = "";
+  };
+  document.getElementById("storage-meso-store")?.addEventListener("click", () => moveMeso(1));
+  document.getElementById("storage-meso-take")?.addEventListener("click", () => moveMeso(-1));
+  mesoInput?.addEventListener("keydown", (e) => e.stopPropagation());
+}
+
+// ── Party Window (server-authoritative: party_update / party_hp) ──
+
+function sendPartyRequest(msg) {
+  if (!_wsConnected) {
+    fn.addSystemChatMessage("Parties require online mode.", "error");
+    return;
+  }
+  wsSend(msg);
+}
+
+function refreshPartyWindow() {
+  const listEl = document.getElementById("party-list");
+  if (!listEl) return;
+  const party = runtime.party;
+  const isLeader = party?.leaderId === sessionId;
+  document.getElementById("party-create")?.classList.toggle("hidden", !!party);
+  document.getElementById("party-leave")?.classList.toggle("hidden", !party);
+  document.getElementById("party-invite-row")?.classList.toggle("hidden", !isLeader);
+
+  listEl.innerHTML = "";
+  if (isUIWindowVisible("worldmap")) refreshWorldMapMarkers();
+  if (!party) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "You are not in a party";
+    listEl.appendChild(empty);
+    return;
+  }
+  for (const m of party.members) {
+    const row = document.createElement("div");
+    row.className = "party-row" + (m.mapId === runtime.mapId ? "" : " party-away");
+
+    const name = document.createElement("div");
+    name.className = "skill-name";
+    name.textContent = (m.id === party.leaderId ? "★ " : "") + m.name;
+    const info = document.createElement("div");
+    info.className = "skill-level";
+    info.textContent = `Lv. ${m.level} ${m.job}` + (m.mapId === runtime.mapId ? "" : ` · ${m.mapId}`);
+    const bar = document.createElement("div");
+    bar.className = "party-hp";
+    const fill = document.createElement("div");
+    fill.className = "party-hp-fill";
+    fill.style.width = `${m.maxHp > 0 ? Math.round(100 * Math.max(0, m.hp) / m.maxHp) : 0}%`;
+    bar.appendChild(fill);
+
+    const col = document.createElement("div");
+    col.className = "skill-info";
+    col.append(name, info, bar);
+    row.appendChild(col);
+
+    if (isLeader && m.id !== sessionId) {
+      const kick = document.createElement("button");
+      kick.className = "shop-btn";
+      kick.textContent = "Kick";
+      kick.addEventListener("click", () => sendPartyRequest({ type: "party_kick", name: m.name }));
+      row.appendChild(kick);
+    }
+    listEl.appendChild(row);
+  }
+}
+
+document.getElementById("party-create")?.addEventListener("click", () => sendPartyRequest({ type: "party_create" }));
+document.getElementById("party-leave")?.addEventListener("click", () => sendPartyRequest({ type: "party_leave" }));
+{
+  const inviteInput = document.getElementById("party-invite-name");
+  const invite = () => {
+    const name = inviteInput?.value.trim();
+    if (!name) return;
+    sendPartyRequest({ type: "party_invite", name });
+    inviteInput.value = "";
+  };
+  document.getElementById("party-invite")?.addEventListener("click", invite);
+  inviteInput?.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    if (e.key === "Enter") invite();
+  });
+}
+
+// ── Buddy Window (server-persisted buddy list: buddy_list / buddy_status) ──
+
+function refreshBuddyWindow() {
+  const listEl = document.getElementById("buddy-list");
+  if (!listEl) return;
+  listEl.innerHTML = "";
+  if (runtime.buddies.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Your buddy list is empty";
+    listEl.appendChild(empty);
+    return;
+  }
+  if (isUIWindowVisible("worldmap")) refreshWorldMapMarkers();
+  // Online buddies first, then alphabetical
+  const buddies = [...runtime.buddies].sort((a, b) => (b.online - a.online) || a.name.localeCompare(b.name));
+  for (const buddy of buddies) {
+    const row = document.createElement("div");
+    row.className = "party-row" + (buddy.online ? "" : " party-away");
+
+    const col = document.createElement("div");
+    col.className = "skill-info";
+    const name = document.createElement("div");
+    name.className = "skill-name";
+    name.textContent = buddy.name;
+    const where = document.createElement("div");
+    where.className = "skill-level";
+    where.textContent = !buddy.mutual ? "Hasn't added you back"
+      : buddy.online ? `Online · ${buddy.mapId || "changing maps"}` : "Offline";
+    col.append(name, where);
+    row.appendChild(col);
+
+    const remove = document.createElement("button");
+    remove.className = "shop-btn";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      if (_wsConnected) wsSend({ type: "buddy_remove", name: buddy.name });
+    });
+    row.appendChild(remove);
+    listEl.appendChild(row);
+  }
+}
+
+{
+  const addInput = document.getElementById("buddy-add-name");
+  const add = () => {
+    const name = addInput?.value.trim();
+    if (!name) return;
+    if (!_wsConnected) {
+      fn.addSystemChatMessage("The buddy list requires online mode.", "error");
+      return;
+    }
+    wsSend({ type: "buddy_add", name });
+    addInput.value = "";
+  };
+  document.getElementById("buddy-add")?.addEventListener("click", add);
+  addInput?.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    if (e.key === "Enter") add();
+  });
+}
+
+// ── Trade Window (server-authoritative: trade_open / trade_update / trade_closed) ──
+
+function openTradeWindow() {
+  const titleEl = document.getElementById("trade-title");
+  if (titleEl) titleEl.textContent = `Trade with ${runtime.trade.partnerName}`;
+  const mesoInput = document.getElementById("trade-meso-input");
+  if (mesoInput) mesoInput.value = "";
+  if (isUIWindowVisible("trade")) refreshTradeWindow();
+  else toggleUIWindow("trade");
+}
+
+/** Hide the trade window (the server has already ended the trade). */
+function closeTradeWindow() {
+  if (isUIWindowVisible("trade")) getUIWindowEl("trade").classList.add("hidden");
+}
+
+function fillTradeList(listEl, side, emptyText) {
+  listEl.innerHTML = "";
+  listEl.classList.toggle("trade-locked", !!side.locked);
+  if (side.items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = emptyText;
+    listEl.appendChild(empty);
+    return;
+  }
+  for (const it of side.items) {
+    const label = it.qty > 1 ? `${getItemName(it.item_id) || `Item ${it.item_id}`} x${it.qty}` : null;
+    listEl.appendChild(buildShopRow(it.item_id, shopItemIconKey(it.item_id), label, "", []));
+  }
+}
+
+function tradeSideStatus(side) {
+  if (side.confirmed) return " (Confirmed)";
+  return side.locked ? " (Locked)" : "";
+}
+
+function refreshTradeWindow() {
+  const trade = runtime.trade;
+  const selfEl = document.getElementById("trade-self-list");
+  const partnerEl = document.getElementById("trade-partner-list");
+  if (!trade || !selfEl || !partnerEl) return;
+  const { self, partner } = trade;
+
+  fillTradeList(partnerEl, partner, "Nothing offered yet");
+  fillTradeList(selfEl, self, self.locked ? "Nothing offered" : "Pick up an item, then click here");
+  const header = document.getElementById("trade-partner-header");
+  if (header) header.textContent = trade.partnerName + tradeSideStatus(partner);
+  const partnerMeso = document.getElementById("trade-partner-meso");
+  if (partnerMeso) partnerMeso.textContent = (partner.meso || 0).toLocaleString();
+
+  const setDisabled = (id, disabled) => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = disabled;
+  };
+  setDisabled("trade-meso-input", self.locked);
+  setDisabled("trade-meso-offer", self.locked);
+  setDisabled("trade-lock", self.locked);
+  setDisabled("trade-confirm", !self.locked || !partner.locked || self.confirmed);
+}
+
+/** Offer an inventory item (asks how many for stacks). */
+function offerTradeItem(item) {
+  if (!runtime.trade || runtime.trade.self.locked) return;
+  const send = (qty) => wsSend({ type: "trade_offer_item", inv_type: item.invType, slot: item.slot, qty });
+  if (item.qty <= 1 || isRechargeableItem(item.id)) {
+    send(item.qty);
+    return;
+  }
+  showShopQuantityModal(`Offer ${getItemName(item.id) || item.name || "item"}`, item.qty, send);
+}
+
+// Drop a picked-up inventory item onto "Your Offer" to offer it
+document.getElementById("trade-self-list")?.addEventListener("click", () => {
+  if (!draggedItem.active || draggedItem.source !== "inventory") return;
+  const item = playerInventory[draggedItem.sourceIndex];
+  cancelItemDrag(true);
+  if (item) offerTradeItem(item);
+});
+document.getElementById("trade-lock")?.addEventListener("click", () => wsSend({ type: "trade_lock" }));
+document.getElementById("trade-confirm")?.addEventListener("click", () => wsSend({ type: "trade_confirm" }));
+document.getElementById("trade-cancel")?.addEventListener("click", () => wsSend({ type: "trade_cancel" }));
+{
+  const mesoInput = document.getElementById("trade-meso-input");
+  const offerMeso = () => {
+    const meso = Math.max(0, parseInt(mesoInput?.value, 10) || 0);
+    wsSend({ type: "trade_offer_meso", meso });
+  };
+  document.getElementById("trade-meso-offer")?.addEventListener("click", offerMeso);
+  mesoInput?.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    if (e.key === "Enter") offerMeso();
+  });
+}
+
 let minimapToggleHitBox = null; // { x, y, w, h } in canvas coords
+let minimapZoomHitBox = null;
+/** NPC dots drawn last frame: [{ idx, x, y }] in canvas coords */
+let minimapNpcHitBoxes = [];
 let minimapCollapsed = false;
+let minimapZoomIndex = 0;
+/** NPC name shown next to its dot after a click: { idx, until } */
+let minimapNpcLabel = null;
+
+/** Quest icon type (getNpcQuestIconType) → minimap ring colour */
+const MINIMAP_QUEST_COLORS = { 0: "#facc15", 1: "#60a5fa", 2: "#f97316" };
+
+function drawMinimapDot(x, y, radius, color) {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+}
 
 function drawMinimap() {
   minimapToggleHitBox = null;
+  minimapZoomHitBox = null;
+  minimapNpcHitBoxes = [];
   if (!runtime.settings.minimapVisible) return;
   if (!runtime.map?.miniMap) return;
   if (safeNumber(runtime.map.info.hideMinimap, 0) === 1) return;
@@ -1770,9 +3207,12 @@ function drawMinimap() {
   const img = getImageByKey(mm.imageKey);
   if (!img) return;
 
-  const scale = Math.pow(2, mm.mag);
-  const imgW = img.width;
-  const imgH = img.height;
+  // Zoom never grows the panel past half the view
+  const maxZoom = Math.max(1, (gameViewWidth() / 2 - MINIMAP_PADDING * 2) / img.width);
+  const zoom = Math.min(MINIMAP_ZOOM_LEVELS[minimapZoomIndex], maxZoom);
+  const scale = Math.pow(2, mm.mag) / zoom;
+  const imgW = Math.round(img.width * zoom);
+  const imgH = Math.round(img.height * zoom);
 
   // Map name for title
   const mapName = getMapStringName(runtime.mapId) ?? String(runtime.map.info.mapMark ?? runtime.mapId ?? "");
@@ -1784,8 +3224,9 @@ function drawMinimap() {
   ctx.restore();
 
   // Panel sizing — collapsed = title bar only, expanded = title + map image
+  const buttonsW = MINIMAP_CLOSE_SIZE * (minimapCollapsed ? 1 : 3) + 8;
   const expandedW = imgW + MINIMAP_PADDING * 2;
-  const collapsedW = Math.max(120, titleTextW + MINIMAP_PADDING * 2 + MINIMAP_CLOSE_SIZE + 8);
+  const collapsedW = Math.max(120, titleTextW + MINIMAP_PADDING * 2 + buttonsW);
   const panelW = minimapCollapsed ? collapsedW : Math.max(expandedW, collapsedW);
   const panelH = minimapCollapsed ? MINIMAP_TITLE_HEIGHT : imgH + MINIMAP_TITLE_HEIGHT + MINIMAP_PADDING * 2;
   const panelX = 10;
@@ -1812,6 +3253,15 @@ function drawMinimap() {
   ctx.textAlign = "center";
   ctx.fillText(minimapCollapsed ? "+" : "−", btnX + MINIMAP_CLOSE_SIZE / 2, btnCenterY);
 
+  // Zoom button (cycles MINIMAP_ZOOM_LEVELS), left of the toggle
+  if (!minimapCollapsed) {
+    const zoomW = MINIMAP_CLOSE_SIZE * 2;
+    const zoomX = btnX - 4 - zoomW;
+    minimapZoomHitBox = { x: zoomX, y: panelY, w: zoomW, h: MINIMAP_TITLE_HEIGHT };
+    ctx.font = "bold 10px 'Dotum', Arial, sans-serif";
+    ctx.fillText(`${MINIMAP_ZOOM_LEVELS[minimapZoomIndex]}x`, zoomX + zoomW / 2, btnCenterY);
+  }
+
   // Title text — gold accent
   ctx.fillStyle = "#d4a830";
   ctx.font = "bold 11px 'Dotum', Arial, sans-serif";
@@ -1820,7 +3270,7 @@ function drawMinimap() {
   ctx.shadowColor = "rgba(0, 0, 0, 0.7)";
   ctx.shadowOffsetY = 1;
   ctx.shadowBlur = 2;
-  const titleMaxW = panelW - MINIMAP_PADDING * 2 - MINIMAP_CLOSE_SIZE - 4;
+  const titleMaxW = panelW - MINIMAP_PADDING * 2 - buttonsW;
   ctx.fillText(mapName, panelX + MINIMAP_PADDING, btnCenterY, titleMaxW);
   ctx.shadowColor = "transparent";
 
@@ -1840,7 +3290,7 @@ function drawMinimap() {
   // Draw minimap image
   const imgX = panelX + MINIMAP_PADDING;
   const imgY = panelY + MINIMAP_TITLE_HEIGHT + MINIMAP_PADDING;
-  ctx.drawImage(img, imgX, imgY);
+  ctx.drawImage(img, imgX, imgY, imgW, imgH);
 
   // World-to-minimap coordinate transform:
   // minimapPos = (worldPos + centerOffset) / scale
@@ -1856,60 +3306,93 @@ function drawMinimap() {
   // Draw portal markers (type 2 = visible map-transfer portals)
   for (const portal of runtime.map.portalEntries) {
     if (portal.type !== 2) continue;
-    const px = toMinimapX(portal.x);
-    const py = toMinimapY(portal.y);
-    ctx.fillStyle = "#3b82f6"; // blue for visible portals
-    ctx.beginPath();
-    ctx.arc(px, py, MINIMAP_PORTAL_RADIUS, 0, Math.PI * 2);
-    ctx.fill();
+    drawMinimapDot(toMinimapX(portal.x), toMinimapY(portal.y), MINIMAP_PORTAL_RADIUS, "#3b82f6"); // blue for visible portals
   }
 
   // Draw reactor markers
   for (const reactor of runtime.map.reactorEntries ?? []) {
-    const rx = toMinimapX(reactor.x);
-    const ry = toMinimapY(reactor.y);
-    ctx.fillStyle = "#e879f9";
-    ctx.beginPath();
-    ctx.arc(rx, ry, 2, 0, Math.PI * 2);
-    ctx.fill();
+    drawMinimapDot(toMinimapX(reactor.x), toMinimapY(reactor.y), 2, "#e879f9");
   }
 
-  // Draw NPC markers
-  for (const life of runtime.map.lifeEntries) {
+  // Draw mob (orange) and NPC (green, ringed by quest state) markers at their live positions
+  let labelAt = null;
+  for (const [idx, state] of lifeRuntimeState) {
+    const life = runtime.map.lifeEntries[idx];
+    if (!life || state.dead) continue;
+    const lx = toMinimapX(state.phobj?.x ?? life.x);
+    const ly = toMinimapY(life.type === "n" ? (life.cy ?? life.y) : (state.phobj?.y ?? life.y));
+    if (life.type === "m") {
+      drawMinimapDot(lx, ly, MINIMAP_MOB_RADIUS, "#fb923c");
+      continue;
+    }
     if (life.type !== "n") continue;
-    const lx = toMinimapX(life.x);
-    const ly = toMinimapY(life.cy ?? life.y);
-    ctx.fillStyle = "#22c55e"; // green for NPCs
-    ctx.beginPath();
-    ctx.arc(lx, ly, 2, 0, Math.PI * 2);
-    ctx.fill();
+    drawMinimapDot(lx, ly, 2, "#22c55e"); // green for NPCs
+    const questIconType = getNpcQuestIconType(life.id);
+    if (questIconType != null) {
+      ctx.strokeStyle = MINIMAP_QUEST_COLORS[questIconType] ?? "#fff";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(lx, ly, 3.5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    minimapNpcHitBoxes.push({ idx, x: lx, y: ly });
+    if (minimapNpcLabel?.idx === idx) labelAt = { x: lx, y: ly, life };
   }
 
-  // Draw remote player markers (C++ draw_movable_markers → marker["another"])
+  // Draw remote player markers (C++ draw_movable_markers → marker["another"] / party members)
+  const partyIds = new Set((runtime.party?.members ?? []).map((m) => m.id));
   for (const [, rp] of remotePlayers) {
-    const rpx = toMinimapX(rp.renderX);
-    const rpy = toMinimapY(rp.renderY);
-    ctx.fillStyle = "#ef4444"; // red for other players
-    ctx.beginPath();
-    ctx.arc(rpx, rpy, MINIMAP_PLAYER_RADIUS, 0, Math.PI * 2);
-    ctx.fill();
+    const color = partyIds.has(rp.id) ? "#22d3ee" : "#ef4444"; // cyan for party, red for other players
+    drawMinimapDot(toMinimapX(rp.renderX), toMinimapY(rp.renderY), MINIMAP_PLAYER_RADIUS, color);
   }
 
   // Draw player marker (C++ draw_movable_markers → marker["user"])
-  const playerMmX = toMinimapX(runtime.player.x);
-  const playerMmY = toMinimapY(runtime.player.y);
-  ctx.fillStyle = "#facc15"; // yellow for local player
-  ctx.beginPath();
-  ctx.arc(playerMmX, playerMmY, MINIMAP_PLAYER_RADIUS, 0, Math.PI * 2);
-  ctx.fill();
+  drawMinimapDot(toMinimapX(runtime.player.x), toMinimapY(runtime.player.y), MINIMAP_PLAYER_RADIUS, "#facc15"); // yellow for local player
   ctx.strokeStyle = "#fff";
   ctx.lineWidth = 1;
   ctx.stroke();
 
   ctx.restore(); // unclip
+
+  // Clicked NPC name, drawn unclipped so it can overhang the image
+  if (minimapNpcLabel && performance.now() > minimapNpcLabel.until) minimapNpcLabel = null;
+  if (labelAt) {
+    const cacheKey = `${labelAt.life.type}:${labelAt.life.id}`;
+    const name = lifeAnimations.get(cacheKey)?.name || "NPC";
+    ctx.font = "bold 10px 'Dotum', Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    const w = ctx.measureText(name).width + 8;
+    const ty = labelAt.y - 5;
+    roundRect(ctx, labelAt.x - w / 2, ty - 14, w, 14, 3);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.fillText(name, labelAt.x, ty - 1);
+  }
+
   ctx.restore(); // outer save
 }
 
+/** Minimap clicks: collapse, zoom, NPC dots. Returns true if the click was used. */
+function handleMinimapClick(cx, cy) {
+  const hit = (hb) => hb && cx >= hb.x && cx <= hb.x + hb.w && cy >= hb.y && cy <= hb.y + hb.h;
+  if (hit(minimapToggleHitBox)) {
+    minimapCollapsed = !minimapCollapsed;
+    return true;
+  }
+  if (hit(minimapZoomHitBox)) {
+    minimapZoomIndex = (minimapZoomIndex + 1) % MINIMAP_ZOOM_LEVELS.length;
+    return true;
+  }
+  const npc = minimapNpcHitBoxes.find((d) => Math.hypot(d.x - cx, d.y - cy) <= 5);
+  if (npc) {
+    minimapNpcLabel = { idx: npc.idx, until: performance.now() + MINIMAP_NPC_LABEL_MS };
+    return true;
+  }
+  return false;
+}
+
 
 
 // ── Loading screen mushroom animation + login BGM ──
@@ -2539,6 +4022,10 @@ function render() {
   }
   drawMapBanner();
   drawMinimap();
+  drawStatusEffectIcons();
+  drawBossHpBar();
+  drawFieldClock();
+  drawReplayHud();
   drawNpcDialogue();
   drawTransitionOverlay();
   drawWZCursor();
@@ -2547,8 +4034,17 @@ function render() {
 
 
 function update(dt) {
-  tryUsePortal();
-  updatePlayer(dt);
+  if (isReplayPlaying()) {
+    updateReplayPlayback(dt);
+  } else {
+    updateGamepadInput();
+    tryUsePortal();
+    updatePlayer(dt);
+    if (isReplayRecording()) {
+      recordReplayTick(dt * 1000);
+      if (isReplayRecordingFull()) void stopReplay();
+    }
+  }
   updateHiddenPortalState(dt);
   updatePortalAnimations(dt * 1000);
   updateFaceAnimation(dt);
@@ -2800,6 +4296,10 @@ async function loadMap(mapId, spawnPortalName = null, spawnFromPortalTransfer =
     bgMotionStates.clear();
     portalFrameWarmupRequested.clear();
     closeNpcDialogue();
+    closeShopWindow();
+    closeStorageWindow();
+    closeCashShopWindow();
+    runtime.bosses.clear();
     damageNumbers.length = 0;
 
     // Restore chat UI after loading
@@ -2812,6 +4312,7 @@ async function loadMap(mapId, spawnPortalName = null, spawnFromPortalTransfer =
 
     // Show map name banner
     showMapBanner(runtime.mapId);
+    if (isUIWindowVisible("worldmap")) refreshWorldMapWindow();
 
     rlog(`Loaded map ${runtime.mapId}. Click/hover canvas to control. Controls: ←/→ move, Space jump, ↑ grab rope, ↑/↓ climb, ↓ crouch, Enter to chat.`);
     const _welcomePhrases = [
@@ -3209,14 +4710,8 @@ function bindInput() {
       return;
     }
 
-    // Check minimap toggle button (−/+)
-    if (minimapToggleHitBox) {
-      const hb = minimapToggleHitBox;
-      if (cx >= hb.x && cx <= hb.x + hb.w && cy >= hb.y && cy <= hb.y + hb.h) {
-        minimapCollapsed = !minimapCollapsed;
-        return;
-      }
-    }
+    // Check minimap buttons (−/+, zoom) and NPC dots
+    if (handleMinimapClick(cx, cy)) return;
 
     // Check NPC click (only when not loading/transitioning)
     if (!runtime.loading.active && !runtime.portalWarpInProgress && runtime.map) {
@@ -3341,7 +4836,24 @@ function bindInput() {
       // Close any open UI windows
       {
         let closed = false;
-        for (const k of ["settings", "equip", "inventory", "keybinds", "stat", "quest"]) {
+        if (isUIWindowVisible("shop")) {
+          closeShopWindow();
+          closed = true;
+        }
+        if (isUIWindowVisible("storage")) {
+          closeStorageWindow();
+          closed = true;
+        }
+        if (isUIWindowVisible("cashshop")) {
+          closeCashShopWindow();
+          closed = true;
+        }
+        // Closing the trade window cancels the trade (the server closes it for both sides)
+        if (isUIWindowVisible("trade")) {
+          wsSend({ type: "trade_cancel" });
+          closed = true;
+        }
+        for (const k of ["settings", "equip", "inventory", "keybinds", "stat", "quest", "skill", "party", "buddy", "worldmap"]) {
           if (isUIWindowVisible(k)) {
             const el = getUIWindowEl(k);
             if (el) el.classList.add("hidden");
@@ -3363,49 +4875,11 @@ function bindInput() {
     {
       const km = runtime.keymap?.[event.code];
       if (km && !event.repeat) {
-        // Item hotkeys — use consumable (200ms cooldown)
-        if (km.type === "item" && runtime.input.enabled) {
+        if (km.type === "action") event.preventDefault();
+        if (dispatchKeymapBinding(km)) {
           event.preventDefault();
-          const now = performance.now();
-          if (now - _lastItemUseTime < 200) return;
-          _lastItemUseTime = now;
-          wsSend({ type: "use_item", item_id: km.id });
           return;
         }
-        // Action hotkeys
-        if (km.type === "action") {
-          event.preventDefault();
-          const winActions = { equip: 1, inventory: 1, keybinds: 1, stat: 1 };
-          if (winActions[km.id]) { toggleUIWindow(km.id); return; }
-          if (km.id === "questlog") { toggleUIWindow("quest"); refreshQuestLog(); return; }
-          if (runtime.input.enabled) {
-            if (km.id === "attack") { performAttack(); return; }
-            if (km.id === "jump") {
-              if (!runtime.input.jumpHeld) runtime.input.jumpQueued = true;
-              runtime.input.jumpHeld = true;
-              return;
-            }
-            if (km.id === "loot") { tryLootDrop(); return; }
-            // Face expressions
-            const FACE_MAP = {
-              face1: "hit", face2: "smile", face3: "troubled", face4: "cry",
-              face5: "angry", face6: "bewildered", face7: "stunned", face8: "chu", face9: "hum",
-            };
-            if (FACE_MAP[km.id]) {
-              const now = performance.now();
-              if (now - _lastEmoteTime < 1000) return;
-              setLastEmoteTime(now);
-              const expr = FACE_MAP[km.id];
-              runtime.faceAnimation.overrideExpression = expr;
-              runtime.faceAnimation.overrideUntilMs = now + 2500;
-              runtime.faceAnimation.expression = expr;
-              runtime.faceAnimation.frameIndex = 0;
-              runtime.faceAnimation.frameTimerMs = 0;
-              wsSend({ type: "face", expression: expr });
-              return;
-            }
-          }
-        }
       }
     }
 
@@ -3548,6 +5022,11 @@ applyFixedRes();
 initUIWindowDrag();
 refreshUIWindows();
 
+// Wire Key Config tabs (keyboard / controller)
+for (const btn of document.querySelectorAll("#keybinds-tabs .skill-tab")) {
+  btn.addEventListener("click", () => setKeybindsTab(btn.dataset.kbTab));
+}
+
 // Wire inventory tab buttons
 for (const btn of document.querySelectorAll("#inv-tabs .inv-tab")) {
   btn.addEventListener("click", () => {
@@ -3668,6 +5147,10 @@ claimHudButton?.addEventListener("click", () => {
   if (claimOverlayEl) claimOverlayEl.classList.remove("hidden");
   if (claimPasswordInput) claimPasswordInput.value = "";
   if (claimPasswordConfirm) claimPasswordConfirm.value = "";
+  for (const id of ["claim-link-name", "claim-link-password"]) {
+    const input = document.getElementById(id);
+    if (input) input.value = "";
+  }
   if (claimErrorEl) claimErrorEl.textContent = "";
   claimPasswordInput?.focus();
 });
@@ -3684,7 +5167,11 @@ claimConfirmBtn?.addEventListener("click", async () => {
     const resp = await fetch("/api/character/claim", {
       method: "POST",
       headers: { "Content-Type": "application/json", "Authorization": "Bearer " + sessionId },
-      body: JSON.stringify({ password: pw }),
+      body: JSON.stringify({
+        password: pw,
+        link_name: document.getElementById("claim-link-name")?.value.trim() || undefined,
+        link_password: document.getElementById("claim-link-password")?.value || undefined,
+      }),
     });
     const result = await resp.json();
     if (!result.ok) {
@@ -3868,15 +5355,17 @@ Object.assign(fn, {
   adjustStanceForRemoteWeapon,
   animateDropPickup, createDropFromServer, lootDropLocally,
   drawSetEffect, findActiveSetEffect,
-  triggerLevelUpEffect, triggerRemoteLevelUpEffect,
-  updateAndDrawLocalLevelUpEffect, updateAndDrawRemoteLevelUpEffect,
+  triggerLevelUpEffect, triggerRemoteLevelUpEffect, triggerCharEffect, triggerRemoteCharEffect,
+  updateAndDrawLocalCharEffect, updateAndDrawRemoteCharEffect,
   equipSlotFromId, equipWzCategoryFromId,
   getCharacterActionFrames, getEquipFrameParts,
   getFaceExpressionFrames, getFaceFrameMeta,
   getHairFrameParts, getHeadFrameMeta,
   handleServerMapChange, showDuplicateLoginOverlay,
   loadChairSprite, mergeMapAnchors, pickAnchorName, zOrderForPart,
-  playMobSfx, playUISound,
+  playMobSfx, playMobSkillAnimation, playUISound,
+  setMobLifeId, applyBossState, announceBossSpawn,
+  applyFieldRules, handleFieldDenied, handleScrollResult, applyServerEquipment,
   requestCharacterPartImage, spawnDamageNumber,
   syncServerReactors, wrapBubbleTextToWidth,
   // Used by life.js
@@ -3893,14 +5382,24 @@ Object.assign(fn, {
   adjustStanceForWeapon, buildZMapOrder, getCapType, hasOverallEquipped,
   loadPortalMeta, portalFrameCount, portalMetaKey,
   // Used by input.js
-  setCursorState, loadMap,
+  setCursorState, loadMap, toggleUIWindow,
+  startReplayRecording, stopReplay, openReplayFile, toggleReplayPause, setReplaySpeed,
   // Used by items.js
   addSystemChatMessage, bringWindowToFront, buildKeybindsUI, cancelItemDrag,
   equipSlotFromId, equipWzCategoryFromId, findFreeSlot,
   getIconDataUri, getItemSlotMax, hideTooltip, inventoryTypeById, isItemStackable,
   loadEquipIcon, loadItemIcon, loadItemName, loadItemWzInfo,
-  refreshUIWindows, saveCharacter,
+  refreshUIWindows, saveCharacter, isFieldLimited,
   loadKeymap, saveKeymap,
+  // Used by skills.js
+  refreshSkillWindow,
+  // Used by net.js / items.js (NPC shop, storage, party, trade)
+  openShopWindow, refreshShopWindow, openStorageWindow, refreshStorageWindow, refreshPartyWindow, refreshBuddyWindow,
+  openTradeWindow, closeTradeWindow, refreshTradeWindow,
+  // Used by net.js / items.js (cash shop)
+  openCashShopWindow, refreshCashShopWindow,
+  // Used by items.js / worldmap.js (world map window)
+  refreshWorldMapWindow, loadMapStringData, getMapStringName, getMapStringStreet,
 });
 
 // ── Character load / create → first map load ──
@@ -0,0 +1,262 @@
+/**
+ * cashshop.js — Cash shop window: commodity tabs, NX purchases, gachapon and
+ * the dress-up preview.
+ *
+ * The server owns the listings (Etc.wz/Commodity.img, server cash-shop.ts) and
+ * the NX wallet: `cash_open` brings both, `cash_buy` / `cash_gachapon` answer
+ * with `cash_result` (+ `inventory_update`). Listings for the other gender are
+ * hidden.
+ *
+ * Preview: equips can be tried on. The chosen items are swapped into
+ * playerEquipped just long enough to compose the character with
+ * composeCharacterPlacements (the same pipeline drawCharacter uses), then the
+ * real equipment is restored. The placement cache is keyed without the equip
+ * set, so it is cleared on both sides of the swap.
+ */
+import {
+  fn, runtime, playerEquipped, playerInventory, characterPlacementTemplateCache,
+} from "./state.js";
+import { composeCharacterPlacements } from "./render.js";
+import { playUISound } from "./sound.js";
+import { getItemName } from "./quests.js";
+import {
+  inventoryTypeById, equipSlotFromId, equipWzCategoryFromId,
+  loadEquipIcon, loadItemIcon, getIconDataUri,
+} from "./save.js";
+import { loadEquipWzData, getUIWindowEl, isUIWindowVisible, toggleUIWindow } from "./items.js";
+import { wsSend, _wsConnected } from "./net.js";
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+
+const CASH_PAGE_SIZE = 40;
+/** Frames to wait for preview sprites that are still decoding */
+const PREVIEW_RETRY_LIMIT = 30;
+const PREVIEW_RETRY_MS = 100;
+
+// ─── State ─────────────────────────────────────────────────────────────────────
+
+let _tab = "";
+let _page = 0;
+/** Equip slot → item id being tried on */
+const _previewEquips = new Map();
+let _previewRetries = 0;
+let _previewTimer = 0;
+
+// ─── Window ────────────────────────────────────────────────────────────────────
+
+/** Ask the server to open the cash shop (it answers with cash_open). */
+export function requestCashShop() {
+  if (!_wsConnected) {
+    fn.addSystemChatMessage("The Cash Shop requires online mode.", "error");
+    return;
+  }
+  if (isUIWindowVisible("cashshop")) {
+    closeCashShopWindow();
+    return;
+  }
+  wsSend({ type: "cash_open" });
+}
+
+export function openCashShopWindow() {
+  const tabs = cashTabs();
+  if (!tabs.includes(_tab)) { _tab = tabs[0] ?? ""; _page = 0; }
+  if (isUIWindowVisible("cashshop")) refreshCashShopWindow();
+  else toggleUIWindow("cashshop");
+  drawCashPreview();
+}
+
+export function closeCashShopWindow() {
+  if (!isUIWindowVisible("cashshop")) return;
+  getUIWindowEl("cashshop").classList.add("hidden");
+  _previewEquips.clear();
+}
+
+/** Listings the player's character can buy. */
+function visibleItems() {
+  const female = !!runtime.player.gender;
+  return runtime.cashShop.items.filter(it => it.gender === 2 || it.gender === (female ? 1 : 0));
+}
+
+function cashTabs() {
+  return [...new Set(visibleItems().map(it => it.tab))];
+}
+
+function cashItemIconKey(itemId) {
+  const wzCat = inventoryTypeById(itemId) === "EQUIP" ? equipWzCategoryFromId(itemId) : null;
+  return wzCat ? loadEquipIcon(itemId, wzCat) : loadItemIcon(itemId);
+}
+
+function buyCashItem(entry) {
+  if (runtime.cashShop.nx < entry.price) {
+    fn.addSystemChatMessage("You don't have enough NX.", "error");
+    return;
+  }
+  wsSend({ type: "cash_buy", sn: entry.sn });
+}
+
+function buildCashRow(entry) {
+  const row = document.createElement("div");
+  row.className = "skill-row";
+
+  const iconUri = getIconDataUri(cashItemIconKey(entry.item_id));
+  const icon = document.createElement(iconUri ? "img" : "div");
+  icon.className = "skill-icon";
+  if (iconUri) { icon.src = iconUri; icon.draggable = false; }
+  row.appendChild(icon);
+
+  const info = document.createElement("div");
+  info.className = "skill-info";
+  const name = document.createElement("div");
+  name.className = "skill-name";
+  const label = getItemName(entry.item_id) || `Item #${entry.item_id}`;
+  name.textContent = entry.count > 1 ? `${label} x${entry.count}` : label;
+  const price = document.createElement("div");
+  price.className = "shop-price";
+  price.textContent = `${entry.price.toLocaleString()} NX` + (entry.period > 0 ? ` · ${entry.period} days` : "");
+  info.append(name, price);
+  row.appendChild(info);
+
+  const slot = inventoryTypeById(entry.item_id) === "EQUIP" ? equipSlotFromId(entry.item_id) : null;
+  if (slot) {
+    const tryBtn = document.createElement("button");
+    tryBtn.className = "shop-btn";
+    tryBtn.textContent = _previewEquips.get(slot) === entry.item_id ? "Remove" : "Try";
+    tryBtn.addEventListener("click", () => togglePreviewItem(slot, entry.item_id));
+    row.appendChild(tryBtn);
+  }
+  const buyBtn = document.createElement("button");
+  buyBtn.className = "shop-btn";
+  buyBtn.textContent = "Buy";
+  buyBtn.disabled = runtime.cashShop.nx < entry.price;
+  buyBtn.addEventListener("click", () => buyCashItem(entry));
+  row.appendChild(buyBtn);
+  return row;
+}
+
+export function refreshCashShopWindow() {
+  const listEl = document.getElementById("cashshop-list");
+  const tabsEl = document.getElementById("cashshop-tabs");
+  if (!listEl || !tabsEl) return;
+  const nxEl = document.getElementById("cashshop-nx");
+  if (nxEl) nxEl.textContent = runtime.cashShop.nx.toLocaleString();
+
+  const ticketId = runtime.cashShop.gachaponTicket;
+  const tickets = playerInventory.reduce((n, it) => n + (it.id === ticketId ? it.qty : 0), 0);
+  const gachaBtn = document.getElementById("cashshop-gachapon");
+  if (gachaBtn) {
+    gachaBtn.textContent = `Gachapon (${tickets})`;
+    gachaBtn.disabled = tickets < 1;
+  }
+
+  tabsEl.innerHTML = "";
+  for (const tab of cashTabs()) {
+    const btn = document.createElement("button");
+    btn.className = "skill-tab" + (tab === _tab ? " active" : "");
+    btn.textContent = tab;
+    btn.addEventListener("click", () => {
+      _tab = tab;
+      _page = 0;
+      refreshCashShopWindow();
+    });
+    tabsEl.appendChild(btn);
+  }
+
+  const items = visibleItems().filter(it => it.tab === _tab);
+  const pages = Math.max(1, Math.ceil(items.length / CASH_PAGE_SIZE));
+  _page = Math.min(_page, pages - 1);
+  listEl.innerHTML = "";
+  if (items.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Nothing is on sale";
+    listEl.appendChild(empty);
+  }
+  for (const entry of items.slice(_page * CASH_PAGE_SIZE, (_page + 1) * CASH_PAGE_SIZE)) {
+    listEl.appendChild(buildCashRow(entry));
+  }
+
+  const pageEl = document.getElementById("cashshop-page");
+  if (pageEl) pageEl.textContent = `${_page + 1} / ${pages}`;
+  const prevBtn = document.getElementById("cashshop-prev");
+  const nextBtn = document.getElementById("cashshop-next");
+  if (prevBtn) prevBtn.disabled = _page <= 0;
+  if (nextBtn) nextBtn.disabled = _page >= pages - 1;
+}
+
+// ─── Dress-up Preview ──────────────────────────────────────────────────────────
+
+async function togglePreviewItem(slot, itemId) {
+  playUISound("BtMouseClick");
+  if (_previewEquips.get(slot) === itemId) {
+    _previewEquips.delete(slot);
+  } else {
+    _previewEquips.set(slot, itemId);
+    // An overall replaces top and bottom, and the other way around
+    if (slot === "Longcoat") { _previewEquips.delete("Coat"); _previewEquips.delete("Pants"); }
+    if (slot === "Coat" || slot === "Pants") _previewEquips.delete("Longcoat");
+    if (!runtime.characterEquipData[itemId]) await loadEquipWzData(itemId);
+  }
+  refreshCashShopWindow();
+  drawCashPreview();
+}
+
+/** Run `compose` with the previewed items worn, then put the real equipment back. */
+function withPreviewLook(compose) {
+  const real = new Map(playerEquipped);
+  for (const [slot, itemId] of _previewEquips) {
+    if (!runtime.characterEquipData[itemId]) continue;
+    playerEquipped.set(slot, { id: itemId, name: "", iconKey: "", attrs: null });
+    if (slot === "Longcoat") { playerEquipped.delete("Coat"); playerEquipped.delete("Pants"); }
+    if (slot === "Coat" || slot === "Pants") playerEquipped.delete("Longcoat");
+  }
+  characterPlacementTemplateCache.clear();
+  try {
+    return compose();
+  } finally {
+    playerEquipped.clear();
+    for (const [slot, equipped] of real) playerEquipped.set(slot, equipped);
+    characterPlacementTemplateCache.clear();
+  }
+}
+
+/** Draw the player (standing, default face) wearing the previewed items. */
+export function drawCashPreview() {
+  const canvas = document.getElementById("cashshop-preview");
+  if (!canvas) return;
+  const pctx = canvas.getContext("2d");
+  clearTimeout(_previewTimer);
+
+  const feet = { x: Math.round(canvas.width / 2), y: canvas.height - 16 };
+  const placements = withPreviewLook(() => composeCharacterPlacements("stand1", 0, feet, false, "default", 0));
+  if (!placements) {
+    // Sprites still decoding — try again shortly
+    if (_previewRetries++ < PREVIEW_RETRY_LIMIT) _previewTimer = setTimeout(drawCashPreview, PREVIEW_RETRY_MS);
+    return;
+  }
+  _previewRetries = 0;
+  pctx.clearRect(0, 0, canvas.width, canvas.height);
+  for (const part of placements) {
+    pctx.drawImage(part.image, Math.round(part.topLeft.x), Math.round(part.topLeft.y));
+  }
+}
+
+// ─── Buttons ───────────────────────────────────────────────────────────────────
+
+document.getElementById("cashshop-prev")?.addEventListener("click", () => {
+  _page = Math.max(0, _page - 1);
+  refreshCashShopWindow();
+});
+document.getElementById("cashshop-next")?.addEventListener("click", () => {
+  _page++;
+  refreshCashShopWindow();
+});
+document.getElementById("cashshop-reset")?.addEventListener("click", () => {
+  playUISound("BtMouseClick");
+  _previewEquips.clear();
+  refreshCashShopWindow();
+  drawCashPreview();
+});
+document.getElementById("cashshop-gachapon")?.addEventListener("click", () => {
+  playUISound("BtMouseClick");
+  wsSend({ type: "cash_gachapon" });
+});
@@ -1041,32 +1041,50 @@ export function drawSetEffect(worldX, worldY, setEff, state) {
   drawWorldImage(img, drawX, drawY);
 }
 
-// ── Level Up Effect (C++ CharEffect::LEVELUP from Effect.wz/BasicEff.img → LevelUp) ──
+// ── Character Effects (C++ CharEffect from Effect.wz/BasicEff.img) ──
 
-const _levelUpFrames = [];      // { key, originX, originY, delay }[]
-let _levelUpLoaded = false;
-let _levelUpLoading = false;
+/** Effect name → node path under BasicEff.img (C++ CharEffect::PATHS) */
+const CHAR_EFFECT_PATHS = {
+  levelup: ["LevelUp"],
+  scroll_success: ["Enchant", "Success"],
+  scroll_failure: ["Enchant", "Failure"],
+};
 
-/** Local player level-up effect state */
-const _localLevelUp = { active: false, frameIndex: 0, elapsed: 0, startMs: 0 };
+/** name → { frames: { key, originX, originY, delay }[], loaded, loading } */
+const _charEffects = new Map();
 
-const LEVELUP_DEFAULT_DELAY = 100; // C++ default frame delay
+/** Local player effect state (one effect plays at a time) */
+const _localCharEffect = { name: "", active: false, frameIndex: 0, elapsed: 0, startMs: 0 };
 
-/** Load level up animation frames from Effect.wz/BasicEff.img.xml → LevelUp */
-export async function loadLevelUpEffect() {
-  if (_levelUpLoaded || _levelUpLoading) return;
-  _levelUpLoading = true;
+const CHAR_EFFECT_DEFAULT_DELAY = 100; // C++ default frame delay
+
+function getCharEffect(name) {
+  let eff = _charEffects.get(name);
+  if (!eff) {
+    eff = { frames: [], loaded: false, loading: false };
+    _charEffects.set(name, eff);
+  }
+  return eff;
+}
+
+/** Load a character effect's animation frames from Effect.wz/BasicEff.img.xml */
+export async function loadCharEffect(name) {
+  const eff = getCharEffect(name);
+  const path = CHAR_EFFECT_PATHS[name];
+  if (!path || eff.loaded || eff.loading) return;
+  eff.loading = true;
   try {
     const json = await fetchJson("/resourcesv3/Effect.wz/BasicEff.img.xml");
-    const levelUpNode = json?.$$?.find(n => n.$imgdir === "LevelUp");
-    if (!levelUpNode?.$$) { _levelUpLoading = false; return; }
+    let node = json;
+    for (const part of path) node = node?.$$?.find(n => n.$imgdir === part);
+    if (!node?.$$) { eff.loading = false; return; }
 
     // Frames are numbered 0, 1, 2, ...
-    const frameNodes = levelUpNode.$$.filter(n => n.$canvas && /^\d+$/.test(n.$canvas))
+    const frameNodes = node.$$.filter(n => n.$canvas && /^\d+$/.test(n.$canvas))
       .sort((a, b) => Number(a.$canvas) - Number(b.$canvas));
 
     for (const frame of frameNodes) {
-      const key = `chareff:levelup:${frame.$canvas}`;
+      const key = `chareff:${name}:${frame.$canvas}`;
       const meta = canvasMetaFromNode(frame);
       if (!meta) continue;
       const origin = frame.$$?.find(n => n.$vector === "origin");
@@ -1074,51 +1092,68 @@ export async function loadLevelUpEffect() {
       // Store meta in cache so requestImageByKey can find it
       metaCache.set(key, meta);
       requestImageByKey(key);
-      _levelUpFrames.push({
+      eff.frames.push({
         key,
         originX: origin ? Number(origin.x) : 0,
         originY: origin ? Number(origin.y) : 0,
-        delay: delayNode ? Number(delayNode.value) : LEVELUP_DEFAULT_DELAY,
+        delay: delayNode ? Number(delayNode.value) : CHAR_EFFECT_DEFAULT_DELAY,
       });
     }
-    _levelUpLoaded = true;
+    eff.loaded = true;
   } catch (e) {
-    dlog("warn", "[CharEff] Failed to load LevelUp effect:", e);
+    dlog("warn", `[CharEff] Failed to load ${path.join("/")} effect:`, e);
   }
-  _levelUpLoading = false;
+  eff.loading = false;
+}
+
+/** Load level up animation frames (preloaded with the map — level ups are common). */
+export function loadLevelUpEffect() {
+  return loadCharEffect("levelup");
+}
+
+/** Trigger a character effect on the local player. */
+export function triggerCharEffect(name) {
+  _localCharEffect.name = name;
+  _localCharEffect.active = true;
+  _localCharEffect.frameIndex = 0;
+  _localCharEffect.elapsed = 0;
+  _localCharEffect.startMs = performance.now();
+  // If frames aren't loaded yet, kick off loading — effect will render once ready
+  loadCharEffect(name);
 }
 
 /** Trigger the level up effect on the local player. */
 export function triggerLevelUpEffect() {
-  _localLevelUp.active = true;
-  _localLevelUp.frameIndex = 0;
-  _localLevelUp.elapsed = 0;
-  _localLevelUp.startMs = performance.now();
-  // If frames aren't loaded yet, kick off loading — effect will render once ready
-  if (!_levelUpLoaded && !_levelUpLoading) loadLevelUpEffect();
+  triggerCharEffect("levelup");
 }
 
 /**
- * Update and draw the level up effect for a given world position.
+ * Update and draw a character effect for a given world position.
  * @returns {boolean} true if still animating
  */
-function drawLevelUpEffectAt(worldX, worldY, state, dtMs) {
+function drawCharEffectAt(worldX, worldY, state, dtMs) {
   if (!state.active) return false;
-  // Frames not loaded yet — keep active, wait for load
-  if (_levelUpFrames.length === 0) return true;
+  const eff = _charEffects.get(state.name);
+  if (!eff) return false;
+  // Frames not loaded yet — keep active, wait for load (give up if loading found none)
+  if (eff.frames.length === 0) {
+    if (!eff.loading) state.active = false;
+    return state.active;
+  }
+  const frames = eff.frames;
 
   // Advance frame timer
   let elapsed = state.elapsed + dtMs;
   let idx = state.frameIndex;
 
-  while (idx < _levelUpFrames.length) {
-    const delay = _levelUpFrames[idx].delay || LEVELUP_DEFAULT_DELAY;
+  while (idx < frames.length) {
+    const delay = frames[idx].delay || CHAR_EFFECT_DEFAULT_DELAY;
     if (elapsed < delay) break;
     elapsed -= delay;
     idx++;
   }
 
-  if (idx >= _levelUpFrames.length) {
+  if (idx >= frames.length) {
     state.active = false;
     return false;
   }
@@ -1126,7 +1161,7 @@ function drawLevelUpEffectAt(worldX, worldY, state, dtMs) {
   state.frameIndex = idx;
   state.elapsed = elapsed;
 
-  const cur = _levelUpFrames[idx];
+  const cur = frames[idx];
   const img = imageCache.get(cur.key);
   if (!img) return true; // image still decoding
 
@@ -1136,22 +1171,27 @@ function drawLevelUpEffectAt(worldX, worldY, state, dtMs) {
   return true;
 }
 
-/** Update + draw level up effect on local player. Called each frame from render. */
-export function updateAndDrawLocalLevelUpEffect(dtMs) {
-  drawLevelUpEffectAt(runtime.player.x, runtime.player.y, _localLevelUp, dtMs);
+/** Update + draw the character effect on the local player. Called each frame from render. */
+export function updateAndDrawLocalCharEffect(dtMs) {
+  drawCharEffectAt(runtime.player.x, runtime.player.y, _localCharEffect, dtMs);
+}
+
+/** Update + draw the character effect on a remote player. */
+export function updateAndDrawRemoteCharEffect(rp, dtMs) {
+  if (!rp._charEffectState) return;
+  const still = drawCharEffectAt(rp.renderX, rp.renderY, rp._charEffectState, dtMs);
+  if (!still) rp._charEffectState = null;
 }
 
-/** Update + draw level up effect on a remote player. */
-export function updateAndDrawRemoteLevelUpEffect(rp, dtMs) {
-  if (!rp._levelUpState) return;
-  const still = drawLevelUpEffectAt(rp.renderX, rp.renderY, rp._levelUpState, dtMs);
-  if (!still) rp._levelUpState = null;
+/** Trigger a character effect on a remote player. */
+export function triggerRemoteCharEffect(rp, name) {
+  rp._charEffectState = { name, active: true, frameIndex: 0, elapsed: 0, startMs: performance.now() };
+  loadCharEffect(name);
 }
 
 /** Trigger level up effect on a remote player. */
 export function triggerRemoteLevelUpEffect(rp) {
-  rp._levelUpState = { active: true, frameIndex: 0, elapsed: 0, startMs: performance.now() };
-  if (!_levelUpLoaded && !_levelUpLoading) loadLevelUpEffect();
+  triggerRemoteCharEffect(rp, "levelup");
 }
 
 export function drawChatBubble() {
@@ -31,6 +31,28 @@ export function handleSlashCommand(input) {
   const cmd = (parts[0] || "").toLowerCase();
   const args = parts.slice(1);
 
+  // /party is available to everyone (server-side party system)
+  if (cmd === "party") {
+    handlePartyCommand(args);
+    return;
+  }
+
+  // Whispers, buddy list, cross-map chat channels, and trades
+  if (SOCIAL_COMMANDS[cmd]) {
+    if (!_wsConnected) {
+      addSystemChatMessage("Requires online mode.", "error");
+      return;
+    }
+    SOCIAL_COMMANDS[cmd](args, input);
+    return;
+  }
+
+  // /replay is available to everyone (client-side recording)
+  if (cmd === "replay") {
+    handleReplayCommand(args);
+    return;
+  }
+
   // /overlay is available to everyone (client-side debug tool)
   if (cmd === "overlay") {
     runtime.gmOverlay = !runtime.gmOverlay;
@@ -54,6 +76,8 @@ export function handleSlashCommand(input) {
       gmChat("  /str <val> /dex <val> /int <val> /luk <val> — Set stats");
       gmChat("  /item <item_id> [qty] — Give item");
       gmChat("  /meso <amount> — Set meso");
+      gmChat("  /nx <amount> [character] — Grant NX (negative removes)");
+      gmChat("  /sp <amount> — Set skill points");
       gmChat("  /help — Show this list");
       break;
 
@@ -96,7 +120,9 @@ export function handleSlashCommand(input) {
     case "int":
     case "luk":
     case "meso":
+    case "sp":
     case "item":
+    case "nx":
       if (!_wsConnected) { gmChat("Requires online mode."); break; }
       wsSend({ type: "gm_command", command: cmd, args });
       break;
@@ -107,6 +133,104 @@ export function handleSlashCommand(input) {
   }
 }
 
+// ── Whisper / Buddy / Channel / Trade Commands ───────────────────────
+
+/** Text after the first `skip` words of a slash command (keeps the message's own spacing). */
+function commandRest(input, skip) {
+  let rest = input.slice(1).trimStart();
+  for (let i = 0; i < skip; i++) rest = rest.replace(/^\S+\s*/, "");
+  return rest.trim();
+}
+
+function sendChannelChat(channel, text) {
+  if (text) wsSend({ type: "chat", channel, text });
+}
+
+function sendWhisper(name, text) {
+  if (!name || !text) {
+    addSystemChatMessage("Usage: /w <name> <message>");
+    return;
+  }
+  wsSend({ type: "whisper", name, text });
+}
+
+const SOCIAL_COMMANDS = {
+  w: (args, input) => sendWhisper(args[0], commandRest(input, 2)),
+  whisper: (args, input) => sendWhisper(args[0], commandRest(input, 2)),
+  r: (args, input) => {
+    if (!runtime.chat.lastWhisperFrom) { addSystemChatMessage("Nobody has whispered you yet."); return; }
+    sendWhisper(runtime.chat.lastWhisperFrom, commandRest(input, 1));
+  },
+  p: (args, input) => sendChannelChat("party", commandRest(input, 1)),
+  b: (args, input) => sendChannelChat("buddy", commandRest(input, 1)),
+  g: (args, input) => sendChannelChat("global", commandRest(input, 1)),
+  buddy: (args) => {
+    const sub = (args[0] || "").toLowerCase();
+    if (!sub) { fn.toggleUIWindow("buddy"); return; }
+    if ((sub === "add" || sub === "remove") && args[1]) {
+      wsSend({ type: `buddy_${sub}`, name: args[1] });
+      return;
+    }
+    addSystemChatMessage("Usage: /buddy [add <name> | remove <name>]");
+  },
+  trade: (args) => {
+    const sub = (args[0] || "").toLowerCase();
+    if (sub === "accept" || sub === "decline" || sub === "cancel") {
+      wsSend({ type: `trade_${sub}` });
+      return;
+    }
+    if (!args[0]) {
+      addSystemChatMessage("Usage: /trade <name> | accept | decline | cancel");
+      return;
+    }
+    wsSend({ type: "trade_invite", name: args[0] });
+  },
+};
+
+// ── Party Commands ───────────────────────────────────────────────────
+
+const PARTY_COMMANDS = {
+  create: () => ({ type: "party_create" }),
+  invite: (name) => name ? { type: "party_invite", name } : null,
+  accept: () => ({ type: "party_accept" }),
+  decline: () => ({ type: "party_decline" }),
+  leave: () => ({ type: "party_leave" }),
+  kick: (name) => name ? { type: "party_kick", name } : null,
+};
+
+/** /party create|invite <name>|accept|decline|leave|kick <name> — no args opens the party window. */
+function handlePartyCommand(args) {
+  const sub = (args[0] || "").toLowerCase();
+  if (!sub) {
+    fn.toggleUIWindow("party");
+    return;
+  }
+  const build = PARTY_COMMANDS[sub];
+  const msg = build ? build(args[1]) : null;
+  if (!msg) {
+    addSystemChatMessage("Usage: /party create | invite <name> | accept | decline | leave | kick <name>");
+    return;
+  }
+  if (!_wsConnected) {
+    addSystemChatMessage("Parties require online mode.", "error");
+    return;
+  }
+  wsSend(msg);
+}
+
+// ── Replay Commands ──────────────────────────────────────────────────
+
+/** /replay record|stop|play|pause|speed <x> — recording and playback live in app.js + replay.js. */
+function handleReplayCommand(args) {
+  const sub = (args[0] || "").toLowerCase();
+  if (sub === "record") fn.startReplayRecording();
+  else if (sub === "stop") void fn.stopReplay();
+  else if (sub === "play") fn.openReplayFile();
+  else if (sub === "pause") fn.toggleReplayPause();
+  else if (sub === "speed") fn.setReplaySpeed(Number(args[1]));
+  else addSystemChatMessage("Usage: /replay record | stop | play | pause | speed <0.25-4>");
+}
+
 export function sendChatMessage(text) {
   if (!text || !text.trim()) return;
   const trimmed = text.trim();
@@ -168,20 +292,24 @@ export function addSystemChatMessage(text, subtype) {
   appendChatLogMessage(msg);
 }
 
+/** Chat log name prefixes for cross-map channels (colors in app.css `.chat-msg-<channel>`). */
+const CHAT_CHANNEL_PREFIX = { party: "[Party] ", buddy: "[Buddy] ", global: "[World] " };
+
 export function appendChatLogMessage(msg) {
   if (!chatLogMessagesEl) return;
 
   const el = document.createElement("div");
   el.className = msg.type === "system"
     ? "chat-msg chat-msg-system" + (msg.subtype === "welcome" ? " chat-msg-welcome" : "")
-    : "chat-msg";
+    : "chat-msg" + (msg.channel ? ` chat-msg-${msg.channel}` : "");
 
   if (msg.type === "system") {
     el.textContent = msg.text;
   } else {
     const nameSpan = document.createElement("span");
     nameSpan.className = "chat-msg-name";
-    nameSpan.textContent = msg.name + ": ";
+    nameSpan.textContent = (CHAT_CHANNEL_PREFIX[msg.channel] || "") + msg.name
+      + (msg.channel === "whisper" ? " >> " : ": ");
     el.appendChild(nameSpan);
     el.appendChild(document.createTextNode(msg.text));
   }
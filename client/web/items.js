@@ -15,7 +15,7 @@ import {
   _chairSpriteCache,
   _localDropIdCounter, setLocalDropIdCounter, DROP_EXPIRE_MS, DROP_EXPIRE_FADE_MS,
   characterPlacementTemplateCache,
-  pingWindowEl, sessionId, settingsModalEl,
+  pingWindowEl, sessionId, settingsModalEl, itemAttrsFromServer,
 } from "./state.js";
 import {
   safeNumber, childByName, imgdirLeafRecord, fetchJson,
@@ -211,6 +211,7 @@ export function unequipItem(slotType) {
     invType: "EQUIP",
     category: slotType,
     slot: freeSlot,
+    attrs: equipped.attrs ?? null,
   });
 
   // Remove equip data from rendering
@@ -253,6 +254,7 @@ export function equipItemFromInventory(invIndex) {
       invType: "EQUIP",
       category: slotType,
       slot: reuseSlot,
+      attrs: existing.attrs ?? null,
     });
     // Remove old equip data from rendering
     delete runtime.characterEquipData[existing.id];
@@ -266,6 +268,7 @@ export function equipItemFromInventory(invIndex) {
     id: item.id,
     name: item.name,
     iconKey: item.iconKey,
+    attrs: item.attrs ?? null,
   });
 
   // Load WZ data for rendering the new equip
@@ -277,12 +280,86 @@ export function equipItemFromInventory(invIndex) {
   playUISound("DragEnd");
   fn.refreshUIWindows();
   fn.saveCharacter();
-  wsSendEquipChange("equip", slotType, item.id);
+  wsSendEquipChange("equip", slotType, item.id, item.attrs?.uid);
+}
+
+/** Equip upgrade scrolls (204xxxx; 2049xxx work differently) — same rule as the server's equip-data.ts. */
+export function isEquipScroll(itemId) {
+  return Math.floor(itemId / 10000) === 204 && Math.floor(itemId / 1000) !== 2049;
+}
+
+/**
+ * Use the dragged scroll on an equip: `{ slotType }` for an equipped item,
+ * `{ slot }` for one in the EQUIP tab. The server rolls the outcome (scroll_result).
+ */
+export function scrollEquipFromDrag(target) {
+  const scrollId = draggedItem.id;
+  fn.cancelItemDrag(true);
+  if (!_wsConnected) {
+    fn.addSystemChatMessage("Scrolls can only be used while connected.", "error");
+    return;
+  }
+  wsSend({
+    type: "scroll_equip",
+    scroll_id: scrollId,
+    ...(target.slotType ? { slot_type: target.slotType } : { slot: target.slot }),
+  });
+}
+
+const SCROLL_RESULT_MESSAGES = {
+  success: "The scroll lit up and its mysterious power has been transferred to the item.",
+  fail: "The scroll lit up, but the item wasn't affected by its mysterious power.",
+  boom: "The item has been destroyed by the mysterious power of the scroll.",
+};
+
+/** Server's scroll_result: update the equipped item (inventory_update follows), play the effect. */
+export function handleScrollResult(msg) {
+  if (!msg.ok) {
+    fn.addSystemChatMessage(msg.reason || "The scroll can't be used on that item.", "error");
+    return;
+  }
+  const equipped = msg.slot_type ? playerEquipped.get(msg.slot_type) : null;
+  if (equipped && msg.result === "boom") {
+    playerEquipped.delete(msg.slot_type);
+    delete runtime.characterEquipData[equipped.id];
+    characterPlacementTemplateCache.clear();
+  } else if (equipped) {
+    equipped.attrs = { ...equipped.attrs, stats: msg.stats };
+  }
+
+  const success = msg.result === "success";
+  fn.addSystemChatMessage(SCROLL_RESULT_MESSAGES[msg.result] || SCROLL_RESULT_MESSAGES.fail);
+  fn.triggerCharEffect?.(success ? "scroll_success" : "scroll_failure");
+  fn.playSfx?.("Game", success ? "EnchantSuccess" : "EnchantFailure");
+  fn.refreshUIWindows();
+}
+
+/**
+ * Server's equipment_update: the authoritative equipment list after the server
+ * removed pieces on its own (expired items). Slots it no longer has are cleared;
+ * the rest keep their local sprites and get the server's attributes.
+ */
+export function applyServerEquipment(equipment) {
+  const serverSlots = new Map(equipment.map(eq => [eq.slot_type, eq]));
+  let changed = false;
+  for (const [slotType, equipped] of [...playerEquipped]) {
+    const eq = serverSlots.get(slotType);
+    if (eq && eq.item_id === equipped.id) {
+      equipped.attrs = itemAttrsFromServer(eq);
+      continue;
+    }
+    playerEquipped.delete(slotType);
+    delete runtime.characterEquipData[equipped.id];
+    changed = true;
+  }
+  if (changed) characterPlacementTemplateCache.clear();
+  fn.refreshUIWindows();
 }
 
 export function dropItemOnMap() {
   if (!draggedItem.active) return;
   if (_dropQtyModalOpen) return; // modal already open
+  if (fn.isFieldLimited("drop")) { fn.cancelItemDrag(); return; }
   const iconUri = fn.getIconDataUri(draggedItem.iconKey);
   if (!iconUri) { fn.cancelItemDrag(); return; }
 
@@ -379,6 +456,9 @@ export function executeDropOnMap(dropQty) {
   const dropIconKey = draggedItem.iconKey;
   const dropName = draggedItem.name;
   const dropItemId = draggedItem.id;
+  const dropAttrs = draggedItem.source === "inventory"
+    ? playerInventory[draggedItem.sourceIndex]?.attrs ?? null
+    : playerEquipped.get(draggedItem.sourceIndex)?.attrs ?? null;
   const localId = _localDropIdCounter;
   setLocalDropIdCounter(_localDropIdCounter - 1);
 
@@ -441,6 +521,7 @@ export function executeDropOnMap(dropQty) {
     destY: destY,
     iconKey: dropIconKey,
     category: dropCategory,
+    uid: dropAttrs?.uid,
   });
 }
 
@@ -452,6 +533,7 @@ let _mesoDropModalOpen = false;
 export function showMesoDropModal() {
   const currentMeso = runtime.player.meso || 0;
   if (currentMeso <= 0 || _mesoDropModalOpen) return;
+  if (fn.isFieldLimited("drop")) return;
   _mesoDropModalOpen = true;
 
   const overlay = document.createElement("div");
@@ -649,6 +731,7 @@ export function useChair(itemId) {
   }
 
   // Sit on chair
+  if (fn.isFieldLimited("chair")) return;
   player.chairId = itemId;
   player.action = "sit";
   player.frameIndex = 0;
@@ -867,10 +950,10 @@ export function tryLootDrop() {
       }
 
       if (_wsConnected) {
-        // Loot ownership: skip if owned by someone else and less than 5s old
+        // Loot ownership: skip if owned by someone else and still protected (5s; boss drops longer)
         if (drop.ownerId && drop.ownerId !== sessionId) {
           const age = Date.now() - drop.createdAt;
-          if (age < 5000) continue; // not our drop yet — try next
+          if (age < drop.protectMs) continue; // not our drop yet — try next
         }
         // Online: ask server to loot — server broadcasts drop_loot to all
         wsSend({ type: "loot_item", drop_id: drop.drop_id });
@@ -942,6 +1025,7 @@ export function lootDropLocally(drop) {
     playerInventory.push({
       id: drop.id, name: drop.name, qty: addQty, iconKey,
       invType, category: drop.category || null, slot: freeSlot,
+      attrs: drop.attrs ?? null,
     });
     remaining -= addQty;
   }
@@ -1048,6 +1132,7 @@ export function createDropFromServer(dropData, animate) {
     qty: dropData.qty || 1,
     iconKey: iconKey,
     category: dropData.category || null,
+    attrs: isMeso ? null : itemAttrsFromServer(dropData),
     meso: isMeso,
     x: animate ? startX : dropData.x,
     y: animate ? (dropData.startY || destY) : destY,
@@ -1063,6 +1148,7 @@ export function createDropFromServer(dropData, animate) {
     spawnTime: performance.now(),
     createdAt: Date.now(), // local timestamp for loot protection timing (avoids clock skew)
     ownerId: dropData.owner_id || "",
+    protectMs: dropData.protect_ms || 5000,
     pickingUp: false,
     pickupStart: 0,
     expiring: false,
@@ -1072,6 +1158,14 @@ export function createDropFromServer(dropData, animate) {
 
 const statWindowEl = document.getElementById("stat-window");
 const questWindowEl = document.getElementById("quest-window");
+const skillWindowEl = document.getElementById("skill-window");
+const shopWindowEl = document.getElementById("shop-window");
+const storageWindowEl = document.getElementById("storage-window");
+const partyWindowEl = document.getElementById("party-window");
+const buddyWindowEl = document.getElementById("buddy-window");
+const tradeWindowEl = document.getElementById("trade-window");
+const worldMapWindowEl = document.getElementById("worldmap-window");
+const cashShopWindowEl = document.getElementById("cashshop-window");
 
 export function getUIWindowEl(key) {
   if (key === "equip") return equipWindowEl;
@@ -1081,6 +1175,14 @@ export function getUIWindowEl(key) {
   if (key === "ping") return pingWindowEl;
   if (key === "stat") return statWindowEl;
   if (key === "quest") return questWindowEl;
+  if (key === "skill") return skillWindowEl;
+  if (key === "shop") return shopWindowEl;
+  if (key === "storage") return storageWindowEl;
+  if (key === "party") return partyWindowEl;
+  if (key === "buddy") return buddyWindowEl;
+  if (key === "trade") return tradeWindowEl;
+  if (key === "worldmap") return worldMapWindowEl;
+  if (key === "cashshop") return cashShopWindowEl;
   return null;
 }
 
@@ -1094,6 +1196,14 @@ export function toggleUIWindow(key) {
     playUISound("MenuUp");
     fn.refreshUIWindows();
     if (key === "keybinds") fn.buildKeybindsUI();
+    if (key === "skill") fn.refreshSkillWindow();
+    if (key === "shop") fn.refreshShopWindow();
+    if (key === "storage") fn.refreshStorageWindow();
+    if (key === "party") fn.refreshPartyWindow();
+    if (key === "buddy") fn.refreshBuddyWindow();
+    if (key === "trade") fn.refreshTradeWindow();
+    if (key === "worldmap") fn.refreshWorldMapWindow();
+    if (key === "cashshop") fn.refreshCashShopWindow();
   } else {
     playUISound("MenuDown");
   }
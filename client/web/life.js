@@ -45,6 +45,7 @@ import {
 } from "./util.js";
 import { wsSend, _wsConnected, _isMobAuthority } from "./net.js";
 import { canvasToImageBitmap } from "./wz-canvas-decode.js";
+import { prepareSkillCast, hasStatusEffect } from "./skills.js";
 import { getNpcQuestIconType, drawQuestIcon, updateQuestIconAnimation, getQuestDialogueForNpc, getQuestSpecificDialogue, acceptQuest, completeQuest } from "./quests.js";
 
 // ─── Life (Mob/NPC) Sprite System ─────────────────────────────────────────────
@@ -469,8 +470,66 @@ export const NPC_SCRIPTS = {
   Zakum06: { greeting: "This place is dangerous. I can get you out of here.", destinations: [{ label: "Back to Mushroom Park", mapId: 100000001 }] },
   // Leaderboard NPC
   jq_leaderboard: { leaderboard: true },
+  // Storage keepers (matched by NPC ID from map_state storage_npcs, not by WZ script)
+  storage_keeper: { greeting: "Welcome! I can keep your items and mesos safe. Everything you store is shared by all characters on your account. Storing an item costs a small fee.", storage: true },
 };
 
+// ─── Job Instructors ─────────────────────────────────────────────────
+// First-job advancement NPCs, keyed by Npc.wz ID. Requirements mirror the
+// server's job-data.ts (server validates; these only drive the dialogue).
+
+export const JOB_INSTRUCTORS = {
+  "1022000": { jobId: 100, job: "Warrior", minLevel: 10, stat: "str", minStat: 35,
+    greeting: "So you wish to walk the path of the Warrior? Strength and a stout heart are all you need... but you'll need plenty of both." },
+  "1032001": { jobId: 200, job: "Magician", minLevel: 8, stat: "int", minStat: 20,
+    greeting: "Hmm... I sense a spark of magic within you. Do you wish to study the arcane arts as a Magician?" },
+  "1012100": { jobId: 300, job: "Bowman", minLevel: 10, stat: "dex", minStat: 25,
+    greeting: "A keen eye and a steady hand — that's what it takes to be a Bowman. Are you ready to take up the bow?" },
+  "1052001": { jobId: 400, job: "Thief", minLevel: 10, stat: "dex", minStat: 25,
+    greeting: "You found your way into my hideout. Not bad... Perhaps you have what it takes to become a Thief." },
+  "1090000": { jobId: 500, job: "Pirate", minLevel: 10, stat: "dex", minStat: 20,
+    greeting: "Ahoy! Looking to sail the seas as a Pirate? Only the nimble survive aboard the Nautilus." },
+};
+
+/**
+ * Build the first-job advancement dialogue for an instructor.
+ * Client-side requirement check only picks the reply — the server re-validates.
+ */
+export function buildJobAdvanceDialogue(instructor, npcId, questDialogue) {
+  const p = runtime.player;
+  const req = `Reach level ${instructor.minLevel} with at least ${instructor.minStat} ${instructor.stat.toUpperCase()}.`;
+  const options = [{
+    label: `I want to become a ${instructor.job}!`,
+    action: () => {
+      let reply = null;
+      if (!_wsConnected) reply = "Come back when you're connected to the server.";
+      else if (p.level < instructor.minLevel || (p[instructor.stat] ?? 0) < instructor.minStat) {
+        reply = `You're not ready yet. ${req}`;
+      }
+      if (reply) {
+        runtime.npcDialogue.lines = [reply];
+        runtime.npcDialogue.lineIndex = 0;
+        runtime.npcDialogue.hoveredOption = -1;
+        return;
+      }
+      closeNpcDialogue();
+      wsSend({ type: "job_advance", job_id: instructor.jobId, npc_id: npcId });
+    },
+  }];
+  if (questDialogue) {
+    options.push({
+      label: "Do you have any tasks for me?",
+      action: () => {
+        runtime.npcDialogue.lines = questDialogue.lines;
+        runtime.npcDialogue.lineIndex = 0;
+        runtime.npcDialogue.hoveredOption = -1;
+        runtime.npcDialogue.questId = questDialogue.questId || null;
+      },
+    });
+  }
+  return [{ text: `${instructor.greeting}\n\n${req}`, options }];
+}
+
 // ─── Leaderboard fetch + display ─────────────────────────────────────
 
 export const JQ_DISPLAY_NAMES = [
@@ -668,6 +727,24 @@ export function buildScriptDialogue(scriptDef, npcId, npcWorldX, npcWorldY) {
     fetchJqLeaderboard();
     return lines;
   }
+  // Storage keeper: server validates the NPC is on this map and the account is claimed
+  if (scriptDef.storage) {
+    if (!_wsConnected) {
+      lines.push("I can only look after your things while you're connected to the server.");
+      return lines;
+    }
+    lines.push({
+      text: scriptDef.greeting,
+      options: [{
+        label: "Open Storage",
+        action: () => {
+          closeNpcDialogue();
+          wsSend({ type: "storage_open", npc_id: npcId });
+        },
+      }],
+    });
+    return lines;
+  }
   // JQ reward NPC: check platform proximity first if required
   if (scriptDef.jqReward) {
     // Client-side proximity check (server validates authoritatively too)
@@ -1083,6 +1160,7 @@ export function initLifeRuntimeStates() {
       hpShowUntil: 0,
       hitCounter: 0,       // counter — controls stance transitions
       hitStaggerUntil: 0,  // timestamp: mob frozen in hit1 until this time
+      skillAnimUntil: 0,   // timestamp: mob plays its skillN stance until this time
       aggroUntil: 0,       // timestamp: mob chases player until this time
       kbStartTime: 0,      // timestamp: when knockback started
       kbDir: 0,            // knockback direction: -1 or 1
@@ -1216,6 +1294,12 @@ export function updateLifeAnimations(dtMs) {
     }
 
     // --- Frame animation ---
+    if (state.skillAnimUntil > 0 && performance.now() >= state.skillAnimUntil) {
+      state.skillAnimUntil = 0;
+      state.stance = state.behaviorState === "move" && anim.stances["move"] ? "move" : "stand";
+      state.frameIndex = 0;
+      state.frameTimerMs = 0;
+    }
     const stance = anim.stances[state.stance] ?? anim.stances["stand"];
     if (!stance || stance.frames.length === 0) continue;
 
@@ -1665,6 +1749,66 @@ export function findMobsInRange(mobcount) {
   return candidates.slice(0, mobcount);
 }
 
+/**
+ * Point a mob's life entry at a different Mob.wz ID (boss revive phases and
+ * their reset). Drawing resumes once the new animation has loaded.
+ */
+export function setMobLifeId(mobIdx, mobId) {
+  const life = runtime.map?.lifeEntries[mobIdx];
+  if (!life || !mobId || life.id === String(mobId)) return;
+  life.id = String(mobId);
+  void loadLifeAnimation("m", life.id);
+}
+
+/** Apply a server boss entry (map_state.bosses / boss_state) to runtime.bosses + the mob. */
+export function applyBossState(b) {
+  runtime.bosses.set(b.mob_idx, {
+    mobId: String(b.mob_id),
+    hp: b.hp,
+    maxHp: b.max_hp,
+    dead: !!b.dead,
+    phase: b.phase || 0,
+    phases: b.phases || 1,
+    tagColor: b.hp_tag_color || 0,
+    tagBgColor: b.hp_tag_bgcolor || 0,
+  });
+  setMobLifeId(b.mob_idx, b.mob_id);
+  const state = lifeRuntimeState.get(b.mob_idx);
+  if (!state) return;
+  state.hp = b.hp;
+  state.maxHp = b.max_hp;
+  if (b.dead && !state.dead) {
+    state.dead = true;
+    state.dying = false;
+  }
+}
+
+/** Mob name from String.wz/Mob.img (for announcements; "" if unknown). */
+export async function loadMobName(mobId) {
+  try {
+    const stringData = await fetchJson("/resourcesv3/String.wz/Mob.img.xml");
+    const rawId = String(mobId).replace(/^0+/, "") || "0";
+    const entry = (stringData.$$ ?? []).find((c) => c.$imgdir === rawId);
+    return (entry?.$$ ?? []).find((p) => p.$string === "name")?.value ?? "";
+  } catch (_) {
+    return "";
+  }
+}
+
+/** Play a mob's skill stance once (server `mob_skill`; action N → "skillN"). */
+export function playMobSkillAnimation(mobIdx, action) {
+  const state = lifeRuntimeState.get(mobIdx);
+  const life = runtime.map?.lifeEntries[mobIdx];
+  if (!state || !life || state.dying || state.dead) return;
+  const stanceName = `skill${action || 1}`;
+  const stance = lifeAnimations.get(`m:${life.id}`)?.stances?.[stanceName];
+  if (!stance) return;
+  state.stance = stanceName;
+  state.frameIndex = 0;
+  state.frameTimerMs = 0;
+  state.skillAnimUntil = performance.now() + stance.frames.reduce((sum, f) => sum + f.delay, 0);
+}
+
 /**
  * Perform a regular attack (triggered by attack key).
  * 1. Check can_attack conditions (C++ Player::can_attack)
@@ -1680,6 +1824,7 @@ export function performAttack() {
   // C++ can_attack: not already attacking, not climbing
   if (player.attacking) return;
   if (player.climbing) return;
+  if (hasStatusEffect("stun")) return;
   if (now < player.attackCooldownUntil) return;
 
   // C++ Player::prepare_attack: prone is always a melee stab (no ammo needed)
@@ -1759,6 +1904,57 @@ export function performAttack() {
   }
 }
 
+/**
+ * Cast a skill (triggered by a skill hotkey).
+ * Level, MP, cooldown and range are validated by the server (`use_skill`);
+ * the client only pre-checks obvious cases and plays the cast animation.
+ */
+export function performSkill(skillId) {
+  const player = runtime.player;
+  const now = performance.now();
+
+  if (player.attacking) return;
+  if (player.climbing) return;
+  if (now < player.attackCooldownUntil) return;
+
+  if (!_wsConnected) {
+    fn.addSystemChatMessage("Skills require online mode.");
+    return;
+  }
+
+  const cast = prepareSkillCast(skillId);
+  if (!cast.def) {
+    if (cast.reason) fn.addSystemChatMessage(cast.reason, "error");
+    player.attackCooldownUntil = now + 300; // brief cooldown to prevent spam
+    return;
+  }
+
+  // WZ skill action if the body has frames for it, otherwise a weapon stance
+  let attackStance = cast.def.action;
+  if (!attackStance || fn.getCharacterActionFrames(attackStance).length === 0) {
+    const stances = getWeaponAttackStances(false);
+    attackStance = stances[Math.floor(Math.random() * stances.length)] || "swingO1";
+  }
+
+  player.attacking = true;
+  player.attackDegenerate = false;
+  player.attackStance = attackStance;
+  player.attackFrameIndex = 0;
+  player.attackFrameTimer = 0;
+  player.attackCooldownUntil = now + ATTACK_COOLDOWN_MS;
+
+  fn.playSfx("Weapon", `${getWeaponSfxKey()}/Attack`);
+
+  wsSend({
+    type: "use_skill",
+    skill_id: skillId,
+    stance: attackStance,
+    x: Math.round(player.x),
+    y: Math.round(player.y),
+    facing: player.facing,
+  });
+}
+
 /**
  * Apply damage to a mob target. Implements C++ Mob::calculate_damage + apply_damage.
  * Used in offline mode only — online combat is server-authoritative via character_attack.
@@ -2033,14 +2229,26 @@ export function openNpcDialogue(npcResult) {
 
   // Check for quest dialogue first (highest priority)
   const questDialogue = getQuestDialogueForNpc(npcWzId);
+  // Job instructors talking to a Beginner offer advancement before quests
+  const instructor = runtime.player.job === "Beginner" ? JOB_INSTRUCTORS[npcWzId] : null;
+
+  // Shop NPCs with nothing else to say open their shop (server validates the NPC is on this map)
+  if (!instructor && !questDialogue && _wsConnected && runtime.shopNpcs.has(npcWzId)) {
+    closeNpcDialogue();
+    wsSend({ type: "shop_open", npc_id: npcWzId });
+    return;
+  }
 
   let lines;
-  if (questDialogue) {
+  if (instructor) {
+    lines = buildJobAdvanceDialogue(instructor, npcWzId, questDialogue);
+  } else if (questDialogue) {
     // Quest list — lines contain quest_list, quest_accept, quest_complete types
     lines = questDialogue.lines;
   } else {
     // Check for JQ-specific scripts (jump quest challenge, rewards, exits, leaderboard)
-    const scriptDef = anim.scriptId ? NPC_SCRIPTS[anim.scriptId] : null;
+    const scriptDef = (anim.scriptId ? NPC_SCRIPTS[anim.scriptId] : null)
+      ?? (runtime.storageNpcs.has(npcWzId) ? NPC_SCRIPTS.storage_keeper : null);
 
     if (scriptDef) {
       // Known JQ script — use specific handler
@@ -2063,8 +2271,8 @@ export function openNpcDialogue(npcResult) {
     npcWorldY: npcY,
     npcIdx: idx,
     hoveredOption: -1,
-    scriptId: questDialogue ? "" : (anim.scriptId || ""),
-    questId: questDialogue?.questId || null,
+    scriptId: (questDialogue || instructor) ? "" : (anim.scriptId || ""),
+    questId: instructor ? null : (questDialogue?.questId || null),
     npcWzId,
   };
   rlog(`NPC dialogue opened: ${anim.name} (${life.id}), script=${anim.scriptId || "none"}, quest=${questDialogue?.phase || "none"}, ${lines.length} lines`);
@@ -13,7 +13,7 @@ import {
   PLAYER_HIT_FACE_DURATION_MS, ATTACK_RANGE_X, ATTACK_RANGE_Y,
   SESSION_KEY, CLIMBING_STANCES, _chairSpriteCache,
   MOB_KB_COUNTER_START, MOB_KB_COUNTER_END, PHYS_TPS,
-  lifeAnimations, lifeRuntimeState, reactorRuntimeState,
+  lifeAnimations, lifeRuntimeState, reactorRuntimeState, itemAttrsFromServer,
 } from "./state.js";
 import {
   safeNumber, childByName, imgdirLeafRecord, pickCanvasNode, canvasMetaFromNode,
@@ -24,6 +24,11 @@ import {
 } from "./util.js";
 
 import { handleQuestResult, handleQuestsUpdate } from "./quests.js";
+import {
+  handleSkillsUpdate, handleSkillResult, getSkillName,
+  handleStatusEffect, clearStatusEffect, clearStatusEffects,
+} from "./skills.js";
+import { isReplayPlaying, recordReplayInbound, recordReplayOutbound } from "./replay.js";
 
 // ─── Multiplayer Networking (WebSocket) ────────────────────────────────────────
 // Remote player data, WS connection, message handling, interpolation.
@@ -119,6 +124,8 @@ export function createRemotePlayer(id, name, look, x, y, action, facing) {
     faceExpressionExpires: 0,
     chairId: 0,
     achievements: {},
+    level: 1,
+    job: "Beginner",
   };
 }
 
@@ -153,6 +160,9 @@ export function connectWebSocket() {
   _ws.onmessage = (event) => {
     try {
       const msg = JSON.parse(event.data);
+      // A replay owns the game state while it plays — live traffic is dropped
+      if (isReplayPlaying()) return;
+      recordReplayInbound(msg);
       if (_wsAuthResolve) console.log("[ws] First message (auth accepted): type=" + msg.type);
       handleServerMessage(msg);
       // First message received = auth accepted
@@ -208,13 +218,21 @@ export function connectWebSocket() {
 }
 
 export function wsSend(msg) {
+  if (isReplayPlaying()) return;
   if (_ws && _ws.readyState === WebSocket.OPEN) {
     _ws.send(JSON.stringify(msg));
+    recordReplayOutbound(msg);
   }
 }
 
 export function sendMobState() {
-  if (!runtime.map) return;
+  const msg = buildMobStateMessage();
+  if (msg) wsSend(msg);
+}
+
+/** Current mob positions/states as a `mob_state` message (null if the map has no mobs). */
+export function buildMobStateMessage() {
+  if (!runtime.map) return null;
   const mobs = [];
   for (const [idx, state] of lifeRuntimeState) {
     const life = runtime.map.lifeEntries[idx];
@@ -236,17 +254,16 @@ export function sendMobState() {
       respawnAt: state.respawnAt || 0,
     });
   }
-  if (mobs.length > 0) {
-    wsSend({ type: "mob_state", mobs });
-  }
+  return mobs.length > 0 ? { type: "mob_state", mobs } : null;
 }
 
-export function wsSendEquipChange(action, slotType, itemId) {
+export function wsSendEquipChange(action, slotType, itemId, uid) {
   wsSend({
     type: "equip_change",
     action,       // "equip" or "unequip"
     slot_type: slotType,
     item_id: itemId || 0,
+    uid,          // instance being equipped (picks between copies of an item)
   });
 }
 
@@ -266,6 +283,8 @@ export function handleServerMessage(msg) {
         const rp = createRemotePlayer(p.id, p.name, p.look, p.x, p.y, p.action, p.facing);
         rp.chairId = p.chair_id || 0;
         rp.achievements = (p.achievements && typeof p.achievements === "object" && !Array.isArray(p.achievements)) ? p.achievements : {};
+        if (typeof p.level === "number") rp.level = p.level;
+        if (typeof p.job === "string") rp.job = p.job;
         if (rp.chairId) fn.loadChairSprite(rp.chairId);
         remotePlayers.set(p.id, rp);
         loadRemotePlayerEquipData(rp);
@@ -281,6 +300,17 @@ export function handleServerMessage(msg) {
       if (Array.isArray(msg.reactors)) {
         fn.syncServerReactors(msg.reactors);
       }
+      runtime.shopNpcs = new Set(msg.shop_npcs || []);
+      runtime.storageNpcs = new Set(msg.storage_npcs || []);
+      // Boss spawn points on this map (HP bar; dead bosses stay down until mob_respawn)
+      runtime.bosses.clear();
+      for (const b of msg.bosses || []) fn.applyBossState(b);
+      // Field limits + timed-map clock
+      fn.applyFieldRules(msg.field || null);
+      break;
+
+    case "field_denied":
+      fn.handleFieldDenied(msg.action);
       break;
 
     case "player_enter":
@@ -288,6 +318,8 @@ export function handleServerMessage(msg) {
         const rp = createRemotePlayer(msg.id, msg.name, msg.look, msg.x, msg.y, msg.action, msg.facing);
         rp.chairId = msg.chair_id || 0;
         rp.achievements = (msg.achievements && typeof msg.achievements === "object" && !Array.isArray(msg.achievements)) ? msg.achievements : {};
+        if (typeof msg.level === "number") rp.level = msg.level;
+        if (typeof msg.job === "string") rp.job = msg.job;
         if (rp.chairId) fn.loadChairSprite(rp.chairId);
         remotePlayers.set(msg.id, rp);
         loadRemotePlayerEquipData(rp);
@@ -332,6 +364,58 @@ export function handleServerMessage(msg) {
       break;
     }
 
+    case "channel_chat":
+      pushChannelChat(msg.channel, msg.name, msg.text);
+      break;
+
+    case "chat_result":
+      if (!msg.ok) fn.addSystemChatMessage(msg.reason || "Message not sent.", "error");
+      break;
+
+    case "whisper":
+      runtime.chat.lastWhisperFrom = msg.from;
+      pushChannelChat("whisper", msg.from, msg.text);
+      fn.playUISound?.("BtMouseClick");
+      break;
+
+    case "whisper_result":
+      if (msg.ok) pushChannelChat("whisper", `To ${msg.to}`, msg.text);
+      else fn.addSystemChatMessage(msg.reason || "Whisper failed.", "error");
+      break;
+
+    case "buddy_list":
+      runtime.buddies = (msg.buddies || []).map(b => ({
+        name: b.name, mutual: b.mutual !== false, online: !!b.online, mapId: b.map_id || "",
+      }));
+      fn.refreshBuddyWindow?.();
+      break;
+
+    case "buddy_status": {
+      const buddy = runtime.buddies.find(b => b.name.toLowerCase() === String(msg.name).toLowerCase());
+      if (buddy) {
+        if (buddy.online !== !!msg.online) {
+          fn.addSystemChatMessage(`Your buddy ${buddy.name} is now ${msg.online ? "online" : "offline"}.`);
+        }
+        buddy.online = !!msg.online;
+        buddy.mapId = msg.map_id || "";
+        fn.refreshBuddyWindow?.();
+      }
+      break;
+    }
+
+    case "buddy_added": {
+      const listed = runtime.buddies.some(b => b.name.toLowerCase() === String(msg.name).toLowerCase());
+      fn.addSystemChatMessage(listed
+        ? `${msg.name} added you as a buddy.`
+        : `${msg.name} added you as a buddy. Add them back to see each other online.`);
+      break;
+    }
+
+    case "buddy_result":
+      if (!msg.ok) fn.addSystemChatMessage(msg.reason || "Buddy list request failed.", "error");
+      else fn.addSystemChatMessage(msg.action === "add" ? `${msg.name} was added to your buddy list.` : `${msg.name} was removed from your buddy list.`);
+      break;
+
     case "player_face": {
       const rp = remotePlayers.get(msg.id);
       if (rp) {
@@ -418,10 +502,21 @@ export function handleServerMessage(msg) {
 
     case "player_level_up": {
       const rp = remotePlayers.get(msg.id);
+      if (rp && typeof msg.level === "number") rp.level = msg.level;
       if (rp && fn.triggerRemoteLevelUpEffect) fn.triggerRemoteLevelUpEffect(rp);
       break;
     }
 
+    case "player_job_change": {
+      const rp = remotePlayers.get(msg.id);
+      if (!rp) break;
+      if (typeof msg.job === "string") rp.job = msg.job;
+      if (typeof msg.level === "number") rp.level = msg.level;
+      if (fn.triggerRemoteLevelUpEffect) fn.triggerRemoteLevelUpEffect(rp);
+      updatePlayerInfoModal(rp);
+      break;
+    }
+
     case "item_used": {
       // Server confirmed item consumption — play use sound
       // C++ loads Sound.wz/Item.img/{paddedId}/Use, fallback to 02000000/Use
@@ -517,6 +612,9 @@ export function handleServerMessage(msg) {
         if (typeof s.max_damage === "number") runtime.player.maxDamage = s.max_damage;
         if (typeof s.accuracy === "number") runtime.player.accuracy = s.accuracy;
         if (typeof s.critical === "number") runtime.player.critical = s.critical;
+        if (typeof s.sp === "number") runtime.player.sp = s.sp;
+        if (typeof s.ap === "number") runtime.player.ap = s.ap;
+        if (runtime.player.hp <= 0) clearStatusEffects(); // death removes every status (server does the same)
       }
       fn.refreshUIWindows();
       break;
@@ -550,6 +648,7 @@ export function handleServerMessage(msg) {
           invType,
           slot: it.slot ?? playerInventory.length,
           category,
+          attrs: itemAttrsFromServer(it),
         });
       }
       fn.refreshUIWindows?.();
@@ -564,6 +663,240 @@ export function handleServerMessage(msg) {
       handleQuestsUpdate(msg.quests);
       break;
 
+    case "skills_update":
+      handleSkillsUpdate(msg);
+      break;
+
+    case "skill_result":
+      handleSkillResult(msg);
+      break;
+
+    case "mob_skill":
+      fn.playMobSkillAnimation(msg.mob_idx, msg.action);
+      break;
+
+    case "status_effect":
+      handleStatusEffect(msg);
+      break;
+
+    case "status_end":
+      clearStatusEffect(msg.effect);
+      break;
+
+    case "position_correction": {
+      // Server rejected our position (through a wall / hovering) — snap back and fall from there
+      const player = runtime.player;
+      player.x = msg.x;
+      player.y = msg.y;
+      player.prevX = msg.x;
+      player.prevY = msg.y;
+      player.vx = 0;
+      player.vy = 0;
+      player.onGround = false;
+      player.footholdId = null;
+      player.climbing = false;
+      player.climbRope = null;
+      rlog(`position_correction (${msg.reason}) → ${msg.x},${msg.y}`);
+      break;
+    }
+
+    case "equipment_update":
+      if (Array.isArray(msg.equipment)) fn.applyServerEquipment?.(msg.equipment);
+      break;
+
+    case "item_expired":
+      for (const itemId of msg.item_ids || []) {
+        fn.loadItemName?.(itemId).then(name => fn.addSystemChatMessage(`${name || "An item"} has expired.`));
+      }
+      break;
+
+    case "scroll_result":
+      fn.handleScrollResult?.(msg);
+      break;
+
+    case "player_scroll": {
+      const rp = remotePlayers.get(msg.id);
+      if (rp && fn.triggerRemoteCharEffect) fn.triggerRemoteCharEffect(rp, msg.success ? "scroll_success" : "scroll_failure");
+      break;
+    }
+
+    case "skill_book_result": {
+      if (!msg.ok) {
+        fn.addSystemChatMessage(msg.reason || "You cannot use this book.", "error");
+      } else if (msg.success) {
+        fn.addSystemChatMessage(`You have learned a new level of ${getSkillName(msg.skill_id)}.`);
+      } else {
+        fn.addSystemChatMessage("The skill book failed to take effect.");
+      }
+      break;
+    }
+
+    case "ap_result": {
+      if (!msg.ok) {
+        if (msg.reason) fn.addSystemChatMessage(msg.reason, "error");
+      } else if (msg.action === "auto") {
+        const parts = Object.entries(msg.added || {}).map(([stat, n]) => `+${n} ${stat.toUpperCase()}`);
+        if (parts.length > 0) fn.addSystemChatMessage(`Auto-assigned AP: ${parts.join(", ")}`);
+      }
+      break;
+    }
+
+    case "shop_open":
+      runtime.shop = {
+        npcId: String(msg.npc_id || ""),
+        name: msg.name || "Shop",
+        recharge: !!msg.recharge,
+        items: Array.isArray(msg.items) ? msg.items : [],
+        sellPrices: msg.sell_prices || {},
+      };
+      fn.openShopWindow?.();
+      break;
+
+    case "shop_result":
+      if (msg.sell_prices) runtime.shop.sellPrices = msg.sell_prices;
+      if (!msg.ok) {
+        fn.addSystemChatMessage(msg.reason || "The shop could not complete that.", "error");
+      } else {
+        fn.playUISound?.("DragEnd");
+      }
+      fn.refreshShopWindow?.();
+      break;
+
+    case "storage_open":
+      runtime.storage = { npcId: String(msg.npc_id || ""), fee: msg.fee || 0, ...msg.storage };
+      fn.openStorageWindow?.();
+      break;
+
+    case "storage_result":
+      if (msg.storage) Object.assign(runtime.storage, msg.storage);
+      if (!msg.ok) {
+        fn.addSystemChatMessage(msg.reason || "Storage could not complete that.", "error");
+      } else {
+        fn.playUISound?.("DragEnd");
+      }
+      fn.refreshStorageWindow?.();
+      break;
+
+    case "cash_open":
+      runtime.cashShop = {
+        nx: msg.nx || 0,
+        items: Array.isArray(msg.items) ? msg.items : [],
+        gachaponTicket: msg.gachapon_ticket || 0,
+      };
+      fn.openCashShopWindow?.();
+      break;
+
+    case "cash_result":
+      if (typeof msg.nx === "number") runtime.cashShop.nx = msg.nx;
+      if (!msg.ok) {
+        fn.addSystemChatMessage(msg.reason || "The Cash Shop could not complete that.", "error");
+      } else if (msg.item_id) {
+        fn.playUISound?.("DragEnd");
+        fn.loadItemName?.(msg.item_id).then(name => {
+          const label = `${name || `Item #${msg.item_id}`}${msg.qty > 1 ? ` x${msg.qty}` : ""}`;
+          fn.addSystemChatMessage(msg.action === "gachapon" ? `You got ${label} from the Gachapon!` : `You bought ${label}.`);
+        });
+      }
+      fn.refreshCashShopWindow?.();
+      break;
+
+    case "party_update":
+      runtime.party = msg.party ? {
+        id: msg.party.id,
+        leaderId: msg.party.leader_id,
+        members: (msg.party.members || []).map(m => ({
+          id: m.id, name: m.name, level: m.level, job: m.job,
+          mapId: m.map_id, hp: m.hp, maxHp: m.max_hp,
+        })),
+      } : null;
+      fn.refreshPartyWindow?.();
+      break;
+
+    case "party_hp": {
+      const member = runtime.party?.members.find(m => m.id === msg.id);
+      if (member) {
+        member.hp = msg.hp;
+        member.maxHp = msg.max_hp;
+        fn.refreshPartyWindow?.();
+      }
+      break;
+    }
+
+    case "party_invite":
+      fn.addSystemChatMessage(`${msg.from_name} invited you to a party. Type /party accept or /party decline.`);
+      break;
+
+    case "party_result": {
+      const PARTY_RESULT_TEXT = {
+        create: "You have created a party.",
+        accept: "You have joined the party.",
+        decline: "You declined the party invite.",
+        leave: "You have left the party.",
+        kicked: "You have been expelled from the party.",
+      };
+      if (!msg.ok) fn.addSystemChatMessage(msg.reason || "Party request failed.", "error");
+      else if (PARTY_RESULT_TEXT[msg.action]) fn.addSystemChatMessage(PARTY_RESULT_TEXT[msg.action]);
+      break;
+    }
+
+    case "party_exp":
+      fn.addSystemChatMessage(`You have gained experience (+${msg.exp}) (party)`);
+      if (msg.level_up) {
+        if (fn.triggerLevelUpEffect) fn.triggerLevelUpEffect();
+        if (fn.playSfx) fn.playSfx("Game", "LevelUp");
+      }
+      break;
+
+    case "trade_invite":
+      fn.addSystemChatMessage(`${msg.from_name} wants to trade with you. Type /trade accept or /trade decline.`);
+      break;
+
+    case "trade_open": {
+      const emptySide = () => ({ items: [], meso: 0, locked: false, confirmed: false });
+      runtime.trade = { partnerName: msg.partner_name || "", self: emptySide(), partner: emptySide() };
+      fn.openTradeWindow?.();
+      break;
+    }
+
+    case "trade_update":
+      if (!runtime.trade) break;
+      runtime.trade.self = msg.self;
+      runtime.trade.partner = msg.partner;
+      fn.refreshTradeWindow?.();
+      break;
+
+    case "trade_closed":
+      runtime.trade = null;
+      fn.closeTradeWindow?.();
+      if (msg.completed) {
+        fn.addSystemChatMessage("The trade has been completed.");
+        fn.playUISound?.("DragEnd");
+      } else {
+        fn.addSystemChatMessage(msg.reason || "The trade was cancelled.", "error");
+      }
+      break;
+
+    case "trade_result": {
+      const TRADE_RESULT_TEXT = {
+        invite: "Trade request sent.",
+        decline: "You declined the trade.",
+      };
+      if (!msg.ok) fn.addSystemChatMessage(msg.reason || "Trade request failed.", "error");
+      else if (TRADE_RESULT_TEXT[msg.action]) fn.addSystemChatMessage(TRADE_RESULT_TEXT[msg.action]);
+      break;
+    }
+
+    case "job_advance_result": {
+      if (!msg.ok) {
+        fn.addSystemChatMessage(msg.reason || "You cannot advance right now.", "error");
+        break;
+      }
+      if (fn.triggerLevelUpEffect) fn.triggerLevelUpEffect();
+      if (fn.playSfx) fn.playSfx("Game", "LevelUp");
+      fn.addSystemChatMessage(`You are now a ${msg.job}! (+${msg.sp} SP, +${msg.ap} AP)`);
+      break;
+    }
+
     case "mob_authority":
       _isMobAuthority = !!msg.active;
       rlog(`Mob authority ${_isMobAuthority ? "granted" : "revoked"}`);
@@ -632,6 +965,12 @@ export function handleServerMessage(msg) {
       state.maxHp = msg.max_hp;
       state.nameVisible = true;
       state.hpShowUntil = performance.now() + 5000;
+      const boss = runtime.bosses.get(mobIdx);
+      if (boss) {
+        boss.hp = msg.new_hp;
+        boss.maxHp = msg.max_hp;
+        boss.dead = !!msg.killed;
+      }
 
       // Spawn damage number
       if (msg.miss) {
@@ -696,6 +1035,8 @@ export function handleServerMessage(msg) {
       // Server respawned a mob — bring it back to life on the client
       const mobIdx = msg.mob_idx;
       const state = lifeRuntimeState.get(mobIdx);
+      // Boss phases respawn as a different mob
+      if (msg.mob_id) fn.setMobLifeId(mobIdx, msg.mob_id);
       if (state) {
         const life = runtime.map?.lifeEntries[mobIdx];
         const anim = life ? lifeAnimations.get(`m:${life.id}`) : null;
@@ -737,6 +1078,14 @@ export function handleServerMessage(msg) {
       fn.addSystemChatMessage(`🎉 ${msg.name} has reached level ${msg.level}!`);
       break;
 
+    case "boss_state":
+      fn.applyBossState(msg.boss);
+      break;
+
+    case "boss_spawn":
+      void fn.announceBossSpawn(msg.mob_id, msg.map_id);
+      break;
+
     case "global_announcement":
       fn.addSystemChatMessage(`[Server] ${msg.text}`);
       break;
@@ -1333,9 +1682,9 @@ export function drawRemotePlayer(rp) {
     drawWorldImage(part.image, worldX, worldY, { flipped });
   }
 
-  // Level up effect on remote player
-  if (rp._levelUpState && fn.updateAndDrawRemoteLevelUpEffect) {
-    fn.updateAndDrawRemoteLevelUpEffect(rp, runtime._lastDtMs || 16);
+  // Level up / scroll effect on remote player
+  if (rp._charEffectState && fn.updateAndDrawRemoteCharEffect) {
+    fn.updateAndDrawRemoteCharEffect(rp, runtime._lastDtMs || 16);
   }
 }
 
@@ -1491,6 +1840,7 @@ export function showPlayerInfoModal(rp) {
 
   const overlay = document.createElement("div");
   overlay.id = "player-info-modal";
+  overlay.dataset.playerId = rp.id;
   overlay.className = "modal-overlay";
   overlay.style.cssText = "z-index:200000;user-select:none;pointer-events:none;";
   overlay.innerHTML = `
@@ -1503,6 +1853,7 @@ export function showPlayerInfoModal(rp) {
       <div class="modal-body" style="padding:14px 16px 12px;text-align:center;">
         <canvas id="player-info-sprite" width="80" height="80"
           style="display:block;margin:0 auto 10px;image-rendering:pixelated;"></canvas>
+        <div id="player-info-job" style="font-size:12px;color:#2a3a4e;font-weight:700;margin-bottom:8px;"></div>
         <div style="border-top:1px solid rgba(255,255,255,0.1);padding-top:8px;">
           <div style="font-size:11px;color:#5a6a80;font-weight:700;margin-bottom:4px;">Achievements</div>
           <div id="player-info-achievements" style="font-size:11px;"></div>
@@ -1512,6 +1863,8 @@ export function showPlayerInfoModal(rp) {
   `;
   document.body.appendChild(overlay);
 
+  updatePlayerInfoModal(rp);
+
   // Populate accomplishments (only jq_quests)
   const achDiv = overlay.querySelector("#player-info-achievements");
   const jqQuests = (rp.achievements && rp.achievements.jq_quests) || {};
@@ -1573,6 +1926,22 @@ export function showPlayerInfoModal(rp) {
   window.addEventListener("keydown", onKey);
 }
 
+/** Refresh the level/job line of the player info modal if it shows `rp`. */
+function updatePlayerInfoModal(rp) {
+  const overlay = document.querySelector("#player-info-modal");
+  if (!overlay || overlay.dataset.playerId !== rp.id) return;
+  const jobEl = overlay.querySelector("#player-info-job");
+  if (jobEl) jobEl.textContent = `Lv. ${rp.level ?? 1} ${rp.job || "Beginner"}`;
+}
+
+/** Add a whisper / party / buddy / global line to the chat log. */
+function pushChannelChat(channel, name, text) {
+  const chatMsg = { name, text, timestamp: Date.now(), type: "normal", channel };
+  runtime.chat.history.push(chatMsg);
+  if (runtime.chat.history.length > runtime.chat.maxHistory) runtime.chat.history.shift();
+  fn.appendChatLogMessage(chatMsg);
+}
+
 export function drawRemotePlayerNameLabel(rp) {
   const screen = worldToScreen(rp.renderX, rp.renderY);
   ctx.save();
@@ -1601,6 +1970,37 @@ export function drawRemotePlayerNameLabel(rp) {
   ctx.shadowOffsetY = 1;
   ctx.shadowBlur = 2;
   ctx.fillText(nameText, Math.round(screen.x), tagY + padV);
+
+  // Job line under the name tag (updated live by player_job_change)
+  if (rp.job && rp.job !== "Beginner") {
+    ctx.font = "10px 'Dotum', Arial, sans-serif";
+    ctx.fillStyle = "#bcd4ff";
+    ctx.fillText(rp.job, Math.round(screen.x), tagY + tagH + 2);
+  }
+  ctx.restore();
+
+  // Party members get an HP bar above their head (updated by party_hp)
+  const member = runtime.party?.members.find(m => m.id === rp.id);
+  if (member && member.maxHp > 0) drawPartyHpBar(rp, member);
+}
+
+const PARTY_HP_BAR_WIDTH = 40;
+const PARTY_HP_BAR_HEIGHT = 5;
+/** Height above the feet — just over the head, under chat bubbles. */
+const PARTY_HP_BAR_OFFSET_Y = 78;
+
+function drawPartyHpBar(rp, member) {
+  const anchor = worldToScreen(rp.renderX, rp.renderY - PARTY_HP_BAR_OFFSET_Y);
+  const x = Math.round(anchor.x - PARTY_HP_BAR_WIDTH / 2);
+  const y = Math.round(anchor.y);
+  const ratio = Math.max(0, Math.min(1, member.hp / member.maxHp));
+  ctx.save();
+  ctx.fillStyle = "rgba(6, 12, 28, 0.8)";
+  ctx.fillRect(x - 1, y - 1, PARTY_HP_BAR_WIDTH + 2, PARTY_HP_BAR_HEIGHT + 2);
+  ctx.fillStyle = "#3a1010";
+  ctx.fillRect(x, y, PARTY_HP_BAR_WIDTH, PARTY_HP_BAR_HEIGHT);
+  ctx.fillStyle = ratio > 0.3 ? "#e83838" : "#ff8c1a";
+  ctx.fillRect(x, y, Math.round(PARTY_HP_BAR_WIDTH * ratio), PARTY_HP_BAR_HEIGHT);
   ctx.restore();
 }
 
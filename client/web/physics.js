@@ -22,6 +22,7 @@ import {
   portalMomentumEase, spawnDamageNumber, updatePlayerAttack,
 } from "./life.js";
 import { wsSend } from "./net.js";
+import { hasStatusEffect, getEffectiveSpeed } from "./skills.js";
 
 export function findGroundLanding(oldX, oldY, newX, newY, map, excludedFootholdId = null) {
   const moveX = newX - oldX;
@@ -210,7 +211,7 @@ export function resolveWallCollision(oldX, newX, nextY, map, footholdId) {
 // (footholdSlope alias removed — use fhSlope)
 
 export function playerWalkforce() {
-  return 0.05 + 0.11 * runtime.player.stats.speed / 100;
+  return 0.05 + 0.11 * getEffectiveSpeed(runtime.player.stats.speed) / 100;
 }
 
 export function playerJumpforce() {
@@ -218,7 +219,7 @@ export function playerJumpforce() {
 }
 
 export function playerClimbforce() {
-  return runtime.player.stats.speed / 100;
+  return getEffectiveSpeed(runtime.player.stats.speed) / 100;
 }
 
 export function applyGroundPhysics(hspeedTick, hforceTick, slope, numTicks) {
@@ -348,19 +349,22 @@ export function updatePlayer(dt) {
     return;
   }
 
-  // C++ Player::can_attack blocks movement while attacking — freeze all input
+  // C++ Player::can_attack blocks movement while attacking — freeze all input.
+  // Mob stun freezes it too (the server drops moves while stunned).
   const isAttacking = player.attacking;
-  const move = isAttacking ? 0 : (runtime.input.left ? -1 : 0) + (runtime.input.right ? 1 : 0);
-  const climbDir = isAttacking ? 0 : (runtime.input.up ? -1 : 0) + (runtime.input.down ? 1 : 0);
-  const jumpQueued = isAttacking ? false : runtime.input.jumpQueued;
-  const jumpRequested = (runtime.npcDialogue.active || isAttacking) ? false : (jumpQueued || runtime.input.jumpHeld);
+  const isStunned = hasStatusEffect("stun");
+  const inputFrozen = isAttacking || isStunned;
+  const move = inputFrozen ? 0 : (runtime.input.left ? -1 : 0) + (runtime.input.right ? 1 : 0);
+  const climbDir = inputFrozen ? 0 : (runtime.input.up ? -1 : 0) + (runtime.input.down ? 1 : 0);
+  const jumpQueued = inputFrozen ? false : runtime.input.jumpQueued;
+  const jumpRequested = (runtime.npcDialogue.active || inputFrozen) ? false : (jumpQueued || runtime.input.jumpHeld);
   runtime.input.jumpQueued = isAttacking ? runtime.input.jumpQueued : false;
 
   const nowMs = performance.now();
   const climbOnCooldown = nowMs < player.climbCooldownUntil;
   const reattachLocked = nowMs < player.reattachLockUntil;
-  const wantsClimbUp = runtime.input.up && !runtime.input.down;
-  const wantsClimbDown = runtime.input.down;
+  const wantsClimbUp = runtime.input.up && !runtime.input.down && !isStunned;
+  const wantsClimbDown = runtime.input.down && !isStunned;
 
   const downAttachCandidate = wantsClimbDown
     ? findAttachableRope(map, player.x, player.y, false)
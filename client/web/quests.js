@@ -266,6 +266,10 @@ export function getItemName(itemId) {
   return _itemNames.get(Number(itemId)) || null;
 }
 
+export function getNpcName(npcId) {
+  return _npcNames.get(String(npcId)) || null;
+}
+
 // ─── Quest Icon Loading ────────────────────────────────────────────────────────
 
 export async function loadQuestIcons() {
@@ -762,8 +766,8 @@ function formatQuestText(text) {
     .replace(/#/g, "");  // stray #
 }
 
-/** Job name→ID mapping (beginner only for now). */
-const JOB_NAME_TO_ID = {
+/** Job name → ID (matches server JOB_NAME_TO_ID). Shared with skills.js. */
+export const JOB_NAME_TO_ID = {
   "Beginner": 0,
   "Warrior": 100, "Fighter": 110, "Page": 120, "Spearman": 130,
   "Magician": 200, "F/P Wizard": 210, "I/L Wizard": 220, "Cleric": 230,
@@ -981,7 +981,7 @@ export function drawCharacter() {
 
   if (!placements || placements.length === 0) {
     // Still draw level up effect even if character parts not ready
-    fn.updateAndDrawLocalLevelUpEffect(runtime._lastDtMs || 16);
+    fn.updateAndDrawLocalCharEffect(runtime._lastDtMs || 16);
     return;
   }
 
@@ -1052,6 +1052,6 @@ export function drawCharacter() {
   }
 
   // Level up effect (drawn on top of player)
-  fn.updateAndDrawLocalLevelUpEffect(runtime._lastDtMs || 16);
+  fn.updateAndDrawLocalCharEffect(runtime._lastDtMs || 16);
 }
 
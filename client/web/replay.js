@@ -0,0 +1,193 @@
+/**
+ * replay.js — Session recording and playback.
+ *
+ * Recording captures every WebSocket message in both directions (hooked in
+ * net.js), the local input state, and the local player's position/animation
+ * into one timeline. Playback (driven by app.js `update`) feeds the recorded
+ * inbound messages back through `handleServerMessage` and moves the player
+ * from the samples instead of running physics — no server involved, so live
+ * traffic is dropped and nothing is sent or saved while a replay plays.
+ *
+ * Timeline clock: advances with the fixed update step, and stands still while
+ * a map is loading on either side, so recorded and replayed loads line up.
+ *
+ * File: `{ version, started_at, map_id, save, snapshot, events }`, gzip'd when
+ * the browser has CompressionStream. Events are `[t_ms, kind, data]`:
+ *   "in"  — server → client message
+ *   "out" — client → server message
+ *   "i"   — input bitmask (REPLAY_INPUT_BITS), only when it changes
+ *   "p"   — player sample [x, y, action, frameIndex, facing], only when it changes
+ */
+import { runtime, rlog } from "./state.js";
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+
+export const REPLAY_VERSION = 1;
+/** Recording stops itself past this many events (~30 min of busy play). */
+const REPLAY_MAX_EVENTS = 300_000;
+/** Playback speed multipliers accepted by /replay speed. */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+/** runtime.input flag → bit in "i" events. */
+export const REPLAY_INPUT_BITS = { left: 1, right: 2, up: 4, down: 8, jumpHeld: 16 };
+
+// ─── Recording ─────────────────────────────────────────────────────────────────
+
+/** Active recording: { header, events, clockMs, lastInput, lastSample } or null. */
+let _recording = null;
+
+export function isReplayRecording() {
+  return _recording !== null;
+}
+
+/** Start a recording. `header` carries the character save + map snapshot (built by app.js). */
+export function beginReplayRecording(header) {
+  _recording = { header, events: [], clockMs: 0, lastInput: -1, lastSample: null };
+  rlog(`replay: recording started on map ${header.map_id}`);
+}
+
+/** Stop recording and return the replay object (null if not recording). */
+export function endReplayRecording() {
+  if (!_recording) return null;
+  const { header, events, clockMs } = _recording;
+  _recording = null;
+  rlog(`replay: recording stopped (${events.length} events, ${Math.round(clockMs / 1000)}s)`);
+  return { version: REPLAY_VERSION, ...header, duration_ms: Math.round(clockMs), events };
+}
+
+function pushEvent(kind, data) {
+  if (!_recording) return;
+  _recording.events.push([Math.round(_recording.clockMs), kind, data]);
+  if (_recording.events.length >= REPLAY_MAX_EVENTS) {
+    rlog("replay: event limit reached, recording stopped");
+    _recording.full = true;
+  }
+}
+
+/** Server → client message (net.js onmessage). */
+export function recordReplayInbound(msg) {
+  pushEvent("in", msg);
+}
+
+/** Client → server message (net.js wsSend). */
+export function recordReplayOutbound(msg) {
+  pushEvent("out", msg);
+}
+
+/** True once the recording hit REPLAY_MAX_EVENTS — app.js stops and saves it. */
+export function isReplayRecordingFull() {
+  return !!_recording?.full;
+}
+
+/**
+ * Called once per fixed update step after physics: advances the clock and
+ * records input / player changes. The clock stands still while loading.
+ */
+export function recordReplayTick(dtMs) {
+  if (!_recording) return;
+  if (runtime.loading.active || runtime.portalWarpInProgress) return;
+  _recording.clockMs += dtMs;
+
+  let bits = 0;
+  for (const [flag, bit] of Object.entries(REPLAY_INPUT_BITS)) {
+    if (runtime.input[flag]) bits |= bit;
+  }
+  if (bits !== _recording.lastInput) {
+    _recording.lastInput = bits;
+    pushEvent("i", bits);
+  }
+
+  const p = runtime.player;
+  const sample = [Math.round(p.x), Math.round(p.y), p.action, p.frameIndex, p.facing];
+  const last = _recording.lastSample;
+  if (!last || sample.some((v, i) => v !== last[i])) {
+    _recording.lastSample = sample;
+    pushEvent("p", sample);
+  }
+}
+
+// ─── Playback ──────────────────────────────────────────────────────────────────
+
+/** { replay, cursor, clockMs, speed, paused, ready, inputBits } while a replay plays, else null. */
+let _playback = null;
+
+export function isReplayPlaying() {
+  return _playback !== null;
+}
+
+export function getReplayPlayback() {
+  return _playback;
+}
+
+/** Start playback; the clock runs once app.js marks it ready (after the first map load). */
+export function beginReplayPlayback(replay) {
+  _playback = { replay, cursor: 0, clockMs: 0, speed: 1, paused: false, ready: false, inputBits: 0 };
+}
+
+export function endReplayPlayback() {
+  _playback = null;
+}
+
+/** Advance the playback clock by one update step (no-op while paused, loading, or not ready). */
+export function advanceReplayClock(dtMs) {
+  if (!_playback || !_playback.ready || _playback.paused) return;
+  if (runtime.loading.active || runtime.portalWarpInProgress) return;
+  _playback.clockMs += dtMs * _playback.speed;
+}
+
+/** Next event due at the current clock, or null. Input events are consumed here. */
+export function nextReplayEvent() {
+  const pb = _playback;
+  if (!pb || !pb.ready) return null;
+  while (pb.cursor < pb.replay.events.length) {
+    const ev = pb.replay.events[pb.cursor];
+    if (ev[0] > pb.clockMs) return null;
+    pb.cursor++;
+    if (ev[1] === "i") { pb.inputBits = ev[2]; continue; }
+    return ev;
+  }
+  return null;
+}
+
+export function isReplayFinished() {
+  return !!_playback && _playback.cursor >= _playback.replay.events.length;
+}
+
+// ─── Files ─────────────────────────────────────────────────────────────────────
+
+/** Serialize a replay to a Blob (gzip when CompressionStream is available). */
+export async function encodeReplay(replay) {
+  const json = new Blob([JSON.stringify(replay)], { type: "application/json" });
+  if (typeof CompressionStream === "undefined") return json;
+  const stream = json.stream().pipeThrough(new CompressionStream("gzip"));
+  return new Blob([await new Response(stream).arrayBuffer()], { type: "application/gzip" });
+}
+
+/** Parse a replay file (plain or gzip'd JSON). Throws on anything that isn't a replay. */
+export async function decodeReplay(file) {
+  const buf = new Uint8Array(await file.arrayBuffer());
+  let text;
+  if (buf[0] === 0x1f && buf[1] === 0x8b) {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser can't read compressed replays");
+    const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream("gzip"));
+    text = await new Response(stream).text();
+  } else {
+    text = new TextDecoder().decode(buf);
+  }
+  const replay = JSON.parse(text);
+  if (replay?.version !== REPLAY_VERSION || !Array.isArray(replay.events) || !replay.map_id) {
+    throw new Error("Not a replay file");
+  }
+  return replay;
+}
+
+/** Offer a replay as a download. */
+export async function downloadReplay(replay) {
+  const blob = await encodeReplay(replay);
+  const stamp = (replay.started_at || new Date().toISOString()).replace(/[:.]/g, "-");
+  const ext = blob.type === "application/gzip" ? "json.gz" : "json";
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `shlop-replay-${replay.map_id}-${stamp}.${ext}`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 10_000);
+}
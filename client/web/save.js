@@ -22,7 +22,7 @@ import {
   PORTAL_SPAWN_Y_OFFSET,
   wzCursor,
   _localDropIdCounter, DROP_EXPIRE_MS, DROP_EXPIRE_FADE_MS,
-  settingsPingToggleEl,
+  settingsPingToggleEl, itemAttrsFromServer,
 } from "./state.js";
 import {
   safeNumber, loadJsonFromStorage, saveJsonToStorage,
@@ -38,10 +38,13 @@ import { playUISound } from "./sound.js";
 import { canvasToDataUrl } from "./wz-canvas-decode.js";
 import {
   equipItemFromInventory, unequipItem, loadEquipWzData,
-  isChairItem, useChair, getUIWindowEl, updateCursorElement,
+  isChairItem, useChair, getUIWindowEl, isUIWindowVisible, updateCursorElement,
+  isEquipScroll, scrollEquipFromDrag,
 } from "./items.js";
 import { saveSettings } from "./input.js";
 import { serializeQuestStates, deserializeQuestStates } from "./quests.js";
+import { playerSkills, handleSkillsUpdate } from "./skills.js";
+import { isReplayPlaying } from "./replay.js";
 
 // ── Inventory type / equip category helpers (C++ parity) ──
 
@@ -482,6 +485,8 @@ export function buildCharacterSave() {
       speed: runtime.player.stats.speed,
       jump: runtime.player.stats.jump,
       meso: runtime.player.meso || 0,
+      sp: runtime.player.sp || 0,
+      ap: runtime.player.ap || 0,
     },
     location: {
       map_id: runtime.mapId || "100000001",
@@ -492,6 +497,7 @@ export function buildCharacterSave() {
       slot_type,
       item_id: eq.id,
       item_name: eq.name,
+      ...eq.attrs,
     })),
     inventory: playerInventory.map(it => ({
       item_id: it.id,
@@ -499,10 +505,13 @@ export function buildCharacterSave() {
       inv_type: it.invType,
       slot: it.slot,
       category: it.category || null,
+      ...it.attrs,
     })),
     achievements: { ...runtime.player.achievements },
     quests: serializeQuestStates(),
+    skills: Object.fromEntries(playerSkills),
     keymap: runtime.keymap || {},
+    padmap: runtime.padmap || {},
     version: 1,
     saved_at: new Date().toISOString(),
   };
@@ -536,6 +545,7 @@ export function applyCharacterSave(save) {
   p.stats.speed = save.stats.speed ?? 100;
   p.stats.jump = save.stats.jump ?? 100;
   p.meso = save.stats.meso ?? 0;
+  p.ap = save.stats.ap ?? 0;
   // Facing
   p.facing = save.location.facing ?? -1;
 
@@ -546,7 +556,7 @@ export function applyCharacterSave(save) {
     const slotType = equipSlotFromId(eq.item_id) || eq.slot_type;
     const wzCategory = equipWzCategoryFromId(eq.item_id) || slotType;
     const iconKey = loadEquipIcon(eq.item_id, wzCategory);
-    playerEquipped.set(slotType, { id: eq.item_id, name: eq.item_name || "", iconKey });
+    playerEquipped.set(slotType, { id: eq.item_id, name: eq.item_name || "", iconKey, attrs: itemAttrsFromServer(eq) });
     // Async: load WZ stance data for character rendering
     loadEquipWzData(eq.item_id);
     // Async: load display name
@@ -572,6 +582,7 @@ export function applyCharacterSave(save) {
       invType,
       category: it.category || null,
       slot: it.slot ?? 0,
+      attrs: itemAttrsFromServer(it),
     });
     loadItemName(it.item_id).then(name => {
       const entry = playerInventory.find(e => e.id === it.item_id);
@@ -588,8 +599,11 @@ export function applyCharacterSave(save) {
   // Quest states
   deserializeQuestStates(save.quests);
 
-  // Load keymap from save data or localStorage
-  if (fn.loadKeymap) fn.loadKeymap(save.keymap);
+  // Learned skills + SP (server pushes skills_update again on map join)
+  handleSkillsUpdate({ sp: save.stats.sp ?? 0, skills: save.skills });
+
+  // Load keymap + controller bindings from save data or localStorage
+  if (fn.loadKeymap) fn.loadKeymap(save.keymap, save.padmap);
 
   refreshUIWindows();
   rlog(`applyCharacterSave: ${p.name} Lv${p.level} ${p.job}`);
@@ -604,6 +618,8 @@ export function applyCharacterSave(save) {
  * Fire-and-forget: callers do not await this.
  */
 export function saveCharacter() {
+  // A replay's character is not ours to save
+  if (isReplayPlaying()) return;
   try {
     if (window.__MAPLE_ONLINE__) {
       // Server-authoritative: server manages inventory, stats, meso, equipment.
@@ -882,7 +898,8 @@ export function buildSlotEl(icon, label, qty, tooltipData, clickData) {
     let _slotClickTimer = 0;
     slot.addEventListener("click", () => {
       if (draggedItem.active) {
-        cancelItemDrag();
+        // onItemDrop: the slot takes the dragged item (returns true) — e.g. a scroll onto an equip
+        if (!clickData.onItemDrop?.()) cancelItemDrag();
       } else {
         clearTimeout(_slotClickTimer);
         _slotClickTimer = setTimeout(() => {
@@ -905,6 +922,11 @@ export function refreshUIWindows() {
   updateStatWindow();
   // Refresh keybinds if visible (updates item qty on keys)
   if (fn.buildKeybindsUI) fn.buildKeybindsUI();
+  if (fn.refreshSkillWindow && isUIWindowVisible("skill")) fn.refreshSkillWindow();
+  if (fn.refreshShopWindow && isUIWindowVisible("shop")) fn.refreshShopWindow();
+  if (fn.refreshStorageWindow && isUIWindowVisible("storage")) fn.refreshStorageWindow();
+  if (fn.refreshTradeWindow && isUIWindowVisible("trade")) fn.refreshTradeWindow();
+  if (fn.refreshCashShopWindow && isUIWindowVisible("cashshop")) fn.refreshCashShopWindow();
 }
 
 function updateStatusBar() {
@@ -928,6 +950,9 @@ function updateStatusBar() {
   if (sbExpText) sbExpText.textContent = `${p.exp}/${p.maxExp}`;
 }
 
+/** AP Reset (Cash) — enables the stat window "−" buttons. */
+const AP_RESET_ITEM_ID = 5050000;
+
 function updateStatWindow() {
   const p = runtime.player;
   const set = (id, v) => { const e = document.getElementById(id); if (e) e.textContent = v; };
@@ -942,6 +967,14 @@ function updateStatWindow() {
   set("stat-dex", p.dex);
   set("stat-int", p.int);
   set("stat-luk", p.luk);
+  set("stat-ap", p.ap ?? 0);
+  // AP buttons: "+" needs unspent AP, "−" needs an AP Reset in inventory
+  const canAssign = (p.ap ?? 0) > 0;
+  document.querySelectorAll("[data-ap-stat]").forEach(btn => { btn.disabled = !canAssign; });
+  const autoBtn = document.getElementById("stat-auto-assign");
+  if (autoBtn) autoBtn.disabled = !canAssign;
+  const hasApReset = playerInventory.some(it => it.id === AP_RESET_ITEM_ID);
+  document.querySelectorAll("[data-ap-reset]").forEach(btn => btn.classList.toggle("hidden", !hasApReset));
   set("stat-speed", `${p.stats.speed}%`);
   set("stat-jump", `${p.stats.jump}%`);
   set("stat-crit", `${p.critical}%`);
@@ -954,10 +987,15 @@ export function refreshEquipGrid() {
   for (const slot of EQUIP_SLOT_LIST) {
     const equipped = playerEquipped.get(slot.type);
     const iconUri = equipped ? getIconDataUri(equipped.iconKey) : null;
-    const tooltip = equipped ? { name: equipped.name, id: equipped.id, iconKey: equipped.iconKey } : null;
+    const tooltip = equipped ? { name: equipped.name, id: equipped.id, iconKey: equipped.iconKey, attrs: equipped.attrs } : null;
     const clickData = equipped ? {
       source: "equip", index: slot.type,
       item: { id: equipped.id, name: equipped.name, qty: 1, iconKey: equipped.iconKey, category: slot.type },
+      onItemDrop: () => {
+        if (draggedItem.source !== "inventory" || !isEquipScroll(draggedItem.id)) return false;
+        scrollEquipFromDrag({ slotType: slot.type });
+        return true;
+      },
     } : null;
     const slotEl = buildSlotEl(iconUri, slot.label, 0, tooltip, clickData);
     // Double-click → unequip to inventory
@@ -995,7 +1033,7 @@ export function refreshInvGrid() {
     const item = entry?.item ?? null;
     const realIdx = entry?.realIndex ?? -1;
     const iconUri = item ? getIconDataUri(item.iconKey) : null;
-    const tooltip = item ? { name: item.name, id: item.id, iconKey: item.iconKey } : null;
+    const tooltip = item ? { name: item.name, id: item.id, iconKey: item.iconKey, attrs: item.attrs } : null;
 
     // Build slot WITHOUT clickData — we handle all click logic ourselves below
     const slotEl = buildSlotEl(iconUri, null, item?.qty ?? 0, tooltip, null);
@@ -1018,6 +1056,11 @@ export function refreshInvGrid() {
         const dragSrcIdx = draggedItem.sourceIndex;
         const dragSrcItem = playerInventory[dragSrcIdx];
         if (!dragSrcItem) { cancelItemDrag(); return; }
+        // Scroll from the USE tab onto an equip (switch tabs mid-drag)
+        if (item && currentInvTab === "EQUIP" && isEquipScroll(dragSrcItem.id)) {
+          scrollEquipFromDrag({ slot: item.slot });
+          return;
+        }
         if (dragSrcItem.invType !== currentInvTab) { cancelItemDrag(); return; }
         if (dragSrcItem.slot === slotIndex) { cancelItemDrag(); return; }
 
@@ -1081,6 +1124,29 @@ function formatMeso(amount) {
   return amount.toLocaleString();
 }
 
+/** Tooltip stat lines: EquipStats key → label (WZ info key for unrolled equips) */
+const EQUIP_TOOLTIP_STATS = [
+  ["str", "incSTR", "STR"], ["dex", "incDEX", "DEX"], ["int", "incINT", "INT"], ["luk", "incLUK", "LUK"],
+  ["hp", "incMHP", "MaxHP"], ["mp", "incMMP", "MaxMP"],
+  ["watk", "incPAD", "Weapon Attack"], ["matk", "incMAD", "Magic Attack"],
+  ["wdef", "incPDD", "Weapon Defense"], ["mdef", "incMDD", "Magic Defense"],
+  ["acc", "incACC", "Accuracy"], ["avoid", "incEVA", "Avoidability"],
+  ["speed", "incSpeed", "Speed"], ["jump", "incJump", "Jump"],
+];
+
+/**
+ * Stats shown on an equip tooltip: the item's own stats when the server sent
+ * them, else the WZ base (equipped items only — their WZ data is loaded).
+ */
+function getEquipTooltipStats(equipId, stats) {
+  if (stats) return stats;
+  const info = getEquipInfoStats(equipId);
+  if (!info) return null;
+  const base = { slots: Number(info.tuc) || 0, level: 0 };
+  for (const [key, wzKey] of EQUIP_TOOLTIP_STATS) base[key] = Number(info[wzKey]) || 0;
+  return base;
+}
+
 /** Extract equip stats from a WZ equip JSON node's info child */
 export function getEquipInfoStats(equipId) {
   const wzData = runtime.characterEquipData[equipId];
@@ -1171,8 +1237,33 @@ export function showTooltip(e, data) {
     const nameEl = document.createElement("div");
     nameEl.style.cssText = "font-weight:700;font-size:12px;color:#fff;text-align:center;";
     nameEl.textContent = data.name || "Unknown";
+    // Scrolled equips show their success count, as in v83
+    const attrs = data.attrs ?? null;
+    if (attrs?.stats?.level > 0) nameEl.textContent += ` (+${attrs.stats.level})`;
+    // Name tag / expiry, as v83 shows them under the name
+    if (attrs?.owner || attrs?.expires_at) {
+      const tagEl = document.createElement("div");
+      tagEl.style.cssText = "font-size:10px;color:#fc3;text-align:center;";
+      const parts = [];
+      if (attrs.owner) parts.push(`Owner: ${attrs.owner}`);
+      if (attrs.expires_at) parts.push(`Expires: ${new Date(attrs.expires_at).toLocaleString()}`);
+      tagEl.textContent = parts.join(" · ");
+      uiTooltipEl.appendChild(tagEl);
+    }
     uiTooltipEl.appendChild(nameEl);
 
+    // ── Equip stats + upgrade slots ──
+    const equipStats = data.id && inventoryTypeById(data.id) === "EQUIP" ? getEquipTooltipStats(data.id, attrs?.stats) : null;
+    if (equipStats) {
+      const statsEl = document.createElement("div");
+      statsEl.style.cssText = "font-size:10px;color:#fff;margin-top:4px;line-height:1.4;";
+      const lines = EQUIP_TOOLTIP_STATS.filter(([key]) => equipStats[key]).map(([key, , label]) => `${label}: ${equipStats[key] > 0 ? "+" : ""}${equipStats[key]}`);
+      lines.push(`Number of upgrades available: ${equipStats.slots ?? 0}`);
+      statsEl.textContent = lines.join("\n");
+      statsEl.style.whiteSpace = "pre";
+      uiTooltipEl.appendChild(statsEl);
+    }
+
     // ── Description (async for non-equip items) ──
     if (data.id) {
       const descEl = document.createElement("div");
@@ -1269,6 +1360,11 @@ export function initUIWindowDrag() {
       if (el) {
         el.classList.add("hidden");
         playUISound("MenuDown");
+        // Leaving the shop or storage via × ends the server-side session
+        if (key === "shop") wsSend({ type: "shop_close" });
+        if (key === "storage") wsSend({ type: "storage_close" });
+        // ...and leaving a trade via × cancels it for both sides
+        if (key === "trade") wsSend({ type: "trade_cancel" });
         // Sync settings toggle when ping window is closed via ×
         if (key === "ping") {
           runtime.settings.showPing = false;
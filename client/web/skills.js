@@ -0,0 +1,282 @@
+/**
+ * skills.js — Skill system: parses Skill.wz job trees (icons, levels, MP cost,
+ * cooldown, cast stance) and String.wz/Skill.img names, and tracks the
+ * player's learned skills + SP.
+ *
+ * Skill state is server-authoritative: SP allocation (`skill_assign_sp`) and
+ * casting (`use_skill`) are validated by the server, which pushes the result
+ * back via `skills_update` / `skill_result`. The client only gates obvious
+ * cases (not learned, MP, cooldown) to avoid spamming the server.
+ *
+ * Also mirrors the status effects mob skills inflict on the player
+ * (`status_effect` / `status_end`): seal, stun, poison and slow.
+ */
+import { fn, runtime, iconDataUriCache } from "./state.js";
+import { fetchJson } from "./util.js";
+import { canvasToDataUrl } from "./wz-canvas-decode.js";
+import { wsSend } from "./net.js";
+import { JOB_NAME_TO_ID } from "./quests.js";
+
+// ─── Skill State ───────────────────────────────────────────────────────────────
+
+/** skillId (number) → { level, master } — mirrors server `skills_update` */
+export const playerSkills = new Map();
+
+/** skillId (number) → performance.now() timestamp when usable again */
+const _skillCooldowns = new Map();
+
+/** jobId → Map<skillId, { id, jobId, maxLevel, needsMasteryBook, invisible, action, levels, iconKey }> */
+const _jobSkillDefs = new Map();
+const _jobSkillPromises = new Map();
+
+/** skillId → { name, desc } — from String.wz/Skill.img */
+const _skillStrings = new Map();
+let _skillStringsPromise = null;
+
+export function getPlayerJobId() {
+  return JOB_NAME_TO_ID[runtime.player.job] ?? 0;
+}
+
+/**
+ * Jobs whose skills the player may learn (matches server getJobLineage).
+ * 0 → [0]; 100 → [0, 100]; 110 → [0, 100, 110].
+ */
+export function getJobLineage(jobId) {
+  const lineage = [0];
+  if (jobId <= 0) return lineage;
+  for (const j of [Math.floor(jobId / 100) * 100, Math.floor(jobId / 10) * 10, jobId]) {
+    if (!lineage.includes(j)) lineage.push(j);
+  }
+  return lineage;
+}
+
+// ─── WZ Loading ────────────────────────────────────────────────────────────────
+
+function leafValue(node, name) {
+  const n = node?.$$?.find(c => (c.$int ?? c.$short ?? c.$string) === name);
+  return n ? n.value : undefined;
+}
+
+function parseSkillLevels(levelNode) {
+  const levels = (levelNode?.$$ || [])
+    .filter(l => l.$imgdir !== undefined)
+    .sort((a, b) => Number(a.$imgdir) - Number(b.$imgdir));
+  return levels.map(l => ({
+    mpCon: Number(leafValue(l, "mpCon")) || 0,
+    hpCon: Number(leafValue(l, "hpCon")) || 0,
+    damage: Number(leafValue(l, "damage")) || 0,
+    mad: Number(leafValue(l, "mad")) || 0,
+    cooltime: (Number(leafValue(l, "cooltime")) || 0) * 1000,
+    time: (Number(leafValue(l, "time")) || 0) * 1000,
+  }));
+}
+
+/** Load Skill.wz/{job}.img skill definitions (cached, async). */
+export function loadJobSkills(jobId) {
+  if (_jobSkillPromises.has(jobId)) return _jobSkillPromises.get(jobId);
+  const promise = fetchJson(`/resourcesv3/Skill.wz/${String(jobId).padStart(3, "0")}.img.xml`)
+    .then((json) => {
+      const defs = new Map();
+      const skillRoot = json?.$$?.find(n => n.$imgdir === "skill");
+      for (const node of skillRoot?.$$ || []) {
+        const id = Number(node.$imgdir);
+        if (!id) continue;
+        const levels = parseSkillLevels(node.$$?.find(c => c.$imgdir === "level"));
+        if (levels.length === 0) continue;
+        const actionDir = node.$$?.find(c => c.$imgdir === "action");
+        const iconKey = `skill-icon:${id}`;
+        defs.set(id, {
+          id, jobId,
+          maxLevel: levels.length,
+          needsMasteryBook: Number(leafValue(node, "masterLevel")) > 0,
+          invisible: Number(leafValue(node, "invisible")) > 0,
+          action: String(actionDir?.$$?.[0]?.value ?? leafValue(node, "action") ?? ""),
+          levels,
+          iconKey,
+        });
+        const iconNode = node.$$?.find(c => c.$canvas === "icon");
+        if (iconNode?.basedata && !iconDataUriCache.has(iconKey)) {
+          iconDataUriCache.set(iconKey, null);
+          canvasToDataUrl(iconNode).then(url => {
+            if (url) { iconDataUriCache.set(iconKey, url); fn.refreshUIWindows?.(); }
+          });
+        }
+      }
+      _jobSkillDefs.set(jobId, defs);
+      return defs;
+    })
+    .catch(() => {
+      _jobSkillDefs.set(jobId, new Map());
+      return _jobSkillDefs.get(jobId);
+    });
+  _jobSkillPromises.set(jobId, promise);
+  return promise;
+}
+
+/** Load skill names/descriptions from String.wz/Skill.img (cached, async). */
+export function loadSkillStrings() {
+  if (_skillStringsPromise) return _skillStringsPromise;
+  _skillStringsPromise = fetchJson("/resourcesv3/String.wz/Skill.img.xml").then((json) => {
+    for (const node of json?.$$ || []) {
+      const id = Number(node.$imgdir);
+      if (!id) continue;
+      const name = leafValue(node, "name");
+      if (name === undefined) continue;
+      _skillStrings.set(id, { name: String(name), desc: String(leafValue(node, "desc") ?? "") });
+    }
+  }).catch(() => {});
+  return _skillStringsPromise;
+}
+
+export function getSkillDef(skillId) {
+  return _jobSkillDefs.get(Math.floor(skillId / 10000))?.get(skillId) ?? null;
+}
+
+export function getSkillName(skillId) {
+  return _skillStrings.get(skillId)?.name || `Skill ${skillId}`;
+}
+
+export function getSkillDesc(skillId) {
+  return _skillStrings.get(skillId)?.desc || "";
+}
+
+/**
+ * All visible skills for the player's job lineage, grouped by job
+ * (skill window rows). Loads WZ data on demand; call again after it resolves.
+ */
+export function getSkillBook() {
+  loadSkillStrings();
+  const groups = [];
+  for (const jobId of getJobLineage(getPlayerJobId())) {
+    const defs = _jobSkillDefs.get(jobId);
+    if (!defs) { loadJobSkills(jobId).then(() => fn.refreshSkillWindow?.()); continue; }
+    const skills = [];
+    for (const def of defs.values()) {
+      if (def.invisible) continue;
+      const learned = playerSkills.get(def.id);
+      const cap = def.needsMasteryBook ? Math.min(def.maxLevel, learned?.master ?? 0) : def.maxLevel;
+      skills.push({
+        id: def.id,
+        name: getSkillName(def.id),
+        desc: getSkillDesc(def.id),
+        level: learned?.level ?? 0,
+        cap,
+        iconKey: def.iconKey,
+      });
+    }
+    groups.push({ jobId, skills });
+  }
+  return groups;
+}
+
+// ─── Server Sync ───────────────────────────────────────────────────────────────
+
+/** Apply a `skills_update` message: { sp, skills: { [id]: { level, master } } }. */
+export function handleSkillsUpdate(msg) {
+  if (typeof msg.sp === "number") runtime.player.sp = msg.sp;
+  playerSkills.clear();
+  for (const [id, s] of Object.entries(msg.skills || {})) {
+    if (s && (s.level > 0 || s.master > 0)) playerSkills.set(Number(id), { level: s.level || 0, master: s.master || 0 });
+  }
+  for (const jobId of getJobLineage(getPlayerJobId())) loadJobSkills(jobId);
+  fn.refreshSkillWindow?.();
+}
+
+/** Apply a `skill_result` message (server-confirmed cast or rejection). */
+export function handleSkillResult(msg) {
+  if (msg.ok) {
+    if (msg.action === "use" && msg.cooldown_ms > 0) {
+      _skillCooldowns.set(Number(msg.skill_id), performance.now() + msg.cooldown_ms);
+    }
+    return;
+  }
+  if (msg.reason) fn.addSystemChatMessage?.(msg.reason, "error");
+}
+
+export function assignSkillPoint(skillId) {
+  if ((runtime.player.sp ?? 0) <= 0) return;
+  wsSend({ type: "skill_assign_sp", skill_id: skillId });
+}
+
+// ─── Casting ───────────────────────────────────────────────────────────────────
+
+/**
+ * Client-side pre-check before sending `use_skill`.
+ * Returns { def, level } if the cast can be attempted, or { reason } if not.
+ */
+export function prepareSkillCast(skillId) {
+  const learned = playerSkills.get(skillId);
+  const def = getSkillDef(skillId);
+  if (!learned || learned.level <= 0) return { reason: "You have not learned this skill." };
+  if (hasStatusEffect("stun")) return { reason: "You can't act while stunned." };
+  if (hasStatusEffect("seal")) return { reason: "You are sealed and can't use skills." };
+  if (!def) {
+    loadJobSkills(Math.floor(skillId / 10000));
+    return { reason: null }; // data still loading — silently ignore
+  }
+  const level = def.levels[Math.min(learned.level, def.levels.length) - 1];
+  if (performance.now() < (_skillCooldowns.get(skillId) ?? 0)) {
+    return { reason: "This skill is still cooling down." };
+  }
+  if (runtime.player.mp < level.mpCon) return { reason: "Not enough MP." };
+  return { def, level };
+}
+
+/** Seconds of cooldown remaining (0 = ready). */
+export function getSkillCooldownRemaining(skillId) {
+  return Math.max(0, ((_skillCooldowns.get(skillId) ?? 0) - performance.now()) / 1000);
+}
+
+// ─── Status Effects ────────────────────────────────────────────────────────────
+
+/** Slow can't take the player below this speed stat (server MIN_SLOWED_SPEED). */
+const MIN_SLOWED_SPEED = 10;
+
+/** Chat line shown when an effect lands (not when it is refreshed). */
+const STATUS_EFFECT_MESSAGES = {
+  seal: "You have been sealed and can't use skills.",
+  stun: "You have been stunned.",
+  poison: "You have been poisoned.",
+  slow: "You have been slowed.",
+};
+
+/** effect ("seal" | "stun" | "poison" | "slow") → { skillId, level, x, until } */
+export const playerStatuses = new Map();
+
+/** Apply a `status_effect` message: { effect, skill_id, level, x, duration_ms }. */
+export function handleStatusEffect(msg) {
+  if (!hasStatusEffect(msg.effect) && STATUS_EFFECT_MESSAGES[msg.effect]) {
+    fn.addSystemChatMessage?.(STATUS_EFFECT_MESSAGES[msg.effect]);
+  }
+  playerStatuses.set(msg.effect, {
+    skillId: Number(msg.skill_id),
+    level: Number(msg.level) || 1,
+    x: Number(msg.x) || 0,
+    until: performance.now() + (Number(msg.duration_ms) || 0),
+  });
+}
+
+export function clearStatusEffect(effect) {
+  playerStatuses.delete(effect);
+}
+
+export function clearStatusEffects() {
+  playerStatuses.clear();
+}
+
+export function hasStatusEffect(effect) {
+  const s = playerStatuses.get(effect);
+  return !!s && performance.now() < s.until;
+}
+
+/** Seconds left on an effect (0 = not active). */
+export function getStatusEffectRemaining(effect) {
+  const s = playerStatuses.get(effect);
+  return s ? Math.max(0, (s.until - performance.now()) / 1000) : 0;
+}
+
+/** Speed stat after slow — feeds playerWalkforce / playerClimbforce. */
+export function getEffectiveSpeed(speed) {
+  if (!hasStatusEffect("slow")) return speed;
+  return Math.max(MIN_SLOWED_SPEED, speed - Math.abs(playerStatuses.get("slow").x));
+}
@@ -95,13 +95,24 @@ export async function getResourceCache() {
   return _resourceCache;
 }
 
-export async function cachedFetch(url) {
+/**
+ * Cache-first fetch through the persistent resource cache. With `revalidate`,
+ * a cached copy is checked against the server's ETag first (304 → cached copy)
+ * and still used if the server can't be reached.
+ */
+export async function cachedFetch(url, { revalidate = false } = {}) {
   const cache = await getResourceCache();
-  if (cache) {
-    const cached = await cache.match(url);
+  const cached = cache ? await cache.match(url) : null;
+  if (cached && !revalidate) return cached;
+  const etag = cached?.headers.get("etag");
+  let response;
+  try {
+    response = await fetch(url, etag ? { headers: { "If-None-Match": etag } } : undefined);
+  } catch (err) {
     if (cached) return cached;
+    throw err;
   }
-  const response = await fetch(url);
+  if (response.status === 304 && cached) return cached;
   if (response.ok && cache) {
     try { await cache.put(url, response.clone()); } catch {}
   }
@@ -270,7 +281,7 @@ export const runtime = {
     face_id: 20000, hair_id: 30000,
     level: 1, job: "Beginner",
     hp: 50, maxHp: 50, mp: 5, maxMp: 5, exp: 0, maxExp: 15, meso: 0,
-    str: 12, dex: 5, int: 4, luk: 4,
+    str: 12, dex: 5, int: 4, luk: 4, sp: 0, ap: 0,
     minDamage: 1, maxDamage: 1, accuracy: 6, critical: 5,
     stance: 30, // knockback resistance % (C++ 0 for beginner, raised by skills/buffs)
     trapInvincibleUntil: 0, lastTrapHitAt: 0, lastTrapHitDamage: 0,
@@ -287,6 +298,7 @@ export const runtime = {
     inputActive: false, history: [], maxHistory: 200,
     sentHistory: [], sentHistoryMax: 50,
     recallIndex: -1, recallDraft: "",
+    lastWhisperFrom: "", // /r target
   },
   mapBanner: {
     active: false, mapName: "", streetName: "", markName: "",
@@ -306,6 +318,7 @@ export const runtime = {
     face7: "Digit7", face8: "Digit8", face9: "Digit9",
   },
   keymap: null, // initialized by loadKeymap() in app.js
+  padmap: null, // controller bindings ("Pad{button}" → binding), same shape as keymap
   mouseWorld: { x: 0, y: 0 },
   characterData: null, characterHeadData: null,
   characterFaceData: null, characterHairData: null,
@@ -348,6 +361,31 @@ export const runtime = {
     npcWorldX: 0, npcWorldY: 0, npcIdx: -1,
     hoveredOption: -1, scriptId: "",
   },
+  // NPC shop — opened by the server (shop_open); shopNpcs comes from map_state
+  shop: {
+    npcId: "", name: "", recharge: false,
+    items: [], sellPrices: {},
+  },
+  shopNpcs: new Set(),
+  // Account storage — opened by the server (storage_open); storageNpcs comes from map_state
+  storage: { npcId: "", fee: 0, slots: 0, meso: 0, items: [] },
+  storageNpcs: new Set(),
+  // Cash shop — listings + NX of the account, sent by the server on cash_open
+  // (items: [{ sn, item_id, count, price, period, gender, priority, tab }])
+  cashShop: { nx: 0, items: [], gachaponTicket: 0 },
+  // Party — { id, leaderId, members: [{ id, name, level, job, mapId, hp, maxHp }] } or null (party_update)
+  party: null,
+  // Buddy list — [{ name, mutual, online, mapId }] (buddy_list / buddy_status); only mutual buddies report online
+  buddies: [],
+  // Trade — { partnerName, self, partner } or null; each side is
+  // { items: [{ inv_type, slot, item_id, qty }], meso, locked, confirmed } (trade_open / trade_update)
+  trade: null,
+  // Bosses on the current map — mobIdx → { mobId, hp, maxHp, dead, phase, phases, tagColor, tagBgColor }
+  // (map_state.bosses / boss_state; HP follows mob_damage_result)
+  bosses: new Map(),
+  // Field rules for the current map (map_state.field): { no_drop, no_chair, no_portal_scroll,
+  // no_mob_spawn, time_left_ms, clockEndsAt } — clockEndsAt is performance.now() time, 0 = no clock
+  field: null,
   gm: false, gmMouseFly: false, gmOverlay: false,
 };
 
@@ -373,6 +411,19 @@ export function setCurrentInvTab(v) { currentInvTab = v; }
 
 export const playerEquipped = new Map();
 export const playerInventory = [];
+
+/** Instance attributes the server keeps on non-stackable items (server item-instance.ts). */
+const ITEM_ATTR_KEYS = ["uid", "stats", "owner", "expires_at", "creator"];
+
+/**
+ * An item's instance attributes from a server entry (save, inventory_update,
+ * drop) — kept as one `attrs` blob on inventory/equipment entries. Null for stackables.
+ */
+export function itemAttrsFromServer(src) {
+  const attrs = {};
+  for (const key of ITEM_ATTR_KEYS) if (src?.[key] != null) attrs[key] = src[key];
+  return Object.keys(attrs).length > 0 ? attrs : null;
+}
 export const groundDrops = [];
 
 export const draggedItem = {
@@ -423,6 +474,11 @@ export const MINIMAP_BORDER_RADIUS = 6;
 export const MINIMAP_PLAYER_RADIUS = 3;
 export const MINIMAP_PORTAL_RADIUS = 2.5;
 export const MINIMAP_CLOSE_SIZE = 14;
+export const MINIMAP_MOB_RADIUS = 1.5;
+/** Expanded-view zoom steps (cycled by the title-bar zoom button) */
+export const MINIMAP_ZOOM_LEVELS = [1, 1.5, 2];
+/** How long a clicked NPC dot keeps its name label */
+export const MINIMAP_NPC_LABEL_MS = 3000;
 
 // ─── Map Banner Constants ────────────────────────────────────────────────────
 export const MAP_BANNER_SHOW_MS = 3500;
@@ -260,6 +260,16 @@ export async function fetchJson(path) {
     jsonCache.set(
       path,
       (async () => {
+        const mapMatch = window.__MAPLE_ONLINE__ && !_assetApiDisabled ? MAP_XML_PATH_RE.exec(path) : null;
+        if (mapMatch) {
+          try {
+            return await fetchMapFromAssetApi(mapMatch[1]);
+          } catch (err) {
+            // Older server or no provider — stop asking (a missing map just falls through)
+            if (err.status !== 404) _assetApiDisabled = true;
+            rlog(`fetchJson asset API failed for ${path}: ${err.message} — loading XML`);
+          }
+        }
         const response = await cachedFetch(path);
         if (!response.ok) {
           const msg = `Failed to load ${path} (${response.status})`;
@@ -279,6 +289,85 @@ export async function fetchJson(path) {
   return jsonCache.get(path);
 }
 
+// ─── Asset API (online mode) ─────────────────────────────────────────────────
+//
+// Online, map images come from the game server's asset API instead of the
+// .img.xml: each section is brotli/gzip JSON revalidated by content-hash ETag,
+// and the minimap canvas is an immutable blob. The sections are put back
+// together into the node tree the XML would have given, so parseMapData can't
+// tell the difference. Any failure falls back to the XML.
+
+const MAP_XML_PATH_RE = /^\/resourcesv3\/Map\.wz\/Map\/Map\d\/(\d{9})\.img\.xml$/;
+/** Sections that are top-level nodes of the map image */
+const MAP_NODE_SECTIONS = ["info", "backgrounds", "footholds", "portals", "life", "ladderRopes", "reactors", "minimap"];
+/** Sections holding the layer nodes "0"–"7" (tiles and objects of the same layers) */
+const MAP_LAYER_SECTIONS = ["tiles", "objects"];
+let _assetApiDisabled = false;
+
+function assetApiUrl(path) {
+  return `${window.__MAPLE_SERVER_URL__ || ""}/api/v1/${path}`;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function fetchAssetData(path) {
+  const response = await cachedFetch(assetApiUrl(path), { revalidate: true });
+  if (!response.ok) {
+    throw Object.assign(new Error(`${path} (${response.status})`), { status: response.status });
+  }
+  return (await response.json()).data;
+}
+
+/** Put blob payloads back as base64 `basedata`, where the XML has them. */
+async function inlineAssetBlobs(root) {
+  const pending = [];
+  const visit = (node) => {
+    if (node.blob) {
+      pending.push((async () => {
+        const response = await cachedFetch(assetApiUrl(`blob/${node.blob}`));
+        if (!response.ok) throw new Error(`blob ${node.blob} (${response.status})`);
+        node.basedata = bytesToBase64(new Uint8Array(await response.arrayBuffer()));
+        delete node.blob;
+      })());
+    }
+    for (const child of node.$$ ?? []) visit(child);
+  };
+  visit(root);
+  await Promise.all(pending);
+}
+
+async function fetchMapFromAssetApi(mapId) {
+  const asset = await fetchAssetData(`asset/map/${mapId}`);
+  const sections = asset.sections.filter((s) => MAP_NODE_SECTIONS.includes(s) || MAP_LAYER_SECTIONS.includes(s));
+  const parts = await Promise.all(sections.map((s) => fetchAssetData(`asset/map/${mapId}/${s}`)));
+
+  const root = { $imgdir: `${mapId}.img`, $$: [] };
+  const layers = new Map();
+  sections.forEach((section, i) => {
+    if (!MAP_LAYER_SECTIONS.includes(section)) {
+      root.$$.push(parts[i]);
+      return;
+    }
+    for (const layer of parts[i]) {
+      const merged = layers.get(layer.$imgdir);
+      if (!merged) {
+        layers.set(layer.$imgdir, layer);
+        root.$$.push(layer);
+      } else {
+        merged.$$.push(...layer.$$.filter((child) => child.$imgdir !== "info"));
+      }
+    }
+  });
+  await inlineAssetBlobs(root);
+  return root;
+}
+
 export function getMetaByKey(key) {
   return metaCache.get(key) ?? null;
 }
@@ -0,0 +1,386 @@
+/**
+ * worldmap.js — World map window: region navigation, position markers, spot info.
+ *
+ * Data: Map.wz/WorldMap/{region}.img — `BaseImg/0` (background, origin = the
+ * region's centre), `MapLink/n` (clickable sub-region image + `linkMap`),
+ * `MapList/n` (spots: `spot` vector from the centre, icon `type`, `title`,
+ * `desc`, `mapNo` list). Regions form a tree from "WorldMap" via MapLink;
+ * `info/parentMap` points back up. Icons come from MapHelper.img `worldMap`
+ * (`mapImage/{type}`, `curPos`, `partyPos`).
+ *
+ * The region index (mapId → deepest region listing it) is built once, the first
+ * time the window opens. Spot NPCs are read from the map's `life` on demand and
+ * tagged with quest icons (getNpcQuestIconType); map names come from String.wz
+ * via app.js (fn.getMapStringName / fn.getMapStringStreet).
+ */
+import { fn, runtime, sessionId, rlog } from "./state.js";
+import {
+  fetchJson, childByName, imgdirChildren, imgdirLeafRecord, vectorRecord,
+  pickCanvasNode, mapPathFromId,
+} from "./util.js";
+import { playUISound } from "./sound.js";
+import { canvasToDataUrl } from "./wz-canvas-decode.js";
+import { getNpcName, getNpcQuestIconType } from "./quests.js";
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+
+const WORLD_MAP_ROOT = "WorldMap";
+const QUEST_ICON_LABELS = { 0: "Quest available", 1: "Quest in progress", 2: "Quest complete" };
+const QUEST_ICON_CLASSES = { 0: "avail", 1: "prog", 2: "done" };
+
+// ─── Region Data ───────────────────────────────────────────────────────────────
+
+/** region name → parsed region (or null if missing) */
+const _regions = new Map();
+/** mapId (string) → deepest region name whose spots list it */
+let _regionOfMap = null;
+let _regionIndexPromise = null;
+/** MapHelper.img `worldMap` node */
+let _helperPromise = null;
+/** mapId → Promise<[{ id, name }]> */
+const _spotNpcs = new Map();
+/** canvas node → Promise<data URL> (markers are redrawn on every refresh) */
+const _dataUrls = new WeakMap();
+
+/** Map IDs compare unpadded ("10000", not "000010000"). */
+function mapKey(mapId) {
+  return String(Number(mapId));
+}
+
+function worldMapPath(name) {
+  return `/resourcesv3/Map.wz/WorldMap/${name}.img.xml`;
+}
+
+/** Canvas node + its origin, first frame if animated. */
+function canvasWithOrigin(node) {
+  const canvas = pickCanvasNode(node);
+  if (!canvas) return null;
+  return { canvas, origin: vectorRecord(canvas).origin ?? { x: 0, y: 0 } };
+}
+
+async function loadRegion(name) {
+  if (_regions.has(name)) return _regions.get(name);
+  let region = null;
+  try {
+    const raw = await fetchJson(worldMapPath(name));
+    const info = imgdirLeafRecord(childByName(raw, "info"));
+    region = {
+      name,
+      parent: info.parentMap || null,
+      base: canvasWithOrigin(childByName(raw, "BaseImg")),
+      links: imgdirChildren(childByName(raw, "MapLink")).map((node) => {
+        const link = childByName(node, "link");
+        const img = (link?.$$ ?? []).find((c) => c.$canvas === "linkImg");
+        return {
+          toolTip: imgdirLeafRecord(node).toolTip ?? "",
+          target: imgdirLeafRecord(link).linkMap ?? "",
+          img: img ? { canvas: img, origin: vectorRecord(img).origin ?? { x: 0, y: 0 } } : null,
+        };
+      }).filter((l) => l.target),
+      spots: imgdirChildren(childByName(raw, "MapList")).map((node) => {
+        const rec = imgdirLeafRecord(node);
+        return {
+          key: node.$imgdir,
+          pos: vectorRecord(node).spot ?? { x: 0, y: 0 },
+          type: rec.type ?? 0,
+          title: rec.title ?? "",
+          desc: rec.desc ?? "",
+          mapIds: Object.values(imgdirLeafRecord(childByName(node, "mapNo"))).map(mapKey),
+        };
+      }),
+    };
+  } catch (err) {
+    rlog(`worldmap: region ${name} failed to load: ${err}`);
+  }
+  _regions.set(name, region);
+  return region;
+}
+
+/** Walk the region tree once; deeper regions win for maps listed at several levels. */
+function loadRegionIndex() {
+  if (_regionIndexPromise) return _regionIndexPromise;
+  _regionIndexPromise = (async () => {
+    const index = new Map();
+    const seen = new Set([WORLD_MAP_ROOT]);
+    const queue = [WORLD_MAP_ROOT];
+    while (queue.length > 0) {
+      const region = await loadRegion(queue.shift());
+      if (!region) continue;
+      for (const spot of region.spots) {
+        for (const mapId of spot.mapIds) index.set(mapId, region.name);
+      }
+      for (const link of region.links) {
+        if (seen.has(link.target)) continue;
+        seen.add(link.target);
+        queue.push(link.target);
+      }
+    }
+    _regionOfMap = index;
+    return index;
+  })();
+  return _regionIndexPromise;
+}
+
+/** Region names from the root down to the one listing `mapId` ([] if unlisted). */
+function regionPathOfMap(mapId) {
+  const path = [];
+  let name = _regionOfMap?.get(mapKey(mapId));
+  while (name && !path.includes(name)) {
+    path.unshift(name);
+    name = _regions.get(name)?.parent;
+  }
+  return path;
+}
+
+function loadWorldMapHelper() {
+  _helperPromise ??= fetchJson("/resourcesv3/Map.wz/MapHelper.img.xml")
+    .then((raw) => childByName(raw, "worldMap"))
+    .catch(() => null);
+  return _helperPromise;
+}
+
+/** NPCs placed on a map (hidden ones skipped), with names from String.wz. */
+function loadMapNpcs(mapId) {
+  if (!_spotNpcs.has(mapId)) {
+    _spotNpcs.set(mapId, fetchJson(mapPathFromId(mapId.padStart(9, "0"))).then((raw) => {
+      const npcs = [];
+      for (const entry of imgdirChildren(childByName(raw, "life"))) {
+        const rec = imgdirLeafRecord(entry);
+        if (rec.type !== "n" || rec.hide) continue;
+        const id = String(rec.id);
+        if (npcs.some((n) => n.id === id)) continue;
+        npcs.push({ id, name: getNpcName(id) || `NPC ${id}` });
+      }
+      return npcs;
+    }).catch(() => []));
+  }
+  return _spotNpcs.get(mapId);
+}
+
+// ─── Window ────────────────────────────────────────────────────────────────────
+
+const _view = { region: null, selectedSpot: null, generation: 0 };
+
+const titleEl = document.getElementById("worldmap-title");
+const canvasWrapEl = document.getElementById("worldmap-canvas");
+const infoEl = document.getElementById("worldmap-info");
+const upBtnEl = document.getElementById("worldmap-up");
+
+/** Other players to mark: party members and online buddies, with their map. */
+function friendLocations() {
+  const friends = [];
+  for (const m of runtime.party?.members ?? []) {
+    if (m.id !== sessionId && m.mapId) friends.push({ name: m.name, mapId: mapKey(m.mapId) });
+  }
+  for (const b of runtime.buddies ?? []) {
+    if (b.online && b.mapId && !friends.some((f) => f.name === b.name)) {
+      friends.push({ name: b.name, mapId: mapKey(b.mapId) });
+    }
+  }
+  return friends;
+}
+
+function placeImage(parent, asset, x, y, className) {
+  const img = document.createElement("img");
+  img.className = className;
+  img.draggable = false;
+  img.style.left = `${x - asset.origin.x}px`;
+  img.style.top = `${y - asset.origin.y}px`;
+  if (!_dataUrls.has(asset.canvas)) _dataUrls.set(asset.canvas, canvasToDataUrl(asset.canvas));
+  _dataUrls.get(asset.canvas).then((url) => { if (url) img.src = url; });
+  parent.appendChild(img);
+  return img;
+}
+
+/** Open the region containing the current map (falls back to the root). */
+export async function refreshWorldMapWindow() {
+  await Promise.all([loadRegionIndex(), fn.loadMapStringData().catch(() => null)]);
+  const path = regionPathOfMap(runtime.mapId);
+  await showWorldMapRegion(path[path.length - 1] ?? WORLD_MAP_ROOT);
+}
+
+/** Redraw the markers of the region on display (party/buddy moves, map change). */
+export function refreshWorldMapMarkers() {
+  if (_view.region) showWorldMapRegion(_view.region.name, _view.selectedSpot?.key);
+}
+
+export async function showWorldMapRegion(name, selectKey = null) {
+  const generation = ++_view.generation;
+  const [region, helper] = await Promise.all([loadRegion(name), loadWorldMapHelper()]);
+  if (generation !== _view.generation || !canvasWrapEl) return;
+  if (!region) {
+    if (name !== WORLD_MAP_ROOT) return showWorldMapRegion(WORLD_MAP_ROOT);
+    canvasWrapEl.innerHTML = "";
+    infoEl.innerHTML = `<div class="quest-empty">World map data is unavailable</div>`;
+    return;
+  }
+
+  _view.region = region;
+  _view.selectedSpot = region.spots.find((s) => s.key === selectKey) ?? null;
+  if (titleEl) titleEl.textContent = region.name === WORLD_MAP_ROOT ? "World Map" : `World Map · ${region.name}`;
+  upBtnEl?.classList.toggle("hidden", !region.parent);
+
+  canvasWrapEl.innerHTML = "";
+  const cx = region.base?.origin.x ?? 0;
+  const cy = region.base?.origin.y ?? 0;
+  if (region.base) {
+    const w = parseInt(region.base.canvas.width, 10) || 0;
+    const h = parseInt(region.base.canvas.height, 10) || 0;
+    canvasWrapEl.style.width = `${w}px`;
+    canvasWrapEl.style.height = `${h}px`;
+    placeImage(canvasWrapEl, region.base, cx, cy, "worldmap-base");
+  }
+
+  const herePath = regionPathOfMap(runtime.mapId);
+  const friends = friendLocations().map((f) => ({ ...f, path: regionPathOfMap(f.mapId) }));
+  const curPos = canvasWithOrigin(childByName(helper, "curPos"));
+  const partyPos = canvasWithOrigin(childByName(helper, "partyPos"));
+
+  for (const link of region.links) {
+    if (!link.img) continue;
+    const el = placeImage(canvasWrapEl, link.img, cx, cy, "worldmap-link");
+    el.title = link.toolTip || link.target;
+    if (herePath.includes(link.target)) el.classList.add("worldmap-here");
+    el.addEventListener("click", () => {
+      playUISound("BtMouseClick");
+      showWorldMapRegion(link.target);
+    });
+  }
+
+  const mapImages = childByName(helper, "mapImage");
+  for (const spot of region.spots) {
+    const x = cx + spot.pos.x;
+    const y = cy + spot.pos.y;
+    const icon = canvasWithOrigin((mapImages?.$$ ?? []).find((c) => (c.$imgdir ?? c.$canvas) === String(spot.type)));
+    let el;
+    if (icon) {
+      el = placeImage(canvasWrapEl, icon, x, y, "worldmap-spot");
+    } else {
+      el = document.createElement("div");
+      el.className = "worldmap-spot worldmap-spot-dot";
+      el.style.left = `${x - 3}px`;
+      el.style.top = `${y - 3}px`;
+      canvasWrapEl.appendChild(el);
+    }
+    el.title = spotTitle(spot);
+    if (spot === _view.selectedSpot) el.classList.add("selected");
+    el.addEventListener("click", () => selectSpot(spot));
+
+    if (spot.mapIds.includes(mapKey(runtime.mapId)) && curPos) {
+      placeImage(canvasWrapEl, curPos, x, y, "worldmap-marker");
+    }
+    const here = friends.filter((f) => spot.mapIds.includes(f.mapId));
+    if (here.length > 0 && partyPos) {
+      placeImage(canvasWrapEl, partyPos, x, y, "worldmap-marker").title = here.map((f) => f.name).join(", ");
+    }
+  }
+
+  // Current position / friends inside a sub-region: mark the link leading there
+  for (const link of region.links) {
+    if (!link.img) continue;
+    const x = cx - link.img.origin.x + (parseInt(link.img.canvas.width, 10) || 0) / 2;
+    const y = cy - link.img.origin.y + (parseInt(link.img.canvas.height, 10) || 0) / 2;
+    if (herePath.includes(link.target) && curPos) placeImage(canvasWrapEl, curPos, x, y, "worldmap-marker");
+    const inside = friends.filter((f) => f.path.includes(link.target));
+    if (inside.length > 0 && partyPos) {
+      placeImage(canvasWrapEl, partyPos, x, y, "worldmap-marker").title = inside.map((f) => f.name).join(", ");
+    }
+  }
+
+  renderSpotInfo(generation, friends);
+}
+
+export function showWorldMapParent() {
+  const parent = _view.region?.parent;
+  if (parent) showWorldMapRegion(parent);
+}
+
+function spotTitle(spot) {
+  if (spot.title) return spot.title;
+  const first = spot.mapIds[0];
+  return (first && (fn.getMapStringName(first) || first)) || "";
+}
+
+function selectSpot(spot) {
+  playUISound("BtMouseClick");
+  _view.selectedSpot = spot;
+  for (const el of canvasWrapEl.querySelectorAll(".worldmap-spot.selected")) el.classList.remove("selected");
+  const idx = _view.region.spots.indexOf(spot);
+  canvasWrapEl.querySelectorAll(".worldmap-spot")[idx]?.classList.add("selected");
+  renderSpotInfo(_view.generation, friendLocations());
+}
+
+function renderSpotInfo(generation, friends) {
+  if (!infoEl) return;
+  infoEl.innerHTML = "";
+  const spot = _view.selectedSpot;
+  if (!spot) {
+    const empty = document.createElement("div");
+    empty.className = "quest-empty";
+    empty.textContent = "Select a location";
+    infoEl.appendChild(empty);
+    return;
+  }
+
+  const title = document.createElement("div");
+  title.className = "worldmap-info-title";
+  title.textContent = spotTitle(spot);
+  infoEl.appendChild(title);
+  if (spot.desc) {
+    const desc = document.createElement("div");
+    desc.className = "worldmap-info-desc";
+    desc.textContent = spot.desc;
+    infoEl.appendChild(desc);
+  }
+
+  for (const mapId of spot.mapIds) {
+    const row = document.createElement("div");
+    row.className = "worldmap-map" + (mapId === mapKey(runtime.mapId) ? " worldmap-here" : "");
+    const name = document.createElement("div");
+    name.className = "skill-name";
+    name.textContent = fn.getMapStringName(mapId) || mapId;
+    const street = document.createElement("div");
+    street.className = "skill-level";
+    street.textContent = fn.getMapStringStreet(mapId) || "";
+    row.append(name, street);
+
+    const who = friends.filter((f) => f.mapId === mapId).map((f) => f.name);
+    if (mapId === mapKey(runtime.mapId)) who.unshift("You");
+    if (who.length > 0) {
+      const people = document.createElement("div");
+      people.className = "worldmap-people";
+      people.textContent = who.join(", ");
+      row.appendChild(people);
+    }
+
+    const npcList = document.createElement("div");
+    npcList.className = "worldmap-npcs";
+    row.appendChild(npcList);
+    loadMapNpcs(mapId).then((npcs) => {
+      if (generation !== _view.generation || spot !== _view.selectedSpot) return;
+      for (const npc of npcs) {
+        const line = document.createElement("div");
+        line.className = "worldmap-npc";
+        line.textContent = npc.name;
+        const iconType = getNpcQuestIconType(npc.id);
+        if (iconType != null) {
+          const badge = document.createElement("span");
+          badge.className = `quest-prefix ${QUEST_ICON_CLASSES[iconType]}`;
+          badge.textContent = ` · ${QUEST_ICON_LABELS[iconType]}`;
+          line.appendChild(badge);
+        }
+        npcList.appendChild(line);
+      }
+    });
+    infoEl.appendChild(row);
+  }
+}
+
+upBtnEl?.addEventListener("click", () => {
+  playUISound("BtMouseClick");
+  showWorldMapParent();
+});
+document.getElementById("worldmap-here")?.addEventListener("click", () => {
+  playUISound("BtMouseClick");
+  refreshWorldMapWindow();
+});
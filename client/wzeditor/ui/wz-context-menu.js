@@ -4,6 +4,7 @@
  */
 
 import { WzNode } from '../wz/wz-node.js';
+import { linkOf } from '../wz/wz-workspace.js';
 
 let _menuEl = null;
 let _onAction = null;
@@ -198,5 +199,14 @@ function buildMenuItems(node) {
         items.push({ label: 'Remove', action: 'remove' });
     }
 
+    // UOLs and _inlink / _outlink canvases
+    if (linkOf(node)) items.unshift({ label: 'Go to Link Target', action: 'followLink' }, { separator: true });
+
+    // Workspace file roots
+    if (!node.parent) {
+        items.push({ separator: true });
+        items.push({ label: 'Close File', action: 'closeFile' });
+    }
+
     return items;
 }
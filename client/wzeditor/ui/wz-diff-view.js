@@ -0,0 +1,178 @@
+/**
+ * Side-by-side diff view for Compare.
+ * Old tree on the left, new tree on the right, only the changed branches
+ * shown; each row carries a change badge (+ added, − removed, → renamed,
+ * ~ changed, • changes inside).
+ */
+
+import { describeValue } from '../wz/wz-diff.js';
+
+export const DIFF_BADGES = { add: '+', remove: '−', rename: '→', change: '~', within: '•' };
+const MAX_ROWS = 2000;
+/** Branches deeper than this start collapsed */
+const OPEN_DEPTH = 2;
+
+/**
+ * @typedef {object} DiffTreeNode
+ * @property {string} name
+ * @property {string[]} path
+ * @property {Map<string, DiffTreeNode>} children
+ * @property {import('../wz/wz-diff.js').WzChange|null} change
+ * @property {number} count - changes at and below this node
+ * @property {boolean} expanded
+ */
+
+export class WzDiffView {
+    /**
+     * @param {HTMLElement} container - Element to render the diff panel into
+     * @param {object} callbacks
+     * @param {(path: string[]) => void} callbacks.onNavigate - select a node of the open (old) tree
+     * @param {() => void} callbacks.onExportPatch
+     * @param {() => void} callbacks.onClose
+     */
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        this.tree = null;
+        this.rows = [];
+        this.visible = false;
+        this._build();
+    }
+
+    _build() {
+        this.el = document.createElement('div');
+        this.el.className = 'diff-panel';
+        this.el.style.display = 'none';
+        this.el.innerHTML = `
+            <div class="diff-header">
+                <span class="diff-title"></span>
+                <span class="diff-stats"></span>
+                <button class="diff-btn diff-export" title="Save the differences as a patch file">💾 Export Patch</button>
+                <button class="diff-btn diff-close" title="Close">✕</button>
+            </div>
+            <div class="diff-columns">
+                <div class="diff-col-old"></div>
+                <div class="diff-col-new"></div>
+            </div>
+            <div class="diff-rows"></div>
+        `;
+        this.container.prepend(this.el);
+
+        this.titleEl = this.el.querySelector('.diff-title');
+        this.statsEl = this.el.querySelector('.diff-stats');
+        this.rowsEl = this.el.querySelector('.diff-rows');
+        this.el.querySelector('.diff-export').addEventListener('click', () => this.callbacks.onExportPatch());
+        this.el.querySelector('.diff-close').addEventListener('click', () => this.callbacks.onClose());
+
+        this.rowsEl.addEventListener('click', (e) => {
+            const row = e.target.closest('.diff-row');
+            if (!row) return;
+            const entry = this.rows[parseInt(row.dataset.idx, 10)];
+            if (!entry) return;
+            if (entry.node.children.size > 0) {
+                entry.node.expanded = !entry.node.expanded;
+                this._render();
+            }
+            // Added nodes only exist in the new tree
+            if (entry.node.change?.op !== 'add') this.callbacks.onNavigate(entry.node.path);
+        });
+    }
+
+    /** @param {import('../wz/wz-diff.js').WzDiff} diff */
+    show(diff) {
+        this.visible = true;
+        this.tree = buildDiffTree(diff.changes);
+        this.el.querySelector('.diff-col-old').textContent = diff.from;
+        this.el.querySelector('.diff-col-new').textContent = diff.to;
+        const { added, removed, renamed, changed } = diff.stats;
+        this.titleEl.textContent = `${diff.from} ⇄ ${diff.to}`;
+        this.statsEl.textContent = diff.changes.length === 0
+            ? 'No differences'
+            : `+${added}  −${removed}  →${renamed}  ~${changed}`;
+        this.el.style.display = '';
+        this._render();
+    }
+
+    hide() {
+        this.visible = false;
+        this.tree = null;
+        this.rows = [];
+        this.rowsEl.innerHTML = '';
+        this.el.style.display = 'none';
+    }
+
+    _render() {
+        this.rows = [];
+        if (this.tree) flatten(this.tree, 0, this.rows);
+
+        let html = '';
+        for (let i = 0; i < Math.min(this.rows.length, MAX_ROWS); i++) {
+            const { node, depth } = this.rows[i];
+            const op = node.change?.op ?? 'within';
+            const toggle = node.children.size === 0 ? '&nbsp;' : (node.expanded ? '▼' : '▶');
+            const pad = `padding-left:${depth * 14 + 4}px`;
+            const [oldText, newText] = cellTexts(node);
+            html += `<div class="diff-row diff-${op}" data-idx="${i}">`
+                + `<div class="diff-cell" style="${pad}"><span class="tree-toggle">${toggle}</span>`
+                + `<span class="diff-badge">${DIFF_BADGES[op]}</span>${oldText}</div>`
+                + `<div class="diff-cell" style="${pad}">${newText}</div>`
+                + `</div>`;
+        }
+        if (this.rows.length > MAX_ROWS) {
+            html += `<div class="diff-row diff-more">… ${this.rows.length - MAX_ROWS} more rows — collapse branches to see them</div>`;
+        }
+        this.rowsEl.innerHTML = html;
+    }
+}
+
+// ─── Tree of Changes ─────────────────────────────────────────────────────────
+
+/** Group changes by path into one tree (ancestors of every change included). */
+function buildDiffTree(changes) {
+    const root = makeNode('', []);
+    for (const change of changes) {
+        let node = root;
+        node.count++;
+        for (let i = 0; i < change.path.length; i++) {
+            const name = change.path[i];
+            // A type change is a remove + add under one name — keep them apart
+            const key = i === change.path.length - 1 && change.op === 'add' ? `+${name}` : name;
+            if (!node.children.has(key)) node.children.set(key, makeNode(name, change.path.slice(0, i + 1)));
+            node = node.children.get(key);
+            node.count++;
+        }
+        node.change = change;
+    }
+    return root;
+}
+
+function makeNode(name, path) {
+    return { name, path, children: new Map(), change: null, count: 0, expanded: path.length < OPEN_DEPTH };
+}
+
+function flatten(node, depth, rows) {
+    for (const child of node.children.values()) {
+        rows.push({ node: child, depth });
+        if (child.expanded) flatten(child, depth + 1, rows);
+    }
+}
+
+/** [old side, new side] HTML for a row. */
+function cellTexts(node) {
+    const name = `<span class="tree-name">${escHtml(node.name)}</span>`;
+    const change = node.change;
+    if (!change) return [name, `${name}<span class="tree-value">${node.count} changes</span>`];
+    const type = `<span class="tree-value">${escHtml(change.type)}</span>`;
+    switch (change.op) {
+        case 'add': return ['', `${name}${type}`];
+        case 'remove': return [`${name}${type}`, ''];
+        case 'rename': return [name, `<span class="tree-name">${escHtml(change.to)}</span>`];
+        default: return [
+            `${name}<span class="tree-value">${escHtml(truncate(describeValue(change.type, change.from), 60))}</span>`,
+            `${name}<span class="tree-value">${escHtml(truncate(describeValue(change.type, change.to), 60))}</span>`,
+        ];
+    }
+}
+
+function escHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+function truncate(s, n) { return s.length > n ? s.slice(0, n) + '…' : s; }
@@ -0,0 +1,100 @@
+/**
+ * Broken-link report for the workspace.
+ * Lists UOLs and _inlink / _outlink canvases whose target can't be found,
+ * grouped by file; clicking an entry selects the linking node.
+ */
+
+const MAX_ROWS = 500;
+
+export class WzLinkReport {
+    /**
+     * @param {HTMLElement} container - Element to render the report into
+     * @param {object} callbacks
+     * @param {(entry: import('../wz/wz-workspace.js').WzBrokenLink) => void} callbacks.onNavigate
+     * @param {() => void} callbacks.onRecheck
+     */
+    constructor(container, callbacks) {
+        this.container = container;
+        this.callbacks = callbacks;
+        this.entries = [];
+        this.visible = false;
+        this._build();
+    }
+
+    _build() {
+        this.el = document.createElement('div');
+        this.el.className = 'links-panel';
+        this.el.style.display = 'none';
+        this.el.innerHTML = `
+            <div class="links-header">
+                <span class="links-title">Broken Links</span>
+                <span class="links-count"></span>
+                <button class="diff-btn links-recheck" title="Check the workspace again">↻ Recheck</button>
+                <button class="diff-btn links-close" title="Close">✕</button>
+            </div>
+            <div class="links-results"></div>
+        `;
+        this.container.prepend(this.el);
+
+        this.countEl = this.el.querySelector('.links-count');
+        this.resultsEl = this.el.querySelector('.links-results');
+        this.el.querySelector('.links-recheck').addEventListener('click', () => this.callbacks.onRecheck());
+        this.el.querySelector('.links-close').addEventListener('click', () => this.hide());
+
+        this.resultsEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result-item');
+            if (!item || item.dataset.idx === undefined) return;
+            for (const el of this.resultsEl.querySelectorAll('.active')) el.classList.remove('active');
+            item.classList.add('active');
+            this.callbacks.onNavigate(this.entries[parseInt(item.dataset.idx, 10)]);
+        });
+    }
+
+    /**
+     * @param {import('../wz/wz-workspace.js').WzBrokenLink[]} entries
+     * @param {number} fileCount - files that were checked
+     */
+    show(entries, fileCount) {
+        this.visible = true;
+        this.entries = entries;
+        const files = `${fileCount} file${fileCount !== 1 ? 's' : ''}`;
+        this.countEl.textContent = entries.length === 0
+            ? `none in ${files}`
+            : `${entries.length} in ${new Set(entries.map(e => e.file)).size} of ${files}`;
+        this.el.style.display = '';
+        this._render();
+    }
+
+    hide() {
+        this.visible = false;
+        this.entries = [];
+        this.resultsEl.innerHTML = '';
+        this.el.style.display = 'none';
+    }
+
+    _render() {
+        let html = '';
+        let lastFile = null;
+        for (let i = 0; i < Math.min(this.entries.length, MAX_ROWS); i++) {
+            const entry = this.entries[i];
+            if (entry.file !== lastFile) {
+                html += `<div class="links-file">${escHtml(entry.file)}</div>`;
+                lastFile = entry.file;
+            }
+            const path = entry.path.join('/');
+            const shortPath = path.length > 60 ? '…' + path.slice(-58) : path;
+            html += `<div class="search-result-item" data-idx="${i}" title="${escHtml(entry.reason)}">`
+                + `<span class="sr-path">${escHtml(shortPath)}</span>`
+                + ` <span class="sr-val">${entry.kind} → ${escHtml(truncate(entry.value, 50))}</span>`
+                + ` <span class="links-reason">${escHtml(entry.reason)}</span>`
+                + `</div>`;
+        }
+        if (this.entries.length > MAX_ROWS) {
+            html += `<div class="search-result-item sr-more">… and ${this.entries.length - MAX_ROWS} more</div>`;
+        }
+        this.resultsEl.innerHTML = html;
+    }
+}
+
+function escHtml(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+function truncate(s, n) { return s.length > n ? s.slice(0, n) + '…' : s; }
@@ -345,8 +345,8 @@ const WZ_IMG_HEADER_WITH_OFFSET = 0x1B;
  * @returns {{ data: Uint8Array, checksum: number }}
  */
 function serializeImageBinary(imageNode, wzKey, originalBuffer) {
-    // If the image is unmodified and has a binary source, copy the original bytes
-    if (!imageNode.modified && imageNode._binarySource && originalBuffer) {
+    // If the image is unmodified (or never parsed — only renamed) and has a binary source, copy the original bytes
+    if ((!imageNode.modified || !imageNode.parsed) && imageNode._binarySource && originalBuffer) {
         const src = imageNode._binarySource;
         const data = new Uint8Array(originalBuffer, src.offset, src.length);
         const checksum = computeChecksum(data);
@@ -357,10 +357,9 @@ function serializeImageBinary(imageNode, wzKey, originalBuffer) {
     const buf = new BinaryBuffer(64 * 1024);
     const writer = new WzBinaryWriter(buf, wzKey, 0, 0);
 
-    // Image header: 0x73 "Property" 0x0000
+    // Image header: 0x73 "Property" — the 0x0000 that follows is written by writePropertyList
     writer.writeByte(WZ_IMG_HEADER_WITHOUT_OFFSET);
     writer.writeWzString('Property');
-    writer.writeUInt16(0);
 
     // Write property list
     writePropertyList(writer, imageNode.children);
@@ -417,7 +416,7 @@ function writePropertyValue(writer, node) {
             break;
         case 'long':
             writer.writeByte(20);
-            writer.writeCompressedLong(node.value | 0);
+            writer.writeCompressedLong(Number(node.value) || 0); // `| 0` would drop the high word
             break;
         case 'float':
             writer.writeByte(4);
@@ -478,7 +477,7 @@ function writeExtendedValue(writer, node) {
             writer.writeCompressedInt(node.width);
             writer.writeCompressedInt(node.height);
 
-            const format = node._pngInfo ? node._pngInfo.format : 1; // default BGRA4444
+            const format = node._pngInfo ? node._pngInfo.format : (node.wzrawformat ?? 1); // default BGRA4444
             const format1 = format & 0xFF;
             const format2 = format >> 8;
             writer.writeCompressedInt(format1);
@@ -543,6 +542,11 @@ function getCanvasCompressedBytes(node) {
         return node._pngInfo._originalCompressed;
     }
 
+    // Raw WZ pixel stream from a Classic XML export (wz2xml) — written back as-is
+    if (node.basedata && node.wzrawformat != null) {
+        return base64ToBytes(node.basedata);
+    }
+
     // If we have base64 PNG data, we need to decode it to raw pixels and re-compress
     // For now, if basedata is available, decode from PNG and compress with zlib
     if (node.basedata) {
@@ -611,6 +615,9 @@ function base64ToBytes(b64) {
  * @param {import('./wz-crypto.js').WzMutableKey} options.wzKey
  * @param {ArrayBuffer|null} [options.originalBuffer=null] - original buffer for unchanged images
  * @param {(done: number, total: number, name: string) => void} [options.onProgress]
+ * @param {(imageNode: import('./wz-node.js').WzNode) => void} [options.loadImage] - fills an
+ *   unparsed image just before it is serialized (e.g. from XML on disk); its properties are
+ *   released again afterwards, so only one lazy image is in memory at a time
  * @returns {ArrayBuffer}
  */
 export function repackWzFile(root, options) {
@@ -621,6 +628,7 @@ export function repackWzFile(root, options) {
         wzKey,
         originalBuffer = null,
         onProgress,
+        loadImage,
     } = options;
 
     // ─── Step 1: Compute version hash ────────────────────────────────
@@ -643,7 +651,13 @@ export function repackWzFile(root, options) {
 
     let done = 0;
     for (const img of allImages) {
+        const lazy = !img.parsed && !!loadImage;
+        if (lazy) loadImage(img);
         const result = serializeImageBinary(img, wzKey, originalBuffer);
+        if (lazy) {
+            img.children = [];
+            img.parsed = false;
+        }
         imageDataMap.set(img, result);
         done++;
         if (onProgress) onProgress(done, allImages.length * 2, img.name);
@@ -659,12 +673,12 @@ export function repackWzFile(root, options) {
     _calcStringCache = new Map();
 
     // Calculate directory structure sizes
-    const dirInfo = calcDirSize(root, imageDataMap);
+    calcDirSize(root, imageDataMap);
 
     // Compute offsets
     const dirStartOffset = fStart + (is64Bit ? 0 : 2); // 2 bytes for version header unless 64-bit
-    const dirEndOffset = dirStartOffset + dirInfo.offsetSize;
-    setDirOffsets(root, dirStartOffset);
+    // Image data starts after every directory block, not just the root's
+    const dirEndOffset = setDirOffsets(root, dirStartOffset);
     setImgOffsets(root, dirEndOffset, imageDataMap);
 
     // Total file size
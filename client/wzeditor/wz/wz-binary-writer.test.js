@@ -0,0 +1,84 @@
+/**
+ * Repack tests — a WzNode tree written by repackWzFile reads back through
+ * parseWzFile / parseImageFromReader, including the xml2wz path (lazy images
+ * filled from Classic XML). Run with `bun test client/wzeditor`.
+ */
+import { describe, expect, test } from 'bun:test';
+import { WzNode } from './wz-node.js';
+import { repackWzFile } from './wz-binary-writer.js';
+import { parseWzFile } from './wz-file.js';
+import { parseImageFromReader } from './wz-image.js';
+import { WzBinaryReader } from './wz-binary-reader.js';
+import { parseXmlString } from './wz-xml-parser.js';
+import { generateWzKey } from './wz-crypto.js';
+import { getIvByMapleVersion } from './wz-constants.js';
+
+/** Decoded children of an image node from a parsed file. */
+function readImage(buffer, imgNode, mapleVersion) {
+    const src = imgNode._binarySource;
+    const reader = new WzBinaryReader(buffer, generateWzKey(getIvByMapleVersion(mapleVersion)));
+    reader.hash = src.hash;
+    reader.pos = src.offset;
+    return parseImageFromReader(reader, src.offset);
+}
+
+/** WzNode with fields and children, marked parsed. */
+function node(name, type, fields = {}, children = []) {
+    const n = Object.assign(new WzNode(name, type), fields);
+    for (const c of children) n.addChild(c);
+    n.parsed = true;
+    return n;
+}
+
+describe('repackWzFile', () => {
+    test('an image serialized from the tree reads back', () => {
+        const root = node('Etc.wz', 'file', {}, [
+            node('Commodity.img', 'image', {}, [
+                node('0', 'sub', {}, [node('SN', 'int', { value: 10000001 })]),
+                node('rate', 'float', { value: 0.5 }),
+            ]),
+        ]);
+        const data = repackWzFile(root, { mapleVersion: 'GMS', gameVersion: 83, wzKey: generateWzKey(getIvByMapleVersion('GMS')) });
+
+        const parsed = parseWzFile(data, 'Etc.wz');
+        expect(parsed).toMatchObject({ mapleVersion: 'GMS', version: 83 });
+        // Image header is 0x73 "Property" 0x0000 — one 0x0000, then the property count
+        const props = readImage(data, parsed.root.getChild('Commodity.img'), parsed.mapleVersion);
+        expect(props.map(p => [p.type, p.name, p.value])).toEqual([['sub', '0', null], ['float', 'rate', 0.5]]);
+        expect(props[0].children.map(p => [p.name, p.value])).toEqual([['SN', 10000001]]);
+    });
+
+    test('XML repacked into nested directories reads back', () => {
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="100000000.img"><long name="exp" value="-4294967296123"/><string name="s" value="&lt;&#233;&gt;"/><imgdir name="info"><int name="town" value="1"/></imgdir></imgdir>`;
+        const [root, map, map1, image] = [new WzNode('Map.wz', 'file'), new WzNode('Map', 'dir'), new WzNode('Map1', 'dir'), new WzNode('100000000.img', 'image')];
+        root.addChild(map);
+        map.addChild(map1);
+        map.addChild(new WzNode('Map2', 'dir'));
+        map1.addChild(image);
+        const data = repackWzFile(root, {
+            mapleVersion: 'EMS', gameVersion: 83, wzKey: generateWzKey(getIvByMapleVersion('EMS')),
+            loadImage: (img) => {
+                for (const c of parseXmlString(xml).children) img.addChild(c);
+                img.parsed = true;
+            },
+        });
+        // Lazily loaded properties are released once written
+        expect(image.children).toHaveLength(0);
+
+        const parsed = parseWzFile(data, 'Map.wz');
+        expect(parsed).toMatchObject({ mapleVersion: 'EMS', version: 83 });
+        expect(parsed.root.children.map(c => c.name)).toEqual(['Map']);
+        const map1Node = parsed.root.getChild('Map').getChild('Map1');
+        expect(map1Node.children.map(c => c.name)).toEqual(['100000000.img']);
+
+        // Image header is 0x73 "Property" 0x0000 — one 0x0000, then the property count
+        const props = readImage(data, map1Node.getChild('100000000.img'), parsed.mapleVersion);
+        expect(props.map(p => [p.type, p.name, p.value])).toEqual([
+            ['long', 'exp', -4294967296123],
+            ['string', 's', '<é>'],
+            ['sub', 'info', null],
+        ]);
+        expect(props[2].children.map(p => [p.name, p.value])).toEqual([['town', 1]]);
+    });
+});
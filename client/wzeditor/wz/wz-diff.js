@@ -0,0 +1,508 @@
+/**
+ * Structural diff and patch between two WzNode trees.
+ *
+ * Works on any tree the editor can open — a .wz binary, a Classic XML
+ * directory or a single XML file — so two client versions can be compared
+ * whatever form they are in. Shared by the editor's Compare view and
+ * tools/wzdiff.mjs.
+ *
+ * Children are matched by name. What is left over on each side is checked
+ * for renames (same type and content — for directories, the same child
+ * names); the rest are removes and adds. A node whose type changed is a
+ * remove followed by an add.
+ *
+ * Canvas pixels and sound data are compared by a hash of their payload
+ * (`basedata`), so images should be loaded with raw payloads attached —
+ * wz-raw.js extractRawBase64 for binaries; XML already carries them.
+ *
+ * Change paths are arrays of names below the root, in the old tree. Changes
+ * are ordered so that applying them one after another is valid: removes,
+ * then edits inside matched nodes, then renames, then adds.
+ */
+
+import { WzNode } from './wz-node.js';
+
+/** @typedef {import('./wz-node.js').WzNode} WzNodeT */
+
+/**
+ * @typedef {object} WzChange
+ * @property {'add'|'remove'|'rename'|'change'} op
+ * @property {string[]} path - names below the root (add: the new node's path)
+ * @property {string} type - node type
+ * @property {*} [from] - old value (change) or name (rename)
+ * @property {*} [to] - new value (change) or name (rename)
+ * @property {WzNodeT} [node] - the node in the new tree (add / change)
+ */
+
+/**
+ * @typedef {object} WzDiff
+ * @property {string} from - old root name
+ * @property {string} to - new root name
+ * @property {WzChange[]} changes
+ * @property {{added: number, removed: number, renamed: number, changed: number}} stats
+ */
+
+export const PATCH_FORMAT = 'wz-patch';
+export const PATCH_VERSION = 1;
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+/**
+ * 64-bit string hash (cyrb53 with both lanes kept) as 16 hex chars.
+ * Not cryptographic — only tells payloads apart.
+ */
+export function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Comparable value of a node (null for pure containers).
+ * Canvas → {width, height, format, hash}, sound → {length, hash}.
+ */
+export function nodeValue(node) {
+    switch (node.type) {
+        case 'int': case 'short': case 'long':
+        case 'float': case 'double':
+        case 'string': case 'uol': case 'lua':
+            return node.value;
+        case 'vector':
+            return { x: node.x, y: node.y };
+        case 'canvas':
+            return {
+                width: node.width,
+                height: node.height,
+                format: node.wzrawformat ?? node._pngInfo?.format ?? null,
+                hash: node.basedata ? hashString(node.basedata) : null,
+            };
+        case 'sound':
+            return {
+                length: node.soundLength,
+                hash: node.basedata ? hashString((node.basehead || '') + node.basedata) : null,
+            };
+        default:
+            return null;
+    }
+}
+
+/** Whether two nodeValue results are the same (floats are stored as float32). */
+export function sameValue(type, a, b) {
+    if (type === 'float') return Math.fround(Number(a)) === Math.fround(Number(b));
+    if (a !== null && typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(a ?? '') === String(b ?? '');
+}
+
+/** Short display form of a nodeValue result. */
+export function describeValue(type, value) {
+    if (value === null || value === undefined) return '';
+    switch (type) {
+        case 'vector': return `(${value.x}, ${value.y})`;
+        case 'canvas': return `${value.width}x${value.height}${value.format != null ? ` f${value.format}` : ''}${value.hash ? ` #${value.hash.slice(0, 8)}` : ''}`;
+        case 'sound': return `${value.length}ms${value.hash ? ` #${value.hash.slice(0, 8)}` : ''}`;
+        case 'string': case 'uol': return JSON.stringify(String(value));
+        default: return String(value);
+    }
+}
+
+/** Display form of a change path. */
+export function formatPath(path) {
+    return path.join('/');
+}
+
+/** Content hash of a subtree, independent of child order (used to spot renames). */
+function signature(node) {
+    const value = node.type === 'float' ? Math.fround(Number(node.value)) : nodeValue(node);
+    const kids = node.children.map(c => `${c.name}=${signature(c)}`).sort().join(',');
+    return hashString(`${node.type}|${JSON.stringify(value)}|${kids}`);
+}
+
+// ─── Lazy Images ─────────────────────────────────────────────────────────────
+
+/** Load an unparsed image through the hook. Returns true if it was loaded here. */
+async function ensureLoaded(node, loadImage) {
+    if (node.type !== 'image' || node.parsed || !loadImage) return false;
+    await loadImage(node);
+    return true;
+}
+
+/** Drop an image's properties again (it reloads through the same hook). */
+function unloadImage(node) {
+    node.children = [];
+    node.parsed = false;
+}
+
+// ─── Diff ────────────────────────────────────────────────────────────────────
+
+/**
+ * Compare two trees.
+ *
+ * @param {WzNodeT} oldRoot
+ * @param {WzNodeT} newRoot
+ * @param {object} [options]
+ * @param {(image: WzNodeT) => void|Promise<void>} [options.loadImage] - fills an unparsed
+ *   image (both trees), raw canvas / sound payloads included
+ * @param {boolean} [options.unloadImages=false] - release images loaded for the diff once
+ *   compared, so only a pair is in memory at a time
+ * @param {(done: number, total: number, name: string) => void} [options.onProgress]
+ * @returns {Promise<WzDiff>}
+ */
+export async function diffWzTrees(oldRoot, newRoot, options = {}) {
+    const ctx = {
+        changes: [],
+        loadImage: options.loadImage ?? null,
+        unload: !!options.unloadImages,
+        onProgress: options.onProgress ?? null,
+        done: 0,
+        total: Math.max(oldRoot.countImages(), newRoot.countImages()),
+    };
+    await diffChildren(oldRoot, newRoot, [], ctx);
+    return { from: oldRoot.name, to: newRoot.name, changes: ctx.changes, stats: countChanges(ctx.changes) };
+}
+
+function countChanges(changes) {
+    const stats = { added: 0, removed: 0, renamed: 0, changed: 0 };
+    for (const c of changes) {
+        if (c.op === 'add') stats.added++;
+        else if (c.op === 'remove') stats.removed++;
+        else if (c.op === 'rename') stats.renamed++;
+        else stats.changed++;
+    }
+    return stats;
+}
+
+function progress(ctx, images, name) {
+    ctx.done += images;
+    if (ctx.onProgress && images > 0) ctx.onProgress(Math.min(ctx.done, ctx.total), ctx.total, name);
+}
+
+/** Compare two nodes of the same type (matched by name, or a rename). */
+async function diffPair(a, b, path, ctx) {
+    const from = nodeValue(a);
+    const to = nodeValue(b);
+    if (!sameValue(a.type, from, to)) {
+        ctx.changes.push({ op: 'change', path, type: a.type, from, to, node: b });
+    }
+
+    if (a.type === 'image') {
+        const loadedA = await ensureLoaded(a, ctx.loadImage);
+        const loadedB = await ensureLoaded(b, ctx.loadImage);
+        await diffChildren(a, b, path, ctx);
+        if (ctx.unload) {
+            if (loadedA) unloadImage(a);
+            if (loadedB) unloadImage(b);
+        }
+        progress(ctx, 1, a.name);
+    } else if (a.children.length > 0 || b.children.length > 0) {
+        await diffChildren(a, b, path, ctx);
+    }
+}
+
+async function diffChildren(a, b, path, ctx) {
+    const oldByName = new Map();
+    const newByName = new Map();
+    for (const c of a.children) if (!oldByName.has(c.name)) oldByName.set(c.name, c);
+    for (const c of b.children) if (!newByName.has(c.name)) newByName.set(c.name, c);
+
+    const pairs = [];
+    const removed = [];
+    const added = [];
+    for (const [name, oc] of oldByName) {
+        const nc = newByName.get(name);
+        if (nc && nc.type === oc.type) {
+            pairs.push([oc, nc]);
+        } else {
+            removed.push(oc);
+            if (nc) added.push(nc); // type changed
+        }
+    }
+    for (const [name, nc] of newByName) {
+        if (!oldByName.has(name)) added.push(nc);
+    }
+    const renames = await matchRenames(removed, added, ctx);
+
+    for (const oc of removed) {
+        ctx.changes.push({ op: 'remove', path: [...path, oc.name], type: oc.type });
+        progress(ctx, oc.countImages(), oc.name);
+    }
+    for (const [oc, nc] of pairs) {
+        await diffPair(oc, nc, [...path, oc.name], ctx);
+    }
+    for (const [oc, nc] of renames) {
+        // Directories only share child names — compare what is inside before renaming
+        if (oc.type === 'dir') await diffPair(oc, nc, [...path, oc.name], ctx);
+        else progress(ctx, oc.countImages(), oc.name);
+        ctx.changes.push({ op: 'rename', path: [...path, oc.name], type: oc.type, from: oc.name, to: nc.name });
+    }
+    for (const nc of added) {
+        ctx.changes.push({ op: 'add', path: [...path, nc.name], type: nc.type, node: nc });
+        progress(ctx, nc.countImages(), nc.name);
+    }
+}
+
+/**
+ * Pair up removed and added siblings that are the same node under a new
+ * name. Matched nodes are taken out of `removed` / `added`.
+ */
+async function matchRenames(removed, added, ctx) {
+    const renames = [];
+    if (removed.length === 0 || added.length === 0) return renames;
+
+    const byKey = new Map();
+    for (const nc of added) {
+        const key = await renameKey(nc, ctx);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(nc);
+    }
+    for (const oc of [...removed]) {
+        const candidates = byKey.get(await renameKey(oc, ctx));
+        if (!candidates || candidates.length === 0) continue;
+        const nc = candidates.shift();
+        renames.push([oc, nc]);
+        removed.splice(removed.indexOf(oc), 1);
+        added.splice(added.indexOf(nc), 1);
+    }
+    return renames;
+}
+
+async function renameKey(node, ctx) {
+    if (node.type === 'dir') {
+        return `dir|${node.children.map(c => c.name).sort().join('/')}`;
+    }
+    const loaded = await ensureLoaded(node, ctx.loadImage);
+    const key = signature(node);
+    if (loaded && ctx.unload) unloadImage(node);
+    return key;
+}
+
+// ─── Patch ───────────────────────────────────────────────────────────────────
+
+/**
+ * Node (and subtree) as patch JSON. Unparsed images are loaded for the copy.
+ * @returns {Promise<object>}
+ */
+async function nodeToJson(node, loadImage) {
+    const loaded = await ensureLoaded(node, loadImage);
+    const json = { name: node.name, type: node.type };
+    switch (node.type) {
+        case 'vector':
+            json.x = node.x;
+            json.y = node.y;
+            break;
+        case 'canvas':
+            json.width = node.width;
+            json.height = node.height;
+            if (node.basedata) json.basedata = node.basedata;
+            if (node.wzrawformat != null) json.wzrawformat = node.wzrawformat;
+            break;
+        case 'sound':
+            json.length = node.soundLength;
+            if (node.basehead) json.basehead = node.basehead;
+            if (node.basedata) json.basedata = node.basedata;
+            break;
+        default:
+            if (nodeValue(node) !== null) json.value = node.value;
+    }
+    if (node.children.length > 0) {
+        json.children = [];
+        for (const child of node.children) json.children.push(await nodeToJson(child, loadImage));
+    }
+    if (loaded) unloadImage(node);
+    return json;
+}
+
+/** WzNode subtree from patch JSON (marked modified, ready for repackWzFile). */
+function jsonToNode(json) {
+    const node = new WzNode(json.name, json.type);
+    if ('value' in json) node.value = json.value;
+    if (json.type === 'vector') {
+        node.x = json.x ?? 0;
+        node.y = json.y ?? 0;
+    }
+    if (json.type === 'canvas') {
+        node.width = json.width ?? 0;
+        node.height = json.height ?? 0;
+        node.basedata = json.basedata ?? null;
+        if (json.wzrawformat != null) node.wzrawformat = json.wzrawformat;
+    }
+    if (json.type === 'sound') {
+        node.soundLength = json.length ?? 0;
+        node.basehead = json.basehead ?? null;
+        node.basedata = json.basedata ?? null;
+    }
+    for (const child of json.children ?? []) node.addChild(jsonToNode(child));
+    node.parsed = true;
+    node.modified = true;
+    return node;
+}
+
+/** Patch form of a changed node's new value — canvas / sound carry their payload. */
+function patchValue(node) {
+    const value = nodeValue(node);
+    if (node.type === 'canvas' && node.basedata) return { ...value, basedata: node.basedata };
+    if (node.type === 'sound' && node.basedata) return { ...value, basehead: node.basehead, basedata: node.basedata };
+    return value;
+}
+
+/**
+ * Turn a diff into a self-contained, JSON-serializable patch: added nodes
+ * are copied in full, changed canvases / sounds carry their new payload.
+ *
+ * @param {WzDiff} diff
+ * @param {object} [options]
+ * @param {(image: WzNodeT) => void|Promise<void>} [options.loadImage] - for added images
+ *   the diff left unloaded
+ * @returns {Promise<object>}
+ */
+export async function createPatch(diff, options = {}) {
+    const changes = [];
+    for (const change of diff.changes) {
+        const { op, path, type } = change;
+        if (op === 'remove') changes.push({ op, path, type });
+        else if (op === 'rename') changes.push({ op, path, type, name: change.to });
+        else if (op === 'add') changes.push({ op, path, type, node: await nodeToJson(change.node, options.loadImage) });
+        else changes.push({ op, path, type, from: change.from, to: patchValue(change.node) });
+    }
+    return { format: PATCH_FORMAT, version: PATCH_VERSION, from: diff.from, to: diff.to, changes };
+}
+
+/** Mark a node and the image holding it as modified (so repackWzFile rewrites the image). */
+function markModified(node) {
+    node.modified = true;
+    for (let p = node.parent; p; p = p.parent) {
+        if (p.type === 'image') {
+            p.modified = true;
+            break;
+        }
+    }
+}
+
+/** Node at `path` below `root`, loading images on the way (null if missing). */
+async function resolvePath(root, path, loadImage) {
+    let node = root;
+    for (const name of path) {
+        await ensureLoaded(node, loadImage);
+        node = node.children.find(c => c.name === name) ?? null;
+        if (!node) return null;
+    }
+    return node;
+}
+
+function setValue(node, to) {
+    switch (node.type) {
+        case 'vector':
+            node.x = to.x;
+            node.y = to.y;
+            break;
+        case 'canvas':
+            node.width = to.width;
+            node.height = to.height;
+            if (to.basedata) {
+                node.basedata = to.basedata;
+                node.wzrawformat = to.format;
+                node._pngInfo = null;
+            }
+            break;
+        case 'sound':
+            node.soundLength = to.length;
+            if (to.basedata) {
+                node.basehead = to.basehead ?? null;
+                node.basedata = to.basedata;
+                node._soundInfo = null;
+            }
+            break;
+        default:
+            node.value = to;
+    }
+}
+
+/** Apply one change. Returns why it couldn't be applied, or null. */
+async function applyChange(root, change, options) {
+    const { loadImage, onModified, force } = options;
+    const parent = await resolvePath(root, change.path.slice(0, -1), loadImage);
+    if (!parent) return 'parent not found';
+    await ensureLoaded(parent, loadImage);
+    const name = change.path[change.path.length - 1];
+    const node = parent.children.find(c => c.name === name) ?? null;
+
+    switch (change.op) {
+        case 'remove':
+            if (!node) return 'not found';
+            if (node.type !== change.type) return `is ${node.type}, patch expects ${change.type}`;
+            parent.removeChild(node);
+            onModified(parent);
+            return null;
+        case 'rename':
+            if (!node) return 'not found';
+            if (parent.children.some(c => c.name === change.name)) return `"${change.name}" already exists`;
+            node.name = change.name;
+            onModified(node);
+            return null;
+        case 'add': {
+            if (node) {
+                if (!force) return 'already exists';
+                parent.removeChild(node);
+            }
+            const added = jsonToNode(change.node);
+            parent.addChild(added);
+            onModified(added);
+            return null;
+        }
+        case 'change':
+            if (!node) return 'not found';
+            if (node.type !== change.type) return `is ${node.type}, patch expects ${change.type}`;
+            if (!force && !sameValue(node.type, nodeValue(node), change.from)) {
+                return `is ${describeValue(node.type, nodeValue(node))}, patch expects ${describeValue(node.type, change.from)}`;
+            }
+            setValue(node, change.to);
+            onModified(node);
+            return null;
+        default:
+            return `unknown op "${change.op}"`;
+    }
+}
+
+/**
+ * Apply a patch to a tree in place. Changes whose target is missing or no
+ * longer holds the patch's old value are skipped and reported (unless
+ * `force`); the rest still apply. Touched images end up modified, so
+ * repackWzFile serializes them from the tree.
+ *
+ * @param {WzNodeT} root
+ * @param {object} patch - from createPatch
+ * @param {object} [options]
+ * @param {(image: WzNodeT) => void|Promise<void>} [options.loadImage] - fills unparsed
+ *   images on a change's path, raw payloads included
+ * @param {(node: WzNodeT) => void} [options.onModified] - defaults to flagging the node
+ *   and its image
+ * @param {boolean} [options.force=false] - overwrite regardless of the old value
+ * @returns {Promise<{applied: number, conflicts: Array<{op: string, path: string[], reason: string}>}>}
+ */
+export async function applyPatch(root, patch, options = {}) {
+    if (patch?.format !== PATCH_FORMAT || !Array.isArray(patch.changes)) {
+        throw new Error('Not a WZ patch file');
+    }
+    if (patch.version > PATCH_VERSION) {
+        throw new Error(`WZ patch version ${patch.version} is newer than supported (${PATCH_VERSION})`);
+    }
+    const opts = {
+        loadImage: options.loadImage ?? null,
+        onModified: options.onModified ?? markModified,
+        force: !!options.force,
+    };
+    let applied = 0;
+    const conflicts = [];
+    for (const change of patch.changes) {
+        const reason = await applyChange(root, change, opts);
+        if (reason) conflicts.push({ op: change.op, path: change.path, reason });
+        else applied++;
+    }
+    return { applied, conflicts };
+}
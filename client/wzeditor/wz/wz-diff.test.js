@@ -0,0 +1,58 @@
+/**
+ * Tree diff tests — changes between two WzNode trees, and a patch made from
+ * them applied to another copy (wz-diff.js). Run with `bun test client/wzeditor`.
+ */
+import { describe, expect, test } from 'bun:test';
+import { WzNode } from './wz-node.js';
+import { diffWzTrees, createPatch, applyPatch } from './wz-diff.js';
+
+/** Mob.wz with one image: info/maxHP, a renamable sub, optionally info/speed. */
+function buildMob(hp, mobName, extra) {
+    const root = new WzNode('Mob.wz', 'file');
+    const image = new WzNode('100100.img', 'image');
+    const info = new WzNode('info', 'sub');
+    const maxHP = new WzNode('maxHP', 'int');
+    maxHP.value = hp;
+    const mob = new WzNode(mobName, 'sub');
+    root.addChild(image);
+    image.addChild(info);
+    image.addChild(mob);
+    info.addChild(maxHP);
+    for (const tree of [root, image, info, mob]) tree.parsed = true;
+    if (extra) {
+        const speed = new WzNode('speed', 'short');
+        speed.value = 20;
+        info.addChild(speed);
+    }
+    return root;
+}
+
+describe('wz diff', () => {
+    test('lists removed, changed and renamed nodes', async () => {
+        const diff = await diffWzTrees(buildMob(8, 'stand', true), buildMob(15, 'idle', false));
+        expect(diff.changes.map(c => `${c.op} ${c.path.join('/')}`)).toEqual([
+            'remove 100100.img/info/speed',
+            'change 100100.img/info/maxHP',
+            'rename 100100.img/stand',
+        ]);
+    });
+
+    test('a patch saved as JSON brings another copy up to date', async () => {
+        // Through JSON, as the CLI and editor save it
+        const patch = JSON.parse(JSON.stringify(await createPatch(await diffWzTrees(buildMob(8, 'stand', true), buildMob(15, 'idle', false)))));
+        const target = buildMob(8, 'stand', true);
+        expect(await applyPatch(target, patch)).toEqual({ applied: 3, conflicts: [] });
+        expect((await diffWzTrees(target, buildMob(15, 'idle', false))).changes).toEqual([]);
+    });
+
+    test('re-applying a patch reports every change as a conflict', async () => {
+        const patch = await createPatch(await diffWzTrees(buildMob(8, 'stand', true), buildMob(15, 'idle', false)));
+        const target = buildMob(8, 'stand', true);
+        await applyPatch(target, patch);
+
+        // Already patched — nothing matches the base any more
+        const again = await applyPatch(target, patch);
+        expect(again.applied).toBe(0);
+        expect(again.conflicts).toHaveLength(3);
+    });
+});
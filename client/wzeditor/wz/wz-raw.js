@@ -0,0 +1,86 @@
+/**
+ * Raw canvas / sound payloads for Classic XML export.
+ *
+ * Canvas basedata is the raw WZ compressed pixel stream (base64, tagged with
+ * wzrawformat) and sound basehead/basedata are the raw bytes — no PNG
+ * conversion. listWz-encrypted canvas blocks are decrypted to plain zlib.
+ *
+ * Shared by tools/wz2xml.mjs and the game server's .wz reader
+ * (server/src/wz-archive.ts).
+ */
+
+/**
+ * Base64-encode a Uint8Array (chunked to avoid stack overflow).
+ */
+export function uint8ToBase64(bytes) {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 8192) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 8192)));
+    }
+    return btoa(chunks.join(''));
+}
+
+/**
+ * Decrypt listWz block-encrypted data → plain zlib stream.
+ * ListWz format: repeating [int32 blockSize] [blockSize XOR-encrypted bytes]
+ */
+export function decryptListWzBlocks(data, wzKey) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const output = [];
+    let pos = 0;
+    while (pos < data.length) {
+        if (pos + 4 > data.length) break;
+        const blockSize = view.getInt32(pos, true);
+        pos += 4;
+        if (blockSize <= 0 || pos + blockSize > data.length) break;
+        wzKey.ensureKeySize(blockSize);
+        for (let i = 0; i < blockSize; i++) {
+            output.push(data[pos + i] ^ wzKey.at(i));
+        }
+        pos += blockSize;
+    }
+    return new Uint8Array(output);
+}
+
+/**
+ * Walk a parsed image's nodes and set raw base64 for canvas/sound from the WZ buffer.
+ * Detects listWz encrypted blocks and decrypts them to plain zlib.
+ *
+ * @param {import('./wz-node.js').WzNode} node - parsed image node
+ * @param {ArrayBuffer} wzBuffer - the .wz file the image was parsed from
+ * @param {import('./wz-crypto.js').WzMutableKey} wzKey
+ */
+export function extractRawBase64(node, wzBuffer, wzKey) {
+    const stack = [...node.children];
+    while (stack.length) {
+        const n = stack.pop();
+
+        if (n.type === 'canvas' && !n.basedata && n._pngInfo) {
+            try {
+                const info = n._pngInfo;
+                let bytes = new Uint8Array(wzBuffer, info.dataOffset, info.dataLength);
+
+                // Check if standard zlib (78 xx header) or listWz encrypted blocks
+                const header = bytes.length >= 2 ? (bytes[0] | (bytes[1] << 8)) : 0;
+                const isStdZlib = (header === 0x9C78 || header === 0xDA78 || header === 0x0178 || header === 0x5E78);
+                if (!isStdZlib && bytes.length > 4) {
+                    // listWz encrypted blocks — decrypt to plain zlib
+                    bytes = decryptListWzBlocks(bytes, wzKey);
+                }
+
+                n.basedata = uint8ToBase64(bytes);
+                n.wzrawformat = info.format;
+            } catch { /* skip */ }
+        }
+
+        if (n.type === 'sound' && !n.basedata && n._soundInfo) {
+            try {
+                const si = n._soundInfo;
+                n.basehead = uint8ToBase64(new Uint8Array(wzBuffer, si.headerOffset, si.headerLength));
+                n.basedata = uint8ToBase64(new Uint8Array(wzBuffer, si.dataOffset, si.dataLength));
+            } catch { /* skip */ }
+        }
+
+        for (const child of n.children) stack.push(child);
+    }
+}
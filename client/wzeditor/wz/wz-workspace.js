@@ -0,0 +1,249 @@
+/**
+ * Multi-file workspace — several WzNode trees open side by side (Base.wz,
+ * Character.wz, Map.wz, String.wz …) with link resolution across them.
+ *
+ * Links followed:
+ *   uol       — value is relative to the UOL's parent ("../../stand/0")
+ *   _inlink   — string child of a canvas, path from the canvas's image ("stand/0")
+ *   _outlink  — string child of a canvas, path from the archive root with the
+ *               .wz name (no extension) first ("Mob/8800000.img/stand/0").
+ *               Split archives (Map001.wz, Map2.wz …) are searched after the
+ *               file of that exact name.
+ *
+ * A link whose target is itself a link (UOL → UOL, canvas with _outlink) is
+ * followed through to the data it ends on.
+ */
+
+/** @typedef {import('./wz-node.js').WzNode} WzNodeT */
+
+/**
+ * @typedef {object} WzWorkspaceFile
+ * @property {string} name - "Map.wz", or the XML directory / file name
+ * @property {WzNodeT} root
+ * @property {ArrayBuffer|null} wzBuffer - original bytes (binary files only)
+ * @property {string} mapleVersion - encryption of a binary file
+ * @property {number} version - detected patch version (0 if unknown)
+ * @property {string} sourceInfo - one-line description for the toolbar
+ */
+
+/**
+ * @typedef {object} WzLink
+ * @property {'uol'|'_inlink'|'_outlink'} kind
+ * @property {string} value - the link path as stored
+ * @property {WzNodeT} node - the UOL, or the canvas holding _inlink / _outlink
+ */
+
+/**
+ * @typedef {object} WzBrokenLink
+ * @property {string} file - workspace file name
+ * @property {string[]} path - names below the file root to the linking node
+ * @property {WzLink['kind']} kind
+ * @property {string} value
+ * @property {string} reason
+ */
+
+/** Links followed through before giving up (UOL chains are short in practice) */
+const MAX_LINK_HOPS = 16;
+const CANVAS_LINKS = ['_inlink', '_outlink'];
+
+/**
+ * The link a node carries: a UOL, a canvas with _inlink / _outlink, or the
+ * _inlink / _outlink string itself. Null for anything else.
+ * @param {WzNodeT} node
+ * @returns {WzLink|null}
+ */
+export function linkOf(node) {
+    if (node.type === 'uol') return { kind: 'uol', value: String(node.value ?? ''), node };
+    if (node.type === 'string' && CANVAS_LINKS.includes(node.name) && node.parent?.type === 'canvas') {
+        return { kind: node.name, value: String(node.value ?? ''), node: node.parent };
+    }
+    if (node.type === 'canvas') {
+        const child = node.children.find(c => c.type === 'string' && CANVAS_LINKS.includes(c.name));
+        if (child) return { kind: child.name, value: String(child.value ?? ''), node };
+    }
+    return null;
+}
+
+/** "Map.wz", "map", "Map" → "map" */
+function fileKey(name) {
+    return name.toLowerCase().replace(/\.wz$/, '');
+}
+
+function imageOf(node) {
+    for (let n = node; n; n = n.parent) if (n.type === 'image') return n;
+    return null;
+}
+
+function collectImages(node, out) {
+    if (node.type === 'image') { out.push(node); return; }
+    for (const child of node.children) collectImages(child, out);
+}
+
+function collectLinks(node, out) {
+    if (node.type === 'uol' || node.type === 'canvas') {
+        const link = linkOf(node);
+        if (link) out.push(link);
+    }
+    for (const child of node.children) collectLinks(child, out);
+}
+
+export class WzWorkspace {
+    /**
+     * @param {object} [options]
+     * @param {(image: WzNodeT) => void|Promise<void>} [options.loadImage] - fills an
+     *   unparsed image (link targets can sit in images nobody has opened yet)
+     */
+    constructor(options = {}) {
+        /** @type {WzWorkspaceFile[]} */
+        this.files = [];
+        this.loadImage = options.loadImage ?? null;
+        /** Images loaded by checkLinks, released after each scanned image */
+        this._scanLoaded = null;
+    }
+
+    /**
+     * Add a file; one of the same name (case-insensitive, ".wz" optional) is replaced.
+     * @param {WzWorkspaceFile} file
+     * @returns {WzWorkspaceFile|null} the file it replaced
+     */
+    add(file) {
+        const existing = this.findFile(file.name);
+        if (existing) this.files[this.files.indexOf(existing)] = file;
+        else this.files.push(file);
+        return existing;
+    }
+
+    /** @param {WzWorkspaceFile} file */
+    remove(file) {
+        const idx = this.files.indexOf(file);
+        if (idx >= 0) this.files.splice(idx, 1);
+    }
+
+    /** @returns {WzWorkspaceFile|null} */
+    findFile(name) {
+        const key = fileKey(name);
+        return this.files.find(f => fileKey(f.name) === key) ?? null;
+    }
+
+    /**
+     * The file a node belongs to (null once its file was closed or replaced).
+     * @param {WzNodeT} node
+     * @returns {WzWorkspaceFile|null}
+     */
+    fileOf(node) {
+        let root = node;
+        while (root.parent) root = root.parent;
+        return this.files.find(f => f.root === root) ?? null;
+    }
+
+    /**
+     * Resolve a link to the node it ends on.
+     * @param {WzLink} link
+     * @returns {Promise<{target: WzNodeT|null, reason: string|null}>}
+     */
+    async resolveLink(link) {
+        const seen = new Set([link.node]);
+        for (let hop = 0; hop < MAX_LINK_HOPS; hop++) {
+            const { target, reason } = await this._resolveOnce(link);
+            if (!target) return { target: null, reason };
+            const next = linkOf(target);
+            if (!next) return { target, reason: null };
+            if (seen.has(next.node)) return { target: null, reason: 'link cycle' };
+            seen.add(next.node);
+            link = next;
+        }
+        return { target: null, reason: `more than ${MAX_LINK_HOPS} links in a row` };
+    }
+
+    async _resolveOnce(link) {
+        if (!link.value) return { target: null, reason: 'empty link' };
+        const segments = link.value.split('/');
+        if (link.kind === 'uol') {
+            const target = await this._walk(link.node.parent, segments);
+            return target ? { target, reason: null } : { target: null, reason: 'not found' };
+        }
+        if (link.kind === '_inlink') {
+            const image = imageOf(link.node);
+            if (!image) return { target: null, reason: 'not inside an image' };
+            const target = await this._walk(image, segments);
+            return target ? { target, reason: null } : { target: null, reason: 'not found' };
+        }
+
+        const [first, ...rest] = segments.filter(Boolean);
+        if (!first) return { target: null, reason: 'empty link' };
+        const files = this._filesFor(first);
+        if (files.length === 0) return { target: null, reason: `${first}.wz is not open` };
+        for (const file of files) {
+            const target = await this._walk(file.root, rest);
+            if (target) return { target, reason: null };
+        }
+        return { target: null, reason: 'not found' };
+    }
+
+    /** Files an _outlink's first segment can mean: the exact name, then split archives. */
+    _filesFor(segment) {
+        const key = fileKey(segment);
+        const split = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\d+$`);
+        const exact = this.files.filter(f => fileKey(f.name) === key);
+        return [...exact, ...this.files.filter(f => split.test(fileKey(f.name)))];
+    }
+
+    /** Walk relative path segments from a node, loading images on the way. */
+    async _walk(from, segments) {
+        let node = from;
+        for (const seg of segments) {
+            if (!node) return null;
+            if (seg === '' || seg === '.') continue;
+            if (seg === '..') { node = node.parent; continue; }
+            if (node.type === 'image' && !node.parsed) await this._load(node);
+            node = node.getChild(seg);
+        }
+        return node;
+    }
+
+    async _load(image) {
+        if (!this.loadImage) return;
+        await this.loadImage(image);
+        if (this._scanLoaded) this._scanLoaded.push(image);
+    }
+
+    /**
+     * Check every link in every file. Images loaded only for the check are
+     * released again after each one, so a whole client can be scanned.
+     * @param {object} [options]
+     * @param {(done: number, total: number, name: string) => void} [options.onProgress]
+     * @returns {Promise<WzBrokenLink[]>}
+     */
+    async checkLinks(options = {}) {
+        const images = [];
+        for (const file of this.files) collectImages(file.root, images);
+
+        const broken = [];
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+            const file = this.fileOf(image);
+            this._scanLoaded = [];
+            try {
+                if (!image.parsed) await this._load(image);
+                const links = [];
+                collectLinks(image, links);
+                for (const link of links) {
+                    const { target, reason } = await this.resolveLink(link);
+                    if (target) continue;
+                    const path = [];
+                    for (let n = link.node; n.parent; n = n.parent) path.unshift(n.name);
+                    broken.push({ file: file.name, path, kind: link.kind, value: link.value, reason });
+                }
+            } finally {
+                // Nothing loaded here can be modified yet — it was unparsed a moment ago
+                for (const loaded of this._scanLoaded) {
+                    loaded.children = [];
+                    loaded.parsed = false;
+                }
+                this._scanLoaded = null;
+            }
+            options.onProgress?.(i + 1, images.length, image.name);
+        }
+        return broken;
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Workspace tests — UOL / _inlink / _outlink resolution across open files,
+ * split archives, lazy image loading and the broken-link scan
+ * (wz-workspace.js). Run with `bun test client/wzeditor`.
+ */
+import { describe, expect, test } from 'bun:test';
+import { WzNode } from './wz-node.js';
+import { WzWorkspace, linkOf } from './wz-workspace.js';
+
+function add(parent, name, type, value = null) {
+    const node = new WzNode(name, type);
+    node.value = value;
+    node.parsed = true;
+    parent.addChild(node);
+    return node;
+}
+
+function fileNode(name) {
+    return Object.assign(new WzNode(name, 'file'), { parsed: true });
+}
+
+/**
+ * Mob.wz (filled only when a link needs it) and a split Mob2.wz linking back
+ * into it, plus an _inlink and an _outlink into a file that isn't open.
+ */
+function buildWorkspace() {
+    const mob = fileNode('Mob.wz');
+    const mobImage = new WzNode('100100.img', 'image');
+    mob.addChild(mobImage);
+    const workspace = new WzWorkspace({
+        loadImage: (img) => {
+            add(add(img, 'stand', 'sub'), '0', 'canvas');
+            const hit = add(img, 'hit', 'sub');
+            add(hit, '0', 'uol', '../stand/0');
+            add(hit, '1', 'uol', '0');
+            add(hit, '2', 'uol', '../die/0');
+            img.parsed = true;
+        },
+    });
+
+    const mob2 = fileNode('Mob2.wz');
+    const image = add(mob2, '9300000.img', 'image');
+    const out = add(add(image, 'stand', 'sub'), '0', 'canvas');
+    add(out, '_outlink', 'string', 'Mob/100100.img/hit/1');
+    add(add(image, 'move', 'canvas'), '_inlink', 'string', 'stand/1');
+    add(add(image, 'skill', 'canvas'), '_outlink', 'string', 'Skill/000.img/skill/0');
+    workspace.add({ name: 'Mob.wz', root: mob, wzBuffer: null, mapleVersion: 'GMS', version: 83, sourceInfo: '' });
+    workspace.add({ name: 'Mob2.wz', root: mob2, wzBuffer: null, mapleVersion: 'GMS', version: 83, sourceInfo: '' });
+    return { workspace, mobImage, out };
+}
+
+describe('wz workspace', () => {
+    test('reports broken links and releases images loaded for the scan', async () => {
+        const { workspace, mobImage } = buildWorkspace();
+        const broken = await workspace.checkLinks();
+        expect(broken.map(b => `${b.file} ${b.path.join('/')} ${b.kind}: ${b.reason}`)).toEqual([
+            'Mob.wz 100100.img/hit/2 uol: not found',
+            'Mob2.wz 9300000.img/move _inlink: not found',
+            'Mob2.wz 9300000.img/skill _outlink: Skill.wz is not open',
+        ]);
+        // Loaded for the check only
+        expect(mobImage.parsed).toBe(false);
+    });
+
+    test('an _outlink resolves through UOLs in another file', async () => {
+        const { workspace, out } = buildWorkspace();
+        // _outlink → UOL → UOL → canvas, loading Mob.wz's image on the way
+        const { target } = await workspace.resolveLink(linkOf(out));
+        expect(target.getPath()).toBe('Mob.wz/100100.img/stand/0');
+        expect(workspace.fileOf(target).name).toBe('Mob.wz');
+    });
+});
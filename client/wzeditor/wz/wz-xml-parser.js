@@ -21,14 +21,7 @@ import { WzNode } from './wz-node.js';
  * @returns {WzNode}
  */
 export function parseXmlString(xmlText, sourceName = 'unknown.xml') {
-    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
-    const root = doc.documentElement;
-
-    // Check for parse error
-    const parseError = doc.querySelector('parsererror');
-    if (parseError) {
-        throw new Error(`XML parse error in ${sourceName}: ${parseError.textContent}`);
-    }
+    const root = parseXmlRoot(xmlText, sourceName);
 
     if (root.tagName === 'imgdir') {
         // Format B: single image
@@ -109,8 +102,7 @@ export async function parseXmlImageLazy(imageNode) {
     }
 
     const xmlText = await imageNode._xmlGetText();
-    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
-    const root = doc.documentElement;
+    const root = parseXmlRoot(xmlText, imageNode.name);
 
     if (root.tagName !== 'imgdir') {
         throw new Error(`Expected <imgdir> root for image "${imageNode.name}", got <${root.tagName}>`);
@@ -125,6 +117,85 @@ export async function parseXmlImageLazy(imageNode) {
     imageNode.parsed = true;
 }
 
+// ─── XML Documents ───────────────────────────────────────────────────────────
+
+/**
+ * Root element of an XML document — DOMParser in the browser, elsewhere
+ * (Bun / Node CLIs such as tools/xml2wz.mjs) parseXmlElements.
+ * @param {string} xmlText
+ * @param {string} sourceName
+ * @returns {Element|XmlElement}
+ */
+function parseXmlRoot(xmlText, sourceName) {
+    if (typeof DOMParser === 'undefined') return parseXmlElements(xmlText, sourceName);
+
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    const parseError = doc.querySelector('parsererror');
+    if (parseError) {
+        throw new Error(`XML parse error in ${sourceName}: ${parseError.textContent}`);
+    }
+    return doc.documentElement;
+}
+
+/** The slice of the DOM Element API the parsers below use. */
+class XmlElement {
+    constructor(tagName, attributes) {
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.children = [];
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+}
+
+const XML_ENTITIES = { quot: '"', apos: "'", amp: '&', lt: '<', gt: '>' };
+
+function decodeXmlEntities(text) {
+    if (!text.includes('&')) return text;
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ent) => {
+        if (ent[0] !== '#') return XML_ENTITIES[ent] ?? match;
+        return String.fromCodePoint(ent[1] === 'x' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10));
+    });
+}
+
+/**
+ * Minimal element parser for Harepacker XML: elements and attributes only
+ * (the layouts carry no text content). Declarations and comments are skipped.
+ * @param {string} xmlText
+ * @param {string} sourceName
+ * @returns {XmlElement}
+ */
+function parseXmlElements(xmlText, sourceName) {
+    const tagRe = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g;
+    const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const stack = [];
+    let root = null;
+    let m;
+    while ((m = tagRe.exec(xmlText))) {
+        if (!m[2]) continue; // <?xml ...?> or comment
+        if (m[1]) {
+            const open = stack.pop();
+            if (!open || open.tagName !== m[2]) {
+                throw new Error(`XML parse error in ${sourceName}: unexpected </${m[2]}>`);
+            }
+            continue;
+        }
+        const attributes = new Map();
+        for (const a of m[3].matchAll(attrRe)) attributes.set(a[1], decodeXmlEntities(a[2] ?? a[3]));
+        const elem = new XmlElement(m[2], attributes);
+        if (stack.length > 0) stack[stack.length - 1].children.push(elem);
+        else if (!root) root = elem;
+        else throw new Error(`XML parse error in ${sourceName}: more than one root element`);
+        if (!m[4]) stack.push(elem);
+    }
+    if (!root || stack.length > 0) {
+        throw new Error(`XML parse error in ${sourceName}: ${root ? `unclosed <${stack[stack.length - 1].tagName}>` : 'no root element'}`);
+    }
+    return root;
+}
+
 // ─── Internal Parsing ────────────────────────────────────────────────────────
 
 /**
@@ -14,15 +14,21 @@ import { getIvByMapleVersion } from './wz/wz-constants.js';
 import { decodePixels, getDecompressedSize, inflate, rgbaToPngDataUrl } from './wz/wz-png.js';
 import { createSoundBlobUrl } from './wz/wz-sound.js';
 import { showContextMenu, hideContextMenu } from './ui/wz-context-menu.js';
-import { promptDialog, confirmDialog } from './ui/wz-dialogs.js';
+import { promptDialog, confirmDialog, selectDialog } from './ui/wz-dialogs.js';
 import { WzSearch } from './ui/wz-search.js';
+import { WzDiffView, DIFF_BADGES } from './ui/wz-diff-view.js';
+import { WzLinkReport } from './ui/wz-link-report.js';
 import { UndoStack, editAction, addAction, removeAction, renameAction, reorderAction } from './ui/wz-undo.js';
 import { showXmlView } from './ui/wz-xml-view.js';
 import { repackWzFile } from './wz/wz-binary-writer.js';
+import { extractRawBase64 } from './wz/wz-raw.js';
+import { diffWzTrees, createPatch, applyPatch } from './wz/wz-diff.js';
+import { WzWorkspace, linkOf } from './wz/wz-workspace.js';
 
 // ─── State ───────────────────────────────────────────────────────────────────
 
 const state = {
+    // Active workspace file — the one Save / Export / Compare act on
     root: null,
     selectedNode: null,
     mapleVersion: 'AUTO',
@@ -43,6 +49,9 @@ const state = {
     xmlViewActive: false,
     // Export
     exporting: false,
+    // Compare
+    compare: null, // { base, root, wzBuffer, mapleVersion, diff, loadImage }
+    diffMarks: new Map(), // path below root → change op, for tree badges
 };
 
 // ─── DOM References ──────────────────────────────────────────────────────────
@@ -63,11 +72,17 @@ const encryptionSelect = $('#encryption-select');
 const btnUndo = $('#btn-undo');
 const btnRedo = $('#btn-redo');
 const btnSearch = $('#btn-search');
+const btnCompare = $('#btn-compare');
+const btnApplyPatch = $('#btn-apply-patch');
+const btnCheckLinks = $('#btn-check-links');
+const treeHeader = $('#tree-header');
 const progressWrap = $('#progress-wrap');
 const progressFill = $('#progress-fill');
 const progressText = $('#progress-text');
 const fileInputWz = $('#file-input-wz');
 const fileInputXml = $('#file-input-xml');
+const fileInputCompare = $('#file-input-compare');
+const fileInputPatch = $('#file-input-patch');
 const dropOverlay = $('#drop-overlay');
 
 // ─── Search ──────────────────────────────────────────────────────────────────
@@ -77,6 +92,26 @@ const search = new WzSearch($('#tree-panel'), {
     getRoot: () => state.root,
 });
 
+// ─── Compare ─────────────────────────────────────────────────────────────────
+
+const diffView = new WzDiffView($('#editor-panel'), {
+    onNavigate: (path) => navigateToPath(state.compare.base, path),
+    onExportPatch: () => exportPatch(),
+    onClose: () => closeCompare(),
+});
+
+// ─── Workspace ───────────────────────────────────────────────────────────────
+
+const workspace = new WzWorkspace({ loadImage: (node) => readImageNode(node) });
+
+const linkReport = new WzLinkReport($('#editor-panel'), {
+    onNavigate: (entry) => {
+        const file = workspace.findFile(entry.file);
+        if (file) navigateToPath(file.root, entry.path);
+    },
+    onRecheck: () => checkLinks(),
+});
+
 // ─── Undo/Redo status ───────────────────────────────────────────────────────
 
 state.undoStack.onChange = (canUndo, canRedo) => {
@@ -96,8 +131,7 @@ btnOpenWz.addEventListener('click', () => fileInputWz.click());
 btnOpenXml.addEventListener('click', openXml);
 
 fileInputWz.addEventListener('change', async (e) => {
-    const file = e.target.files[0];
-    if (file) await openWzFile(file);
+    for (const file of e.target.files) await openWzFile(file);
     fileInputWz.value = '';
 });
 
@@ -114,6 +148,21 @@ btnImport.addEventListener('click', importXml);
 btnUndo.addEventListener('click', () => doUndo());
 btnRedo.addEventListener('click', () => doRedo());
 btnSearch.addEventListener('click', () => search.toggle());
+btnCompare.addEventListener('click', compareWith);
+btnApplyPatch.addEventListener('click', () => fileInputPatch.click());
+btnCheckLinks.addEventListener('click', checkLinks);
+
+fileInputCompare.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await compareWithWzFile(file);
+    fileInputCompare.value = '';
+});
+
+fileInputPatch.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (file) await applyPatchFile(file);
+    fileInputPatch.value = '';
+});
 
 // Drag & Drop
 document.addEventListener('dragover', (e) => {
@@ -126,10 +175,10 @@ document.addEventListener('dragleave', (e) => {
 document.addEventListener('drop', async (e) => {
     e.preventDefault();
     dropOverlay.classList.remove('active');
-    const file = e.dataTransfer.files[0];
-    if (!file) return;
-    if (file.name.endsWith('.wz')) await openWzFile(file);
-    else if (file.name.endsWith('.xml')) await openXmlFile(file);
+    for (const file of e.dataTransfer.files) {
+        if (file.name.endsWith('.wz')) await openWzFile(file);
+        else if (file.name.endsWith('.xml')) await openXmlFile(file);
+    }
 });
 
 setupResizer($('#resizer'), $('#tree-panel'));
@@ -140,19 +189,19 @@ async function openWzFile(file) {
     setStatus(`Loading ${file.name} (${formatSize(file.size)})...`);
     try {
         const buffer = await file.arrayBuffer();
-        state.wzBuffer = buffer;
-        const encSetting = encryptionSelect.value;
         setStatus(`Parsing ${file.name}...`);
 
-        const result = parseWzFile(buffer, file.name, encSetting, -1, (msg) => setStatus(msg));
+        // The selection stays on Auto-detect so each file of a workspace gets its own
+        const result = parseWzFile(buffer, file.name, encryptionSelect.value, -1, (msg) => setStatus(msg));
 
-        state.root = result.root;
-        state.detectedVersion = result.version;
-        state.mapleVersion = result.mapleVersion;
-        if (encSetting === 'AUTO') encryptionSelect.value = result.mapleVersion;
-
-        state.sourceInfo = `${file.name} (binary, ${result.mapleVersion}, v${result.version}${result.is64Bit ? ', 64-bit' : ''})`;
-        onTreeLoaded();
+        addFile({
+            name: file.name,
+            root: result.root,
+            wzBuffer: buffer,
+            mapleVersion: result.mapleVersion,
+            version: result.version,
+            sourceInfo: `${file.name} (binary, ${result.mapleVersion}, v${result.version}${result.is64Bit ? ', 64-bit' : ''})`,
+        });
     } catch (err) {
         setStatus(`Error: ${err.message}`);
         console.error(err);
@@ -179,10 +228,14 @@ async function openXmlDirectoryHandle(dirHandle) {
     if (files.length === 0) { setStatus('No .xml files found.'); return; }
     setStatus(`Parsing ${files.length} XML files...`);
     const root = await parseXmlDirectory(files, dirHandle.name, (d, t) => setStatus(`Parsing XML: ${d}/${t}`));
-    state.root = root;
-    state.wzBuffer = null;
-    state.sourceInfo = `${dirHandle.name} (xml, ${root.countImages()} images)`;
-    onTreeLoaded();
+    addFile({
+        name: dirHandle.name,
+        root,
+        wzBuffer: null,
+        mapleVersion: encryptionSelect.value,
+        version: 0,
+        sourceInfo: `${dirHandle.name} (xml, ${root.countImages()} images)`,
+    });
 }
 
 async function collectXmlFiles(dirHandle, prefix, files) {
@@ -199,37 +252,107 @@ async function openXmlFile(file) {
     setStatus(`Loading ${file.name}...`);
     try {
         const text = await file.text();
-        state.root = parseXmlString(text, file.name);
-        state.wzBuffer = null;
-        state.sourceInfo = `${file.name} (xml)`;
-        onTreeLoaded();
+        addFile({
+            name: file.name,
+            root: parseXmlString(text, file.name),
+            wzBuffer: null,
+            mapleVersion: encryptionSelect.value,
+            version: 0,
+            sourceInfo: `${file.name} (xml)`,
+        });
     } catch (err) {
         setStatus(`Error: ${err.message}`);
         console.error(err);
     }
 }
 
+/** Add an opened file to the workspace (replacing one of the same name) and make it active. */
+function addFile(file) {
+    const replaced = workspace.add(file);
+    if (replaced) forgetFile(replaced);
+    activateFile(file);
+    onTreeLoaded();
+}
+
+/** Make a workspace file the one Save / Export / Compare / Apply Patch act on. */
+function activateFile(file) {
+    state.root = file.root;
+    state.wzBuffer = file.wzBuffer;
+    state.mapleVersion = file.mapleVersion;
+    state.detectedVersion = file.version;
+    state.sourceInfo = file.sourceInfo;
+    sourceInfo.textContent = file.sourceInfo;
+}
+
+function activateFileOf(node) {
+    const file = workspace.fileOf(node);
+    if (file && file.root !== state.root) activateFile(file);
+}
+
+/** Drop editor state that points into a file which left the workspace. */
+function forgetFile(file) {
+    state.modifiedNodes = new Set([...state.modifiedNodes].filter(n => rootOf(n) !== file.root));
+    updateModifiedCount();
+    if (state.compare?.base === file.root) closeCompare();
+    if (state.selectedNode && rootOf(state.selectedNode) === file.root) {
+        state.selectedNode = null;
+        propEditor.style.display = 'none';
+        previewPanel.innerHTML = '';
+    }
+}
+
+async function closeFile(root) {
+    const file = workspace.fileOf(root);
+    if (!file) return;
+    if ([...state.modifiedNodes].some(n => rootOf(n) === root)) {
+        const ok = await confirmDialog('Close File', `${file.name} has unsaved changes. Close it anyway?`);
+        if (!ok) return;
+    }
+    workspace.remove(file);
+    forgetFile(file);
+    linkReport.hide();
+    if (workspace.files.length > 0) {
+        if (state.root === root) activateFile(workspace.files[0]);
+    } else {
+        state.root = null;
+        state.wzBuffer = null;
+        state.sourceInfo = '';
+        sourceInfo.textContent = '';
+        setFileButtonsEnabled(false);
+    }
+    updateTreeHeader();
+    rebuildFlatList();
+    renderTree();
+    setStatus(`Closed ${file.name}`);
+}
+
+function setFileButtonsEnabled(enabled) {
+    for (const btn of [btnExport, btnImport, btnSaveWz, btnCompare, btnApplyPatch, btnCheckLinks]) btn.disabled = !enabled;
+}
+
+function updateTreeHeader() {
+    const count = workspace.files.length;
+    treeHeader.textContent = count > 1 ? `Workspace — ${count} files` : 'Explorer';
+}
+
 function onTreeLoaded() {
     const welcome = $('#welcome');
     if (welcome) welcome.style.display = 'none';
     propEditor.style.display = 'none';
     previewPanel.innerHTML = '';
-    sourceInfo.textContent = state.sourceInfo;
-    btnExport.disabled = false;
-    btnImport.disabled = false;
-    btnSaveWz.disabled = false;
-    state.modifiedNodes.clear();
+    setFileButtonsEnabled(true);
+    updateTreeHeader();
     rebuildFlatList();
     renderTree();
-    setStatus(`Loaded — ${state.root.countImages()} images`);
+    const others = workspace.files.length - 1;
+    setStatus(`Loaded ${state.root.name} — ${state.root.countImages()} images${others > 0 ? ` (${others} other file${others !== 1 ? 's' : ''} open)` : ''}`);
 }
 
 // ─── Virtual-Scroll Tree ─────────────────────────────────────────────────────
 
 function rebuildFlatList() {
     state.flatNodes = [];
-    if (!state.root) return;
-    flattenNode(state.root, 0);
+    for (const file of workspace.files) flattenNode(file.root, 0);
 }
 
 function flattenNode(node, depth) {
@@ -257,18 +380,22 @@ function renderTree() {
         const hasChildren = node.children.length > 0 || (!node.parsed && (node._binarySource || node._xmlGetText));
         const selected = state.selectedNode === node;
         const modified = node.modified;
+        const activeFile = depth === 0 && node === state.root && workspace.files.length > 1;
 
         const toggleChar = !isContainer ? '&nbsp;' : (node.expanded ? '▼' : (hasChildren ? '▶' : '&nbsp;'));
         const valStr = !isContainer && node.type !== 'null' ? escHtml(truncate(node.getDisplayValue(), 50)) : '';
         const top = i * state.ROW_HEIGHT;
+        const diffOp = state.diffMarks.size > 0 && rootOf(node) === state.compare?.base
+            ? state.diffMarks.get(pathBelowRoot(node)) : undefined;
 
-        html += `<div class="tree-node${selected ? ' selected' : ''}${modified ? ' modified' : ''}" `
+        html += `<div class="tree-node${selected ? ' selected' : ''}${modified ? ' modified' : ''}${activeFile ? ' active-file' : ''}" `
             + `style="position:absolute;top:${top}px;left:0;right:0;padding-left:${depth * 16 + 6}px" `
             + `data-idx="${i}">`
             + `<span class="tree-toggle">${toggleChar}</span>`
             + `<span class="tree-icon">${node.getIcon()}</span>`
             + `<span class="tree-name">${escHtml(node.name)}</span>`
             + (valStr ? `<span class="tree-value">${valStr}</span>` : '')
+            + (diffOp ? `<span class="diff-badge diff-${diffOp}">${DIFF_BADGES[diffOp]}</span>` : '')
             + `</div>`;
     }
     html += '</div>';
@@ -287,6 +414,7 @@ treeContainer.addEventListener('click', async (e) => {
 
     state.selectedNode = node;
     state.xmlViewActive = false;
+    activateFileOf(node);
 
     if (node.isContainer()) {
         if (!node.parsed) await lazyParseNode(node);
@@ -310,18 +438,11 @@ async function lazyParseNode(node) {
         return;
     }
 
-    if (node._binarySource && state.wzBuffer) {
+    const file = workspace.fileOf(node);
+    if (node._binarySource && file?.wzBuffer) {
         setStatus(`Parsing ${node.name}...`);
         try {
-            const src = node._binarySource;
-            const wzKey = generateWzKey(getIvByMapleVersion(state.mapleVersion));
-            const reader = new WzBinaryReader(state.wzBuffer, wzKey);
-            reader.hash = src.hash;
-            reader.header = { fStart: src.headerFStart, fSize: 0, ident: 'PKG1', copyright: '' };
-            reader.pos = src.offset;
-            const children = parseImageFromReader(reader, src.offset);
-            for (const child of children) node.addChild(child);
-            node.parsed = true;
+            readBinaryImage(node, file.wzBuffer, file.mapleVersion);
             setStatus(`Parsed ${node.name} — ${node.children.length} properties`);
         } catch (err) {
             setStatus(`Error parsing ${node.name}: ${err.message}`);
@@ -333,6 +454,30 @@ async function lazyParseNode(node) {
     node.parsed = true;
 }
 
+/** Fill an image for link resolution — the quiet counterpart of lazyParseNode. */
+async function readImageNode(node) {
+    if (node._xmlGetText) {
+        await parseXmlImageLazy(node);
+        return;
+    }
+    const file = workspace.fileOf(node);
+    if (node._binarySource && file?.wzBuffer) readBinaryImage(node, file.wzBuffer, file.mapleVersion);
+    else node.parsed = true;
+}
+
+/** Parse a binary image's properties from the .wz buffer it came from. */
+function readBinaryImage(node, wzBuffer, mapleVersion) {
+    const src = node._binarySource;
+    const wzKey = generateWzKey(getIvByMapleVersion(mapleVersion));
+    const reader = new WzBinaryReader(wzBuffer, wzKey);
+    reader.hash = src.hash;
+    reader.header = { fStart: src.headerFStart, fSize: 0, ident: 'PKG1', copyright: '' };
+    reader.pos = src.offset;
+    const children = parseImageFromReader(reader, src.offset);
+    for (const child of children) node.addChild(child);
+    node.parsed = true;
+}
+
 // ─── Property Editor ─────────────────────────────────────────────────────────
 
 function showProperties(node) {
@@ -396,6 +541,37 @@ function showProperties(node) {
         default:
             if (node.isContainer()) addPropRow('Children', String(node.children.length), true);
     }
+
+    const link = linkOf(node);
+    if (link) addLinkRow(node, link);
+}
+
+/** Where a UOL / _inlink / _outlink ends up, with a button to go there. */
+function addLinkRow(node, link) {
+    const row = document.createElement('div');
+    row.className = 'prop-row';
+    const lbl = document.createElement('label');
+    lbl.textContent = 'Target';
+    const targetEl = document.createElement('span');
+    targetEl.className = 'prop-link';
+    targetEl.textContent = 'Resolving…';
+    const btn = document.createElement('button');
+    btn.className = 'prop-link-btn';
+    btn.textContent = 'Go →';
+    btn.title = 'Go to link target (F12)';
+    btn.disabled = true;
+    btn.addEventListener('click', () => followLink(node));
+    row.append(lbl, targetEl, btn);
+    propEditor.appendChild(row);
+
+    workspace.resolveLink(link).then(({ target, reason }) => {
+        targetEl.textContent = target ? target.getPath() : `Broken — ${reason}`;
+        targetEl.classList.toggle('broken', !target);
+        btn.disabled = !target;
+    }).catch((err) => {
+        targetEl.textContent = `Error — ${err.message}`;
+        targetEl.classList.add('broken');
+    });
 }
 
 function addPropRow(label, value, readOnly, type = 'text', onChange = null) {
@@ -1274,6 +1450,237 @@ async function importXml() {
     input.click();
 }
 
+// ─── Compare / Patch ─────────────────────────────────────────────────────────
+
+async function compareWith() {
+    if (!state.root) return;
+    const openFiles = workspace.files.filter(f => f.root !== state.root);
+    const kind = await selectDialog('Compare', `Compare ${state.root.name} with:`, [
+        { value: 'wz', label: '.wz file' },
+        { value: 'xml', label: 'XML directory' },
+        ...openFiles.map(f => ({ value: `open:${f.name}`, label: `${f.name} (open)` })),
+    ]);
+    if (kind === 'wz') fileInputCompare.click();
+    else if (kind === 'xml') await compareWithXmlDirectory();
+    else if (kind?.startsWith('open:')) {
+        const file = workspace.findFile(kind.slice(5));
+        if (file) await runCompare({ root: file.root, wzBuffer: file.wzBuffer, mapleVersion: file.mapleVersion });
+    }
+}
+
+async function compareWithWzFile(file) {
+    setStatus(`Loading ${file.name} (${formatSize(file.size)})...`);
+    try {
+        const buffer = await file.arrayBuffer();
+        const result = parseWzFile(buffer, file.name, 'AUTO', -1, (msg) => setStatus(msg));
+        await runCompare({ root: result.root, wzBuffer: buffer, mapleVersion: result.mapleVersion });
+    } catch (err) {
+        setStatus(`Error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+async function compareWithXmlDirectory() {
+    if (!window.showDirectoryPicker) {
+        setStatus('Comparing with an XML directory needs directory access (Chrome / Edge).');
+        return;
+    }
+    try {
+        const dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+        setStatus(`Scanning ${dirHandle.name}...`);
+        const files = [];
+        await collectXmlFiles(dirHandle, '', files);
+        if (files.length === 0) { setStatus('No .xml files found.'); return; }
+        const root = await parseXmlDirectory(files, dirHandle.name);
+        await runCompare({ root, wzBuffer: null, mapleVersion: null });
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+        setStatus(`Error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+/** Fill an image for Compare / Apply Patch — parsed, raw canvas / sound payloads attached. */
+async function loadImageWithPayloads(node, wzBuffer, mapleVersion) {
+    if (node._xmlGetText) {
+        await parseXmlImageLazy(node);
+        return;
+    }
+    if (!node._binarySource || !wzBuffer) {
+        node.parsed = true;
+        return;
+    }
+    readBinaryImage(node, wzBuffer, mapleVersion);
+    extractRawBase64(node, wzBuffer, generateWzKey(getIvByMapleVersion(mapleVersion)));
+}
+
+/** Attach raw payloads to images of an open .wz that were already expanded (diffs hash them). */
+function attachPayloads(root) {
+    const file = workspace.fileOf(root);
+    if (!file?.wzBuffer) return;
+    const wzKey = generateWzKey(getIvByMapleVersion(file.mapleVersion));
+    const walk = (node) => {
+        if (node.type === 'image') {
+            if (node.parsed) extractRawBase64(node, file.wzBuffer, wzKey);
+            return;
+        }
+        for (const child of node.children) walk(child);
+    };
+    walk(root);
+}
+
+async function runCompare(other) {
+    closeCompare();
+    attachPayloads(state.root);
+    attachPayloads(other.root);
+    // The active file can change while the comparison is open
+    const base = { root: state.root, wzBuffer: state.wzBuffer, mapleVersion: state.mapleVersion };
+    const loadImage = (node) => (rootOf(node) === base.root
+        ? loadImageWithPayloads(node, base.wzBuffer, base.mapleVersion)
+        : loadImageWithPayloads(node, other.wzBuffer, other.mapleVersion));
+
+    setStatus(`Comparing with ${other.root.name}...`);
+    try {
+        const diff = await diffWzTrees(base.root, other.root, {
+            loadImage,
+            unloadImages: true,
+            onProgress: (done, total, name) => showProgress(done, total, name),
+        });
+        hideProgress();
+        state.compare = { ...other, base: base.root, diff, loadImage };
+        setDiffMarks(diff);
+        diffView.show(diff);
+        rebuildFlatList();
+        renderTree();
+        const { added, removed, renamed, changed } = diff.stats;
+        setStatus(`Compared with ${other.root.name} — ${added} added, ${removed} removed, ${renamed} renamed, ${changed} changed`);
+    } catch (err) {
+        hideProgress();
+        setStatus(`Compare error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+function closeCompare() {
+    state.compare = null;
+    state.diffMarks.clear();
+    diffView.hide();
+    renderTree();
+}
+
+/** Tree badges: changed nodes of the open tree and the branches above them. */
+function setDiffMarks(diff) {
+    state.diffMarks.clear();
+    for (const change of diff.changes) {
+        // Added nodes aren't in the open tree — their parent gets the badge
+        const path = change.op === 'add' ? change.path.slice(0, -1) : change.path;
+        for (let i = 0; i < path.length; i++) {
+            const key = path.slice(0, i + 1).join('/');
+            if (i === path.length - 1 && change.op !== 'add') state.diffMarks.set(key, change.op);
+            else if (!state.diffMarks.has(key)) state.diffMarks.set(key, 'within');
+        }
+    }
+}
+
+function pathBelowRoot(node) {
+    const parts = [];
+    for (let n = node; n.parent; n = n.parent) parts.unshift(n.name);
+    return parts.join('/');
+}
+
+function rootOf(node) {
+    while (node.parent) node = node.parent;
+    return node;
+}
+
+/** Select the node at a path of names below a workspace root. */
+async function navigateToPath(root, path) {
+    let node = root;
+    for (const name of path) {
+        if (!node.parsed && node.isContainer()) await lazyParseNode(node);
+        node = node.children.find(c => c.name === name);
+        if (!node) return;
+    }
+    await navigateToNode(node);
+}
+
+async function exportPatch() {
+    const cmp = state.compare;
+    if (!cmp) return;
+    try {
+        setStatus('Building patch...');
+        const patch = await createPatch(cmp.diff, { loadImage: cmp.loadImage });
+        const baseName = cmp.base.name.replace(/\.wz$/i, '');
+        downloadBlob(JSON.stringify(patch), `${baseName}.wzpatch.json`, 'application/json');
+        setStatus(`Exported patch — ${patch.changes.length} changes`);
+    } catch (err) {
+        setStatus(`Patch export error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+async function applyPatchFile(file) {
+    if (!state.root) return;
+    try {
+        const patch = JSON.parse(await file.text());
+        const count = patch.changes?.length ?? 0;
+        const ok = await confirmDialog('Apply Patch', `Apply ${count} change(s) from ${file.name} to ${state.root.name}? This can't be undone.`);
+        if (!ok) return;
+
+        attachPayloads(state.root);
+        const { applied, conflicts } = await applyPatch(state.root, patch, {
+            loadImage: (node) => loadImageWithPayloads(node, state.wzBuffer, state.mapleVersion),
+            onModified: markModified,
+        });
+        for (const c of conflicts) console.warn(`Patch: ${c.op} ${c.path.join('/')} skipped — ${c.reason}`);
+        closeCompare();
+        rebuildFlatList();
+        renderTree();
+        setStatus(`Applied ${applied} change(s)${conflicts.length > 0 ? `, ${conflicts.length} skipped (see console)` : ''} — Save WZ to write them`);
+    } catch (err) {
+        setStatus(`Patch error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+// ─── Links ───────────────────────────────────────────────────────────────────
+
+async function followLink(node) {
+    const link = node && linkOf(node);
+    if (!link) return;
+    try {
+        const { target, reason } = await workspace.resolveLink(link);
+        if (!target) {
+            setStatus(`Broken ${link.kind} "${link.value}" — ${reason}`);
+            return;
+        }
+        await navigateToNode(target);
+        setStatus(`${link.kind} ${link.value} → ${target.getPath()}`);
+    } catch (err) {
+        setStatus(`Link error: ${err.message}`);
+        console.error(err);
+    }
+}
+
+async function checkLinks() {
+    if (workspace.files.length === 0) return;
+    setStatus(`Checking links in ${workspace.files.length} file(s)...`);
+    try {
+        const broken = await workspace.checkLinks({
+            onProgress: (done, total, name) => showProgress(done, total, name),
+        });
+        hideProgress();
+        linkReport.show(broken, workspace.files.length);
+        setStatus(broken.length === 0
+            ? `No broken links in ${workspace.files.length} file(s)`
+            : `${broken.length} broken link(s) — open the files they point into, or fix the paths`);
+    } catch (err) {
+        hideProgress();
+        setStatus(`Link check error: ${err.message}`);
+        console.error(err);
+    }
+}
+
 // ─── Context Menu Actions ────────────────────────────────────────────────────
 
 treeContainer.addEventListener('contextmenu', (e) => {
@@ -1285,6 +1692,7 @@ treeContainer.addEventListener('contextmenu', (e) => {
     if (!entry) return;
 
     state.selectedNode = entry.node;
+    activateFileOf(entry.node);
     renderTree();
     showProperties(entry.node);
 
@@ -1309,6 +1717,8 @@ async function handleContextAction(action, data) {
         case 'copy': copyNode(node); break;
         case 'paste': await pasteNode(node); break;
         case 'viewXml': toggleXmlView(node); break;
+        case 'followLink': await followLink(node); break;
+        case 'closeFile': await closeFile(node); break;
     }
 }
 
@@ -1540,6 +1950,11 @@ treeContainer.addEventListener('keydown', async (e) => {
             await renameNode(state.selectedNode);
             break;
         }
+        case 'F12': {
+            e.preventDefault();
+            await followLink(state.selectedNode);
+            break;
+        }
     }
 });
 
@@ -1580,6 +1995,7 @@ function selectByIndex(idx) {
     const entry = state.flatNodes[idx];
     if (!entry) return;
     state.selectedNode = entry.node;
+    activateFileOf(entry.node);
     renderTree();
     showProperties(entry.node);
     showPreview(entry.node);
@@ -1788,4 +2204,4 @@ function setupResizer(resizer, panel) {
 
 // ─── Init ────────────────────────────────────────────────────────────────────
 
-setStatus('Ready — open a .wz or .xml file to begin');
+setStatus('Ready — open one or more .wz / .xml files to begin');
@@ -3,12 +3,15 @@ import { createHash, randomBytes } from "node:crypto";
 import {
   appendLog,
   createAdminSession,
+  getAccountName,
   getAdminSession,
+  grantNx,
   isGm,
   purgeExpiredAdminSessions,
   revokeAdminSession,
   touchAdminSession,
 } from "./db.ts";
+import { MAX_NX_GRANT } from "./cash-shop.ts";
 
 type ColumnInfo = {
   cid: number;
@@ -98,6 +101,47 @@ function buildWhereFromOriginal(columns: ColumnInfo[], original: Record<string,
   throw new Error("Cannot identify row. Table has no usable PK and __rowid is missing.");
 }
 
+type ItemLocation = {
+  holder: "character" | "storage";
+  /** Character name or account */
+  name: string;
+  where: "equipment" | "inventory" | "storage";
+  item: Record<string, unknown>;
+};
+
+/** Where an item instance (item-instance.ts uid) is held — character saves and account storage. */
+function findItemInstance(reader: Database, uid: string): ItemLocation[] {
+  const pattern = `%${JSON.stringify(uid)}%`;
+  const found: ItemLocation[] = [];
+  const scan = (holder: ItemLocation["holder"], name: string, where: ItemLocation["where"], entries: unknown) => {
+    if (!Array.isArray(entries)) return;
+    for (const item of entries) {
+      if (item?.uid === uid) found.push({ holder, name, where, item });
+    }
+  };
+
+  const characters = reader
+    .query("SELECT name, data FROM characters WHERE data LIKE ?")
+    .all(pattern) as Array<{ name: string; data: string }>;
+  for (const row of characters) {
+    try {
+      const data = JSON.parse(row.data);
+      scan("character", row.name, "equipment", data.equipment);
+      scan("character", row.name, "inventory", data.inventory);
+    } catch {}
+  }
+
+  const storages = reader
+    .query("SELECT account, data FROM storage WHERE data LIKE ?")
+    .all(pattern) as Array<{ account: string; data: string }>;
+  for (const row of storages) {
+    try {
+      scan("storage", row.account, "storage", JSON.parse(row.data).items);
+    } catch {}
+  }
+  return found;
+}
+
 function hashToken(token: string): string {
   return createHash("sha256").update(token).digest("hex");
 }
@@ -446,6 +490,36 @@ export function createAdminApi(db: Database, cfg: AdminApiConfig): (request: Req
       }
     }
 
+    const itemMatch = path.match(/^\/api\/admin\/item\/([^/]+)$/);
+    if (method === "GET" && itemMatch) {
+      try {
+        const uid = decodeURIComponent(itemMatch[1]);
+        return json({ ok: true, uid, locations: findItemInstance(reader, uid) });
+      } catch (e) {
+        return json({ ok: false, error: { code: "BAD_REQUEST", message: String(e) } }, 400);
+      }
+    }
+
+    if (method === "POST" && path === "/api/admin/nx") {
+      try {
+        const body = (await request.json()) as { name?: string; amount?: number };
+        const name = String(body.name || "").trim();
+        const amount = Math.trunc(Number(body.amount));
+        if (!name || !Number.isFinite(amount) || amount === 0 || Math.abs(amount) > MAX_NX_GRANT) {
+          return json({ ok: false, error: { code: "BAD_REQUEST", message: `name and a non-zero amount (up to ${MAX_NX_GRANT}) are required` } }, 400);
+        }
+        const account = getAccountName(writer, name);
+        if (!account) {
+          return json({ ok: false, error: { code: "NOT_FOUND", message: `'${name}' is not a claimed account` } }, 404);
+        }
+        const nx = grantNx(writer, account, amount);
+        appendLog(db, adminAuth.username, `admin-ui: ${amount > 0 ? "granted" : "removed"} ${Math.abs(amount)} NX (account ${account})`);
+        return json({ ok: true, account, nx });
+      } catch (e) {
+        return json({ ok: false, error: { code: "BAD_REQUEST", message: String(e) } }, 400);
+      }
+    }
+
     if (method === "POST" && path === "/api/admin/query") {
       try {
         const body = (await request.json()) as { sql?: string };
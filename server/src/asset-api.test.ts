@@ -0,0 +1,79 @@
+/**
+ * Asset API tests — /api/v1 sections over resourcesv3 XML (fs-data-provider.ts):
+ * content-hash ETags, compression, payloads split out into ranged blobs.
+ */
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { createHash } from "node:crypto";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { createServer } from "./server.ts";
+import { FileSystemDataProvider } from "./fs-data-provider.ts";
+
+describe("asset API", () => {
+  let server: ReturnType<typeof import("bun")["serve"]>;
+  let baseUrl: string;
+  let dir: string;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "assets-"));
+    const footholds = Array.from({ length: 40 }, (_, i) =>
+      `<imgdir name="${i + 1}"><int name="x1" value="${i * 10}"/><int name="y1" value="0"/><int name="x2" value="${i * 10 + 10}"/><int name="y2" value="0"/></imgdir>`).join("");
+    mkdirSync(join(dir, "Map.wz/Map/Map1"), { recursive: true });
+    writeFileSync(join(dir, "Map.wz/Map/Map1/100000000.img.xml"), `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="100000000.img">
+  <imgdir name="info"><string name="bgm" value="Bgm00/FloralLife"/></imgdir>
+  <imgdir name="foothold"><imgdir name="0"><imgdir name="1">${footholds}</imgdir></imgdir></imgdir>
+  <imgdir name="miniMap"><canvas name="canvas" width="2" height="2" basedata="AAECAw==" wzrawformat="1"/></imgdir>
+</imgdir>`);
+    const { start } = createServer(new FileSystemDataProvider({ root: dir }), { port: 0, debug: false });
+    server = start();
+    baseUrl = `http://localhost:${server.port}/api/v1`;
+  });
+
+  afterAll(() => {
+    server?.stop();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("sections carry content-hash ETags and compress; payloads become blobs", async () => {
+    const asset = await (await fetch(`${baseUrl}/asset/map/100000000`)).json() as any;
+    expect(asset.data.sections).toEqual(["info", "footholds", "audio", "minimap"]);
+    expect((await fetch(`${baseUrl}/asset/map/100000000/portals`)).status).toBe(404);
+
+    const audio = await (await fetch(`${baseUrl}/asset/map/100000000/audio`)).json() as any;
+    expect(audio.data).toEqual({ bgm: "Bgm00/FloralLife" });
+
+    const res = await fetch(`${baseUrl}/asset/map/100000000/footholds`, { headers: { "Accept-Encoding": "br" } });
+    expect(res.headers.get("content-encoding")).toBe("br");
+    const etag = res.headers.get("etag")!;
+    expect(etag).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(((await res.json()) as any).data.$imgdir).toBe("foothold");
+    const again = await fetch(`${baseUrl}/asset/map/100000000/footholds`, { headers: { "If-None-Match": etag } });
+    expect(again.status).toBe(304);
+
+    const minimap = await (await fetch(`${baseUrl}/asset/map/100000000/minimap`)).json() as any;
+    const canvas = minimap.data.$$[0];
+    expect(canvas.basedata).toBeUndefined();
+    expect(canvas.wzrawformat).toBe("1");
+    expect(canvas.blob).toBe(createHash("sha256").update(Buffer.from([0, 1, 2, 3])).digest("hex"));
+  });
+
+  test("blobs are immutable and serve byte ranges", async () => {
+    const minimap = await (await fetch(`${baseUrl}/asset/map/100000000/minimap`)).json() as any;
+    const url = `${baseUrl}/blob/${minimap.data.$$[0].blob}`;
+
+    const full = await fetch(url);
+    expect(full.headers.get("cache-control")).toContain("immutable");
+    expect([...new Uint8Array(await full.arrayBuffer())]).toEqual([0, 1, 2, 3]);
+
+    const part = await fetch(url, { headers: { Range: "bytes=1-2" } });
+    expect(part.status).toBe(206);
+    expect(part.headers.get("content-range")).toBe("bytes 1-2/4");
+    expect([...new Uint8Array(await part.arrayBuffer())]).toEqual([1, 2]);
+
+    const tail = await fetch(url, { headers: { Range: "bytes=-1" } });
+    expect([...new Uint8Array(await tail.arrayBuffer())]).toEqual([3]);
+    expect((await fetch(url, { headers: { Range: "bytes=9-" } })).status).toBe(416);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Boss rules — respawn schedules, revive phases, and loot rights.
+ *
+ * A mob is a boss when Mob.wz `info/boss` is set (MobStats.boss). Mob state
+ * itself lives in ws.ts; this module holds the pure rules.
+ *
+ * Respawn: a boss comes back on its own schedule (BOSS_RESPAWN_MS, else the
+ * map life entry's `mobTime`, else DEFAULT_BOSS_RESPAWN_MS) instead of the
+ * regular mob delay. Timers are kept per spawn point (map + life index) and
+ * outlive the map's mob state, so emptying the map can't reset them. The
+ * server announces every boss spawn to all players.
+ *
+ * Phases: Mob.wz `info/revive` names the mob a boss turns into when it dies
+ * (e.g. Papulatus). The next phase appears in place with its own HP; the
+ * schedule only starts once the last phase dies.
+ *
+ * Loot rights: damage per player is tracked for the whole fight. Drops are
+ * dealt out to the players who did at least BOSS_LOOT_MIN_SHARE of it,
+ * heaviest hitter first, and stay protected for longer than regular drops.
+ */
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Per-boss respawn schedules (Mob.wz ID → ms). */
+const BOSS_RESPAWN_MS: Record<string, number> = {
+  "2220000": 45 * 60_000, // Mano
+  "3220000": 45 * 60_000, // Stumpy
+  "6130101": 60 * 60_000, // Mushmom
+  "6300005": 60 * 60_000, // Zombie Mushmom
+};
+
+/** Bosses without a schedule or `mobTime`. */
+const DEFAULT_BOSS_RESPAWN_MS = 30 * 60_000;
+/** Pause between one phase dying and the next appearing (death animation). */
+export const BOSS_REVIVE_DELAY_MS = 1_500;
+/** Share of the total damage needed to get loot rights. */
+const BOSS_LOOT_MIN_SHARE = 0.1;
+/** How long boss drops are reserved for their owner (regular drops: 5s). */
+export const BOSS_LOOT_PROTECTION_MS = 15_000;
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/** Respawn delay for a boss spawn point; `mobTime` is the map life entry's value in seconds. */
+export function getBossRespawnMs(mobId: string, mobTime: number): number {
+  return BOSS_RESPAWN_MS[mobId] ?? (mobTime > 0 ? mobTime * 1000 : DEFAULT_BOSS_RESPAWN_MS);
+}
+
+/** Add a hit to a boss's damage tally. */
+export function recordBossDamage(damageBy: Map<string, number>, clientId: string, damage: number): void {
+  if (damage > 0) damageBy.set(clientId, (damageBy.get(clientId) ?? 0) + damage);
+}
+
+/**
+ * Owner (session ID) for each of `dropCount` drops. Players who are no longer
+ * `eligible` (left the map) are skipped; if nobody qualifies, `fallbackId` owns everything.
+ */
+export function assignBossLoot(
+  dropCount: number,
+  damageBy: Map<string, number>,
+  eligible: (clientId: string) => boolean,
+  fallbackId: string,
+): string[] {
+  let total = 0;
+  for (const dmg of damageBy.values()) total += dmg;
+  const owners = [...damageBy.entries()]
+    .filter(([id, dmg]) => eligible(id) && total > 0 && dmg / total >= BOSS_LOOT_MIN_SHARE)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+  if (owners.length === 0) owners.push(fallbackId);
+  return Array.from({ length: dropCount }, (_, i) => owners[i % owners.length]);
+}
@@ -0,0 +1,45 @@
+/**
+ * Cash shop tests — Commodity.img parsing, gender and expiry of listings
+ * (cash-shop.ts) and the NX wallet (db.ts).
+ */
+import { describe, expect, test } from "bun:test";
+import { commodityExpiresAt, fitsGender, parseCommodities } from "./cash-shop.ts";
+import { grantNx, initDatabase, spendNx } from "./db.ts";
+
+describe("cash shop", () => {
+  const listing = (sn: number, fields: Record<string, number>) => ({
+    $imgdir: String(sn),
+    $$: Object.entries({ SN: sn, OnSale: 1, Price: 100, ...fields })
+      .map(([name, value]) => ({ $int: name, value: String(value) })),
+  });
+
+  test("commodities on sale, ordered by tab then priority", () => {
+    const list = parseCommodities({ $$: [
+      listing(20000001, { ItemId: 1002186, Gender: 0, Priority: 1 }),
+      listing(20000002, { ItemId: 1002187, Gender: 2, Priority: 9, Period: 90 }),
+      listing(10000001, { ItemId: 5220000, Count: 11 }),
+      listing(20000003, { ItemId: 1002188, OnSale: 0 }),
+      listing(20000004, { ItemId: 9101000 }),
+      listing(90000001, { ItemId: 1002189 }),
+      listing(50000001, { ItemId: 5072000, Period: 7 }),
+    ] });
+    expect(list.map(c => c.sn)).toEqual([10000001, 20000002, 20000001]);
+    expect(list[0]).toMatchObject({ item_id: 5220000, count: 11, tab: "Event", gender: 2 });
+
+    const [, hat, maleHat] = list;
+    expect(fitsGender(hat, true)).toBe(true);
+    expect(fitsGender(maleHat, true)).toBe(false);
+    expect(commodityExpiresAt(hat, 1000)).toBe(1000 + 90 * 24 * 60 * 60 * 1000);
+    expect(commodityExpiresAt(maleHat, 1000)).toBeUndefined();
+  });
+
+  test("NX wallet never goes negative", () => {
+    const db = initDatabase(":memory:");
+    expect(grantNx(db, "Alice", 500)).toBe(500);
+    expect(spendNx(db, "alice", 600)).toBe(false);
+    expect(spendNx(db, "alice", 200)).toBe(true);
+    expect(grantNx(db, "Alice", -1000)).toBe(0);
+    expect(grantNx(db, "Bob", -5)).toBe(0);
+    db.close();
+  });
+});
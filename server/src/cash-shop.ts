@@ -0,0 +1,119 @@
+/**
+ * Cash shop — commodities from Etc.wz/Commodity.img, bought with NX.
+ *
+ * Commodity.img layout (one imgdir per listing):
+ *   { SN, ItemId, Count, Price (NX), Period (days, 0 = permanent),
+ *     Priority, Gender (0 male / 1 female / 2 both), OnSale }
+ *
+ * The tab a listing appears under is its SN / 10000000 (v83 cash shop
+ * layout, CASH_TABS). Packages (ItemId 9xxxxxx, contents in
+ * CashPackage.img), listings that aren't on sale and timed (Period > 0)
+ * listings of anything but equips are left out — only equips keep an
+ * expiry in the inventory, stackable items would become permanent.
+ *
+ * NX lives in db.ts `cash_wallets`, one balance per claimed account. It is
+ * only granted by GMs (`/nx`, admin API) — there is no real-money path.
+ * Gachapon tickets are sold here like any other listing; rolling one draws
+ * from the reactor drop pools (reactor-system.ts rollGachaponPrize).
+ */
+import { resourcePath } from "./wz-xml.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface Commodity {
+  sn: number;
+  item_id: number;
+  count: number;
+  /** NX */
+  price: number;
+  /** Days until the item expires (0 = permanent) */
+  period: number;
+  /** 0 male, 1 female, 2 both */
+  gender: number;
+  priority: number;
+  tab: string;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+export const CASH_TABS: Record<number, string> = {
+  1: "Event", 2: "Equip", 3: "Use", 4: "Special", 5: "Etc", 6: "Pet",
+};
+
+export const GACHAPON_TICKET_ID = 5220000;
+
+/** Largest single NX grant / wallet balance a GM can set in one go. */
+export const MAX_NX_GRANT = 1_000_000_000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Caches ─────────────────────────────────────────────────────────
+
+let _commodities: Commodity[] | null = null;
+let _bySn: Map<number, Commodity> | null = null;
+
+// ─── Loading ────────────────────────────────────────────────────────
+
+function loadWzXml(relPath: string): any {
+  const filePath = resourcePath(relPath);
+  const { readWzImage } = require("./wz-xml.ts");
+  return readWzImage(filePath);
+}
+
+/** Listings on sale from a parsed Commodity.img, ordered by tab, priority (high first), SN. */
+export function parseCommodities(json: any): Commodity[] {
+  const list: Commodity[] = [];
+  for (const node of json?.$$ ?? []) {
+    const fields: Record<string, number> = {};
+    for (const c of node.$$ ?? []) {
+      const name = c.$int ?? c.$short ?? c.$string;
+      if (name) fields[name] = Math.floor(Number(c.value) || 0);
+    }
+    const tab = CASH_TABS[Math.floor((fields.SN ?? 0) / 10_000_000)];
+    const itemId = fields.ItemId ?? 0;
+    if (!tab || !fields.OnSale || itemId <= 0 || itemId >= 9_000_000 || !(fields.Price > 0)) continue;
+    // Only equips carry an expiry in the inventory; a timed stackable would never run out
+    if ((fields.Period ?? 0) > 0 && Math.floor(itemId / 1_000_000) !== 1) continue;
+    list.push({
+      sn: fields.SN,
+      item_id: itemId,
+      count: Math.max(1, fields.Count ?? 1),
+      price: fields.Price,
+      period: Math.max(0, fields.Period ?? 0),
+      gender: fields.Gender ?? 2,
+      priority: fields.Priority ?? 0,
+      tab,
+    });
+  }
+  const tabOf = (c: Commodity) => Math.floor(c.sn / 10_000_000);
+  return list.sort((a, b) => tabOf(a) - tabOf(b) || b.priority - a.priority || a.sn - b.sn);
+}
+
+function loadCommodities(): Commodity[] {
+  if (_commodities) return _commodities;
+  _commodities = parseCommodities(loadWzXml("Etc.wz/Commodity.img.xml"));
+  _bySn = new Map(_commodities.map(c => [c.sn, c]));
+  return _commodities;
+}
+
+/** Everything on sale (sent to the client when it opens the cash shop). */
+export function getCommodities(): Commodity[] {
+  return loadCommodities();
+}
+
+export function getCommodity(sn: number): Commodity | null {
+  loadCommodities();
+  return _bySn!.get(sn) ?? null;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/** `female` matches PlayerLook.gender (false = male). */
+export function fitsGender(commodity: Commodity, female: boolean): boolean {
+  return commodity.gender === 2 || commodity.gender === (female ? 1 : 0);
+}
+
+/** Expiry for an item bought now (undefined = permanent). */
+export function commodityExpiresAt(commodity: Commodity, now: number): number | undefined {
+  return commodity.period > 0 ? now + commodity.period * DAY_MS : undefined;
+}
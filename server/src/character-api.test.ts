@@ -302,6 +302,28 @@ describe("character API", () => {
     expect(res.status).toBe(400);
   });
 
+  test("POST /api/character/claim links an alt only with the linked character's password", async () => {
+    const altSession = await getValidSession(baseUrl);
+    await fetch(`${baseUrl}/api/character/create`, {
+      method: "POST",
+      headers: authHeaders(altSession),
+      body: JSON.stringify({ name: "TestAlt", gender: false }),
+    });
+    const bad = await fetch(`${baseUrl}/api/character/claim`, {
+      method: "POST",
+      headers: authHeaders(altSession),
+      body: JSON.stringify({ password: "alt1234", link_name: "TestPlayer2", link_password: "wrong" }),
+    });
+    expect(bad.status).toBe(401);
+
+    const res = await fetch(`${baseUrl}/api/character/claim`, {
+      method: "POST",
+      headers: authHeaders(altSession),
+      body: JSON.stringify({ password: "alt1234", link_name: "TestPlayer2", link_password: "test1234" }),
+    });
+    expect(res.status).toBe(200);
+  });
+
   test("GET /api/character/claimed returns claimed status", async () => {
     // session1 was just claimed above
     const res = await fetch(`${baseUrl}/api/character/claimed`, {
@@ -5,7 +5,8 @@
  * - POST /api/character/create  → create character with name + gender
  * - GET  /api/character/load    → load character data
  * - POST /api/character/save    → save character data
- * - POST /api/character/claim   → set password on character
+ * - POST /api/character/claim   → set password on character (optionally linked to
+ *                                  another claimed character's account)
  * - GET  /api/character/claimed → check if character has a password
  * - POST /api/character/login   → login with name + password → new session
  *
@@ -22,6 +23,8 @@ import {
   createDefaultCharacter,
   isNameAvailable,
   isAccountClaimed,
+  getAccountName,
+  verifyCredentials,
   claimAccount,
   loginAccount,
   appendLog,
@@ -266,6 +269,16 @@ async function handleSave(request: Request, db: Database, characterName: string)
     }
   }
 
+  // Preserve server-authoritative skills, SP/AP, and job (only changed via WS messages)
+  bodyObj.skills = existingData.skills ?? {};
+  if (bodyObj.stats && typeof bodyObj.stats === "object") {
+    bodyObj.stats.sp = existingData.stats?.sp ?? 0;
+    bodyObj.stats.ap = existingData.stats?.ap ?? 0;
+    bodyObj.stats.hp_ap = existingData.stats?.hp_ap ?? 0;
+    bodyObj.stats.mp_ap = existingData.stats?.mp_ap ?? 0;
+    bodyObj.stats.job = existingData.stats?.job ?? "Beginner";
+  }
+
   // Strip name from identity before persisting (name lives in DB key, not data blob)
   if (bodyObj.identity && typeof bodyObj.identity === "object") {
     delete bodyObj.identity.name;
@@ -276,7 +289,7 @@ async function handleSave(request: Request, db: Database, characterName: string)
 }
 
 async function handleClaim(request: Request, db: Database, characterName: string): Promise<Response> {
-  let body: { password?: string };
+  let body: { password?: string; link_name?: string; link_password?: string };
   try {
     body = await request.json();
   } catch {
@@ -294,7 +307,21 @@ async function handleClaim(request: Request, db: Database, characterName: string
     );
   }
 
-  const result = await claimAccount(db, characterName, password);
+  // Optional: join another claimed character's account (alts share storage)
+  const linkName = typeof body.link_name === "string" ? body.link_name.trim() : "";
+  let account: string | null = null;
+  if (linkName) {
+    const linkPassword = typeof body.link_password === "string" ? body.link_password : "";
+    if (!(await verifyCredentials(db, linkName, linkPassword))) {
+      return jsonResponse(
+        { ok: false, error: { code: "INVALID_CREDENTIALS", message: "Invalid name or password for the linked character" } },
+        401,
+      );
+    }
+    account = getAccountName(db, linkName);
+  }
+
+  const result = await claimAccount(db, characterName, password, account);
   if (!result.ok) {
     const msg = result.reason === "already_claimed" ? "Account is already claimed" : "Could not claim account";
     return jsonResponse(
@@ -302,7 +329,7 @@ async function handleClaim(request: Request, db: Database, characterName: string
       409,
     );
   }
-  appendLog(db, characterName, "claimed account (set password)", extractClientIp(request));
+  appendLog(db, characterName, account ? `claimed account (linked to ${account})` : "claimed account (set password)", extractClientIp(request));
   return jsonResponse({ ok: true });
 }
 
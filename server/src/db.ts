@@ -7,6 +7,8 @@
  * - credentials: name (NOCASE) → password_hash (claimed accounts)
  * - jq_leaderboard: (player_name, quest_name) → completions
  * - logs: append-only action log (username, timestamp, action blob)
+ * - buddies: (owner, buddy) → buddy list entries (one-way; presence is shared only when both sides list each other)
+ * - cash_wallets: account → NX balance (cash shop currency; granted by GMs, never bought)
  *
  * Session IDs are transient auth tokens. Character name is the permanent identifier.
  * On logout the session is destroyed; on login a new session is created.
@@ -29,7 +31,7 @@ function buildDefaultCharacterSave(name: string, gender: boolean): object {
       level: 1, job: "Beginner", exp: 0, max_exp: 15,
       hp: 50, max_hp: 50, mp: 5, max_mp: 5,
       str: 12, dex: 5, int: 4, luk: 4,
-      speed: 100, jump: 100, meso: 0,
+      speed: 100, jump: 100, meso: 0, sp: 0, ap: 0,
     },
     location: { map_id: "100000002", spawn_portal: null, facing: -1 },
     equipment: [
@@ -48,6 +50,7 @@ function buildDefaultCharacterSave(name: string, gender: boolean): object {
       { item_id: 3010000, qty: 1, inv_type: "SETUP", slot: 0, category: null },
     ],
     achievements: {},
+    skills: {},
     version: 1,
     saved_at: new Date().toISOString(),
   };
@@ -100,6 +103,14 @@ export function initDatabase(dbPath: string = "./data/maple.db"): Database {
     )
   `);
 
+  // Migration: add account column if missing (existing DBs).
+  // Characters claimed with a link to another claimed character share its account; NULL = own name.
+  try {
+    db.exec("ALTER TABLE credentials ADD COLUMN account TEXT COLLATE NOCASE");
+  } catch {
+    // Column already exists — ignore
+  }
+
   // ── JQ Leaderboard ──
   db.exec(`
     CREATE TABLE IF NOT EXISTS jq_leaderboard (
@@ -144,6 +155,40 @@ export function initDatabase(dbPath: string = "./data/maple.db"): Database {
     ON logs (timestamp DESC)
   `);
 
+  // ── Buddies: owner's buddy list (one row per entry) ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS buddies (
+      owner TEXT NOT NULL COLLATE NOCASE,
+      buddy TEXT NOT NULL COLLATE NOCASE,
+      added_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (owner, buddy)
+    )
+  `);
+
+  // Reverse lookup: who has this character on their list (online/offline notifications)
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_buddies_buddy
+    ON buddies (buddy)
+  `);
+
+  // ── Storage: account-wide warehouse (one JSON blob per claimed account) ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storage (
+      account TEXT PRIMARY KEY COLLATE NOCASE,
+      data TEXT NOT NULL,
+      updated_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  // ── Cash wallets: NX per claimed account (shared by its characters) ──
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cash_wallets (
+      account TEXT PRIMARY KEY COLLATE NOCASE,
+      nx INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
   // ── Admin sessions: bearer token hashes for /api/admin/* ──
   db.exec(`
     CREATE TABLE IF NOT EXISTS admin_sessions (
@@ -200,7 +245,8 @@ function migrateToNameKeyed(db: Database): void {
     CREATE TABLE IF NOT EXISTS credentials_new (
       name TEXT PRIMARY KEY COLLATE NOCASE,
       password_hash TEXT NOT NULL,
-      claimed_at TEXT DEFAULT (datetime('now'))
+      claimed_at TEXT DEFAULT (datetime('now')),
+      account TEXT COLLATE NOCASE
     )
   `);
 
@@ -385,6 +431,91 @@ export function getAllJqLeaderboards(
   return result;
 }
 
+// ─── Buddy List ─────────────────────────────────────────────────────
+
+/** Buddy names on a character's list, in the order they were added. */
+export function getBuddies(db: Database, owner: string): string[] {
+  const rows = db.prepare(`
+    SELECT c.name AS name
+    FROM buddies b JOIN characters c ON c.name = b.buddy
+    WHERE b.owner = ?
+    ORDER BY b.added_at ASC, b.rowid ASC
+  `).all(owner) as Array<{ name: string }>;
+  return rows.map(r => r.name);
+}
+
+/**
+ * Buddies of `name` that have `name` on their list too. Only these see each
+ * other's online status and map and share buddy chat — a one-sided entry
+ * reveals nothing about the character it names.
+ */
+export function getMutualBuddies(db: Database, name: string): string[] {
+  const rows = db.prepare(`
+    SELECT c.name AS name
+    FROM buddies a
+    JOIN buddies b ON b.owner = a.buddy AND b.buddy = a.owner
+    JOIN characters c ON c.name = a.buddy
+    WHERE a.owner = ?
+  `).all(name) as Array<{ name: string }>;
+  return rows.map(r => r.name);
+}
+
+/** Add a buddy. Returns false if already on the list. */
+export function addBuddy(db: Database, owner: string, buddy: string): boolean {
+  const result = db.prepare("INSERT OR IGNORE INTO buddies (owner, buddy) VALUES (?, ?)").run(owner, buddy);
+  return result.changes > 0;
+}
+
+/** Remove a buddy. Returns false if not on the list. */
+export function removeBuddy(db: Database, owner: string, buddy: string): boolean {
+  const result = db.prepare("DELETE FROM buddies WHERE owner = ? AND buddy = ?").run(owner, buddy);
+  return result.changes > 0;
+}
+
+// ─── Account Storage ────────────────────────────────────────────────
+
+/** Storage contents for an account, or null if it has never stored anything. */
+export function loadStorageData(db: Database, account: string): object | null {
+  const row = db.prepare("SELECT data FROM storage WHERE account = ?").get(account) as { data: string } | null;
+  if (!row) return null;
+  try {
+    return JSON.parse(row.data);
+  } catch {
+    return null;
+  }
+}
+
+export function saveStorageData(db: Database, account: string, data: string): void {
+  db.prepare(`
+    INSERT INTO storage (account, data, updated_at) VALUES (?, ?, datetime('now'))
+    ON CONFLICT(account) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `).run(account, data);
+}
+
+// ─── Cash Wallets ───────────────────────────────────────────────────
+
+export function getNx(db: Database, account: string): number {
+  const row = db.prepare("SELECT nx FROM cash_wallets WHERE account = ?").get(account) as { nx: number } | null;
+  return row?.nx ?? 0;
+}
+
+/** Add (or with a negative amount, remove) NX; the balance never drops below 0. Returns the new balance. */
+export function grantNx(db: Database, account: string, amount: number): number {
+  db.prepare(`
+    INSERT INTO cash_wallets (account, nx, updated_at) VALUES (?, MAX(0, ?), datetime('now'))
+    ON CONFLICT(account) DO UPDATE SET nx = MAX(0, nx + ?), updated_at = excluded.updated_at
+  `).run(account, amount, amount);
+  return getNx(db, account);
+}
+
+/** Take `cost` NX in one statement. Returns false (and changes nothing) if the balance is short. */
+export function spendNx(db: Database, account: string, cost: number): boolean {
+  const result = db.prepare(
+    "UPDATE cash_wallets SET nx = nx - ?, updated_at = datetime('now') WHERE account = ? AND nx >= ?",
+  ).run(cost, account, cost);
+  return result.changes > 0;
+}
+
 // ─── Action Logging ─────────────────────────────────────────────────
 
 /**
@@ -463,10 +594,32 @@ export function isAccountClaimed(db: Database, name: string): boolean {
   return !!row;
 }
 
+/**
+ * Account a claimed character belongs to — its own name unless it was
+ * linked to another character when claimed. Null for unclaimed characters.
+ */
+export function getAccountName(db: Database, name: string): string | null {
+  const row = db.prepare("SELECT name, account FROM credentials WHERE name COLLATE NOCASE = ?").get(name) as { name: string; account: string | null } | null;
+  if (!row) return null;
+  return row.account ?? row.name;
+}
+
+/** Check a claimed character's password. */
+export async function verifyCredentials(db: Database, name: string, password: string): Promise<boolean> {
+  const credRow = db.prepare("SELECT password_hash FROM credentials WHERE name COLLATE NOCASE = ?").get(name) as { password_hash: string } | null;
+  if (!credRow) return false;
+  return Bun.password.verify(password, credRow.password_hash);
+}
+
+/**
+ * Set a password on a character. `account` links it to an existing account
+ * (alts share account-wide storage); defaults to the character's own name.
+ */
 export async function claimAccount(
   db: Database,
   name: string,
   password: string,
+  account: string | null = null,
 ): Promise<{ ok: true } | { ok: false; reason: string }> {
   if (!password || password.length < 4) {
     return { ok: false, reason: "password_too_short" };
@@ -475,7 +628,7 @@ export async function claimAccount(
     return { ok: false, reason: "already_claimed" };
   }
   const hash = await Bun.password.hash(password, "bcrypt");
-  db.prepare("INSERT INTO credentials (name, password_hash) VALUES (?, ?)").run(name, hash);
+  db.prepare("INSERT INTO credentials (name, password_hash, account) VALUES (?, ?, ?)").run(name, hash, account);
   return { ok: true };
 }
 
@@ -489,12 +642,10 @@ export async function loginAccount(
     return { ok: false, reason: "invalid_credentials" };
   }
   // Check credentials
-  const credRow = db.prepare("SELECT password_hash FROM credentials WHERE name COLLATE NOCASE = ?").get(name) as { password_hash: string } | null;
-  if (!credRow) {
+  if (!isAccountClaimed(db, name)) {
     return { ok: false, reason: "not_claimed" };
   }
-  const valid = await Bun.password.verify(password, credRow.password_hash);
-  if (!valid) {
+  if (!(await verifyCredentials(db, name, password))) {
     return { ok: false, reason: "invalid_credentials" };
   }
   // Generate a new session_id for this login and register it as valid
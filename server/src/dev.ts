@@ -1,14 +1,23 @@
 import { createServer } from "./server.ts";
-import { InMemoryDataProvider } from "./data-provider.ts";
+import { FileSystemDataProvider } from "./fs-data-provider.ts";
 import { loadDropPools, loadItemNames } from "./reactor-system.ts";
+import { configureWzArchives } from "./wz-archive.ts";
 import * as path from "path";
 
+// Read game data straight from .wz files when WZ_DIR is set (XML in resourcesv3/ still wins per image)
+configureWzArchives(process.env.WZ_DIR || null, {
+  cacheSize: Number(process.env.WZ_CACHE_SIZE) || undefined,
+  mapleVersion: process.env.WZ_ENCRYPTION || undefined,
+  gameVersion: Number(process.env.WZ_VERSION) || undefined,
+});
+
 // Load drop pools and item names from WZ data at startup
 const resourceBase = path.resolve(__dirname, "../../resourcesv3");
 loadDropPools(resourceBase);
 loadItemNames(resourceBase);
 
-const provider = new InMemoryDataProvider();
+// Asset API (/api/v1/*) over the same game data
+const provider = new FileSystemDataProvider();
 const { start } = createServer(provider, {
   port: 5200,
   debug: true,
@@ -18,4 +27,5 @@ const server = start();
 console.log(`🍄 Shlop game server on http://localhost:${server.port}`);
 console.log(`   Character API: /api/character/*`);
 console.log(`   WebSocket:     ws://localhost:${server.port}/ws`);
+console.log(`   Asset API:     /api/v1/asset/:type/:id/:section`);
 console.log(`   Health:        /health`);
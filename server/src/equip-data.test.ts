@@ -0,0 +1,38 @@
+/**
+ * Equip stat tests — drop variance, which scrolls fit which equips, and
+ * scroll outcomes with a scripted rng (equip-data.ts).
+ */
+import { describe, expect, test } from "bun:test";
+import { applyScroll, canScroll, emptyEquipStats, isEquipScroll, rollEquipStats } from "./equip-data.ts";
+
+describe("equip scrolls", () => {
+  const seq = (...vals: number[]) => () => vals.shift() ?? 0;
+  const base = { ...emptyEquipStats(), str: 3, watk: 60, slots: 7 };
+
+  test("drops roll each stat within ±10% and keep their slots", () => {
+    expect(rollEquipStats(base, () => 0)).toMatchObject({ str: 2, watk: 55, dex: 0, slots: 7 });
+    expect(rollEquipStats(base, () => 0.999)).toMatchObject({ str: 4, watk: 65 });
+  });
+
+  test("a scroll fits the equip type in its item id", () => {
+    // 2040805 = Scroll for Gloves for ATT 60% (08 = gloves, 108xxxx)
+    expect(canScroll(2040805, 1082002)).toBe(true);
+    expect(canScroll(2040805, 1302000)).toBe(false);
+    expect(isEquipScroll(2049100)).toBe(false);
+  });
+
+  test("success adds the scroll's stats; success and failure both use a slot", () => {
+    const scroll = { success: 60, cursed: 0, stats: { watk: 2 } };
+    const ok = applyScroll(base, scroll, seq(0.1));
+    expect(ok).toEqual({ result: "success", stats: { ...base, watk: 62, slots: 6, level: 1 } });
+    const miss = applyScroll(base, scroll, seq(0.9));
+    expect(miss.result).toBe("fail");
+    expect(miss.stats).toEqual({ ...base, slots: 6 });
+  });
+
+  test("a failed cursed scroll may destroy the equip", () => {
+    const dark = { success: 30, cursed: 50, stats: { watk: 5 } };
+    expect(applyScroll(base, dark, seq(0.9, 0.1))).toEqual({ result: "boom", stats: null });
+    expect(applyScroll(base, dark, seq(0.9, 0.9)).result).toBe("fail");
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Equip data — per-instance equip stats and upgrade scrolls.
+ *
+ * Base stats come from Character.wz/{Type}/{id}.img `info` (incSTR … incJump,
+ * `tuc` = upgrade slots). Every equip a player owns carries its own EquipStats
+ * in the character save (inventory and equipment entries): equips that drop
+ * from mobs roll a small variance around the base, scrolls add to it. Equips
+ * saved before stats were tracked get the unrolled base the first time a
+ * scroll touches them.
+ *
+ * Scrolls are Item.wz/Consume/0204.img `info`: `success` / `cursed` (%) plus
+ * the same inc* stats. A scroll fits an equip when (scrollId / 100) % 100
+ * equals (equipId / 10000) % 100 (Cosmic canScroll). Every attempt uses an
+ * upgrade slot; a failed scroll with `cursed` may destroy the item.
+ */
+import { resourcePath } from "./wz-xml.ts";
+import { equipFolder } from "./shop-data.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface EquipStats {
+  str: number;
+  dex: number;
+  int: number;
+  luk: number;
+  hp: number;
+  mp: number;
+  watk: number;
+  matk: number;
+  wdef: number;
+  mdef: number;
+  acc: number;
+  avoid: number;
+  speed: number;
+  jump: number;
+  /** Upgrade slots left */
+  slots: number;
+  /** Scrolls that succeeded on this item */
+  level: number;
+}
+
+export type EquipStatKey = Exclude<keyof EquipStats, "slots" | "level">;
+
+export interface ScrollSpec {
+  /** Success chance, 0-100 */
+  success: number;
+  /** Chance a failed scroll destroys the item, 0-100 */
+  cursed: number;
+  /** Stats added on success (may be negative) */
+  stats: Partial<Record<EquipStatKey, number>>;
+}
+
+export type ScrollOutcome =
+  | { result: "success" | "fail"; stats: EquipStats }
+  | { result: "boom"; stats: null };
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** WZ `info` key → EquipStats key (same names on equips and scrolls). */
+const WZ_STAT_KEYS: Record<string, EquipStatKey> = {
+  incSTR: "str", incDEX: "dex", incINT: "int", incLUK: "luk",
+  incMHP: "hp", incMMP: "mp", incPAD: "watk", incMAD: "matk",
+  incPDD: "wdef", incMDD: "mdef", incACC: "acc", incEVA: "avoid",
+  incSpeed: "speed", incJump: "jump",
+};
+
+export const EQUIP_STAT_KEYS = Object.values(WZ_STAT_KEYS);
+
+/** Drop variance: each stat moves by up to 10% of itself, capped at 5 (Cosmic randomizeStats). */
+const STAT_VARIANCE_RATIO = 0.1;
+const STAT_VARIANCE_MAX = 5;
+
+// ─── Caches ─────────────────────────────────────────────────────────
+
+const _baseStatsCache = new Map<number, EquipStats | null>();
+const _scrollCache = new Map<number, ScrollSpec | null>();
+
+// ─── Loading ────────────────────────────────────────────────────────
+
+function loadWzXml(relPath: string): any {
+  const filePath = resourcePath(relPath);
+  const { readWzImage } = require("./wz-xml.ts");
+  return readWzImage(filePath);
+}
+
+function nodeName(n: any): string | undefined {
+  return n.$int ?? n.$short ?? n.$string ?? n.$float;
+}
+
+export function emptyEquipStats(): EquipStats {
+  return {
+    str: 0, dex: 0, int: 0, luk: 0, hp: 0, mp: 0, watk: 0, matk: 0,
+    wdef: 0, mdef: 0, acc: 0, avoid: 0, speed: 0, jump: 0, slots: 0, level: 0,
+  };
+}
+
+/** Unrolled stats of an equip from WZ, or null if it isn't an equip / has no data. */
+export function getEquipBaseStats(itemId: number): EquipStats | null {
+  if (_baseStatsCache.has(itemId)) return _baseStatsCache.get(itemId)!;
+  const folder = equipFolder(Math.floor(itemId / 10000));
+  const json = folder ? loadWzXml(`Character.wz/${folder}/${String(itemId).padStart(8, "0")}.img.xml`) : null;
+  const info = json?.$$?.find((n: any) => n.$imgdir === "info");
+  if (!info) { _baseStatsCache.set(itemId, null); return null; }
+
+  const stats = emptyEquipStats();
+  for (const c of info.$$ || []) {
+    const name = nodeName(c);
+    const val = Math.floor(Number(c.value) || 0);
+    if (name === "tuc") stats.slots = Math.max(0, val);
+    else if (name && WZ_STAT_KEYS[name]) stats[WZ_STAT_KEYS[name]] = val;
+  }
+  _baseStatsCache.set(itemId, stats);
+  return stats;
+}
+
+/** Equip upgrade scroll (204xxxx) spec, or null if the item isn't one. */
+export function getScrollSpec(itemId: number): ScrollSpec | null {
+  if (_scrollCache.has(itemId)) return _scrollCache.get(itemId)!;
+  if (!isEquipScroll(itemId)) { _scrollCache.set(itemId, null); return null; }
+
+  const padded = String(itemId).padStart(8, "0");
+  const json = loadWzXml(`Item.wz/Consume/${padded.slice(0, 4)}.img.xml`);
+  const info = json?.$$?.find((n: any) => n.$imgdir === padded)?.$$?.find((n: any) => n.$imgdir === "info");
+  if (!info) { _scrollCache.set(itemId, null); return null; }
+
+  const spec: ScrollSpec = { success: 100, cursed: 0, stats: {} };
+  for (const c of info.$$ || []) {
+    const name = nodeName(c);
+    const val = Number(c.value) || 0;
+    if (name === "success") spec.success = val;
+    else if (name === "cursed") spec.cursed = val;
+    else if (name && WZ_STAT_KEYS[name]) spec.stats[WZ_STAT_KEYS[name]] = val;
+  }
+  _scrollCache.set(itemId, spec);
+  return spec;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/** Regular equip scrolls — 2049xxx (clean slate, chaos, …) work differently and aren't supported. */
+export function isEquipScroll(itemId: number): boolean {
+  return Math.floor(itemId / 10000) === 204 && Math.floor(itemId / 1000) !== 2049;
+}
+
+export function canScroll(scrollId: number, equipId: number): boolean {
+  return isEquipScroll(scrollId) && Math.floor(scrollId / 100) % 100 === Math.floor(equipId / 10000) % 100;
+}
+
+/** Stats for a freshly dropped equip: every non-zero stat shifts by a random variance. */
+export function rollEquipStats(base: EquipStats, rng: () => number = Math.random): EquipStats {
+  const stats = { ...base };
+  for (const key of EQUIP_STAT_KEYS) {
+    const val = base[key];
+    if (val <= 0) continue;
+    const variance = Math.min(Math.ceil(val * STAT_VARIANCE_RATIO), STAT_VARIANCE_MAX);
+    stats[key] = Math.max(0, val + Math.floor(rng() * (variance * 2 + 1)) - variance);
+  }
+  return stats;
+}
+
+/** One scroll attempt. The caller checks slots > 0 first. */
+export function applyScroll(stats: EquipStats, scroll: ScrollSpec, rng: () => number = Math.random): ScrollOutcome {
+  const next = { ...stats, slots: Math.max(0, stats.slots - 1) };
+  if (rng() * 100 < scroll.success) {
+    for (const [key, inc] of Object.entries(scroll.stats) as [EquipStatKey, number][]) {
+      next[key] = Math.max(0, next[key] + inc);
+    }
+    next.level++;
+    return { result: "success", stats: next };
+  }
+  if (scroll.cursed > 0 && rng() * 100 < scroll.cursed) return { result: "boom", stats: null };
+  return { result: "fail", stats: next };
+}
+
+/** EquipStats from save data (missing or malformed fields become 0), or undefined if absent. */
+export function parseEquipStats(raw: unknown): EquipStats | undefined {
+  if (!raw || typeof raw !== "object") return undefined;
+  const src = raw as Record<string, unknown>;
+  const stats = emptyEquipStats();
+  for (const key of Object.keys(stats) as (keyof EquipStats)[]) {
+    const val = Math.floor(Number(src[key]));
+    if (Number.isFinite(val)) stats[key] = key === "slots" || key === "level" ? Math.max(0, val) : val;
+  }
+  return stats;
+}
@@ -0,0 +1,44 @@
+/**
+ * Field rule tests — fieldLimit bits, the server-side limits table, timed-map
+ * clocks and where timed maps send players (field.ts).
+ */
+import { describe, expect, test } from "bun:test";
+import { FIELD_LIMIT, getLoginMapId, parseFieldRules, serializeFieldRules, SERVER_FIELD_LIMITS } from "./field.ts";
+
+describe("field rules", () => {
+  test("fieldLimit bits, clock, and where timed maps send players", () => {
+    const rules = parseFieldRules(FIELD_LIMIT.DROP | 0x1, 90, 999999999, 100000000);
+    expect(rules).toMatchObject({ noDrop: true, noChair: false, noPortalScroll: false, noMobSpawn: false });
+    expect(rules.timeLimitMs).toBe(90_000);
+    // No forcedReturn → returnMap
+    expect(rules.returnMapId).toBe(100000000);
+    expect(parseFieldRules(0, 0, 101000000, 100000000).returnMapId).toBe(101000000);
+    expect(parseFieldRules(0, 0, 999999999, 999999999).returnMapId).toBeNull();
+    // WZ stores large masks as negative ints
+    expect(parseFieldRules(FIELD_LIMIT.PORTAL_SCROLL | 0x80000000, 0, 0, 0).noPortalScroll).toBe(true);
+
+    expect(serializeFieldRules(rules, 10_000, 4_000)).toEqual({
+      no_drop: true, no_chair: false, no_portal_scroll: false, no_mob_spawn: false, time_left_ms: 6_000,
+    });
+    expect(serializeFieldRules(rules, 0, 4_000).time_left_ms).toBe(0);
+  });
+
+  test("chair and mob spawn limits come from the server table, not fieldLimit bits", () => {
+    expect(parseFieldRules(0xffffffff, 0, 0, 0, 990000000)).toMatchObject({ noChair: false, noMobSpawn: false });
+    SERVER_FIELD_LIMITS[990000000] = { noChair: true, noMobSpawn: true };
+    try {
+      expect(parseFieldRules(0, 0, 0, 0, 990000000)).toMatchObject({ noChair: true, noMobSpawn: true, noDrop: false });
+    } finally {
+      delete SERVER_FIELD_LIMITS[990000000];
+    }
+  });
+
+  test("logging in on a timed map starts on its return map", () => {
+    const timed = parseFieldRules(0, 90, 999999999, 100000000);
+    expect(getLoginMapId("910000001", timed)).toBe("100000000");
+    expect(getLoginMapId("910000001", parseFieldRules(0, 0, 999999999, 100000000))).toBe("910000001");
+    // Nowhere to go → stay put (the clock restarts)
+    expect(getLoginMapId("910000001", parseFieldRules(0, 90, 999999999, 999999999))).toBe("910000001");
+    expect(getLoginMapId("910000001", null)).toBe("910000001");
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Field rules — per-map limits and timed maps from Map.wz `info`.
+ *
+ * `info/fieldLimit` is a bitmask. The server enforces the FIELD_LIMIT bits
+ * below (ws.ts rejects the action with `field_denied`); they are the client's
+ * FieldOpt values. v83 has no bit for chairs or mob spawns, so those limits
+ * come from the server-side SERVER_FIELD_LIMITS table instead.
+ *
+ * Timed maps: `info/timeLimit` (seconds) starts a clock when a player enters.
+ * When it runs out the player is sent to `info/forcedReturn`, else the map's
+ * `returnMap`. The clock restarts on every entry and stops on leaving, so a
+ * player logging in on a timed map starts on its return map (getLoginMapId).
+ *
+ * map-data.ts parses these into `MapData.field`; map_state carries the
+ * serialized rules so the client applies the same ones.
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface FieldRules {
+  /** Raw `info/fieldLimit` bitmask */
+  fieldLimit: number;
+  noDrop: boolean;
+  noChair: boolean;
+  noPortalScroll: boolean;
+  noMobSpawn: boolean;
+  /** Clock length in ms (0 = not a timed map) */
+  timeLimitMs: number;
+  /** Where the clock (and return scrolls) send players, or null if nowhere valid */
+  returnMapId: number | null;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+export const FIELD_LIMIT = {
+  /** Return / town scrolls (FieldOpt PORTALSCROLLLIMIT) */
+  PORTAL_SCROLL: 0x20,
+  /** Item and meso drops (FieldOpt DROPLIMIT) */
+  DROP: 0x400000,
+} as const;
+
+/**
+ * Limits v83 fieldLimit can't express, by map ID. No stock map needs them;
+ * add entries here for custom or event maps.
+ *   noChair     chairs can't be used
+ *   noMobSpawn  the map's life mobs never appear
+ */
+export const SERVER_FIELD_LIMITS: Record<number, { noChair?: boolean; noMobSpawn?: boolean }> = {};
+
+/** Map.wz placeholder for "no map". */
+const NO_MAP_ID = 999999999;
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+function isRealMapId(mapId: number): boolean {
+  return Number.isInteger(mapId) && mapId >= 0 && mapId !== NO_MAP_ID;
+}
+
+/** Field rules from the map's `info` values plus its SERVER_FIELD_LIMITS entry. */
+export function parseFieldRules(
+  fieldLimit: number, timeLimitSec: number, forcedReturn: number, returnMap: number,
+  mapId: number = NO_MAP_ID,
+): FieldRules {
+  const limit = fieldLimit >>> 0;
+  const server = SERVER_FIELD_LIMITS[mapId] ?? {};
+  return {
+    fieldLimit: limit,
+    noDrop: (limit & FIELD_LIMIT.DROP) !== 0,
+    noChair: !!server.noChair,
+    noPortalScroll: (limit & FIELD_LIMIT.PORTAL_SCROLL) !== 0,
+    noMobSpawn: !!server.noMobSpawn,
+    timeLimitMs: timeLimitSec > 0 ? timeLimitSec * 1000 : 0,
+    returnMapId: isRealMapId(forcedReturn) ? forcedReturn : isRealMapId(returnMap) ? returnMap : null,
+  };
+}
+
+/** Map a character saved on `mapId` logs in to: a timed map's return map, else `mapId` itself. */
+export function getLoginMapId(mapId: string, rules: FieldRules | null | undefined): string {
+  return rules && rules.timeLimitMs > 0 && rules.returnMapId !== null ? String(rules.returnMapId) : mapId;
+}
+
+/** Rules as sent in map_state (`clockEndsAt` = the player's clock, 0 if none). */
+export function serializeFieldRules(rules: FieldRules, clockEndsAt: number, now: number) {
+  return {
+    no_drop: rules.noDrop,
+    no_chair: rules.noChair,
+    no_portal_scroll: rules.noPortalScroll,
+    no_mob_spawn: rules.noMobSpawn,
+    time_left_ms: clockEndsAt > 0 ? Math.max(0, clockEndsAt - now) : 0,
+  };
+}
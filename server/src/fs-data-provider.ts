@@ -0,0 +1,304 @@
+/**
+ * Filesystem data provider — DataProvider over resourcesv3/ (and, through
+ * wz-xml.ts, the WZ_DIR .wz archives).
+ *
+ * Every entity is one WZ image, or one node inside a shared image:
+ *
+ *   map       Map.wz/Map/MapN/{id}.img        mob / npc / reactor  {Mob,Npc,Reactor}.wz/{id}.img
+ *   character Character.wz[/Face|/Hair]/{id}.img  equip  Character.wz/{Category}/{id}.img
+ *   effect / ui / audio  {Effect,UI,Sound}.wz/{name}.img
+ *   skill     Skill.wz/{job}.img → skill/{id}  item  Item.wz/{Folder}/{prefix}.img → {id}
+ *
+ * Image-per-entity types are indexed (id → path) by listing their
+ * directories the first time the type is asked for. Skills and items are
+ * addressed by id arithmetic, as skill-data.ts / shop-data.ts do.
+ *
+ * Sections are cut from the parsed image (wz-xml.ts node format, so the
+ * client reads them with the same helpers as the XML). Canvas / sound
+ * payloads are moved out to content-addressed blobs: the node keeps
+ * `blob: "<sha256>"` in place of `basedata`, and the bytes are served by
+ * `GET /api/v1/blob/:hash` with an immutable cache lifetime.
+ */
+import { createHash } from "node:crypto";
+import { resolve } from "path";
+import type { DataProvider } from "./server.ts";
+import { getResourcesRoot, listWzImages, parseWzXml, readWzImageXml } from "./wz-xml.ts";
+import { LruCache } from "./wz-archive.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface FileSystemDataProviderOptions {
+  /** resourcesv3-style root (default: repo resourcesv3/) */
+  root?: string;
+  /** Reported by /health */
+  version?: string;
+  /** Parsed images kept in memory */
+  imageCacheSize?: number;
+}
+
+/** Cuts one section out of an entity node (null = the entity has no such section). */
+type SectionFn = (node: any, provider: FileSystemDataProvider, id: string) => unknown | null;
+
+interface Blob {
+  data: Buffer;
+  contentType: string;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+const EQUIP_CATEGORIES = [
+  "Accessory", "Cap", "Cape", "Coat", "Glove", "Longcoat", "Pants",
+  "PetEquip", "Ring", "Shield", "Shoes", "TamingMob", "Weapon",
+];
+
+/** Directories listed to index the image-per-entity types */
+const ENTITY_DIRS: Record<string, string[]> = {
+  map: Array.from({ length: 10 }, (_, i) => `Map.wz/Map/Map${i}`),
+  mob: ["Mob.wz"],
+  npc: ["Npc.wz"],
+  reactor: ["Reactor.wz"],
+  character: ["Character.wz", "Character.wz/Face", "Character.wz/Hair"],
+  equip: EQUIP_CATEGORIES.map((c) => `Character.wz/${c}`),
+  effect: ["Effect.wz"],
+  ui: ["UI.wz"],
+  audio: ["Sound.wz"],
+};
+
+/** Item.wz folder by item id / 1000000 (pets are one image per item) */
+const ITEM_FOLDERS: Record<number, string> = { 2: "Consume", 3: "Install", 4: "Etc", 5: "Cash" };
+
+const DEFAULT_IMAGE_CACHE_SIZE = 64;
+/** Section bodies kept ready to serve */
+const SECTION_CACHE_SIZE = 512;
+const BLOB_CACHE_SIZE = 2048;
+
+// ─── Node Helpers ───────────────────────────────────────────────────
+
+function nodeName(node: any): string | undefined {
+  for (const key in node) {
+    if (key !== "$$" && key.startsWith("$")) return node[key];
+  }
+  return undefined;
+}
+
+function childNode(node: any, name: string): any | null {
+  return node?.$$?.find((c: any) => nodeName(c) === name) ?? null;
+}
+
+/** Section = the child named `name`. */
+function named(name: string): SectionFn {
+  return (node) => childNode(node, name);
+}
+
+/** Section = every child except `names` (null if that leaves nothing). */
+function allExcept(...names: string[]): SectionFn {
+  return (node) => {
+    const rest = (node?.$$ ?? []).filter((c: any) => !names.includes(nodeName(c) ?? ""));
+    return rest.length > 0 ? rest : null;
+  };
+}
+
+/** Map layers 0–7, each cut down to its `info` plus `part` (tile / obj). */
+function mapLayers(part: string): SectionFn {
+  return (node) => {
+    const layers = [];
+    for (let i = 0; i <= 7; i++) {
+      const layer = childNode(node, String(i));
+      if (!layer) continue;
+      const kids = [childNode(layer, "info"), childNode(layer, part)].filter(Boolean);
+      if (kids.length > 0) layers.push({ $imgdir: String(i), $$: kids });
+    }
+    return layers.length > 0 ? layers : null;
+  };
+}
+
+/** Names (and sound lengths) of an image's top-level entries. */
+function entryList(node: any): unknown | null {
+  const entries = (node?.$$ ?? []).map((c: any) => (c.$sound !== undefined ? { name: c.$sound, length: Number(c.length) || 0 } : { name: nodeName(c) }));
+  return entries.length > 0 ? entries : null;
+}
+
+const SECTIONS: Record<string, Record<string, SectionFn>> = {
+  map: {
+    info: named("info"),
+    footholds: named("foothold"),
+    portals: named("portal"),
+    backgrounds: named("back"),
+    tiles: mapLayers("tile"),
+    objects: mapLayers("obj"),
+    life: named("life"),
+    ladderRopes: named("ladderRope"),
+    audio: (node) => {
+      const bgm = childNode(childNode(node, "info"), "bgm");
+      return bgm ? { bgm: String(bgm.value) } : null;
+    },
+    reactors: named("reactor"),
+    minimap: named("miniMap"),
+  },
+  mob: {
+    info: named("info"),
+    stances: allExcept("info"),
+    audio: (_node, provider, id) => childNode(provider.image("Sound.wz/Mob.img.xml"), id),
+  },
+  npc: {
+    info: named("info"),
+    stances: allExcept("info"),
+    audio: () => null,
+  },
+  character: {
+    info: named("info"),
+    stances: allExcept("info"),
+    zmap: (_node, provider) => provider.image("Base.wz/zmap.img.xml"),
+  },
+  equip: {
+    info: named("info"),
+    stances: allExcept("info"),
+  },
+  effect: { info: entryList, frames: allExcept() },
+  ui: { info: entryList, frames: allExcept() },
+  audio: { info: entryList, data: allExcept() },
+  skill: {
+    info: allExcept("level", "common", "effect", "hit"),
+    levels: (node) => childNode(node, "level") ?? childNode(node, "common"),
+    effect: named("effect"),
+    hit: named("hit"),
+  },
+  reactor: {
+    info: named("info"),
+    states: allExcept("info"),
+  },
+  item: {
+    info: named("info"),
+    icon: (node) => childNode(childNode(node, "info"), "icon"),
+  },
+};
+
+// ─── Provider ───────────────────────────────────────────────────────
+
+export class FileSystemDataProvider implements DataProvider {
+  private root: string;
+  private version: string;
+  /** type → (id → image path relative to root) */
+  private indexes = new Map<string, Map<string, string>>();
+  private images: LruCache<string, any>;
+  private sections = new LruCache<string, unknown>(SECTION_CACHE_SIZE);
+  private blobs = new LruCache<string, Blob>(BLOB_CACHE_SIZE);
+  /** Blob hash → section key that produced it (re-cut on a blob cache miss) */
+  private blobSources = new Map<string, string>();
+
+  constructor(options: FileSystemDataProviderOptions = {}) {
+    this.root = resolve(options.root ?? getResourcesRoot());
+    this.version = options.version ?? "dev";
+    this.images = new LruCache(options.imageCacheSize ?? DEFAULT_IMAGE_CACHE_SIZE);
+  }
+
+  /** Parsed image at a root-relative .img.xml path, payloads included (null if missing). */
+  image(relPath: string): any | null {
+    const cached = this.images.get(relPath);
+    if (cached !== undefined) return cached;
+    const xml = readWzImageXml(resolve(this.root, relPath));
+    const json = xml === null ? null : parseWzXml(xml);
+    this.images.set(relPath, json);
+    return json;
+  }
+
+  private index(type: string): Map<string, string> {
+    let index = this.indexes.get(type);
+    if (index) return index;
+    index = new Map();
+    for (const dir of ENTITY_DIRS[type] ?? []) {
+      for (const file of listWzImages(resolve(this.root, dir))) {
+        index.set(file.replace(/\.img\.xml$/, ""), `${dir}/${file}`);
+      }
+    }
+    this.indexes.set(type, index);
+    return index;
+  }
+
+  /** The node an entity's sections are cut from. */
+  private entity(type: string, id: string): any | null {
+    if (type === "skill" || type === "item") {
+      if (!/^\d{1,8}$/.test(id)) return null;
+      const num = Number(id);
+      const padded = id.padStart(type === "skill" ? 7 : 8, "0");
+      if (type === "skill") {
+        const job = String(Math.floor(num / 10000)).padStart(3, "0");
+        return childNode(childNode(this.image(`Skill.wz/${job}.img.xml`), "skill"), padded);
+      }
+      const folder = ITEM_FOLDERS[Math.floor(num / 1_000_000)];
+      if (!folder) return this.image(`Item.wz/Pet/${padded}.img.xml`);
+      return childNode(this.image(`Item.wz/${folder}/${padded.slice(0, 4)}.img.xml`), padded);
+    }
+    const path = this.index(type).get(id);
+    return path ? this.image(path) : null;
+  }
+
+  /** Deep copy of `data` with canvas / sound payloads swapped for blob hashes. */
+  private extractBlobs(data: any, sectionKey: string): any {
+    if (Array.isArray(data)) return data.map((d) => this.extractBlobs(d, sectionKey));
+    if (!data || typeof data !== "object") return data;
+    const out: any = {};
+    for (const key in data) {
+      if (key === "basedata" && (data.$canvas !== undefined || data.$sound !== undefined)) {
+        const bytes = Buffer.from(data.basedata, "base64");
+        const hash = createHash("sha256").update(bytes).digest("hex");
+        this.blobs.set(hash, { data: bytes, contentType: data.$sound !== undefined ? "audio/mpeg" : "application/octet-stream" });
+        this.blobSources.set(hash, sectionKey);
+        out.blob = hash;
+      } else {
+        out[key] = key === "$$" ? data.$$.map((c: any) => this.extractBlobs(c, sectionKey)) : data[key];
+      }
+    }
+    return out;
+  }
+
+  // ─── DataProvider Interface ─────────────────────────────────────
+
+  isReady(): boolean {
+    return listWzImages(resolve(this.root, "Map.wz/Map/Map1")).length > 0;
+  }
+
+  getStats(): { indexEntries: number; blobCount: number; version: string } {
+    let indexEntries = 0;
+    for (const index of this.indexes.values()) indexEntries += index.size;
+    return { indexEntries, blobCount: this.blobSources.size, version: this.version };
+  }
+
+  /** Entity root: where it lives and which sections it has. */
+  getAsset(type: string, id: string): unknown | null {
+    if (!this.isValidType(type) || !this.entity(type, id)) return null;
+    const sections = Object.keys(SECTIONS[type]).filter((s) => this.getSection(type, id, s) !== null);
+    return { type, id, path: this.index(type).get(id) ?? null, sections };
+  }
+
+  getSection(type: string, id: string, section: string): unknown | null {
+    const key = `${type}:${id}:${section}`;
+    const cached = this.sections.get(key);
+    if (cached !== undefined) return cached;
+    const node = this.isValidSection(type, section) ? this.entity(type, id) : null;
+    const raw = node ? SECTIONS[type][section](node, this, id) : null;
+    const data = raw === null || raw === undefined ? null : this.extractBlobs(raw, key);
+    this.sections.set(key, data);
+    return data;
+  }
+
+  getBlob(hash: string): { data: Buffer; contentType: string } | null {
+    const cached = this.blobs.get(hash);
+    if (cached) return cached;
+    const source = this.blobSources.get(hash);
+    if (!source) return null;
+    // Evicted — cut the section that referenced it again
+    const [type, id, section] = source.split(":");
+    this.sections.delete(source);
+    this.getSection(type, id, section);
+    return this.blobs.get(hash) ?? null;
+  }
+
+  isValidType(type: string): boolean {
+    return type in SECTIONS;
+  }
+
+  isValidSection(type: string, section: string): boolean {
+    return SECTIONS[type]?.[section] !== undefined;
+  }
+}
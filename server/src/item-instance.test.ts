@@ -0,0 +1,36 @@
+/**
+ * Item instance tests — uids and per-item attributes on equips, none on
+ * stackables, and expiry (item-instance.ts).
+ */
+import { describe, expect, test } from "bun:test";
+import { isItemExpired, normalizeItemEntries, pickItemAttrs } from "./item-instance.ts";
+
+describe("item instances", () => {
+  const [sword, potion, tagged] = normalizeItemEntries([
+    { item_id: 1302000, stats: { watk: 17 } as any },
+    { item_id: 2000000, uid: "stray", owner: "Nobody" },
+    { item_id: 1040002, uid: "abc", owner: "Alice", expires_at: 5000, creator: "gm:Alice" },
+  ]);
+
+  test("equips from old saves get a uid and keep their attributes", () => {
+    expect(typeof sword.uid).toBe("string");
+    expect(sword.stats?.watk).toBe(17);
+    expect(tagged).toEqual({ item_id: 1040002, uid: "abc", owner: "Alice", expires_at: 5000, creator: "gm:Alice" });
+  });
+
+  test("stackables keep no instance attributes", () => {
+    expect(potion).toEqual({ item_id: 2000000 });
+  });
+
+  test("picked attributes are a copy", () => {
+    const copy = pickItemAttrs(sword);
+    copy.stats!.watk = 99;
+    expect(sword.stats?.watk).toBe(17);
+  });
+
+  test("items expire at expires_at; items without one never do", () => {
+    expect(isItemExpired(tagged, 4999)).toBe(false);
+    expect(isItemExpired(tagged, 5000)).toBe(true);
+    expect(isItemExpired(sword, Date.now())).toBe(false);
+  });
+});
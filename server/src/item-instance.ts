@@ -0,0 +1,85 @@
+/**
+ * Item instances — identity and attributes of non-stackable items.
+ *
+ * Stackable items (potions, ores, stars) are interchangeable and travel as
+ * item_id + qty. Every non-stackable item (the EQUIP tab, one per slot) is an
+ * instance: a server-issued `uid` plus its own attributes, carried on the
+ * inventory / equipment entry, ground drop, trade offer and storage entry
+ * that holds it, and saved with the character:
+ *
+ *   stats       EquipStats (equip-data.ts)
+ *   owner       name tag shown on the item
+ *   expires_at  epoch ms after which the item is removed (absent = permanent)
+ *   creator     where the item entered the world — "mob:100100",
+ *               "shop:1011100", "quest:2001", "gm:Name", … (audits)
+ *
+ * Uids are random UUIDs issued when an item enters the world; entries saved
+ * before uids existed get one on login (normalizeItemEntries).
+ */
+import { parseEquipStats, type EquipStats } from "./equip-data.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface ItemAttrs {
+  uid?: string;
+  stats?: EquipStats;
+  owner?: string;
+  expires_at?: number;
+  creator?: string;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/** Non-stackable items are instances — equips (1xxxxxx), matching inventoryTypeByItemId. */
+export function isInstanceItem(itemId: number): boolean {
+  return Math.floor(itemId / 1_000_000) === 1;
+}
+
+export function newItemUid(): string {
+  return crypto.randomUUID();
+}
+
+/** The attributes set on an entry, copied (stats included) so entries never share them. */
+export function pickItemAttrs(src: ItemAttrs | null | undefined): ItemAttrs {
+  const attrs: ItemAttrs = {};
+  if (!src) return attrs;
+  if (src.uid) attrs.uid = src.uid;
+  if (src.stats) attrs.stats = { ...src.stats };
+  if (src.owner) attrs.owner = src.owner;
+  if (src.expires_at) attrs.expires_at = src.expires_at;
+  if (src.creator) attrs.creator = src.creator;
+  return attrs;
+}
+
+/** Attributes from save / storage data; malformed fields are dropped. */
+export function parseItemAttrs(raw: unknown): ItemAttrs {
+  if (!raw || typeof raw !== "object") return {};
+  const src = raw as Record<string, unknown>;
+  const attrs: ItemAttrs = {};
+  if (typeof src.uid === "string" && src.uid) attrs.uid = src.uid;
+  const stats = parseEquipStats(src.stats);
+  if (stats) attrs.stats = stats;
+  if (typeof src.owner === "string" && src.owner) attrs.owner = src.owner;
+  const expiresAt = Number(src.expires_at);
+  if (Number.isFinite(expiresAt) && expiresAt > 0) attrs.expires_at = Math.floor(expiresAt);
+  if (typeof src.creator === "string" && src.creator) attrs.creator = src.creator;
+  return attrs;
+}
+
+export function isItemExpired(attrs: ItemAttrs, now: number): boolean {
+  return !!attrs.expires_at && attrs.expires_at <= now;
+}
+
+/**
+ * Saved inventory / equipment entries with their attributes validated; instance
+ * items without a uid (older saves, default equipment) get one. Stackables keep
+ * no attributes.
+ */
+export function normalizeItemEntries<T extends { item_id: number } & ItemAttrs>(entries: T[]): T[] {
+  return entries.map((entry) => {
+    const { uid, stats, owner, expires_at, creator, ...rest } = entry;
+    if (!isInstanceItem(entry.item_id)) return rest as T;
+    const attrs = parseItemAttrs(entry);
+    return { ...rest, ...attrs, uid: attrs.uid ?? newItemUid() } as T;
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * Job rules — Beginner → first job advancement and AP distribution.
+ *
+ * Each first job has an instructor NPC that performs the advancement
+ * (Cosmic/GMS v83 requirements). The server validates level, base stat,
+ * and instructor presence; the client only renders the dialogue.
+ *
+ * AP: 5 per level, spent on STR/DEX/INT/LUK or Max HP/MP. HP/MP gains per
+ * AP depend on the job family (Cosmic AssignAPProcessor); AP Reset removes
+ * the job's maximum gain, so "washing" only pays off through the INT bonus.
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export type BaseStat = "str" | "dex" | "int" | "luk";
+export type ApStat = BaseStat | "hp" | "mp";
+
+export interface JobAdvancement {
+  jobId: number;
+  /** Job name as stored in `stats.job` */
+  name: string;
+  /** Instructor NPC (Npc.wz ID) */
+  npcId: string;
+  minLevel: number;
+  stat: BaseStat;
+  minStat: number;
+  /** SP granted on advancement (plus 3 per level past minLevel — see getAdvancementSp) */
+  sp: number;
+  ap: number;
+  /** Max HP/MP bonus range [min, max] (Cosmic changeJob) */
+  hpBonus: [number, number];
+  mpBonus: [number, number];
+  /** Starter weapon + ammo */
+  items: { id: number; qty: number }[];
+}
+
+interface ApRules {
+  /** Stat auto-assign pours into */
+  primary: BaseStat;
+  /** Stat auto-assign keeps at level + SECONDARY_LEAD */
+  secondary: BaseStat;
+  /** Max HP / Max MP gained per AP [min, max] */
+  hpPerAp: [number, number];
+  mpPerAp: [number, number];
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Job ID → first-job advancement. */
+export const FIRST_JOB_ADVANCEMENTS: Record<number, JobAdvancement> = {
+  100: {
+    jobId: 100, name: "Warrior", npcId: "1022000", // Dances with Balrog (Perion)
+    minLevel: 10, stat: "str", minStat: 35,
+    sp: 1, ap: 5, hpBonus: [200, 250], mpBonus: [0, 0],
+    items: [{ id: 1302077, qty: 1 }], // Beginner Warrior's Sword
+  },
+  200: {
+    jobId: 200, name: "Magician", npcId: "1032001", // Grendel the Really Old (Ellinia)
+    minLevel: 8, stat: "int", minStat: 20,
+    sp: 1, ap: 5, hpBonus: [0, 0], mpBonus: [100, 150],
+    items: [{ id: 1372043, qty: 1 }], // Beginner Magician's Wand
+  },
+  300: {
+    jobId: 300, name: "Bowman", npcId: "1012100", // Athena Pierce (Henesys)
+    minLevel: 10, stat: "dex", minStat: 25,
+    sp: 1, ap: 5, hpBonus: [100, 150], mpBonus: [25, 50],
+    items: [{ id: 1452051, qty: 1 }, { id: 2060000, qty: 100 }], // Beginner Bowman's Bow, Arrow for Bow
+  },
+  400: {
+    jobId: 400, name: "Thief", npcId: "1052001", // Dark Lord (Kerning City)
+    minLevel: 10, stat: "dex", minStat: 25,
+    sp: 1, ap: 5, hpBonus: [100, 150], mpBonus: [25, 50],
+    items: [{ id: 1472061, qty: 1 }, { id: 2070000, qty: 100 }], // Beginner Thief's Wrist Guard, Subi Throwing-Stars
+  },
+  500: {
+    jobId: 500, name: "Pirate", npcId: "1090000", // Kyrin (Nautilus)
+    minLevel: 10, stat: "dex", minStat: 20,
+    sp: 1, ap: 5, hpBonus: [100, 150], mpBonus: [25, 50],
+    items: [{ id: 1482014, qty: 1 }, { id: 1492014, qty: 1 }, { id: 2330000, qty: 100 }], // Knuckle, Gun, Bullet
+  },
+};
+
+/** SP per level a late advancer missed (Beginners stop earning SP at level 7). */
+const CATCH_UP_SP_PER_LEVEL = 3;
+
+/** AP granted per level up. */
+export const AP_PER_LEVEL = 5;
+/** AP Reset (Cash) — moves one point from a stat back to unspent AP. */
+export const AP_RESET_ITEM_ID = 5050000;
+
+const BASE_STAT_MIN = 4;
+const BASE_STAT_MAX = 999;
+const MAX_HP_MP = 30000;
+/** Max HP/MP a character can never wash below. */
+const MIN_MAX_HP = 50;
+const MIN_MAX_MP = 5;
+
+const SECONDARY_LEAD = 3;
+
+/** Job family (jobId / 100) → AP rules. Brawlers (510) use Warrior-style STR. */
+const AP_RULES: Record<number, ApRules> = {
+  0: { primary: "str", secondary: "dex", hpPerAp: [8, 12], mpPerAp: [6, 8] },
+  1: { primary: "str", secondary: "dex", hpPerAp: [20, 24], mpPerAp: [2, 4] },
+  2: { primary: "int", secondary: "luk", hpPerAp: [6, 10], mpPerAp: [18, 20] },
+  3: { primary: "dex", secondary: "str", hpPerAp: [16, 20], mpPerAp: [10, 12] },
+  4: { primary: "luk", secondary: "dex", hpPerAp: [16, 20], mpPerAp: [10, 12] },
+  5: { primary: "dex", secondary: "str", hpPerAp: [16, 20], mpPerAp: [14, 16] },
+};
+const BRAWLER_RULES: ApRules = { ...AP_RULES[5], primary: "str", secondary: "dex" };
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/**
+ * Validate a first-job advancement. Instructor presence is checked by the
+ * caller (needs map data). Returns the advancement on success.
+ */
+export function checkJobAdvancement(
+  currentJobId: number,
+  targetJobId: number,
+  stats: { level: number } & Record<BaseStat, number>,
+): { ok: true; adv: JobAdvancement } | { ok: false; reason: string } {
+  const adv = FIRST_JOB_ADVANCEMENTS[targetJobId];
+  if (!adv) return { ok: false, reason: "Unknown job." };
+  if (currentJobId !== 0) return { ok: false, reason: "You have already chosen a job." };
+  if (stats.level < adv.minLevel) {
+    return { ok: false, reason: `You must be at least level ${adv.minLevel} to become a ${adv.name}.` };
+  }
+  if (stats[adv.stat] < adv.minStat) {
+    return { ok: false, reason: `You need at least ${adv.minStat} ${adv.stat.toUpperCase()} to become a ${adv.name}.` };
+  }
+  return { ok: true, adv };
+}
+
+/** SP granted on advancement: base SP plus catch-up for levels past the minimum. */
+export function getAdvancementSp(adv: JobAdvancement, level: number): number {
+  return adv.sp + Math.max(0, level - adv.minLevel) * CATCH_UP_SP_PER_LEVEL;
+}
+
+/** Roll a value in an inclusive [min, max] range. */
+export function rollBonus([min, max]: [number, number]): number {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+// ─── AP Distribution ────────────────────────────────────────────────
+
+/** Stats touched by AP. `hp_ap`/`mp_ap` count AP spent into Max HP/MP (washing limit). */
+export interface ApStats extends Record<BaseStat, number> {
+  level: number;
+  ap: number;
+  max_hp: number;
+  max_mp: number;
+  hp: number;
+  mp: number;
+  hp_ap?: number;
+  mp_ap?: number;
+}
+
+function getApRules(jobId: number): ApRules {
+  if (Math.floor(jobId / 10) === 51) return BRAWLER_RULES;
+  return AP_RULES[Math.floor(jobId / 100)] ?? AP_RULES[0];
+}
+
+export function isApStat(stat: unknown): stat is ApStat {
+  return stat === "str" || stat === "dex" || stat === "int" || stat === "luk" || stat === "hp" || stat === "mp";
+}
+
+/**
+ * Spend one AP on `stat`. Mutates `stats` and returns null on success,
+ * or a rejection reason.
+ */
+export function assignAp(jobId: number, stats: ApStats, stat: ApStat): string | null {
+  if ((stats.ap ?? 0) <= 0) return "No AP available.";
+  const rules = getApRules(jobId);
+  if (stat === "hp") {
+    if (stats.max_hp >= MAX_HP_MP) return "Max HP is already at its limit.";
+    stats.max_hp = Math.min(MAX_HP_MP, stats.max_hp + rollBonus(rules.hpPerAp));
+    stats.hp_ap = (stats.hp_ap ?? 0) + 1;
+  } else if (stat === "mp") {
+    if (stats.max_mp >= MAX_HP_MP) return "Max MP is already at its limit.";
+    // Magicians gain extra MP from INT — the basis of MP washing
+    const intBonus = Math.floor(jobId / 100) === 2 ? Math.floor(stats.int / 10) : 0;
+    stats.max_mp = Math.min(MAX_HP_MP, stats.max_mp + rollBonus(rules.mpPerAp) + intBonus);
+    stats.mp_ap = (stats.mp_ap ?? 0) + 1;
+  } else {
+    if (stats[stat] >= BASE_STAT_MAX) return `${stat.toUpperCase()} is already at its limit.`;
+    stats[stat]++;
+  }
+  stats.ap--;
+  return null;
+}
+
+/**
+ * Take one point out of `stat` back into unspent AP (AP Reset).
+ * Max HP/MP lose the job's maximum per-AP gain and can only be reset
+ * as many times as AP was put into them. Returns null on success.
+ */
+export function resetAp(jobId: number, stats: ApStats, stat: ApStat): string | null {
+  const rules = getApRules(jobId);
+  if (stat === "hp") {
+    if ((stats.hp_ap ?? 0) <= 0) return "No AP has been spent on Max HP.";
+    stats.max_hp = Math.max(MIN_MAX_HP, stats.max_hp - rules.hpPerAp[1]);
+    stats.hp = Math.min(stats.hp, stats.max_hp);
+    stats.hp_ap = (stats.hp_ap ?? 0) - 1;
+  } else if (stat === "mp") {
+    if ((stats.mp_ap ?? 0) <= 0) return "No AP has been spent on Max MP.";
+    stats.max_mp = Math.max(MIN_MAX_MP, stats.max_mp - rules.mpPerAp[1]);
+    stats.mp = Math.min(stats.mp, stats.max_mp);
+    stats.mp_ap = (stats.mp_ap ?? 0) - 1;
+  } else {
+    if (stats[stat] <= BASE_STAT_MIN) return `${stat.toUpperCase()} cannot go below ${BASE_STAT_MIN}.`;
+    stats[stat]--;
+  }
+  stats.ap++;
+  return null;
+}
+
+/**
+ * Spend all unspent AP by job: the secondary stat is kept at
+ * level + SECONDARY_LEAD, everything else goes into the primary stat.
+ * Returns the number of points assigned per stat.
+ */
+export function autoAssignAp(jobId: number, stats: ApStats): Partial<Record<BaseStat, number>> {
+  const rules = getApRules(jobId);
+  const added: Partial<Record<BaseStat, number>> = {};
+  while (stats.ap > 0) {
+    const stat = stats[rules.secondary] < stats.level + SECONDARY_LEAD ? rules.secondary : rules.primary;
+    if (assignAp(jobId, stats, stat) !== null) break;
+    added[stat] = (added[stat] ?? 0) + 1;
+  }
+  return added;
+}
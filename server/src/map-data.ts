@@ -4,8 +4,8 @@
  * Lazy-loaded from WZ JSON files for anti-cheat validation.
  * See .memory/wz-structure.md for WZ JSON format documentation.
  */
-import { readFileSync, existsSync } from "fs";
-import { resolve } from "path";
+import { resourcePath } from "./wz-xml.ts";
+import { parseFieldRules, type FieldRules } from "./field.ts";
 
 // ─── Types ──────────────────────────────────────────────────────────
 
@@ -48,8 +48,24 @@ export interface FootholdInfo {
   y2: number;
 }
 
+export interface LadderRopeInfo {
+  x: number;
+  /** Top end */
+  y1: number;
+  /** Bottom end */
+  y2: number;
+  ladder: boolean;
+}
+
 export interface MapInfo {
   returnMap: number;
+  /** Underwater map — players swim instead of falling */
+  swim: boolean;
+  /** FIELD_LIMIT bitmask (field.ts) */
+  fieldLimit: number;
+  /** Seconds a player may stay before being sent to forcedReturn (0 = no limit) */
+  timeLimit: number;
+  forcedReturn: number;
 }
 
 export interface MapData {
@@ -57,11 +73,28 @@ export interface MapData {
   npcs: NpcLifeEntry[];
   mobs: MobLifeEntry[];
   footholds: FootholdInfo[];
+  ladderRopes: LadderRopeInfo[];
   info: MapInfo;
+  /** Field limits + clock derived from `info` */
+  field: FieldRules;
 }
 
 // ─── Foothold Helpers ───────────────────────────────────────────────
 
+/** Walls are vertical footholds (client fhIsWall). */
+export function isWallFoothold(fh: FootholdInfo): boolean {
+  return Math.abs(fh.x2 - fh.x1) < 0.01;
+}
+
+/** Ground Y of a non-wall foothold at x (client fhGroundAt), or null if x is outside it. */
+export function footholdYAt(fh: FootholdInfo, x: number): number | null {
+  const left = Math.min(fh.x1, fh.x2);
+  const right = Math.max(fh.x1, fh.x2);
+  if (x < left || x > right) return null;
+  const t = (x - fh.x1) / (fh.x2 - fh.x1);
+  return fh.y1 + (fh.y2 - fh.y1) * t;
+}
+
 /**
  * Find the Y of the closest foothold at or below (x, y).
  * Returns the ground Y, or null if no foothold found.
@@ -72,17 +105,11 @@ export function findGroundY(footholds: FootholdInfo[], x: number, y: number): nu
 
   for (const fh of footholds) {
     // Skip walls (vertical segments)
-    const dx = fh.x2 - fh.x1;
-    if (Math.abs(dx) < 0.01) continue;
-
-    // Check if x is within this foothold's horizontal range
-    const left = Math.min(fh.x1, fh.x2);
-    const right = Math.max(fh.x1, fh.x2);
-    if (x < left || x > right) continue;
+    if (isWallFoothold(fh)) continue;
 
-    // Interpolate Y at this X
-    const t = (x - fh.x1) / dx;
-    const groundY = fh.y1 + (fh.y2 - fh.y1) * t;
+    // Interpolate Y at this X (null = outside the foothold's horizontal range)
+    const groundY = footholdYAt(fh, x);
+    if (groundY === null) continue;
 
     // Must be at or below the query point
     if (groundY < y - 1) continue;
@@ -107,6 +134,13 @@ export interface MobStats {
   knockback: number; // pushed
   exp: number;
   bodyAttack: boolean; // whether mob deals contact damage
+  /** MobSkill.img skills from info/skill (see mob-skill-data.ts); action N = "skillN" stance */
+  skills: { id: number; level: number; action: number }[];
+  boss: boolean;       // info/boss — boss respawn schedule, HP bar, loot rights (boss.ts)
+  /** Mob IDs this mob turns into when it dies (info/revive — boss phases) */
+  revive: string[];
+  hpTagColor: number;   // boss HP bar colour index (0 = default)
+  hpTagBgcolor: number;
 }
 
 const _mobStatsCache = new Map<string, MobStats | null>();
@@ -116,16 +150,11 @@ export function getMobStats(mobId: string): MobStats | null {
   if (_mobStatsCache.has(mobId)) return _mobStatsCache.get(mobId)!;
 
   const padded = mobId.padStart(7, "0");
-  const filePath = resolve(PROJECT_ROOT, "resourcesv3", "Mob.wz", `${padded}.img.xml`);
+  const filePath = resourcePath("Mob.wz", `${padded}.img.xml`);
 
   try {
-    if (!existsSync(filePath)) {
-      _mobStatsCache.set(mobId, null);
-      return null;
-    }
-    const { parseWzXml } = require("./wz-xml.ts");
-    const text = readFileSync(filePath, "utf-8");
-    const json = parseWzXml(text);
+    const { readWzImage } = require("./wz-xml.ts");
+    const json = readWzImage(filePath);
     const sections: any[] = json?.$$;
     if (!Array.isArray(sections)) { _mobStatsCache.set(mobId, null); return null; }
 
@@ -133,7 +162,25 @@ export function getMobStats(mobId: string): MobStats | null {
     if (!info?.$$) { _mobStatsCache.set(mobId, null); return null; }
 
     let level = 1, maxHP = 100, watk = 0, wdef = 0, avoid = 0, knockback = 1, exp = 0, bodyAttack = true;
+    const skills: MobStats["skills"] = [];
+    const revive: string[] = [];
+    let boss = false, hpTagColor = 0, hpTagBgcolor = 0;
     for (const child of info.$$) {
+      if (child.$imgdir === "revive") {
+        // info/revive/{n} = mob ID
+        for (const entry of child.$$ || []) {
+          if (Number(entry.value) > 0) revive.push(String(Number(entry.value)));
+        }
+        continue;
+      }
+      if (child.$imgdir === "skill") {
+        // info/skill/{n}/{skill, level, action}
+        for (const entry of child.$$ || []) {
+          const field = (name: string) => Number(entry.$$?.find((c: any) => c.$int === name)?.value) || 0;
+          if (field("skill") > 0) skills.push({ id: field("skill"), level: field("level") || 1, action: field("action") || 1 });
+        }
+        continue;
+      }
       const name = child.$int ?? child.$short ?? "";
       const val = Number(child.value) || 0;
       if (name === "level") level = val;
@@ -144,9 +191,15 @@ export function getMobStats(mobId: string): MobStats | null {
       else if (name === "pushed") knockback = val;
       else if (name === "exp") exp = val;
       else if (name === "bodyAttack") bodyAttack = val !== 0;
+      else if (name === "boss") boss = val !== 0;
+      else if (name === "hpTagColor") hpTagColor = val;
+      else if (name === "hpTagBgcolor") hpTagBgcolor = val;
     }
 
-    const stats: MobStats = { level, maxHP, watk, wdef, avoid, knockback, exp, bodyAttack };
+    const stats: MobStats = {
+      level, maxHP, watk, wdef, avoid, knockback, exp, bodyAttack, skills,
+      boss, revive, hpTagColor, hpTagBgcolor,
+    };
     _mobStatsCache.set(mobId, stats);
     return stats;
   } catch {
@@ -165,7 +218,6 @@ const npcScriptCache = new Map<string, string>();
 // ─── Cache ──────────────────────────────────────────────────────────
 
 const mapDataCache = new Map<string, MapData>();
-const PROJECT_ROOT = resolve(import.meta.dir, "../..");
 
 /** Portal interaction range in pixels */
 export const PORTAL_RANGE_PX = 200;
@@ -195,6 +247,19 @@ export function findPortal(mapId: string, portalName: string): PortalInfo | null
   return data.portals.find(p => p.name === portalName) ?? null;
 }
 
+/**
+ * Where the client places a player entering the map: the named portal, else
+ * the first spawn point (type 0), else the first portal (app.js loadMap).
+ */
+export function findSpawnPortal(mapId: string, portalName: string): PortalInfo | null {
+  const data = getMapData(mapId);
+  if (!data) return null;
+  return (portalName ? data.portals.find(p => p.name === portalName) : undefined)
+    ?? data.portals.find(p => p.type === 0)
+    ?? data.portals[0]
+    ?? null;
+}
+
 export function isUsablePortal(portal: PortalInfo): boolean {
   return portal.type !== 0 && portal.type !== 6;
 }
@@ -303,30 +368,38 @@ function loadMapData(paddedMapId: string): MapData | null {
   const prefix = paddedMapId.charAt(0);
   const relPath = `Map.wz/Map/Map${prefix}/${paddedMapId}.img.xml`;
 
-  const fullPath = resolve(PROJECT_ROOT, "resourcesv3", relPath);
-  if (existsSync(fullPath)) {
-    try {
-      const { parseWzXml } = require("./wz-xml.ts");
-      const text = readFileSync(fullPath, "utf-8");
-      const raw = parseWzXml(text);
-      return parseMapData(raw);
-    } catch (err) {
-      console.warn(`[map-data] Failed to parse ${fullPath}: ${err}`);
-    }
+  const fullPath = resourcePath(relPath);
+  try {
+    const { readWzImage } = require("./wz-xml.ts");
+    const raw = readWzImage(fullPath);
+    if (raw) return parseMapData(raw, Number(paddedMapId));
+  } catch (err) {
+    console.warn(`[map-data] Failed to parse ${fullPath}: ${err}`);
   }
   return null;
 }
 
-function parseMapData(mapJson: any): MapData {
+function parseMapData(mapJson: any, mapId: number): MapData {
   const sections: any[] = mapJson?.$$;
-  if (!Array.isArray(sections)) return { portals: [], npcs: [], mobs: [], footholds: [], info: { returnMap: 999999999 } };
+  if (!Array.isArray(sections)) {
+    const info: MapInfo = { returnMap: 999999999, swim: false, fieldLimit: 0, timeLimit: 0, forcedReturn: 999999999 };
+    return { portals: [], npcs: [], mobs: [], footholds: [], ladderRopes: [], info, field: parseFieldRules(0, 0, 999999999, 999999999, mapId) };
+  }
 
   // ── info section ──
   const infoSection = sections.find((s: any) => s.$imgdir === "info");
   let returnMap = 999999999;
+  let swim = false;
+  let fieldLimit = 0;
+  let timeLimit = 0;
+  let forcedReturn = 999999999;
   if (infoSection?.$$) {
     for (const child of infoSection.$$) {
       if (child.$int === "returnMap") returnMap = Number(child.value) || 999999999;
+      else if (child.$int === "swim") swim = String(child.value) === "1";
+      else if (child.$int === "fieldLimit") fieldLimit = Number(child.value) || 0;
+      else if (child.$int === "timeLimit") timeLimit = Number(child.value) || 0;
+      else if (child.$int === "forcedReturn") forcedReturn = Number(child.value) || 999999999;
     }
   }
 
@@ -403,7 +476,28 @@ function parseMapData(mapJson: any): MapData {
     }
   }
 
-  return { portals, npcs, mobs, footholds, info: { returnMap } };
+  // ── ladderRope section ──
+  const ropeSection = sections.find((s: any) => s.$imgdir === "ladderRope");
+  const ladderRopes: LadderRopeInfo[] = [];
+  if (ropeSection?.$$) {
+    for (const entry of ropeSection.$$) {
+      if (!entry?.$$) continue;
+      const rope: LadderRopeInfo = { x: 0, y1: 0, y2: 0, ladder: false };
+      for (const child of entry.$$) {
+        if (child.$int === "x") rope.x = Number(child.value) || 0;
+        else if (child.$int === "y1") rope.y1 = Number(child.value) || 0;
+        else if (child.$int === "y2") rope.y2 = Number(child.value) || 0;
+        else if (child.$int === "l") rope.ladder = String(child.value) === "1";
+      }
+      ladderRopes.push(rope);
+    }
+  }
+
+  return {
+    portals, npcs, mobs, footholds, ladderRopes,
+    info: { returnMap, swim, fieldLimit, timeLimit, forcedReturn },
+    field: parseFieldRules(fieldLimit, timeLimit, forcedReturn, returnMap, mapId),
+  };
 }
 
 // ─── Internal: NPC Script Loading ───────────────────────────────────
@@ -412,16 +506,13 @@ function loadNpcScriptId(npcId: string): string {
   const padded = String(npcId).padStart(7, "0");
   const relPath = `Npc.wz/${padded}.img.xml`;
 
-  const fullPath = resolve(PROJECT_ROOT, "resourcesv3", relPath);
-  if (existsSync(fullPath)) {
-    try {
-      const { parseWzXml } = require("./wz-xml.ts");
-      const text = readFileSync(fullPath, "utf-8");
-      const raw = parseWzXml(text);
-      return parseNpcScriptId(raw);
-    } catch {
-      // ignore
-    }
+  const fullPath = resourcePath(relPath);
+  try {
+    const { readWzImage } = require("./wz-xml.ts");
+    const raw = readWzImage(fullPath);
+    if (raw) return parseNpcScriptId(raw);
+  } catch {
+    // ignore
   }
   return "";
 }
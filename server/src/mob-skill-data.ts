@@ -0,0 +1,202 @@
+/**
+ * Mob skills and the player status effects they inflict.
+ *
+ * Which skills a mob knows comes from Mob.wz `info/skill/{n}/{skill, level}`
+ * (MobStats.skills in map-data.ts). Per-level data comes from MobSkill.img:
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/time      — effect duration (s)
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/x         — strength (poison: HP/s, slow: speed lost)
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/prop      — cast chance (%) each time the mob tries
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/interval  — cooldown between casts (s)
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/hp        — only cast at or below this HP %
+ *   Skill.wz/MobSkill.img/{skillId}/level/{n}/lt, rb    — affected area around the mob
+ *
+ * Only the player debuffs are modelled: seal (120), stun (123), poison (125)
+ * and slow (126). Casting runs on the server tick and active statuses live on
+ * WSClient (ws.ts), so a modified client can't skip them; this module holds
+ * the data and the pure rules.
+ */
+import { resourcePath } from "./wz-xml.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export type StatusEffect = "seal" | "stun" | "poison" | "slow";
+
+export interface MobSkillLevel {
+  skillId: number;
+  level: number;
+  effect: StatusEffect;
+  /** Effect duration in ms */
+  duration: number;
+  x: number;
+  /** Cast chance per attempt, 0-100 */
+  prop: number;
+  /** Cooldown between casts in ms */
+  interval: number;
+  /** Mob must be at or below this HP % to cast (100 = always) */
+  hpThreshold: number;
+  range: { left: number; right: number; top: number; bottom: number };
+}
+
+export interface ActiveStatus {
+  effect: StatusEffect;
+  skillId: number;
+  level: number;
+  x: number;
+  expiresAt: number;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** MobSkill.img ID → status it inflicts on players. */
+const MOB_SKILL_EFFECTS: Record<number, StatusEffect> = {
+  120: "seal",
+  123: "stun",
+  125: "poison",
+  126: "slow",
+};
+
+/** Used when a level has no lt/rb (roughly one screen-width around the mob). */
+const DEFAULT_SKILL_RANGE = { left: -300, right: 300, top: -200, bottom: 50 };
+const DEFAULT_SKILL_INTERVAL_MS = 10_000;
+/** Slow can't take a player below this speed stat. */
+const MIN_SLOWED_SPEED = 10;
+
+// ─── Caches ─────────────────────────────────────────────────────────
+
+let _mobSkillImg: any | undefined;
+const _levelCache = new Map<string, MobSkillLevel | null>();
+
+// ─── Loading ────────────────────────────────────────────────────────
+
+function loadMobSkillImg(): any {
+  if (_mobSkillImg !== undefined) return _mobSkillImg;
+  const filePath = resourcePath("Skill.wz/MobSkill.img.xml");
+  _mobSkillImg = null;
+  try {
+    const { readWzImage } = require("./wz-xml.ts");
+    _mobSkillImg = readWzImage(filePath);
+  } catch (e) {
+    console.error(`[mob-skill-data] Failed to load MobSkill.img: ${e}`);
+  }
+  return _mobSkillImg;
+}
+
+/** Level data for a status skill (cached; null if unsupported or missing from WZ). */
+export function getMobSkillLevel(skillId: number, level: number): MobSkillLevel | null {
+  const key = `${skillId}:${level}`;
+  if (_levelCache.has(key)) return _levelCache.get(key)!;
+
+  const effect = MOB_SKILL_EFFECTS[skillId];
+  const levelDir = effect
+    ? loadMobSkillImg()?.$$
+      ?.find((n: any) => n.$imgdir === String(skillId))?.$$
+      ?.find((n: any) => n.$imgdir === "level")?.$$
+      ?.find((n: any) => n.$imgdir === String(level))
+    : null;
+  if (!effect || !levelDir) {
+    _levelCache.set(key, null);
+    return null;
+  }
+
+  const data: MobSkillLevel = {
+    skillId, level, effect,
+    duration: 0, x: 0, prop: 100,
+    interval: DEFAULT_SKILL_INTERVAL_MS,
+    hpThreshold: 100,
+    range: DEFAULT_SKILL_RANGE,
+  };
+  let lt: { x: number; y: number } | null = null;
+  let rb: { x: number; y: number } | null = null;
+  for (const c of levelDir.$$ || []) {
+    if (c.$vector === "lt") lt = { x: Number(c.x) || 0, y: Number(c.y) || 0 };
+    else if (c.$vector === "rb") rb = { x: Number(c.x) || 0, y: Number(c.y) || 0 };
+    const name = c.$int ?? c.$short ?? c.$string;
+    const val = Number(c.value) || 0;
+    if (name === "time") data.duration = val * 1000;
+    else if (name === "x") data.x = val;
+    else if (name === "prop") data.prop = val;
+    else if (name === "interval" && val > 0) data.interval = val * 1000;
+    else if (name === "hp" && val > 0) data.hpThreshold = val;
+  }
+  if (lt && rb) data.range = { left: lt.x, right: rb.x, top: lt.y, bottom: rb.y };
+  _levelCache.set(key, data.duration > 0 ? data : null);
+  return _levelCache.get(key)!;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/**
+ * Whether a mob may try a skill now: off cooldown and under its HP gate.
+ * The `prop` roll happens separately so callers can keep this deterministic.
+ */
+export function canCastMobSkill(skill: MobSkillLevel, hp: number, maxHp: number, readyAt: number, now: number): boolean {
+  if (now < readyAt) return false;
+  return maxHp <= 0 || (hp * 100) / maxHp <= skill.hpThreshold;
+}
+
+/**
+ * Whether a player stands in the skill's area. The server doesn't track mob
+ * facing, so the lt/rb box is mirrored to cover both sides.
+ */
+export function isInMobSkillRange(skill: MobSkillLevel, mobX: number, mobY: number, x: number, y: number): boolean {
+  const reach = Math.max(Math.abs(skill.range.left), Math.abs(skill.range.right));
+  const dy = y - mobY;
+  return Math.abs(x - mobX) <= reach && dy >= skill.range.top && dy <= skill.range.bottom;
+}
+
+/** Apply a skill's status, unless the active one is stronger or lasts longer. */
+export function applyStatus(statuses: Map<StatusEffect, ActiveStatus>, skill: MobSkillLevel, now: number): ActiveStatus {
+  const next: ActiveStatus = {
+    effect: skill.effect,
+    skillId: skill.skillId,
+    level: skill.level,
+    x: skill.x,
+    expiresAt: now + skill.duration,
+  };
+  const current = statuses.get(skill.effect);
+  if (current && current.expiresAt > now && (Math.abs(current.x) > Math.abs(next.x) || current.expiresAt >= next.expiresAt)) {
+    return current;
+  }
+  statuses.set(skill.effect, next);
+  return next;
+}
+
+export function hasStatus(statuses: Map<StatusEffect, ActiveStatus>, effect: StatusEffect, now: number): boolean {
+  const s = statuses.get(effect);
+  return !!s && s.expiresAt > now;
+}
+
+/** Remove and return the statuses that have run out. */
+export function expireStatuses(statuses: Map<StatusEffect, ActiveStatus>, now: number): StatusEffect[] {
+  const expired: StatusEffect[] = [];
+  for (const [effect, s] of statuses) {
+    if (s.expiresAt <= now) {
+      statuses.delete(effect);
+      expired.push(effect);
+    }
+  }
+  return expired;
+}
+
+/** HP lost to one second of poison. Poison can't kill: it stops at 1 HP. */
+export function getPoisonDamage(hp: number, status: ActiveStatus): number {
+  return Math.max(0, Math.min(Math.abs(status.x), hp - 1));
+}
+
+/** Speed stat while slowed (the move handler scales its speed cap by this over the raw stat). */
+export function getEffectiveSpeed(speed: number, statuses: Map<StatusEffect, ActiveStatus>, now: number): number {
+  const slow = statuses.get("slow");
+  if (!slow || slow.expiresAt <= now) return speed;
+  return Math.max(MIN_SLOWED_SPEED, speed - Math.abs(slow.x));
+}
+
+/** Statuses as sent to the client (`status_effect`). */
+export function serializeStatus(s: ActiveStatus, now: number) {
+  return {
+    effect: s.effect,
+    skill_id: s.skillId,
+    level: s.level,
+    x: s.x,
+    duration_ms: Math.max(0, s.expiresAt - now),
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Movement validation tests — checkMove (movement.ts) against a small inline
+ * map with a floor, a wall and a rope.
+ */
+import { describe, expect, test } from "bun:test";
+import { parseFieldRules } from "./field.ts";
+import type { MapData } from "./map-data.ts";
+import { checkMove, createMoveCheckState, resetMoveCheck } from "./movement.ts";
+
+describe("movement validation", () => {
+  // Floor at y=0 from x=-500..500, a wall at x=100 rising to y=-200, a rope at x=-200 up to y=-300
+  const map: MapData = {
+    portals: [], npcs: [], mobs: [],
+    footholds: [
+      { id: 1, x1: -500, y1: 0, x2: 500, y2: 0 },
+      { id: 2, x1: 100, y1: -200, x2: 100, y2: 0 },
+    ],
+    ladderRopes: [{ x: -200, y1: -300, y2: -20, ladder: false }],
+    info: { returnMap: 999999999, swim: false, fieldLimit: 0, timeLimit: 0, forcedReturn: 999999999 },
+    field: parseFieldRules(0, 0, 999999999, 999999999),
+  };
+
+  test("walls block, hovering is flagged, ropes and falls are fine", () => {
+    const state = createMoveCheckState();
+    resetMoveCheck(state, 0, 0);
+
+    expect(checkMove(state, map, 0, 0, 40, 0, 1000)).toBeNull();
+    // Through the wall's middle
+    expect(checkMove(state, map, 90, -100, 110, -100, 1050)).toBe("wall");
+    // Holding the rope far above the floor
+    expect(checkMove(state, map, -200, -150, -200, -250, 1100)).toBeNull();
+    expect(state.lastValidY).toBe(-250);
+
+    // Jump: up, then falling back down is fine however long it takes
+    expect(checkMove(state, map, 0, 0, 0, -60, 2000)).toBeNull();
+    expect(checkMove(state, map, 0, -60, 0, -40, 3000)).toBeNull();
+    expect(checkMove(state, map, 0, -40, 0, -20, 4000)).toBeNull();
+
+    // Staying in the air without descending
+    expect(checkMove(state, map, 0, -20, 0, -300, 4500)).toBeNull();
+    expect(checkMove(state, map, 0, -300, 0, -300, 6000)).toBe("hover");
+    expect(state.lastValidX).toBe(-200);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Movement validation — reported positions checked against map geometry.
+ *
+ * The client runs physics and reports its position at 20 Hz (`move`); the
+ * server only checks that each position is somewhere a player can be, using
+ * the map's footholds and ladders/ropes from map-data.ts. This runs after
+ * the velocity check in ws.ts.
+ *
+ * A move is off-geometry when it passes through a wall, or when the player
+ * stays in the air without falling (hovering) for longer than a jump apex
+ * takes. Standing on a foothold, holding a ladder/rope, or being on a swim
+ * map counts as supported. Off-geometry moves are dropped; after
+ * MOVE_VIOLATION_LIMIT in a row, ws.ts rubber-bands the client back to its
+ * last supported position and logs the violation.
+ */
+
+import { footholdYAt, isWallFoothold, type MapData } from "./map-data.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export type MoveViolation = "wall" | "hover";
+
+export interface MoveCheckState {
+  /** Last position that was on a foothold / ladder (rubber-band target) */
+  lastValidX: number;
+  lastValidY: number;
+  /** When the player left the ground (0 = supported) */
+  airSinceMs: number;
+  /** Lowest point reached in the current airtime (largest Y) */
+  airLowestY: number;
+  /** When the player last moved downwards while airborne */
+  airLastDescentMs: number;
+  /** Off-geometry moves in a row */
+  violations: number;
+  /** Rubber-banded since the last valid move (the violation is logged once) */
+  flagged: boolean;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Off-geometry moves in a row before the client is rubber-banded. */
+export const MOVE_VIOLATION_LIMIT = 5;
+/** Max distance above/below a foothold that still counts as standing on it. */
+const GROUND_TOLERANCE_PX = 10;
+/** Max horizontal distance from a ladder/rope that still counts as holding it. */
+const ROPE_TOLERANCE_PX = 12;
+/** Ignore wall crossings this close to a wall's ends (corner-cutting between samples). */
+const WALL_END_MARGIN_PX = 10;
+/** Airborne without descending for longer than this is hovering (jump ascent takes ~0.4s). */
+const MAX_HOVER_MS = 1_500;
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+export function createMoveCheckState(): MoveCheckState {
+  return { lastValidX: 0, lastValidY: 0, airSinceMs: 0, airLowestY: 0, airLastDescentMs: 0, violations: 0, flagged: false };
+}
+
+/** Start tracking from a trusted position (the spawn portal on entering a map, or after a rubber-band). */
+export function resetMoveCheck(state: MoveCheckState, x: number, y: number): void {
+  state.lastValidX = x;
+  state.lastValidY = y;
+  state.airSinceMs = 0;
+  state.violations = 0;
+}
+
+/** On a foothold, holding a ladder/rope, or anywhere on a swim map. */
+export function isSupportedPosition(map: MapData, x: number, y: number): boolean {
+  if (map.info.swim) return true;
+  for (const fh of map.footholds) {
+    if (isWallFoothold(fh)) continue;
+    const groundY = footholdYAt(fh, x);
+    if (groundY !== null && Math.abs(groundY - y) <= GROUND_TOLERANCE_PX) return true;
+  }
+  for (const rope of map.ladderRopes) {
+    if (Math.abs(rope.x - x) <= ROPE_TOLERANCE_PX
+      && y >= rope.y1 - GROUND_TOLERANCE_PX && y <= rope.y2 + GROUND_TOLERANCE_PX) return true;
+  }
+  return false;
+}
+
+/** Does the straight move (x1,y1) → (x2,y2) pass through a wall foothold? */
+export function crossesWall(map: MapData, x1: number, y1: number, x2: number, y2: number): boolean {
+  if (x1 === x2) return false;
+  for (const fh of map.footholds) {
+    if (!isWallFoothold(fh)) continue;
+    const wallX = fh.x1;
+    if ((x1 < wallX) === (x2 < wallX) || x2 === wallX) continue;
+    // Y of the move where it reaches the wall's X (same segment math as findGroundLanding)
+    const t = (wallX - x1) / (x2 - x1);
+    const y = y1 + (y2 - y1) * t;
+    const top = Math.min(fh.y1, fh.y2) + WALL_END_MARGIN_PX;
+    const bottom = Math.max(fh.y1, fh.y2) - WALL_END_MARGIN_PX;
+    if (y > top && y < bottom) return true;
+  }
+  return false;
+}
+
+/**
+ * Check one move from the last accepted position. Updates the airtime and
+ * last valid position; returns the violation, or null if the move is fine.
+ */
+export function checkMove(
+  state: MoveCheckState,
+  map: MapData,
+  fromX: number,
+  fromY: number,
+  x: number,
+  y: number,
+  now: number,
+): MoveViolation | null {
+  if (crossesWall(map, fromX, fromY, x, y)) return "wall";
+
+  if (isSupportedPosition(map, x, y)) {
+    state.airSinceMs = 0;
+    state.lastValidX = x;
+    state.lastValidY = y;
+    return null;
+  }
+
+  if (state.airSinceMs === 0) {
+    state.airSinceMs = now;
+    state.airLowestY = y;
+    state.airLastDescentMs = now;
+  } else if (y > state.airLowestY) {
+    state.airLowestY = y;
+    state.airLastDescentMs = now;
+  }
+  return now - state.airLastDescentMs > MAX_HOVER_MS ? "hover" : null;
+}
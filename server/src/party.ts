@@ -0,0 +1,65 @@
+/**
+ * Party rules — membership limits, invites, and shared EXP.
+ *
+ * Party state itself lives in RoomManager (ws.ts) keyed by session ID, so
+ * it survives map changes; this module holds the pure rules.
+ *
+ * Shared EXP: when a party member kills a mob, every living member on the
+ * same map shares the EXP. The pool gets a bonus per extra member and is
+ * split by level, so a low-level member can't out-earn the killer.
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface Party {
+  id: number;
+  /** Session ID of the leader (invites + kicks) */
+  leaderId: string;
+  /** Session IDs in join order — the next member becomes leader if the leader leaves */
+  memberIds: string[];
+}
+
+export interface PartyInvite {
+  partyId: number;
+  fromId: string;
+  expiresAt: number;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+export const MAX_PARTY_SIZE = 6;
+/** How long an invite can be accepted. */
+export const PARTY_INVITE_TTL_MS = 30_000;
+/** Extra EXP per additional member sharing a kill (+10% each). */
+const PARTY_EXP_BONUS_PER_MEMBER = 0.1;
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/**
+ * Split a kill's EXP among the members sharing it (killer included).
+ * Returns sessionId → EXP. The killer receives any rounding remainder.
+ */
+export function splitPartyExp(
+  exp: number,
+  killerId: string,
+  members: { id: string; level: number }[],
+): Map<string, number> {
+  const shares = new Map<string, number>();
+  if (exp <= 0) return shares;
+  if (members.length <= 1) {
+    shares.set(killerId, exp);
+    return shares;
+  }
+
+  const pool = Math.floor(exp * (1 + PARTY_EXP_BONUS_PER_MEMBER * (members.length - 1)));
+  const totalLevel = members.reduce((sum, m) => sum + Math.max(1, m.level), 0);
+  let given = 0;
+  for (const m of members) {
+    if (m.id === killerId) continue;
+    const share = Math.max(1, Math.floor(pool * Math.max(1, m.level) / totalLevel));
+    shares.set(m.id, share);
+    given += share;
+  }
+  shares.set(killerId, Math.max(1, pool - given));
+  return shares;
+}
@@ -0,0 +1,200 @@
+/**
+ * Headless physics harness — runs the client's player physics under Bun.
+ *
+ * client/web/physics.js is written for the browser: its imports grab DOM refs
+ * at module load, and `updatePlayer` reads `runtime` and performance.now().
+ * This harness installs inert stand-ins for the browser globals, imports the
+ * real client modules (no copies — the code under test is what ships), and
+ * steps `updatePlayer` at the client's fixed step (FIXED_STEP_MS) through a
+ * scripted input sequence on a virtual clock, so every run is deterministic.
+ *
+ * Maps are parsed the same way the client does (client parseMapData), from
+ * resourcesv3 Map.wz XML via loadMap(), or from inline XML via parseMapXml().
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { resolve } from "path";
+import { parseWzXml } from "./wz-xml.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** Keys held during a script step. `jump` is queued on the tick it's first pressed. */
+export interface SimInput {
+  left?: boolean;
+  right?: boolean;
+  up?: boolean;
+  down?: boolean;
+  jump?: boolean;
+}
+
+/** Hold `input` (nothing held if omitted) for `ticks` fixed steps. */
+export interface ScriptStep {
+  ticks: number;
+  input?: SimInput;
+}
+
+/** Player state after one tick. */
+export interface SimSample {
+  tick: number;
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+  onGround: boolean;
+  climbing: boolean;
+  swimming: boolean;
+  footholdId: string | null;
+  action: string;
+}
+
+export interface SimRun {
+  samples: SimSample[];
+  /** The player moved further than physics allows in one tick (fell out of the map and respawned). */
+  teleported: boolean;
+}
+
+/** Parsed map as returned by the client's parseMapData. */
+export type SimMap = any;
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+const PROJECT_ROOT = resolve(import.meta.dir, "../..");
+const CLIENT_DIR = resolve(PROJECT_ROOT, "client/web");
+/** Virtual clock start — past every "until" timestamp a fresh player has (0). */
+const SIM_CLOCK_START_MS = 100_000;
+/** More than this in one tick is a respawn, not movement (fall speed cap is ~11px/tick). */
+const MAX_TICK_TRAVEL_PX = 100;
+
+// ─── Client modules ─────────────────────────────────────────────────
+
+interface ClientModules {
+  state: any;
+  life: any;
+  physics: any;
+}
+
+let client: ClientModules | null = null;
+
+/**
+ * Inert browser object: every property is another inert object, calls and
+ * `new` return one too. Enough for the DOM refs and listeners client modules
+ * set up at load; nothing on the physics path reads them.
+ */
+function inert(): any {
+  return new Proxy(function () {}, {
+    get: (target, key) => {
+      if (key === Symbol.toPrimitive) return () => 0;
+      if (key === Symbol.iterator) return function* () {};
+      if (key === "then") return undefined;
+      if (key in target) return (target as any)[key];
+      return inert();
+    },
+    set: () => true,
+    apply: () => inert(),
+    construct: () => inert(),
+  });
+}
+
+async function loadClient(): Promise<ClientModules> {
+  if (client) return client;
+  const g = globalThis as any;
+  g.document ??= inert();
+  g.window ??= inert();
+  g.localStorage ??= inert();
+  g.sessionStorage ??= inert();
+
+  const state = await import(resolve(CLIENT_DIR, "state.js"));
+  const life = await import(resolve(CLIENT_DIR, "life.js"));
+  const physics = await import(resolve(CLIENT_DIR, "physics.js"));
+
+  // app.js registers these; physics only needs them for sound and animation.
+  const { fn } = state;
+  fn.getCharacterActionFrames ??= () => [];
+  fn.getCharacterFrameData ??= () => null;
+  fn.adjustStanceForWeapon ??= (action: string) => action;
+  fn.playSfx ??= () => {};
+  fn.standUpFromChair ??= () => {};
+  fn.triggerPlayerHitVisuals ??= () => {};
+
+  client = { state, life, physics };
+  return client;
+}
+
+// ─── Maps ───────────────────────────────────────────────────────────
+
+/** Parse a map from Map.wz XML text. */
+export async function parseMapXml(xmlText: string): Promise<SimMap> {
+  const { life } = await loadClient();
+  return life.parseMapData(parseWzXml(xmlText));
+}
+
+/** Load a map from resourcesv3, or null if it isn't there. */
+export async function loadMap(mapId: string): Promise<SimMap | null> {
+  const padded = String(mapId).padStart(9, "0");
+  const path = resolve(PROJECT_ROOT, "resourcesv3", `Map.wz/Map/Map${padded.charAt(0)}/${padded}.img.xml`);
+  if (!existsSync(path)) return null;
+  return parseMapXml(readFileSync(path, "utf8"));
+}
+
+// ─── Simulation ─────────────────────────────────────────────────────
+
+/**
+ * Drop the player at (x, y) on `map` — airborne, as after a map load — and run
+ * `script` one fixed step at a time. Returns the state after every tick.
+ */
+export async function simulate(map: SimMap, start: { x: number; y: number }, script: ScriptStep[]): Promise<SimRun> {
+  const { state, physics } = await loadClient();
+  const { runtime, FIXED_STEP_MS } = state;
+
+  let clockMs = SIM_CLOCK_START_MS;
+  const realNow = performance.now;
+  performance.now = () => clockMs;
+
+  try {
+    runtime.map = map;
+    const p = runtime.player;
+    Object.assign(p, {
+      x: start.x, y: start.y, prevX: start.x, prevY: start.y, vx: 0, vy: 0,
+      onGround: false, climbing: false, swimming: false, climbRope: null,
+      climbCooldownUntil: 0, climbAttachTime: 0, reattachLockUntil: 0, reattachLockRopeKey: null,
+      downJumpIgnoreFootholdId: null, downJumpIgnoreUntil: 0, downJumpControlLock: false,
+      downJumpTargetFootholdId: null, knockbackClimbLockUntil: 0, trapInvincibleUntil: 0,
+      footholdId: null, fallStartY: start.y, attacking: false, chairId: 0,
+      hp: p.maxHp, action: "stand1", frameIndex: 0, frameTimer: 0,
+    });
+    const input = runtime.input;
+    Object.assign(input, { left: false, right: false, up: false, down: false, jumpHeld: false, jumpQueued: false });
+
+    const samples: SimSample[] = [];
+    let teleported = false;
+    let tick = 0;
+    for (const step of script) {
+      const keys = step.input ?? {};
+      for (let i = 0; i < step.ticks; i++) {
+        input.left = !!keys.left;
+        input.right = !!keys.right;
+        input.up = !!keys.up;
+        input.down = !!keys.down;
+        if (keys.jump && !input.jumpHeld) input.jumpQueued = true;
+        input.jumpHeld = !!keys.jump;
+
+        const fromX = p.x;
+        const fromY = p.y;
+        physics.updatePlayer(FIXED_STEP_MS / 1000);
+        clockMs += FIXED_STEP_MS;
+        tick++;
+
+        if (Math.hypot(p.x - fromX, p.y - fromY) > MAX_TICK_TRAVEL_PX) teleported = true;
+        samples.push({
+          tick, x: p.x, y: p.y, vx: p.vx, vy: p.vy,
+          onGround: p.onGround, climbing: p.climbing, swimming: p.swimming,
+          footholdId: p.footholdId, action: p.action,
+        });
+      }
+    }
+    return { samples, teleported };
+  } finally {
+    performance.now = realNow;
+    runtime.map = null;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Player physics tests — client/web/physics.js run headless (physics-harness.ts).
+ *
+ * Small inline maps pin down trajectories (walking, jumping, ropes, swimming);
+ * the jump quest maps are checked for geometry regressions when resourcesv3
+ * is present.
+ */
+import { describe, expect, test } from "bun:test";
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { loadMap, parseMapXml, simulate, type SimMap } from "./physics-harness.ts";
+
+const HAS_RESOURCES = existsSync(resolve(import.meta.dir, "../../resourcesv3/Map.wz"));
+
+/** Map.wz XML for a test map. Footholds are [x1, y1, x2, y2]; ropes [x, y1, y2]. */
+function mapXml(opts: { footholds: number[][]; ropes?: number[][]; swim?: boolean }): string {
+  const fhs = opts.footholds.map(([x1, y1, x2, y2], i) => `
+        <imgdir name="${i + 1}">
+          <int name="x1" value="${x1}"/><int name="y1" value="${y1}"/>
+          <int name="x2" value="${x2}"/><int name="y2" value="${y2}"/>
+          <int name="prev" value="0"/><int name="next" value="0"/>
+        </imgdir>`).join("");
+  const ropes = (opts.ropes ?? []).map(([x, y1, y2], i) => `
+    <imgdir name="${i + 1}">
+      <int name="l" value="0"/><int name="uf" value="1"/>
+      <int name="x" value="${x}"/><int name="y1" value="${y1}"/><int name="y2" value="${y2}"/>
+    </imgdir>`).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="999999999.img">
+  <imgdir name="info"><int name="swim" value="${opts.swim ? 1 : 0}"/></imgdir>
+  <imgdir name="portal">
+    <imgdir name="0"><string name="pn" value="sp"/><int name="pt" value="0"/><int name="x" value="0"/><int name="y" value="-20"/></imgdir>
+  </imgdir>
+  <imgdir name="ladderRope">${ropes}
+  </imgdir>
+  <imgdir name="foothold"><imgdir name="0"><imgdir name="1">${fhs}
+  </imgdir></imgdir></imgdir>
+</imgdir>`;
+}
+
+const last = <T>(arr: T[]): T => arr[arr.length - 1];
+
+describe("physics harness", () => {
+  test("standing, walking, and side walls", async () => {
+    const map = await parseMapXml(mapXml({ footholds: [[-600, 0, 600, 0]] }));
+
+    const idle = await simulate(map, { x: 0, y: -40 }, [{ ticks: 60 }]);
+    expect(last(idle.samples)).toMatchObject({ y: 0, onGround: true, footholdId: "1", action: "stand1" });
+
+    const walk = await simulate(map, { x: 0, y: 0 }, [{ ticks: 60, input: { right: true } }]);
+    const end = last(walk.samples);
+    expect(end.onGround).toBe(true);
+    expect(end.x).toBeGreaterThan(100);
+    expect(end.action).toBe("walk1");
+    expect(walk.samples.every((s, i) => i === 0 || s.x >= walk.samples[i - 1].x)).toBe(true);
+
+    const wall = await simulate(map, { x: 0, y: 0 }, [{ ticks: 600, input: { right: true } }]);
+    expect(last(wall.samples).x).toBeLessThanOrEqual(map.walls.right);
+    expect(wall.teleported).toBe(false);
+  });
+
+  test("jump arc is deterministic and lands back on the floor", async () => {
+    const map = await parseMapXml(mapXml({ footholds: [[-600, 0, 600, 0]] }));
+    const script = [{ ticks: 10 }, { ticks: 1, input: { jump: true } }, { ticks: 89 }];
+
+    const a = await simulate(map, { x: 0, y: 0 }, script);
+    const b = await simulate(map, { x: 0, y: 0 }, script);
+    expect(b.samples).toEqual(a.samples);
+
+    const air = a.samples.filter((s) => !s.onGround);
+    expect(air.length).toBeGreaterThan(20);
+    expect(air[0].action).toBe("jump");
+    const apex = Math.min(...air.map((s) => s.y));
+    expect(apex).toBeLessThan(-50);
+    expect(apex).toBeGreaterThan(-120);
+    expect(last(a.samples)).toMatchObject({ y: 0, onGround: true });
+  });
+
+  test("ropes: climb to the top and step onto the platform", async () => {
+    const map = await parseMapXml(mapXml({
+      footholds: [[-600, 0, 600, 0], [50, -200, 300, -200]],
+      ropes: [[100, -200, 0]],
+    }));
+    const run = await simulate(map, { x: 100, y: 0 }, [{ ticks: 20 }, { ticks: 300, input: { up: true } }]);
+    expect(run.samples.some((s) => s.climbing)).toBe(true);
+    expect(last(run.samples)).toMatchObject({ y: -200, onGround: true, climbing: false, footholdId: "2" });
+  });
+
+  test("swim maps float instead of falling", async () => {
+    const map = await parseMapXml(mapXml({ footholds: [[-600, 0, 600, 0]], swim: true }));
+    const run = await simulate(map, { x: 0, y: -300 }, [{ ticks: 30 }]);
+    const dry = await simulate(await parseMapXml(mapXml({ footholds: [[-600, 0, 600, 0]] })), { x: 0, y: -300 }, [{ ticks: 30 }]);
+    expect(last(run.samples).swimming).toBe(true);
+    expect(last(run.samples).y).toBeLessThan(last(dry.samples).y);
+  });
+});
+
+// ─── Jump quest geometry (needs resourcesv3) ────────────────────────
+
+/** Every spot a player can stand holds them, and every rope climbs to its top. */
+async function checkJumpQuestGeometry(map: SimMap) {
+  const spawn = map.portalEntries.find((p: any) => p.type === 0) ?? map.portalEntries[0];
+  const atSpawn = await simulate(map, { x: spawn.x, y: spawn.y }, [{ ticks: 120 }]);
+  expect(last(atSpawn.samples).onGround).toBe(true);
+  expect(atSpawn.teleported).toBe(false);
+
+  for (const fh of map.footholdLines) {
+    if (fh.x1 === fh.x2 || Math.abs(fh.x2 - fh.x1) < 30) continue;
+    const x = (fh.x1 + fh.x2) / 2;
+    const y = (fh.y1 + fh.y2) / 2;
+    const run = await simulate(map, { x, y: y - 5 }, [{ ticks: 30 }]);
+    expect({ fh: fh.id, onGround: last(run.samples).onGround, teleported: run.teleported })
+      .toEqual({ fh: fh.id, onGround: true, teleported: false });
+  }
+
+  for (const rope of map.ladderRopes) {
+    const top = Math.min(rope.y1, rope.y2);
+    const bottom = Math.max(rope.y1, rope.y2);
+    const run = await simulate(map, { x: rope.x, y: bottom - 5 }, [{ ticks: 900, input: { up: true } }]);
+    const highest = Math.min(...run.samples.map((s) => s.y));
+    expect({ rope: rope.key, reachedTop: highest <= top + 1 }).toEqual({ rope: rope.key, reachedTop: true });
+  }
+}
+
+describe("jump quest geometry", () => {
+  for (const [name, mapId] of [["Forest of Patience", "101000100"], ["Breath of Lava", "280020000"]]) {
+    test.skipIf(!HAS_RESOURCES)(`${name} (${mapId})`, async () => {
+      const map = await loadMap(mapId);
+      expect(map).not.toBeNull();
+      await checkJumpQuestGeometry(map);
+    });
+  }
+});
@@ -2,8 +2,7 @@
  * Server-side quest data — parsed from Quest.wz for server-authoritative
  * quest accept/complete/forfeit validation and reward application.
  */
-import { readFileSync, existsSync } from "fs";
-import { resolve } from "path";
+import { resourcePath } from "./wz-xml.ts";
 
 // ─── Types ──────────────────────────────────────────────────────────
 
@@ -39,16 +38,13 @@ let _loaded = false;
 // ─── Loading ────────────────────────────────────────────────────────
 
 function wzPath(rel: string): string {
-  // Use __dirname-relative path so it works regardless of CWD
-  // server/src/quest-data.ts → ../../resourcesv3
-  return resolve(__dirname, "../../resourcesv3", rel);
+  return resourcePath(rel);
 }
 
 function loadWzXml(relPath: string): any {
   const filePath = wzPath(relPath);
-  if (!existsSync(filePath)) return null;
-  const { parseWzXml } = require("./wz-xml.ts");
-  return parseWzXml(readFileSync(filePath, "utf-8"));
+  const { readWzImage } = require("./wz-xml.ts");
+  return readWzImage(filePath);
 }
 
 export function loadQuestData(): void {
@@ -8,7 +8,7 @@
  * - Timed respawn (30s after destruction)
  */
 
-import { readWzXmlFile } from "./wz-xml.ts";
+import { listWzImages, readWzImage } from "./wz-xml.ts";
 
 // ─── Constants ──────────────────────────────────────────────────────
 
@@ -151,7 +151,6 @@ function extractItemIds(json: any): number[] {
  * - Equipment with quest=1 (quest items, not usable outside quests)
  */
 function buildItemBlacklist(resourceBase: string): Set<number> {
-  const fs = require("fs");
   const path = require("path");
   const blacklist = new Set<number>();
 
@@ -160,7 +159,7 @@ function buildItemBlacklist(resourceBase: string): Set<number> {
 
   // Eqp.img.xml
   try {
-    const json = readWzXmlFile(path.join(stringDir, "Eqp.img.xml"));
+    const json = readWzImage(path.join(stringDir, "Eqp.img.xml"));
     const eqp = json.$$?.find((c: any) => c.$imgdir === "Eqp");
     if (eqp) {
       for (const cat of eqp.$$ ?? []) {
@@ -179,7 +178,7 @@ function buildItemBlacklist(resourceBase: string): Set<number> {
   // Consume, Etc, Ins, Cash string files
   for (const file of ["Consume.img.xml", "Etc.img.xml", "Ins.img.xml", "Cash.img.xml"]) {
     try {
-      const json = readWzXmlFile(path.join(stringDir, file));
+      const json = readWzImage(path.join(stringDir, file));
       for (const item of json.$$ ?? []) {
         const id = parseInt(item.$imgdir, 10);
         const nameNode = item.$$?.find((c: any) => c.$string === "name");
@@ -194,7 +193,7 @@ function buildItemBlacklist(resourceBase: string): Set<number> {
   // ── 2) Prefix 160 (Skill Effect weapons — no stances, islot=Ri) ──
   const weaponDir = path.join(resourceBase, "Character.wz", "Weapon");
   try {
-    for (const f of fs.readdirSync(weaponDir).filter((f: string) => f.endsWith(".img.xml"))) {
+    for (const f of listWzImages(weaponDir)) {
       const id = parseInt(f.replace(".img.xml", ""), 10);
       if (!isNaN(id) && Math.floor(id / 10000) === 160) {
         blacklist.add(id);
@@ -207,11 +206,11 @@ function buildItemBlacklist(resourceBase: string): Set<number> {
   for (const dir of equipDirs) {
     const fullDir = path.join(resourceBase, "Character.wz", dir);
     try {
-      for (const f of fs.readdirSync(fullDir).filter((f: string) => f.endsWith(".img.xml"))) {
+      for (const f of listWzImages(fullDir)) {
         const id = parseInt(f.replace(".img.xml", ""), 10);
         if (isNaN(id)) continue;
         try {
-          const json = readWzXmlFile(path.join(fullDir, f));
+          const json = readWzImage(path.join(fullDir, f));
           const info = json.$$?.find((c: any) => c.$imgdir === "info");
           if (!info) continue;
           for (const c of info.$$ ?? []) {
@@ -234,7 +233,6 @@ export function loadDropPools(resourceBase: string): void {
   if (_dropPoolsLoaded) return;
   _dropPoolsLoaded = true;
 
-  const fs = require("fs");
   const path = require("path");
 
   // Build blacklist first
@@ -246,7 +244,7 @@ export function loadDropPools(resourceBase: string): void {
   for (const dir of equipDirs) {
     const fullDir = path.join(resourceBase, "Character.wz", dir);
     try {
-      const files = fs.readdirSync(fullDir).filter((f: string) => f.endsWith(".img.xml"));
+      const files = listWzImages(fullDir);
       for (const f of files) {
         const id = parseInt(f.replace(".img.xml", ""), 10);
         if (isNaN(id) || blacklist.has(id)) continue;
@@ -254,7 +252,7 @@ export function loadDropPools(resourceBase: string): void {
 
         // Check if this equip is a cash item
         try {
-          const json = readWzXmlFile(path.join(fullDir, f));
+          const json = readWzImage(path.join(fullDir, f));
           const info = json.$$?.find((c: any) => c.$imgdir === "info");
           if (info) {
             const cashNode = info.$$?.find((c: any) => (c.$int === "cash" || c.$short === "cash"));
@@ -270,8 +268,8 @@ export function loadDropPools(resourceBase: string): void {
   // ── USE items: Item.wz/Consume/ ──
   const consumeDir = path.join(resourceBase, "Item.wz", "Consume");
   try {
-    for (const f of fs.readdirSync(consumeDir).filter((f: string) => f.endsWith(".img.xml"))) {
-      const json = readWzXmlFile(path.join(consumeDir, f));
+    for (const f of listWzImages(consumeDir)) {
+      const json = readWzImage(path.join(consumeDir, f));
       USE_DROPS.push(...extractItemIds(json).filter(id => !blacklist.has(id)));
     }
   } catch {}
@@ -279,8 +277,8 @@ export function loadDropPools(resourceBase: string): void {
   // ── ETC items: Item.wz/Etc/ ──
   const etcDir = path.join(resourceBase, "Item.wz", "Etc");
   try {
-    for (const f of fs.readdirSync(etcDir).filter((f: string) => f.endsWith(".img.xml"))) {
-      const json = readWzXmlFile(path.join(etcDir, f));
+    for (const f of listWzImages(etcDir)) {
+      const json = readWzImage(path.join(etcDir, f));
       ETC_DROPS.push(...extractItemIds(json).filter(id => !blacklist.has(id)));
     }
   } catch {}
@@ -288,8 +286,8 @@ export function loadDropPools(resourceBase: string): void {
   // ── Chairs: Item.wz/Install/ ──
   const installDir = path.join(resourceBase, "Item.wz", "Install");
   try {
-    for (const f of fs.readdirSync(installDir).filter((f: string) => f.endsWith(".img.xml"))) {
-      const json = readWzXmlFile(path.join(installDir, f));
+    for (const f of listWzImages(installDir)) {
+      const json = readWzImage(path.join(installDir, f));
       CHAIR_DROPS.push(...extractItemIds(json).filter(id => !blacklist.has(id)));
     }
   } catch {}
@@ -297,8 +295,8 @@ export function loadDropPools(resourceBase: string): void {
   // ── Cash items: Item.wz/Cash/ ──
   const cashDir = path.join(resourceBase, "Item.wz", "Cash");
   try {
-    for (const f of fs.readdirSync(cashDir).filter((f: string) => f.endsWith(".img.xml"))) {
-      const json = readWzXmlFile(path.join(cashDir, f));
+    for (const f of listWzImages(cashDir)) {
+      const json = readWzImage(path.join(cashDir, f));
       CASH_DROPS.push(...extractItemIds(json).filter(id => !blacklist.has(id)));
     }
   } catch {}
@@ -614,13 +612,12 @@ export function loadItemNames(resourceBase: string): void {
   if (_itemNamesLoaded) return;
   _itemNamesLoaded = true;
 
-  const fs = require("fs");
   const path = require("path");
   const stringDir = path.join(resourceBase, "String.wz");
 
   // Equip names: Eqp.img.xml → Eqp → sub-categories → items
   try {
-    const json = readWzXmlFile(path.join(stringDir, "Eqp.img.xml"));
+    const json = readWzImage(path.join(stringDir, "Eqp.img.xml"));
     const eqp = json.$$?.find((c: any) => c.$imgdir === "Eqp");
     if (eqp) {
       for (const cat of eqp.$$ ?? []) {
@@ -636,7 +633,7 @@ export function loadItemNames(resourceBase: string): void {
   // Consume, Etc, Ins (chairs), Cash items
   for (const file of ["Consume.img.xml", "Etc.img.xml", "Ins.img.xml", "Cash.img.xml"]) {
     try {
-      const json = readWzXmlFile(path.join(stringDir, file));
+      const json = readWzImage(path.join(stringDir, file));
       // Some files have items nested under a sub-imgdir (e.g. Etc.img.xml → Etc → items)
       const items: any[] = [];
       for (const node of json.$$ ?? []) {
@@ -685,6 +682,34 @@ export function rollJqReward(): LootItem {
   return { item_id: 4000000, qty: 1, category: "ETC", meso: false };
 }
 
+// ─── Gachapon ───────────────────────────────────────────────────────
+
+/** Roll a gachapon ticket prize: 40% equipment, 30% use items (1-10), 20% chairs, 10% cash equipment. */
+export function rollGachaponPrize(): LootItem {
+  const roll = Math.random() * 100;
+  let pool: number[];
+  let category: string;
+  let qty = 1;
+  if (roll < 10) {
+    pool = CASH_EQUIP_DROPS;
+    category = "EQUIP";
+  } else if (roll < 30) {
+    pool = CHAIR_DROPS;
+    category = "SETUP";
+  } else if (roll < 60) {
+    pool = USE_DROPS;
+    category = "USE";
+    qty = 1 + Math.floor(Math.random() * 10);
+  } else {
+    pool = EQUIP_DROPS;
+    category = "EQUIP";
+  }
+  // Fallback if the pool is empty (WZ data not loaded)
+  if (pool.length === 0) return { item_id: 2000000, qty: 1, category: "USE", meso: false };
+  const item_id = pool[Math.floor(Math.random() * pool.length)];
+  return { item_id, qty, category, meso: false };
+}
+
 /** Reset all reactor states (for testing). */
 export function resetAllReactors(): void {
   _mapReactors.clear();
@@ -10,7 +10,9 @@
  * - Section endpoints (GET /api/v1/asset/:type/:id/:section)
  * - Batch endpoint (POST /api/v1/batch)
  * - Blob endpoint (GET /api/v1/blob/:hash)
- * - Cache headers, compression, ETag, correlation IDs
+ * - Game data (GET /resourcesv3/*.img.xml) — XML export or .wz archives
+ * - Content-hash ETags, precompressed brotli/gzip variants, blob byte ranges
+ * - Correlation IDs
  * - Structured logging with request context
  * - Metrics collection
  */
@@ -21,7 +23,16 @@ import { createAdminApi } from "./admin-api.ts";
 import { handlePowRequest, initPowTable, isSessionValid, touchSession, purgeExpiredSessions } from "./pow.ts";
 import { RoomManager, handleClientMessage, setDebugMode, setDatabase, persistClientState } from "./ws.ts";
 import type { WSClient, WSClientData } from "./ws.ts";
+import { createMoveCheckState } from "./movement.ts";
+import { getLoginMapId } from "./field.ts";
+import { getMapData } from "./map-data.ts";
+import { normalizeItemEntries, type ItemAttrs } from "./item-instance.ts";
+import { getResourcesRoot, readWzImageXml } from "./wz-xml.ts";
+import { LruCache, wzArchiveStats } from "./wz-archive.ts";
 import type { Database } from "bun:sqlite";
+import { createHash } from "node:crypto";
+import { brotliCompressSync, gzipSync } from "node:zlib";
+import { resolve, sep } from "path";
 
 // ─── Types ──────────────────────────────────────────────────────────
 
@@ -62,6 +73,9 @@ export interface RequestContext {
 
 // ─── Defaults ───────────────────────────────────────────────────────
 
+/** Asset bodies smaller than this are sent uncompressed */
+const COMPRESS_MIN_BYTES = 1024;
+
 export const DEFAULT_CONFIG: ServerConfig = {
   port: 5200,
   host: "0.0.0.0",
@@ -110,22 +124,63 @@ function errorResponse(
   );
 }
 
-function successResponse(
-  data: unknown,
-  correlationId: string,
-  meta?: Record<string, unknown>,
-  cacheHeaders?: Record<string, string>
-): Response {
-  return jsonResponse(
-    {
-      ok: true,
-      data,
-      ...(meta ? { meta } : {}),
-      correlationId,
-    },
-    200,
-    cacheHeaders ?? {}
-  );
+/** Compressed asset bodies by "ETag:encoding" — each content hash is compressed once */
+const compressedBodies = new LruCache<string, Uint8Array<ArrayBuffer>>(1024);
+
+function contentEtag(body: string | Uint8Array): string {
+  return `"${createHash("sha256").update(body).digest("hex").slice(0, 32)}"`;
+}
+
+function etagMatches(request: Request, etag: string): boolean {
+  const header = request.headers.get("if-none-match");
+  return !!header && (header.trim() === "*" || header.split(",").some((t) => t.trim().replace(/^W\//, "") === etag));
+}
+
+/**
+ * Asset JSON with a content-hash ETag: 304 when the client already has it,
+ * else brotli or gzip (per Accept-Encoding) from the compressed-body cache.
+ * The body carries no correlation ID so equal content hashes equally.
+ */
+function assetResponse(request: Request, data: unknown, meta: Record<string, unknown>): Response {
+  const body = JSON.stringify({ ok: true, data, meta });
+  const etag = contentEtag(body);
+  const headers: Record<string, string> = {
+    "Cache-Control": "public, max-age=300",
+    ETag: etag,
+    Vary: "Accept-Encoding",
+  };
+  if (etagMatches(request, etag)) return new Response(null, { status: 304, headers });
+
+  const accept = request.headers.get("accept-encoding") ?? "";
+  const encoding = body.length < COMPRESS_MIN_BYTES ? null : accept.includes("br") ? "br" : accept.includes("gzip") ? "gzip" : null;
+  if (!encoding) return new Response(body, { headers: { ...headers, "Content-Type": "application/json" } });
+
+  const key = `${etag}:${encoding}`;
+  let compressed = compressedBodies.get(key);
+  if (!compressed) {
+    compressed = new Uint8Array(encoding === "br" ? brotliCompressSync(body) : gzipSync(body));
+    compressedBodies.set(key, compressed);
+  }
+  return new Response(compressed, {
+    headers: { ...headers, "Content-Type": "application/json", "Content-Encoding": encoding },
+  });
+}
+
+/** `Range: bytes=…` → [start, end] (inclusive) within `size`; null = no/unsupported range, "invalid" = unsatisfiable. */
+function parseByteRange(header: string | null, size: number): [number, number] | null | "invalid" {
+  const m = header?.match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start: number;
+  let end: number;
+  if (m[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  return start <= end && start < size ? [start, end] : "invalid";
 }
 
 // ─── Route Handlers ─────────────────────────────────────────────────
@@ -164,6 +219,7 @@ function handleHealth(provider: DataProvider, ctx: RequestContext): Response {
 
 function handleAsset(
   provider: DataProvider,
+  request: Request,
   type: string,
   id: string,
   ctx: RequestContext
@@ -177,13 +233,12 @@ function handleAsset(
     return errorResponse("NOT_FOUND", `Asset not found: ${type}/${id}`, 404, ctx.correlationId);
   }
 
-  return successResponse(data, ctx.correlationId, { type, id }, {
-    "Cache-Control": "public, max-age=300",
-  });
+  return assetResponse(request, data, { type, id });
 }
 
 function handleSection(
   provider: DataProvider,
+  request: Request,
   type: string,
   id: string,
   section: string,
@@ -212,13 +267,12 @@ function handleSection(
     );
   }
 
-  return successResponse(data, ctx.correlationId, { type, id, section }, {
-    "Cache-Control": "public, max-age=300",
-  });
+  return assetResponse(request, data, { type, id, section });
 }
 
 function handleBlob(
   provider: DataProvider,
+  request: Request,
   hash: string,
   ctx: RequestContext
 ): Response {
@@ -227,12 +281,44 @@ function handleBlob(
     return errorResponse("NOT_FOUND", `Blob not found: ${hash}`, 404, ctx.correlationId);
   }
 
-  return new Response(new Uint8Array(blob.data), {
-    status: 200,
+  const size = blob.data.length;
+  const headers: Record<string, string> = {
+    "Content-Type": blob.contentType,
+    "Cache-Control": "public, max-age=31536000, immutable",
+    "Accept-Ranges": "bytes",
+    ETag: `"${hash}"`,
+  };
+  if (etagMatches(request, headers.ETag)) return new Response(null, { status: 304, headers });
+
+  const range = parseByteRange(request.headers.get("range"), size);
+  if (range === "invalid") {
+    return new Response(null, { status: 416, headers: { ...headers, "Content-Range": `bytes */${size}` } });
+  }
+  if (range) {
+    const [start, end] = range;
+    return new Response(new Uint8Array(blob.data.subarray(start, end + 1)), {
+      status: 206,
+      headers: { ...headers, "Content-Range": `bytes ${start}-${end}/${size}` },
+    });
+  }
+  return new Response(new Uint8Array(blob.data), { status: 200, headers });
+}
+
+/** An .img.xml under resourcesv3/ — the exported file, or decoded from the .wz archives (wz-archive.ts). */
+function handleResource(relPath: string, ctx: RequestContext): Response {
+  let rel = "";
+  try { rel = decodeURIComponent(relPath); } catch {}
+  const root = getResourcesRoot();
+  const filePath = resolve(root, rel);
+  const safe = rel.endsWith(".img.xml") && !rel.includes("\0") && filePath.startsWith(root + sep);
+  const xml = safe ? readWzImageXml(filePath) : null;
+  if (xml === null) {
+    return errorResponse("NOT_FOUND", `Resource not found: ${rel}`, 404, ctx.correlationId);
+  }
+  return new Response(xml, {
     headers: {
-      "Content-Type": blob.contentType,
-      "Cache-Control": "public, max-age=31536000, immutable",
-      ETag: `"${hash}"`,
+      "Content-Type": "application/xml; charset=utf-8",
+      "Cache-Control": "public, max-age=3600",
     },
   });
 }
@@ -322,7 +408,7 @@ function routeRequest(
       headers: {
         "Access-Control-Allow-Origin": "*",
         "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization, If-None-Match, Range",
         "Access-Control-Max-Age": "86400",
       },
     });
@@ -377,6 +463,11 @@ function routeRequest(
     });
   }
 
+  // Game data — same paths the client dev server serves from resourcesv3/
+  if (method === "GET" && path.startsWith("/resourcesv3/")) {
+    return handleResource(path.slice("/resourcesv3/".length), ctx);
+  }
+
   // Health endpoints
   if (path === "/health" || path === "/ready") {
     return handleHealth(provider, ctx);
@@ -391,6 +482,7 @@ function routeRequest(
       avgLatencyMs: metrics.requestCount > 0
         ? Math.round(metrics.totalLatencyMs / metrics.requestCount)
         : 0,
+      wz: wzArchiveStats(),
     });
   }
 
@@ -405,15 +497,15 @@ function routeRequest(
 
     // GET /api/v1/blob/:hash
     if (method === "GET" && segments[0] === "blob" && segments[1]) {
-      return handleBlob(provider, segments[1], ctx);
+      return handleBlob(provider, request, segments[1], ctx);
     }
 
     // GET /api/v1/asset/:type/:id/:section?
     if (method === "GET" && segments[0] === "asset" && segments[1] && segments[2]) {
       if (segments[3]) {
-        return handleSection(provider, segments[1], segments[2], segments[3], ctx);
+        return handleSection(provider, request, segments[1], segments[2], segments[3], ctx);
       }
-      return handleAsset(provider, segments[1], segments[2], ctx);
+      return handleAsset(provider, request, segments[1], segments[2], ctx);
     }
   }
 
@@ -515,6 +607,7 @@ export function createServer(
           // Add CORS and correlation headers
           response.headers.set("X-Correlation-Id", correlationId);
           response.headers.set("Access-Control-Allow-Origin", "*");
+          response.headers.set("Access-Control-Expose-Headers", "ETag, Content-Range, X-Correlation-Id");
 
           return response;
         } catch (err) {
@@ -579,12 +672,14 @@ export function createServer(
               identity: { gender: boolean; face_id: number; hair_id: number; skin: number };
               stats: { level?: number; job?: string; exp?: number; max_exp?: number;
                        hp?: number; max_hp?: number; mp?: number; max_mp?: number;
-                       speed?: number; jump?: number; meso?: number };
+                       speed?: number; jump?: number; meso?: number; sp?: number; ap?: number;
+                       hp_ap?: number; mp_ap?: number };
               location: { map_id: string };
-              equipment: Array<{ slot_type: string; item_id: number }>;
-              inventory: Array<{ item_id: number; qty: number; inv_type: string; slot: number; category: string | null }>;
+              equipment: Array<{ slot_type: string; item_id: number } & ItemAttrs>;
+              inventory: Array<{ item_id: number; qty: number; inv_type: string; slot: number; category: string | null } & ItemAttrs>;
               achievements?: Record<string, number>;
               quests?: Record<string, number>;
+              skills?: Record<string, { level: number; master: number }>;
             } | null;
 
             if (!charData) {
@@ -605,7 +700,9 @@ export function createServer(
               return;
             }
 
-            const savedMapId = charData.location.map_id || "100000001";
+            // A timed map's clock would restart on login — start on its return map instead
+            const lastMapId = charData.location.map_id || "100000001";
+            const savedMapId = getLoginMapId(lastMapId, getMapData(lastMapId)?.field);
             const savedStats = charData.stats || {};
             const client: WSClient = {
               id: sessionId,
@@ -624,13 +721,15 @@ export function createServer(
                 face_id: charData.identity.face_id,
                 hair_id: charData.identity.hair_id,
                 skin: charData.identity.skin,
-                equipment: charData.equipment || [],
+                equipment: normalizeItemEntries(charData.equipment || []),
               },
               lastActivityMs: Date.now(),
               lastMoveMs: 0,
               positionConfirmed: false,
+              moveCheck: createMoveCheckState(),
+              fieldClockEndsAt: 0,
               chairId: 0,
-              inventory: charData.inventory || [],
+              inventory: normalizeItemEntries(charData.inventory || []),
               stats: {
                 level: savedStats.level ?? 1,
                 job: savedStats.job ?? "Beginner",
@@ -647,12 +746,24 @@ export function createServer(
                 speed: savedStats.speed ?? 100,
                 jump: savedStats.jump ?? 100,
                 meso: savedStats.meso ?? 0,
+                sp: savedStats.sp ?? 0,
+                ap: savedStats.ap ?? 0,
+                hp_ap: savedStats.hp_ap ?? 0,
+                mp_ap: savedStats.mp_ap ?? 0,
               },
               achievements: charData.achievements ?? {},
               quests: charData.quests ?? {},
+              skills: charData.skills ?? {},
+              skillCooldowns: new Map(),
+              shopNpcId: null,
+              storageNpcId: null,
+              partyId: null,
+              tradeId: null,
+              statuses: new Map(),
               gm: isGm(db, characterName),
               lastAttackMs: 0,
               lastChatMs: 0,
+              lastGlobalChatMs: 0,
               lastLootMs: 0,
               lastFaceMs: 0,
             };
@@ -663,6 +774,7 @@ export function createServer(
             // Register in allClients but do NOT join a room yet.
             // Send change_map — client loads the map, then sends map_loaded to join room.
             roomManager.registerClient(client);
+            roomManager.sendBuddyList(client);
             roomManager.initiateMapChange(sessionId, savedMapId, "");
 
             if (db) appendLog(db, client.name, "connected", client.ip);
@@ -0,0 +1,160 @@
+/**
+ * NPC shop data — shop inventories from shops.json (keyed by NPC ID) plus
+ * item trade info (sell price, recharge unit price, slotMax) from WZ.
+ *
+ * shops.json layout:
+ *   { "<npcId>": { name, recharge, items: [{ item_id, price }] } }
+ *
+ * Item trade info comes from `info/price`, `info/unitPrice`, `info/slotMax`
+ * in Item.wz/{Consume,Install,Etc,Cash}/{prefix}.img or Character.wz/{Type}/{id}.img.
+ */
+import { readFileSync, existsSync } from "fs";
+import { resolve } from "path";
+import { resourcePath } from "./wz-xml.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface ShopItem {
+  item_id: number;
+  price: number;
+}
+
+export interface ShopDef {
+  npcId: string;
+  name: string;
+  /** True if the shop recharges throwing stars / bullets */
+  recharge: boolean;
+  items: ShopItem[];
+}
+
+export interface ItemTradeInfo {
+  /** Sell price per unit (0 = cannot be sold for meso) */
+  price: number;
+  /** Recharge cost per unit (rechargeables only) */
+  unitPrice: number;
+  slotMax: number;
+  cash: boolean;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+const DEFAULT_SLOT_MAX = 100;
+
+/** Character.wz folder by equip prefix (id / 10000). */
+export function equipFolder(prefix: number): string | null {
+  if (prefix === 100) return "Cap";
+  if (prefix === 101 || prefix === 102 || prefix === 103 || (prefix >= 112 && prefix <= 114)) return "Accessory";
+  if (prefix === 104) return "Coat";
+  if (prefix === 105) return "Longcoat";
+  if (prefix === 106) return "Pants";
+  if (prefix === 107) return "Shoes";
+  if (prefix === 108) return "Glove";
+  if (prefix === 109) return "Shield";
+  if (prefix === 110) return "Cape";
+  if (prefix === 111) return "Ring";
+  if (prefix >= 130 && prefix <= 170) return "Weapon";
+  return null;
+}
+
+const ITEM_FOLDERS: Record<number, string> = { 2: "Consume", 3: "Install", 4: "Etc", 5: "Cash" };
+
+// ─── Caches ─────────────────────────────────────────────────────────
+
+let _shops: Map<string, ShopDef> | null = null;
+const _tradeInfoCache = new Map<number, ItemTradeInfo>();
+
+// ─── Loading ────────────────────────────────────────────────────────
+
+function loadWzXml(relPath: string): any {
+  const filePath = resourcePath(relPath);
+  const { readWzImage } = require("./wz-xml.ts");
+  return readWzImage(filePath);
+}
+
+function loadShops(): Map<string, ShopDef> {
+  if (_shops) return _shops;
+  _shops = new Map();
+  const filePath = resolve(__dirname, "shops.json");
+  if (!existsSync(filePath)) return _shops;
+  try {
+    const raw = JSON.parse(readFileSync(filePath, "utf-8")) as Record<string, any>;
+    for (const [npcId, def] of Object.entries(raw)) {
+      const items: ShopItem[] = [];
+      for (const it of Array.isArray(def?.items) ? def.items : []) {
+        const itemId = Number(it?.item_id);
+        const price = Number(it?.price);
+        if (Number.isInteger(itemId) && itemId > 0 && Number.isFinite(price) && price >= 0) {
+          items.push({ item_id: itemId, price: Math.floor(price) });
+        }
+      }
+      _shops.set(npcId, { npcId, name: String(def?.name ?? ""), recharge: !!def?.recharge, items });
+    }
+  } catch (e) {
+    console.error(`[shop-data] Failed to load shops.json: ${e}`);
+  }
+  return _shops;
+}
+
+/** Shop sold by an NPC, or null if the NPC has no shop. */
+export function getShop(npcId: string): ShopDef | null {
+  return loadShops().get(npcId) ?? null;
+}
+
+/** NPC IDs with a shop (sent to clients so clicking them opens the shop). */
+export function getShopNpcIds(): string[] {
+  return Array.from(loadShops().keys());
+}
+
+/** Sell price / recharge price / slotMax for an item (cached; zeros if WZ data is missing). */
+export function getItemTradeInfo(itemId: number): ItemTradeInfo {
+  const cached = _tradeInfoCache.get(itemId);
+  if (cached) return cached;
+
+  const padded = String(itemId).padStart(8, "0");
+  const prefix = Math.floor(itemId / 10000);
+  let info: any = null;
+  const folder = ITEM_FOLDERS[Math.floor(itemId / 1000000)];
+  if (folder) {
+    const json = loadWzXml(`Item.wz/${folder}/${padded.slice(0, 4)}.img.xml`);
+    info = json?.$$?.find((n: any) => n.$imgdir === padded)?.$$?.find((n: any) => n.$imgdir === "info");
+  } else if (equipFolder(prefix)) {
+    const json = loadWzXml(`Character.wz/${equipFolder(prefix)}/${padded}.img.xml`);
+    info = json?.$$?.find((n: any) => n.$imgdir === "info");
+  }
+
+  const result: ItemTradeInfo = { price: 0, unitPrice: 0, slotMax: DEFAULT_SLOT_MAX, cash: false };
+  for (const c of info?.$$ || []) {
+    const name = c.$int ?? c.$short ?? c.$float ?? c.$double ?? c.$string;
+    const val = Number(c.value) || 0;
+    if (name === "price") result.price = Math.max(0, Math.floor(val));
+    else if (name === "unitPrice") result.unitPrice = Math.max(0, val);
+    else if (name === "slotMax" && val > 0) result.slotMax = Math.floor(val);
+    else if (name === "cash") result.cash = val > 0;
+  }
+  _tradeInfoCache.set(itemId, result);
+  return result;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/** Throwing stars (207) and bullets (233) are recharged rather than restocked. */
+export function isRechargeable(itemId: number): boolean {
+  const prefix = Math.floor(itemId / 10000);
+  return prefix === 207 || prefix === 233;
+}
+
+/**
+ * Meso received for selling `qty` of an item.
+ * Rechargeables sell for the base price plus the value of the remaining units.
+ */
+export function getSellPrice(itemId: number, qty: number): number {
+  const info = getItemTradeInfo(itemId);
+  if (isRechargeable(itemId)) return info.price + Math.floor(info.unitPrice * qty);
+  return info.price * qty;
+}
+
+/** Meso cost to refill a rechargeable stack from `qty` up to `target` units. */
+export function getRechargeCost(itemId: number, qty: number, target: number): number {
+  const info = getItemTradeInfo(itemId);
+  return Math.ceil(info.unitPrice * Math.max(0, target - qty));
+}
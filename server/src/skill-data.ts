@@ -0,0 +1,229 @@
+/**
+ * Server-side skill data — parsed from Skill.wz job images for
+ * server-authoritative SP allocation, skill casting, and skill books.
+ *
+ * Skill.wz/{job}.img layout (job padded to 3 digits, e.g. "000", "100", "110"):
+ *   skill/{skillId}/masterLevel       — present on skills that need a mastery book
+ *   skill/{skillId}/req/{skillId}     — prerequisite skill levels
+ *   skill/{skillId}/level/{n}/...     — per-level data (mpCon, damage, lt/rb, cooltime, ...)
+ */
+import { resourcePath } from "./wz-xml.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface SkillLevelData {
+  mpCon: number;
+  hpCon: number;
+  damage: number;       // physical damage % (0 = not a physical attack)
+  mad: number;          // magic attack (0 = not a magic attack)
+  attackCount: number;  // hits per target
+  mobCount: number;     // max targets
+  cooltime: number;     // cooldown in ms
+  time: number;         // buff duration in ms (0 = instant)
+  range: { left: number; right: number; top: number; bottom: number } | null;
+}
+
+export interface SkillDef {
+  id: number;
+  jobId: number;
+  /** Highest level that can be learned without a mastery book */
+  maxLevel: number;
+  /** True if the skill's master level is raised by mastery books (4th job) */
+  needsMasteryBook: boolean;
+  reqSkills: { id: number; level: number }[];
+  /** Index 0 = level 1 */
+  levels: SkillLevelData[];
+  /** Animation stance from WZ `action` (empty = use weapon stance) */
+  action: string;
+  invisible: boolean;
+}
+
+export interface SkillBookSpec {
+  skills: number[];
+  masterLevel: number;
+  reqSkillLevel: number;
+  success: number;      // 0-100
+}
+
+/** Learned skill entry persisted in the character save. */
+export interface LearnedSkill {
+  level: number;
+  /** Master level unlocked by mastery books (0 = default cap) */
+  master: number;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Beginners earn 1 SP per level up to this level (Cosmic parity). */
+const BEGINNER_SP_MAX_LEVEL = 7;
+/** SP granted per level once the player has a job. */
+const JOB_SP_PER_LEVEL = 3;
+
+// ─── Caches ─────────────────────────────────────────────────────────
+
+const _jobSkills = new Map<number, Map<number, SkillDef>>();
+const _skillBookCache = new Map<number, SkillBookSpec | null>();
+
+// ─── Loading ────────────────────────────────────────────────────────
+
+function wzPath(rel: string): string {
+  return resourcePath(rel);
+}
+
+function loadWzXml(relPath: string): any {
+  const filePath = wzPath(relPath);
+  const { readWzImage } = require("./wz-xml.ts");
+  return readWzImage(filePath);
+}
+
+function nodeName(n: any): string | undefined {
+  return n.$int ?? n.$short ?? n.$string ?? n.$float;
+}
+
+function parseLevelData(levelDir: any): SkillLevelData {
+  const data: SkillLevelData = {
+    mpCon: 0, hpCon: 0, damage: 0, mad: 0,
+    attackCount: 1, mobCount: 1,
+    cooltime: 0, time: 0,
+    range: null,
+  };
+  let lt: { x: number; y: number } | null = null;
+  let rb: { x: number; y: number } | null = null;
+  for (const c of levelDir.$$ || []) {
+    if (c.$vector === "lt") lt = { x: Number(c.x) || 0, y: Number(c.y) || 0 };
+    else if (c.$vector === "rb") rb = { x: Number(c.x) || 0, y: Number(c.y) || 0 };
+    const name = nodeName(c);
+    const val = Number(c.value) || 0;
+    if (name === "mpCon") data.mpCon = val;
+    else if (name === "hpCon") data.hpCon = val;
+    else if (name === "damage") data.damage = val;
+    else if (name === "mad") data.mad = val;
+    else if (name === "attackCount") data.attackCount = Math.max(1, val);
+    else if (name === "mobCount") data.mobCount = Math.max(1, val);
+    else if (name === "cooltime") data.cooltime = val * 1000;
+    else if (name === "time") data.time = val * 1000;
+  }
+  if (lt && rb) data.range = { left: lt.x, right: rb.x, top: lt.y, bottom: rb.y };
+  return data;
+}
+
+function parseSkill(skillDir: any, jobId: number): SkillDef {
+  const id = Number(skillDir.$imgdir);
+  const def: SkillDef = {
+    id, jobId,
+    maxLevel: 0,
+    needsMasteryBook: false,
+    reqSkills: [],
+    levels: [],
+    action: "",
+    invisible: false,
+  };
+  for (const c of skillDir.$$ || []) {
+    if (c.$imgdir === "level") {
+      const levels = (c.$$ || [])
+        .filter((l: any) => l.$imgdir !== undefined)
+        .sort((a: any, b: any) => Number(a.$imgdir) - Number(b.$imgdir));
+      def.levels = levels.map(parseLevelData);
+    } else if (c.$imgdir === "req") {
+      for (const r of c.$$ || []) {
+        const rid = Number(nodeName(r));
+        if (rid) def.reqSkills.push({ id: rid, level: Number(r.value) || 0 });
+      }
+    } else if (c.$imgdir === "action") {
+      // action/{0} = stance name
+      const first = c.$$?.[0];
+      if (first?.value) def.action = String(first.value);
+    }
+    const name = nodeName(c);
+    if (name === "masterLevel") def.needsMasteryBook = Number(c.value) > 0;
+    else if (name === "invisible") def.invisible = Number(c.value) > 0;
+    else if (name === "action" && c.value) def.action = String(c.value);
+  }
+  def.maxLevel = def.levels.length;
+  return def;
+}
+
+/** Load all skills for a job from Skill.wz (cached per job). */
+export function loadJobSkills(jobId: number): Map<number, SkillDef> {
+  const cached = _jobSkills.get(jobId);
+  if (cached) return cached;
+
+  const skills = new Map<number, SkillDef>();
+  const json = loadWzXml(`Skill.wz/${String(jobId).padStart(3, "0")}.img.xml`);
+  const skillRoot = json?.$$?.find((n: any) => n.$imgdir === "skill");
+  for (const skillDir of skillRoot?.$$ || []) {
+    if (skillDir.$imgdir === undefined) continue;
+    const def = parseSkill(skillDir, jobId);
+    if (def.id && def.levels.length > 0) skills.set(def.id, def);
+  }
+  _jobSkills.set(jobId, skills);
+  return skills;
+}
+
+/** Look up a skill definition by ID (job = floor(id / 10000)). */
+export function getSkillDef(skillId: number): SkillDef | null {
+  if (!Number.isInteger(skillId) || skillId <= 0) return null;
+  return loadJobSkills(Math.floor(skillId / 10000)).get(skillId) ?? null;
+}
+
+/** Mastery book spec from Item.wz/Consume/0229.img (null if not a skill book). */
+export function getSkillBookSpec(itemId: number): SkillBookSpec | null {
+  if (_skillBookCache.has(itemId)) return _skillBookCache.get(itemId)!;
+  if (Math.floor(itemId / 10000) !== 229) { _skillBookCache.set(itemId, null); return null; }
+
+  const padded = String(itemId).padStart(8, "0");
+  const json = loadWzXml(`Item.wz/Consume/${padded.slice(0, 4)}.img.xml`);
+  const itemDir = json?.$$?.find((n: any) => n.$imgdir === padded);
+  if (!itemDir?.$$) { _skillBookCache.set(itemId, null); return null; }
+
+  const spec: SkillBookSpec = { skills: [], masterLevel: 0, reqSkillLevel: 0, success: 100 };
+  const info = itemDir.$$.find((n: any) => n.$imgdir === "info");
+  for (const c of info?.$$ || []) {
+    const name = nodeName(c);
+    const val = Number(c.value) || 0;
+    if (name === "masterLevel") spec.masterLevel = val;
+    else if (name === "reqSkillLevel") spec.reqSkillLevel = val;
+    else if (name === "success") spec.success = val;
+  }
+  const skillList = itemDir.$$.find((n: any) => n.$imgdir === "skill");
+  for (const c of skillList?.$$ || []) {
+    const sid = Number(c.value);
+    if (sid) spec.skills.push(sid);
+  }
+  const result = spec.skills.length > 0 && spec.masterLevel > 0 ? spec : null;
+  _skillBookCache.set(itemId, result);
+  return result;
+}
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+/**
+ * Jobs whose skills a player of `jobId` may learn.
+ * 0 → [0]; 100 → [0, 100]; 110 → [0, 100, 110]; 111 → [0, 100, 110, 111].
+ */
+export function getJobLineage(jobId: number): number[] {
+  const lineage = [0];
+  if (jobId <= 0) return lineage;
+  const first = Math.floor(jobId / 100) * 100;
+  const second = Math.floor(jobId / 10) * 10;
+  for (const j of [first, second, jobId]) {
+    if (!lineage.includes(j)) lineage.push(j);
+  }
+  return lineage;
+}
+
+export function canJobUseSkill(jobId: number, skillId: number): boolean {
+  return getJobLineage(jobId).includes(Math.floor(skillId / 10000));
+}
+
+/** Highest level the player can currently put SP into. */
+export function getSkillCap(def: SkillDef, learned: LearnedSkill | undefined): number {
+  if (!def.needsMasteryBook) return def.maxLevel;
+  return Math.min(def.maxLevel, learned?.master ?? 0);
+}
+
+/** SP granted on reaching `level` as `jobId`. */
+export function getSpForLevelUp(jobId: number, level: number): number {
+  if (jobId === 0) return level <= BEGINNER_SP_MAX_LEVEL ? 1 : 0;
+  return JOB_SP_PER_LEVEL;
+}
@@ -0,0 +1,100 @@
+/**
+ * Account storage rules — storage keepers, slot limits, and stacking.
+ *
+ * Storage belongs to a claimed account (credentials.account in db.ts), so
+ * every character linked to the account sees the same items and meso.
+ * Contents live in the `storage` table as one JSON blob per account; the
+ * handlers in ws.ts load, validate, and save it on every transaction.
+ *
+ * Each stored entry takes one slot. Stackable items stack onto an entry of
+ * the same item (up to the server stack cap) before taking a new slot.
+ */
+
+import { isInstanceItem, parseItemAttrs, pickItemAttrs, type ItemAttrs } from "./item-instance.ts";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** Storage entry. Instance items (equips) keep their uid and attributes while stored. */
+export interface StoredItem extends ItemAttrs {
+  item_id: number;
+  qty: number;
+  category: string | null;
+}
+
+export interface AccountStorage {
+  slots: number;
+  meso: number;
+  items: StoredItem[];
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Slots every account starts with (no slot expansion items yet). */
+export const STORAGE_SLOTS = 16;
+/** Meso charged per item stored (retrieving is free, as in v83). */
+export const STORAGE_FEE = 100;
+/** Server-side stack cap (matches addItemToInventory). */
+const STORAGE_STACK_MAX = 100;
+
+/** Storage keeper NPCs (Npc.wz ID → town). */
+const STORAGE_KEEPERS: Record<string, string> = {
+  "1002005": "Lith Harbor",
+  "1012009": "Henesys",
+  "1022005": "Perion",
+  "1032006": "Ellinia",
+  "1052017": "Kerning City",
+};
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+export function isStorageKeeper(npcId: string): boolean {
+  return npcId in STORAGE_KEEPERS;
+}
+
+/** NPC IDs that open storage (sent to clients with map_state). */
+export function getStorageKeeperIds(): string[] {
+  return Object.keys(STORAGE_KEEPERS);
+}
+
+/** Storage from its DB blob; missing or malformed data becomes an empty storage. */
+export function parseStorage(raw: any): AccountStorage {
+  const items: StoredItem[] = [];
+  for (const it of Array.isArray(raw?.items) ? raw.items : []) {
+    const itemId = Number(it?.item_id);
+    const qty = Number(it?.qty);
+    if (Number.isInteger(itemId) && itemId > 0 && Number.isInteger(qty) && qty > 0) {
+      const category = typeof it.category === "string" ? it.category : null;
+      items.push({ item_id: itemId, qty, category, ...(isInstanceItem(itemId) ? parseItemAttrs(it) : {}) });
+    }
+  }
+  const slots = Number(raw?.slots);
+  const meso = Number(raw?.meso);
+  return {
+    slots: Number.isInteger(slots) && slots > 0 ? slots : STORAGE_SLOTS,
+    meso: Number.isFinite(meso) && meso > 0 ? Math.floor(meso) : 0,
+    items,
+  };
+}
+
+/**
+ * Put an item into storage. Stackables fill existing entries first.
+ * Mutates `storage` and returns true, or returns false (unchanged) if it doesn't fit.
+ */
+export function storeItem(storage: AccountStorage, item: StoredItem, stackable: boolean): boolean {
+  let remaining = item.qty;
+  const fills: [StoredItem, number][] = [];
+  if (stackable) {
+    for (const entry of storage.items) {
+      if (entry.item_id !== item.item_id || entry.qty >= STORAGE_STACK_MAX) continue;
+      const add = Math.min(remaining, STORAGE_STACK_MAX - entry.qty);
+      fills.push([entry, add]);
+      remaining -= add;
+      if (remaining <= 0) break;
+    }
+  }
+  if (remaining > 0 && storage.items.length >= storage.slots) return false;
+
+  for (const [entry, add] of fills) entry.qty += add;
+  if (remaining > 0) storage.items.push({ item_id: item.item_id, qty: remaining, category: item.category, ...pickItemAttrs(item) });
+  return true;
+}
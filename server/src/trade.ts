@@ -0,0 +1,80 @@
+/**
+ * Player trade rules — offers and the two-phase lock → confirm handshake.
+ *
+ * Trade state lives in RoomManager (ws.ts); the swap itself runs there too
+ * because it needs the inventory helpers. Offered items stay in the owner's
+ * inventory (referenced by inventory tab + slot) until both sides confirm,
+ * and are re-validated at swap time.
+ *
+ * Handshake: each side edits its offer, then locks it. Once both sides are
+ * locked, each confirms; the swap runs when both have confirmed. Changing an
+ * offer is only possible while unlocked and clears the partner's lock, so
+ * nobody can confirm a trade that changed under them.
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+export interface TradeOffer {
+  inv_type: string;
+  slot: number;
+  item_id: number;
+  qty: number;
+}
+
+export interface TradeSide {
+  /** Session ID */
+  clientId: string;
+  items: TradeOffer[];
+  meso: number;
+  locked: boolean;
+  confirmed: boolean;
+}
+
+export interface Trade {
+  id: number;
+  sides: [TradeSide, TradeSide];
+}
+
+export interface TradeInvite {
+  fromId: string;
+  expiresAt: number;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+/** Item slots per side (v83 trade window). */
+export const MAX_TRADE_ITEMS = 9;
+/** How long a trade invite can be accepted. */
+export const TRADE_INVITE_TTL_MS = 30_000;
+
+// ─── Rules ──────────────────────────────────────────────────────────
+
+export function createTrade(id: number, clientA: string, clientB: string): Trade {
+  const side = (clientId: string): TradeSide => ({ clientId, items: [], meso: 0, locked: false, confirmed: false });
+  return { id, sides: [side(clientA), side(clientB)] };
+}
+
+/** The side belonging to `clientId` and the partner's side. */
+export function getTradeSides(trade: Trade, clientId: string): { self: TradeSide; partner: TradeSide } | null {
+  const [a, b] = trade.sides;
+  if (a.clientId === clientId) return { self: a, partner: b };
+  if (b.clientId === clientId) return { self: b, partner: a };
+  return null;
+}
+
+/** An offer changed: the partner must re-lock, and nobody's confirmation stands. */
+export function onOfferChanged(trade: Trade, changedBy: TradeSide): void {
+  for (const side of trade.sides) {
+    side.confirmed = false;
+    if (side !== changedBy) side.locked = false;
+  }
+}
+
+/** Phase 2 may start once both offers are locked. */
+export function bothLocked(trade: Trade): boolean {
+  return trade.sides[0].locked && trade.sides[1].locked;
+}
+
+export function bothConfirmed(trade: Trade): boolean {
+  return trade.sides[0].confirmed && trade.sides[1].confirmed;
+}
@@ -2,10 +2,15 @@ import { describe, expect, test, beforeAll, afterAll } from "bun:test";
 import { createHash } from "node:crypto";
 import { createServer } from "./server.ts";
 import { InMemoryDataProvider } from "./data-provider.ts";
-import { createDefaultCharacter, initDatabase } from "./db.ts";
-import { setDebugMode } from "./ws.ts";
+import { createDefaultCharacter } from "./db.ts";
+import { setDebugMode, type RoomManager } from "./ws.ts";
+import type { MobSkillLevel, StatusEffect } from "./mob-skill-data.ts";
 import { loadDropPools } from "./reactor-system.ts";
+import { emptyEquipStats } from "./equip-data.ts";
+import { setResourcesRoot } from "./wz-xml.ts";
 import * as path from "path";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
 
 /** Solve a PoW challenge locally (for tests). */
 function solveChallenge(challenge: string, difficulty: number): string {
@@ -41,6 +46,66 @@ async function getValidSession(baseUrl: string): Promise<string> {
 // Load drop pools from WZ data for tests
 loadDropPools(path.resolve(__dirname, "../../resourcesv3"));
 
+// ─── Game data fixture ──────────────────────────────────────────────
+// The server reads maps, skills and mobs from a resourcesv3-style folder
+// written here, so the tests run the same with or without an export.
+
+/** Map image: spawn point "sp" at (0,0) on a floor from x=-1000..1000, plus `life` standing on it. */
+function mapXml(mapId: string, life: Array<{ type: "n" | "m"; id: string; x: number }> = [], wallX?: number): string {
+  const wallXml = wallX === undefined ? ""
+    : `<imgdir name="2"><int name="x1" value="${wallX}"/><int name="y1" value="-300"/><int name="x2" value="${wallX}"/><int name="y2" value="0"/><int name="prev" value="0"/><int name="next" value="0"/></imgdir>`;
+  const lifeXml = life.map((l, i) => `<imgdir name="${i}"><string name="type" value="${l.type}"/><string name="id" value="${l.id}"/>`
+    + `<int name="x" value="${l.x}"/><int name="cy" value="0"/><int name="fh" value="1"/></imgdir>`).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="${mapId}.img">
+  <imgdir name="info"><int name="returnMap" value="${mapId}"/><int name="forcedReturn" value="999999999"/></imgdir>
+  <imgdir name="portal"><imgdir name="0"><string name="pn" value="sp"/><int name="pt" value="0"/><int name="x" value="0"/><int name="y" value="0"/><int name="tm" value="999999999"/><string name="tn" value=""/></imgdir></imgdir>
+  <imgdir name="life">${lifeXml}</imgdir>
+  <imgdir name="foothold"><imgdir name="0"><imgdir name="1"><imgdir name="1"><int name="x1" value="-1000"/><int name="y1" value="0"/><int name="x2" value="1000"/><int name="y2" value="0"/><int name="prev" value="0"/><int name="next" value="0"/></imgdir>${wallXml}</imgdir></imgdir></imgdir>
+</imgdir>`;
+}
+
+/** resourcesv3-relative path → image XML */
+const FIXTURE: Record<string, string> = {
+  "Map.wz/Map/Map1/101000100.img.xml": mapXml("101000100"),
+  // Snails behind (-50), in front of (50) and out of reach of (300) the spawn point
+  "Map.wz/Map/Map1/100010000.img.xml": mapXml("100010000", [
+    { type: "m", id: "100100", x: -50 }, { type: "m", id: "100100", x: 50 }, { type: "m", id: "100100", x: 300 },
+  ]),
+  // A wall at x=200 between the spawn point and a snail
+  "Map.wz/Map/Map1/100020000.img.xml": mapXml("100020000", [{ type: "m", id: "100100", x: 300 }], 200),
+  "Mob.wz/0100100.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="0100100.img"><imgdir name="info"><int name="level" value="1"/><int name="maxHP" value="1000"/><int name="exp" value="3"/></imgdir></imgdir>`,
+  // Three Snails: 3 MP, up to 3 mobs 10-80px in front, 3s cooldown
+  "Skill.wz/000.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="000.img"><imgdir name="skill"><imgdir name="0001000"><imgdir name="level"><imgdir name="1">
+  <int name="mpCon" value="3"/><int name="damage" value="150"/><int name="mobCount" value="3"/><int name="cooltime" value="3"/>
+  <vector name="lt" x="-80" y="-40"/><vector name="rb" x="-10" y="0"/>
+</imgdir></imgdir></imgdir></imgdir></imgdir>`,
+  // Warriors' Sanctuary with Dances with Balrog
+  "Map.wz/Map/Map1/102000003.img.xml": mapXml("102000003", [{ type: "n", id: "1022000", x: 100 }]),
+  // Henesys General Store: Red Potions (sell 25) and Subi Throwing-Stars (recharge 0.5/unit)
+  "Map.wz/Map/Map1/100000100.img.xml": mapXml("100000100", [{ type: "n", id: "1011100", x: 100 }]),
+  "Item.wz/Consume/0200.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="0200.img"><imgdir name="02000000"><imgdir name="info"><int name="price" value="25"/><int name="slotMax" value="100"/></imgdir></imgdir></imgdir>`,
+  "Item.wz/Consume/0207.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="0207.img"><imgdir name="02070000"><imgdir name="info"><int name="price" value="1"/><double name="unitPrice" value="0.5"/><short name="slotMax" value="500"/></imgdir></imgdir></imgdir>`,
+  // Sword (17 WATK, 7 upgrade slots) and a sure-fire Scroll for One-Handed Sword for ATT
+  "Character.wz/Weapon/01302000.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="01302000.img"><imgdir name="info"><int name="tuc" value="7"/><int name="incPAD" value="17"/></imgdir></imgdir>`,
+  "Item.wz/Consume/0204.img.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<imgdir name="0204.img"><imgdir name="02043000"><imgdir name="info"><int name="success" value="100"/><int name="incPAD" value="1"/></imgdir></imgdir></imgdir>`,
+  // Henesys with the storage keeper Mrs. Ming Ming
+  "Map.wz/Map/Map1/100000000.img.xml": mapXml("100000000", [{ type: "n", id: "1012009", x: 100 }]),
+};
+
+const FIXTURE_DIR = mkdtempSync(path.join(tmpdir(), "ws-test-"));
+for (const [rel, xml] of Object.entries(FIXTURE)) {
+  mkdirSync(path.dirname(path.join(FIXTURE_DIR, rel)), { recursive: true });
+  writeFileSync(path.join(FIXTURE_DIR, rel), xml);
+}
+setResourcesRoot(FIXTURE_DIR);
+
 /**
  * Helper: open a WebSocket and return a promise-based interface.
  */
@@ -157,6 +222,8 @@ describe("WebSocket server", () => {
   afterAll(() => {
     delete process.env.POW_DIFFICULTY;
     server?.stop();
+    setResourcesRoot(null);
+    rmSync(FIXTURE_DIR, { recursive: true, force: true });
   });
 
   // Helper: create character via REST API with a PoW-issued session.
@@ -268,6 +335,39 @@ describe("WebSocket server", () => {
     clientB.close();
   });
 
+  test("move: the first position on a map is checked from the spawn portal", async () => {
+    const session = await createCharacter("", "SpawnMover");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    setDebugMode(true);
+    await warpTo(client, "100020000");
+    setDebugMode(false);
+    const mover = (server.roomManager as RoomManager).getClient(session)!;
+    expect([mover.x, mover.y]).toEqual([0, 0]);
+    const sync = async () => {
+      client.send({ type: "ping" });
+      await client.waitForMessage("pong");
+    };
+
+    // An attack from behind the wall doesn't place the player there
+    client.send({ type: "character_attack", stance: "swingO1", x: 400, y: -100, facing: 1 });
+    await sync();
+    expect([mover.x, mover.y]).toEqual([0, 0]);
+
+    // Neither does a first move through the wall, however long after entering
+    await new Promise(r => setTimeout(r, 500));
+    client.send({ type: "move", x: 400, y: -100, action: "jump", facing: 1 });
+    await sync();
+    expect([mover.x, mover.y]).toEqual([0, 0]);
+
+    // Walking along the floor from the spawn point is fine
+    client.send({ type: "move", x: 100, y: 0, action: "walk1", facing: 1 });
+    await sync();
+    expect([mover.x, mover.y]).toEqual([100, 0]);
+
+    client.close();
+  });
+
   test("chat broadcasts to room", async () => {
     const _s7 = await createCharacter("chat-a", "ChatterA");
     const _s8 = await createCharacter("chat-b", "ChatterB");
@@ -649,4 +749,661 @@ describe("WebSocket server", () => {
 
     client.close();
   });
+
+  test("skills: new characters have no SP and cannot cast unlearned skills", async () => {
+    const session = await createCharacter("", "SkillTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    const su = await client.waitForMessage("skills_update");
+    expect(su.sp).toBe(0);
+    expect(su.skills).toEqual({});
+
+    // No SP to spend
+    client.send({ type: "skill_assign_sp", skill_id: 1001 });
+    const r1 = await client.waitForMessage("skill_result");
+    expect(r1.action).toBe("assign");
+    expect(r1.ok).toBe(false);
+    expect(r1.reason).toContain("No SP");
+
+    // Three Snails is not learned yet
+    client.send({ type: "use_skill", skill_id: 1000, x: 0, y: 0, facing: -1 });
+    const r2 = await client.waitForMessage("skill_result");
+    expect(r2.action).toBe("use");
+    expect(r2.ok).toBe(false);
+
+    client.close();
+  });
+
+  test("skills: SP from /sp learns Three Snails; a cast costs MP, cools down and hits only in reach", async () => {
+    const session = await createCharacter("", "SkillCaster");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    setDebugMode(true);
+    await warpTo(client, "100010000");
+    setDebugMode(false);
+
+    const rm = server.roomManager as RoomManager;
+    const caster = rm.getClient(session)!;
+    caster.gm = true;
+    client.send({ type: "gm_command", command: "sp", args: ["1"] });
+    expect((await client.waitForMessage("gm_response")).ok).toBe(true);
+    caster.gm = false;
+    client.messages.length = 0;
+
+    client.send({ type: "skill_assign_sp", skill_id: 1000 });
+    const su = await client.waitForMessage("skills_update");
+    expect(su.sp).toBe(0);
+    expect((su.skills as any)["1000"].level).toBe(1);
+    await client.waitForMessage("stats_update");
+
+    // Facing right from the spawn point
+    client.send({ type: "use_skill", skill_id: 1000, x: 0, y: 0, facing: 1 });
+    const cast = await client.waitForMessage("skill_result");
+    expect(cast.ok).toBe(true);
+    expect(cast.cooldown_ms).toBe(3000);
+    expect((await client.waitForMessage("stats_update")).stats.mp).toBe(2);
+    expect(caster.stats.mp).toBe(2);
+    expect((await client.waitForMessage("mob_damage_result")).mob_idx).toBe(1);
+
+    // Past the attack rate limit, but not the skill's cooldown
+    await new Promise(r => setTimeout(r, 300));
+    client.send({ type: "use_skill", skill_id: 1000, x: 0, y: 0, facing: 1 });
+    const recast = await client.waitForMessage("skill_result");
+    expect(recast.ok).toBe(false);
+    expect(recast.reason).toContain("cooling down");
+    expect(caster.stats.mp).toBe(2);
+    expect(client.messages.some(m => m.type === "mob_damage_result")).toBe(false);
+
+    client.close();
+  });
+
+  test("mob skills: seal, stun and poison are enforced server-side", async () => {
+    const session = await createCharacter("", "StatusTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    const mobSkill = (skillId: number, effect: StatusEffect, x: number): MobSkillLevel => ({
+      skillId, level: 1, effect, duration: 5000, x, prop: 100, interval: 10_000, hpThreshold: 100,
+      range: { left: -100, right: 100, top: -100, bottom: 50 },
+    });
+
+    // Seal: skill casts are rejected before any other check
+    rm.applyStatusEffect(target, mobSkill(120, "seal", 0));
+    const s1 = await client.waitForMessage("status_effect");
+    expect(s1.effect).toBe("seal");
+    expect(s1.duration_ms as number).toBeGreaterThan(0);
+    client.send({ type: "use_skill", skill_id: 1000, x: 0, y: 0, facing: -1 });
+    expect((await client.waitForMessage("skill_result")).reason).toContain("sealed");
+
+    // Stun: moves are neither accepted nor relayed
+    rm.applyStatusEffect(target, mobSkill(123, "stun", 0));
+    expect((await client.waitForMessage("status_effect")).effect).toBe("stun");
+    const { x: stunX, y: stunY } = target;
+    client.send({ type: "move", x: stunX + 50, y: stunY, action: "walk1", facing: 1 });
+    client.send({ type: "ping" });
+    await client.waitForMessage("pong");
+    expect(target.x).toBe(stunX);
+
+    // Poison: HP drains on the server tick but never below 1
+    const hpBefore = target.stats.hp;
+    rm.applyStatusEffect(target, mobSkill(125, "poison", 1_000_000));
+    expect((await client.waitForMessage("status_effect")).effect).toBe("poison");
+    let su = await client.waitForMessage("stats_update", 3000);
+    while ((su.stats as { hp: number }).hp >= hpBefore) su = await client.waitForMessage("stats_update", 3000);
+    expect((su.stats as { hp: number }).hp).toBe(1);
+
+    client.close();
+  });
+
+  test("mob skills: slow lowers the server's move speed cap", async () => {
+    const session = await createCharacter("", "SlowTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    const moveBy = async (dx: number) => {
+      await new Promise(r => setTimeout(r, 200));
+      client.send({ type: "move", x: target.x + dx, y: target.y, action: "walk1", facing: 1 });
+      client.send({ type: "ping" });
+      await client.waitForMessage("pong");
+    };
+
+    // 200 px in ≥200 ms is within the unslowed cap
+    client.send({ type: "move", x: 0, y: 0, action: "stand1", facing: 1 });
+    await moveBy(200);
+    expect(target.x).toBe(200);
+
+    // Slowed from 100 to 10 speed: the same move is now too fast and is dropped
+    rm.applyStatusEffect(target, {
+      skillId: 126, level: 1, effect: "slow", duration: 5000, x: 90, prop: 100, interval: 10_000, hpThreshold: 100,
+      range: { left: -100, right: 100, top: -100, bottom: 50 },
+    });
+    expect((await client.waitForMessage("status_effect")).effect).toBe("slow");
+    await moveBy(200);
+    expect(target.x).toBe(200);
+
+    // A short step at the slowed pace still goes through
+    await moveBy(20);
+    expect(target.x).toBe(220);
+
+    client.close();
+  });
+
+  test("bosses: map_state lists boss spawns; boss drops stay reserved past 5s", async () => {
+    const ownerSession = await createCharacter("", "BossOwner");
+    const otherSession = await createCharacter("", "BossOther");
+    const owner = await openWS(wsUrl);
+    const other = await openWS(wsUrl);
+    const { mapState } = await authAndJoin(owner, ownerSession);
+    expect(Array.isArray(mapState.bosses)).toBe(true);
+    await authAndJoin(other, otherSession);
+
+    const rm = server.roomManager as RoomManager;
+    const ownerClient = rm.getClient(ownerSession)!;
+    const drop = rm.addDrop(ownerClient.mapId, {
+      item_id: 4000000, name: "", qty: 1, x: 0, startX: 0, startY: 0, destY: 0,
+      owner_id: ownerClient.id, protect_ms: 15_000, iconKey: "", category: "ETC", meso: false,
+    });
+
+    other.send({ type: "loot_item", drop_id: drop.drop_id });
+    const fail = await other.waitForMessage("loot_failed");
+    expect(fail.reason).toBe("owned");
+    expect(fail.remaining_ms as number).toBeGreaterThan(5_000);
+
+    owner.close();
+    other.close();
+  });
+
+  test("job_advance: server validates level and rejects unknown jobs", async () => {
+    const session = await createCharacter("", "JobTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    await client.waitForMessage("skills_update");
+
+    // Level 1 Beginner cannot become a Warrior
+    client.send({ type: "job_advance", job_id: 100, npc_id: "1022000" });
+    const r1 = await client.waitForMessage("job_advance_result");
+    expect(r1.ok).toBe(false);
+    expect(r1.reason).toContain("level 10");
+
+    // Second-job IDs are not first-job advancements
+    client.send({ type: "job_advance", job_id: 110, npc_id: "1022000" });
+    const r2 = await client.waitForMessage("job_advance_result");
+    expect(r2.ok).toBe(false);
+    expect(r2.reason).toContain("Unknown job");
+
+    client.close();
+  });
+
+  test("job_advance: a qualified Beginner becomes a Warrior", async () => {
+    const session = await createCharacter("", "JobAdvancer");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.stats.level = 10;
+    target.stats.str = 35;
+    const maxHpBefore = target.stats.max_hp;
+
+    // Only next to the instructor
+    client.send({ type: "job_advance", job_id: 100, npc_id: "1022000" });
+    expect((await client.waitForMessage("job_advance_result")).reason).toContain("not on this map");
+
+    setDebugMode(true);
+    await warpTo(client, "102000003");
+    setDebugMode(false);
+
+    client.send({ type: "job_advance", job_id: 100, npc_id: "1022000" });
+    const r = await client.waitForMessage("job_advance_result");
+    expect(r.ok).toBe(true);
+    expect(r.job).toBe("Warrior");
+    expect(target.stats.job).toBe("Warrior");
+    expect(target.stats.sp).toBe(r.sp as number);
+    expect(target.stats.ap).toBe(5);
+    expect(target.stats.max_hp).toBeGreaterThanOrEqual(maxHpBefore + 200);
+    const inv = await client.waitForMessage("inventory_update");
+    expect(inv.inventory.some((it: any) => it.item_id === 1302077)).toBe(true);
+
+    // Already a Warrior
+    client.send({ type: "job_advance", job_id: 100, npc_id: "1022000" });
+    expect((await client.waitForMessage("job_advance_result")).ok).toBe(false);
+
+    client.close();
+  });
+
+  test("ap: assign/auto/reset are rejected without AP or an AP Reset", async () => {
+    const session = await createCharacter("", "ApTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    const su = await client.waitForMessage("stats_update");
+    expect(su.stats.ap).toBe(0);
+
+    client.send({ type: "assign_ap", stat: "str" });
+    const r1 = await client.waitForMessage("ap_result");
+    expect(r1.action).toBe("assign");
+    expect(r1.ok).toBe(false);
+    expect(r1.reason).toContain("No AP");
+    const s1 = await client.waitForMessage("stats_update");
+    expect(s1.stats.str).toBe(su.stats.str);
+
+    client.send({ type: "auto_assign_ap" });
+    const r2 = await client.waitForMessage("ap_result");
+    expect(r2.action).toBe("auto");
+    expect(r2.ok).toBe(false);
+
+    client.send({ type: "reset_ap", stat: "str" });
+    const r3 = await client.waitForMessage("ap_result");
+    expect(r3.action).toBe("reset");
+    expect(r3.ok).toBe(false);
+    expect(r3.reason).toContain("AP Reset");
+
+    client.close();
+  });
+
+  test("ap: assign, auto-assign and AP Reset move points between stats", async () => {
+    const session = await createCharacter("", "ApSpender");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.stats.level = 5;
+    target.stats.ap = 10;
+    const { str, dex } = target.stats;
+
+    client.send({ type: "assign_ap", stat: "str", amount: 3 });
+    let su = await client.waitForMessage("stats_update");
+    while (su.stats.ap !== 7) su = await client.waitForMessage("stats_update");
+    expect(su.stats.str).toBe(str + 3);
+
+    // Beginners keep DEX at level + 3 and put the rest into STR
+    client.send({ type: "auto_assign_ap" });
+    const r = await client.waitForMessage("ap_result");
+    expect(r.action).toBe("auto");
+    expect(r.ok).toBe(true);
+    expect(r.added).toEqual({ dex: 8 - dex, str: 7 - (8 - dex) });
+    expect(target.stats.ap).toBe(0);
+    expect(target.stats.dex).toBe(8);
+    expect(target.stats.str).toBe(str + 3 + 7 - (8 - dex));
+
+    target.inventory.push({ item_id: 5050000, qty: 1, inv_type: "CASH", slot: 0, category: null });
+    client.send({ type: "reset_ap", stat: "str" });
+    const reset = await client.waitForMessage("ap_result");
+    expect(reset.action).toBe("reset");
+    expect(reset.ok).toBe(true);
+    expect(target.stats.ap).toBe(1);
+    const inv = await client.waitForMessage("inventory_update");
+    expect(inv.inventory.some((it: any) => it.item_id === 5050000)).toBe(false);
+
+    client.close();
+  });
+
+  test("party: create, invite, accept, kick; disconnect leaves the party", async () => {
+    const sLeader = await createCharacter("", "PartyLead");
+    const sMember = await createCharacter("", "PartyMember");
+    const leader = await openWS(wsUrl);
+    await authAndJoin(leader, sLeader);
+    const member = await openWS(wsUrl);
+    await authAndJoin(member, sMember);
+
+    // Invites need a party first
+    leader.send({ type: "party_invite", name: "PartyMember" });
+    const r0 = await leader.waitForMessage("party_result");
+    expect(r0.ok).toBe(false);
+
+    leader.send({ type: "party_create" });
+    expect((await leader.waitForMessage("party_result")).ok).toBe(true);
+    const u1 = await leader.waitForMessage("party_update") as any;
+    expect(u1.party.leader_id).toBe(sLeader);
+    expect(u1.party.members.length).toBe(1);
+
+    leader.send({ type: "party_invite", name: "partymember" });
+    expect((await leader.waitForMessage("party_result")).ok).toBe(true);
+    const invite = await member.waitForMessage("party_invite");
+    expect(invite.from_name).toBe("PartyLead");
+
+    member.send({ type: "party_accept" });
+    expect((await member.waitForMessage("party_result")).ok).toBe(true);
+    const u2 = await member.waitForMessage("party_update") as any;
+    expect(u2.party.members.map((m: any) => m.name)).toEqual(["PartyLead", "PartyMember"]);
+    expect(typeof u2.party.members[1].max_hp).toBe("number");
+    expect((await leader.waitForMessage("party_update") as any).party.members.length).toBe(2);
+
+    // Only the leader can kick
+    member.send({ type: "party_kick", name: "PartyLead" });
+    const r1 = await member.waitForMessage("party_result");
+    expect(r1.ok).toBe(false);
+    expect(r1.reason).toContain("leader");
+
+    leader.send({ type: "party_kick", name: "PartyMember" });
+    expect((await leader.waitForMessage("party_result")).ok).toBe(true);
+    expect((await member.waitForMessage("party_update") as any).party).toBeNull();
+    expect((await leader.waitForMessage("party_update") as any).party.members.length).toBe(1);
+
+    // Leader disconnects → party disbands, member can create a new one
+    leader.close();
+    await new Promise(r => setTimeout(r, 200));
+    member.send({ type: "party_create" });
+    expect((await member.waitForMessage("party_result")).ok).toBe(true);
+
+    member.close();
+  });
+
+  test("social: whispers, buddy list with online status, chat channels", async () => {
+    const sA = await createCharacter("", "ChatterA");
+    const sB = await createCharacter("", "ChatterB");
+    const a = await openWS(wsUrl);
+    await authAndJoin(a, sA);
+    const b = await openWS(wsUrl);
+    await authAndJoin(b, sB);
+    expect((await a.waitForMessage("buddy_list")).buddies).toEqual([]);
+    expect((await b.waitForMessage("buddy_list")).buddies).toEqual([]);
+
+    // B adds A first: one-sided, so A's presence stays hidden from B
+    b.send({ type: "buddy_add", name: "ChatterA" });
+    expect((await b.waitForMessage("buddy_result")).ok).toBe(true);
+    const oneSided = await b.waitForMessage("buddy_list") as any;
+    expect(oneSided.buddies).toEqual([{ name: "ChatterA", mutual: false, online: false, map_id: null }]);
+    expect((await a.waitForMessage("buddy_added")).name).toBe("ChatterB");
+    expect((await a.waitForMessage("buddy_list")).buddies).toEqual([]);
+
+    a.send({ type: "buddy_add", name: "NoSuchCharacter" });
+    expect((await a.waitForMessage("buddy_result")).ok).toBe(false);
+
+    a.send({ type: "buddy_add", name: "chatterb" });
+    expect((await a.waitForMessage("buddy_result")).ok).toBe(true);
+    const list = await a.waitForMessage("buddy_list") as any;
+    expect(list.buddies).toEqual([{ name: "ChatterB", mutual: true, online: true, map_id: expect.any(String) }]);
+    const mutual = await b.waitForMessage("buddy_list") as any;
+    expect(mutual.buddies).toEqual([{ name: "ChatterA", mutual: true, online: true, map_id: expect.any(String) }]);
+
+    a.send({ type: "whisper", name: "ChatterB", text: "psst" });
+    const w = await b.waitForMessage("whisper");
+    expect(w.from).toBe("ChatterA");
+    expect(w.text).toBe("psst");
+    expect((await a.waitForMessage("whisper_result")).ok).toBe(true);
+
+    // Party channel needs a party (chat is rate limited to 1 msg/s)
+    await new Promise(r => setTimeout(r, 1100));
+    a.send({ type: "chat", channel: "party", text: "hi party" });
+    const pr = await a.waitForMessage("chat_result");
+    expect(pr.ok).toBe(false);
+
+    await new Promise(r => setTimeout(r, 1100));
+    a.send({ type: "chat", channel: "buddy", text: "hi buddies" });
+    const bc = await b.waitForMessage("channel_chat");
+    expect(bc.channel).toBe("buddy");
+    expect(bc.name).toBe("ChatterA");
+
+    // Buddy goes offline → the other side is notified; whispers now fail
+    b.close();
+    const st = await a.waitForMessage("buddy_status");
+    expect(st.name).toBe("ChatterB");
+    expect(st.online).toBe(false);
+    await new Promise(r => setTimeout(r, 1100));
+    a.send({ type: "whisper", name: "ChatterB", text: "still there?" });
+    expect((await a.waitForMessage("whisper_result")).ok).toBe(false);
+
+    a.close();
+  });
+
+  test("trade: invite, offer, lock, confirm swaps items server-side", async () => {
+    const sA = await createCharacter("", "TraderA");
+    const sB = await createCharacter("", "TraderB");
+    const a = await openWS(wsUrl);
+    await authAndJoin(a, sA);
+    const b = await openWS(wsUrl);
+    await authAndJoin(b, sB);
+
+    a.send({ type: "trade_invite", name: "TraderB" });
+    expect((await b.waitForMessage("trade_invite")).from_name).toBe("TraderA");
+    expect((await a.waitForMessage("trade_result")).ok).toBe(true);
+    b.send({ type: "trade_accept" });
+    expect((await a.waitForMessage("trade_open")).partner_name).toBe("TraderB");
+    expect((await b.waitForMessage("trade_update")).partner.items).toEqual([]);
+
+    // Can't offer mesos you don't have; can't confirm before both sides lock
+    a.send({ type: "trade_offer_meso", meso: 1 });
+    expect((await a.waitForMessage("trade_result")).ok).toBe(false);
+    a.send({ type: "trade_offer_item", inv_type: "ETC", slot: 0, qty: 5 });
+    const offered = await b.waitForMessage("trade_update");
+    expect(offered.partner.items).toEqual([{ inv_type: "ETC", slot: 0, item_id: 4000000, qty: 5 }]);
+    a.send({ type: "trade_confirm" });
+    expect((await a.waitForMessage("trade_result")).reason).toContain("locked");
+
+    a.send({ type: "trade_lock" });
+    expect((await b.waitForMessage("trade_update")).partner.locked).toBe(true);
+    b.send({ type: "trade_lock" });
+    expect((await b.waitForMessage("trade_update")).self.locked).toBe(true);
+    a.send({ type: "trade_confirm" });
+    b.send({ type: "trade_confirm" });
+    expect((await a.waitForMessage("trade_closed")).completed).toBe(true);
+    const invA = await a.waitForMessage("inventory_update");
+    const invB = await b.waitForMessage("inventory_update");
+    expect(invA.inventory.find((it: any) => it.item_id === 4000000).qty).toBe(3);
+    expect(invB.inventory.find((it: any) => it.item_id === 4000000).qty).toBe(13);
+
+    a.close();
+    b.close();
+  });
+
+  test("items: a uid the server doesn't know is rejected, never matched by item_id", async () => {
+    const session = await createCharacter("", "UidTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.inventory.push(
+      { item_id: 1302000, qty: 1, inv_type: "EQUIP", slot: 0, category: null, uid: "sword-a" },
+      { item_id: 1302000, qty: 1, inv_type: "EQUIP", slot: 1, category: null, uid: "sword-b" },
+    );
+    const sync = async () => { client.send({ type: "ping" }); await client.waitForMessage("pong"); };
+    const swordUids = () => target.inventory.filter(it => it.item_id === 1302000).map(it => it.uid);
+
+    client.send({ type: "equip_change", action: "equip", item_id: 1302000, uid: "no-such-sword" });
+    client.send({ type: "drop_item", item_id: 1302000, qty: 1, uid: "no-such-sword", x: target.x });
+    await sync();
+    expect(swordUids()).toEqual(["sword-a", "sword-b"]);
+
+    client.send({ type: "drop_item", item_id: 1302000, qty: 1, uid: "sword-b", x: target.x });
+    await sync();
+    expect(swordUids()).toEqual(["sword-a"]);
+
+    client.close();
+  });
+
+  test("storage: transactions are rejected without an open storage", async () => {
+    const session = await createCharacter("", "StoreTester");
+    const client = await openWS(wsUrl);
+    const { mapState } = await authAndJoin(client, session);
+    expect(mapState.storage_npcs).toContain("1012009");
+
+    client.send({ type: "storage_open", npc_id: "9999999" });
+    const r1 = await client.waitForMessage("storage_result");
+    expect(r1.action).toBe("open");
+    expect(r1.ok).toBe(false);
+
+    client.send({ type: "storage_deposit", inv_type: "ETC", slot: 0, qty: 1 });
+    const r2 = await client.waitForMessage("storage_result");
+    expect(r2.action).toBe("deposit");
+    expect(r2.reason).toContain("No storage");
+
+    client.send({ type: "storage_withdraw", index: 0 });
+    expect((await client.waitForMessage("storage_result")).ok).toBe(false);
+    client.send({ type: "storage_meso", amount: 100 });
+    expect((await client.waitForMessage("storage_result")).ok).toBe(false);
+
+    client.close();
+  });
+
+  test("storage: deposit charges the fee; equips come back out for free with their stats", async () => {
+    const session = await createCharacter("", "StoreUser");
+    const claim = await fetch(`${baseUrl}/api/character/claim`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${session}` },
+      body: JSON.stringify({ password: "test1234" }),
+    });
+    expect(claim.ok).toBe(true);
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.stats.meso = 1_000;
+    // A sword scrolled twice
+    const swordStats = { ...emptyEquipStats(), watk: 19, slots: 5, level: 2 };
+    target.inventory.push({ item_id: 1302000, qty: 1, inv_type: "EQUIP", slot: 0, category: null, uid: "stored-sword", stats: swordStats });
+
+    setDebugMode(true);
+    await warpTo(client, "100000000");
+    setDebugMode(false);
+
+    client.send({ type: "storage_open", npc_id: "1012009" });
+    const open = await client.waitForMessage("storage_open");
+    expect(open.fee).toBe(100);
+    expect((open.storage as any).items).toEqual([]);
+
+    client.send({ type: "storage_deposit", inv_type: "ETC", slot: 0, qty: 3 });
+    const d1 = await client.waitForMessage("storage_result");
+    expect(d1.ok).toBe(true);
+    expect((d1.storage as any).items).toEqual([{ item_id: 4000000, qty: 3, category: null }]);
+    expect(target.stats.meso).toBe(900);
+    expect(target.inventory.find(it => it.item_id === 4000000)!.qty).toBe(5);
+
+    client.send({ type: "storage_deposit", inv_type: "EQUIP", slot: 0 });
+    const d2 = await client.waitForMessage("storage_result");
+    expect(d2.ok).toBe(true);
+    expect(target.stats.meso).toBe(800);
+    expect(target.inventory.some(it => it.item_id === 1302000)).toBe(false);
+
+    // Retrieving is free
+    client.send({ type: "storage_withdraw", index: 1 });
+    const w = await client.waitForMessage("storage_result");
+    expect(w.action).toBe("withdraw");
+    expect(w.ok).toBe(true);
+    expect((w.storage as any).items.length).toBe(1);
+    expect(target.stats.meso).toBe(800);
+    const sword = target.inventory.find(it => it.item_id === 1302000 && it.inv_type === "EQUIP");
+    expect(sword?.uid).toBe("stored-sword");
+    expect(sword?.stats).toEqual(swordStats);
+
+    client.close();
+  });
+
+  test("shop: transactions are rejected without an open shop", async () => {
+    const session = await createCharacter("", "ShopTester");
+    const client = await openWS(wsUrl);
+    const { mapState } = await authAndJoin(client, session);
+    expect(mapState.shop_npcs).toContain("1011100");
+
+    client.send({ type: "shop_open", npc_id: "9999999" });
+    const r1 = await client.waitForMessage("shop_result");
+    expect(r1.action).toBe("open");
+    expect(r1.ok).toBe(false);
+
+    client.send({ type: "shop_buy", item_id: 2000000, qty: 1 });
+    const r2 = await client.waitForMessage("shop_result");
+    expect(r2.action).toBe("buy");
+    expect(r2.ok).toBe(false);
+    expect(r2.reason).toContain("No shop");
+
+    client.send({ type: "shop_sell", inv_type: "USE", slot: 0, qty: 1 });
+    const r3 = await client.waitForMessage("shop_result");
+    expect(r3.action).toBe("sell");
+    expect(r3.ok).toBe(false);
+
+    client.send({ type: "shop_recharge", slot: 0 });
+    const r4 = await client.waitForMessage("shop_result");
+    expect(r4.action).toBe("recharge");
+    expect(r4.ok).toBe(false);
+
+    client.close();
+  });
+
+  test("shop: buy, sell and recharge move meso and items", async () => {
+    const session = await createCharacter("", "ShopBuyer");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.stats.meso = 10_000;
+    target.inventory.push({ item_id: 2070000, qty: 10, inv_type: "USE", slot: 4, category: null });
+    const potions = () => target.inventory.find(it => it.item_id === 2000000)!.qty;
+
+    setDebugMode(true);
+    await warpTo(client, "100000100");
+    setDebugMode(false);
+
+    client.send({ type: "shop_open", npc_id: "1011100" });
+    const open = await client.waitForMessage("shop_open");
+    const price = (open.items as Array<{ item_id: number; price: number }>).find(it => it.item_id === 2000000)!.price;
+
+    client.send({ type: "shop_buy", item_id: 2000000, qty: 10 });
+    const buy = await client.waitForMessage("shop_result");
+    expect(buy.action).toBe("buy");
+    expect(buy.ok).toBe(true);
+    expect(buy.meso).toBe(-price * 10);
+    expect(target.stats.meso).toBe(10_000 - price * 10);
+    expect(potions()).toBe(40);
+
+    client.send({ type: "shop_sell", inv_type: "USE", slot: 0, qty: 5 });
+    const sell = await client.waitForMessage("shop_result");
+    expect(sell.action).toBe("sell");
+    expect(sell.ok).toBe(true);
+    expect(sell.meso).toBe(5 * 25);
+    expect(target.stats.meso).toBe(10_000 - price * 10 + 5 * 25);
+    expect(potions()).toBe(35);
+
+    // Refilled to the shop's stack cap of 100: 90 stars at 0.5 each
+    const mesoBefore = target.stats.meso;
+    client.send({ type: "shop_recharge", slot: 4 });
+    const recharge = await client.waitForMessage("shop_result");
+    expect(recharge.action).toBe("recharge");
+    expect(recharge.ok).toBe(true);
+    expect(recharge.meso).toBe(-45);
+    expect(target.stats.meso).toBe(mesoBefore - 45);
+    expect(target.inventory.find(it => it.slot === 4 && it.inv_type === "USE")!.qty).toBe(100);
+
+    client.close();
+  });
+
+  test("scroll_equip: rejects scrolls the player doesn't have", async () => {
+    const session = await createCharacter("", "ScrollTester");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    client.send({ type: "scroll_equip", scroll_id: 2040805, slot_type: "Glove" });
+    const r = await client.waitForMessage("scroll_result");
+    expect(r.ok).toBe(false);
+    expect(r.slot_type).toBe("Glove");
+    expect(r.reason).toContain("don't have");
+
+    client.close();
+  });
+
+  test("scroll_equip: a scroll uses up a slot and adds its stats to the equipped weapon", async () => {
+    const session = await createCharacter("", "ScrollUser");
+    const client = await openWS(wsUrl);
+    await authAndJoin(client, session);
+
+    const rm = server.roomManager as RoomManager;
+    const target = rm.getClient(session)!;
+    target.inventory.push({ item_id: 2043000, qty: 2, inv_type: "USE", slot: 4, category: null });
+
+    // One-Handed Sword for ATT (100% in the fixture) on the starter sword (17 WATK, 7 slots)
+    client.send({ type: "scroll_equip", scroll_id: 2043000, slot_type: "Weapon" });
+    const r = await client.waitForMessage("scroll_result");
+    expect(r.ok).toBe(true);
+    expect(r.item_id).toBe(1302000);
+    expect(r.result).toBe("success");
+    expect(r.stats).toMatchObject({ watk: 18, slots: 6, level: 1 });
+    expect(target.look.equipment.find(e => e.slot_type === "Weapon")!.stats).toEqual(r.stats);
+    expect(target.inventory.find(it => it.item_id === 2043000)!.qty).toBe(1);
+
+    client.close();
+  });
 });
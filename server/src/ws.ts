@@ -6,12 +6,17 @@
  */
 import type { ServerWebSocket } from "bun";
 import type { Database } from "bun:sqlite";
-import { saveCharacterData, incrementJqLeaderboard, appendLog } from "./db.ts";
+import {
+  saveCharacterData, incrementJqLeaderboard, appendLog,
+  characterExists, getBuddies, getMutualBuddies, addBuddy, removeBuddy,
+  getAccountName, loadStorageData, saveStorageData, getNx, grantNx, spendNx,
+} from "./db.ts";
 import {
   getMapPortalData,
   getMapData,
   mapExists,
   findPortal,
+  findSpawnPortal,
   isUsablePortal,
   hasValidTarget,
   distance,
@@ -37,8 +42,116 @@ import {
   rollReactorLoot,
   rollMobLoot,
   rollJqReward,
+  rollGachaponPrize,
   getItemName,
 } from "./reactor-system.ts";
+import {
+  getSkillDef,
+  getSkillBookSpec,
+  canJobUseSkill,
+  getSkillCap,
+  getSpForLevelUp,
+  type LearnedSkill,
+  type SkillBookSpec,
+} from "./skill-data.ts";
+import {
+  checkJobAdvancement,
+  getAdvancementSp,
+  rollBonus,
+  isApStat,
+  assignAp,
+  resetAp,
+  autoAssignAp,
+  AP_PER_LEVEL,
+  AP_RESET_ITEM_ID,
+} from "./job-data.ts";
+import {
+  getShop,
+  getShopNpcIds,
+  getItemTradeInfo,
+  isRechargeable,
+  getSellPrice,
+  getRechargeCost,
+} from "./shop-data.ts";
+import {
+  getEquipBaseStats,
+  getScrollSpec,
+  canScroll,
+  rollEquipStats,
+  applyScroll,
+} from "./equip-data.ts";
+import {
+  isInstanceItem,
+  isItemExpired,
+  newItemUid,
+  pickItemAttrs,
+  type ItemAttrs,
+} from "./item-instance.ts";
+import {
+  splitPartyExp,
+  MAX_PARTY_SIZE,
+  PARTY_INVITE_TTL_MS,
+  type Party,
+  type PartyInvite,
+} from "./party.ts";
+import {
+  createTrade,
+  getTradeSides,
+  onOfferChanged,
+  bothLocked,
+  bothConfirmed,
+  MAX_TRADE_ITEMS,
+  TRADE_INVITE_TTL_MS,
+  type Trade,
+  type TradeSide,
+  type TradeInvite,
+} from "./trade.ts";
+import {
+  isStorageKeeper,
+  getStorageKeeperIds,
+  parseStorage,
+  storeItem,
+  STORAGE_FEE,
+  type AccountStorage,
+} from "./storage.ts";
+import {
+  getMobSkillLevel,
+  canCastMobSkill,
+  isInMobSkillRange,
+  applyStatus,
+  hasStatus,
+  expireStatuses,
+  getPoisonDamage,
+  getEffectiveSpeed,
+  serializeStatus,
+  type MobSkillLevel,
+  type StatusEffect,
+  type ActiveStatus,
+} from "./mob-skill-data.ts";
+import {
+  getBossRespawnMs,
+  recordBossDamage,
+  assignBossLoot,
+  BOSS_REVIVE_DELAY_MS,
+  BOSS_LOOT_PROTECTION_MS,
+} from "./boss.ts";
+import {
+  checkMove,
+  createMoveCheckState,
+  resetMoveCheck,
+  MOVE_VIOLATION_LIMIT,
+  type MoveCheckState,
+  type MoveViolation,
+} from "./movement.ts";
+import { serializeFieldRules } from "./field.ts";
+import {
+  getCommodities,
+  getCommodity,
+  fitsGender,
+  commodityExpiresAt,
+  GACHAPON_TICKET_ID,
+  MAX_NX_GRANT,
+} from "./cash-shop.ts";
 
 /** Determine the correct equip slot type from item ID prefix. */
 function equipSlotFromItemId(id: number): string | null {
@@ -69,7 +182,13 @@ export interface PlayerLook {
   face_id: number;
   hair_id: number;
   skin: number;
-  equipment: Array<{ slot_type: string; item_id: number }>;
+  equipment: EquippedItem[];
+}
+
+/** An equipped item — an instance, so it keeps its uid and attributes. */
+export interface EquippedItem extends ItemAttrs {
+  slot_type: string;
+  item_id: number;
 }
 
 /** Maximum movement speed in pixels per second (generous to allow latency bursts) */
@@ -79,12 +198,15 @@ const MAX_MOVE_SPEED_PX_PER_S = 1200;
 const ATTACK_COOLDOWN_MS = 250;      // Max ~4 attacks/sec
 const CHAT_COOLDOWN_MS = 1000;       // Max 1 chat msg/sec
 const CHAT_MAX_LENGTH = 200;         // Max characters per chat message
+const GLOBAL_CHAT_COOLDOWN_MS = 10_000; // Global channel: max 1 msg per 10s
+const MAX_BUDDIES = 20;              // Buddy list capacity (v83 default)
 const LOOT_COOLDOWN_MS = 400;        // Max ~2.5 loots/sec
 const FACE_COOLDOWN_MS = 500;        // Max 2 face changes/sec
 const MOB_STATE_MAX_MOVE_PX = 200;   // Max mob move per update tick (allows knockback/gravity, prevents teleporting)
 const DROP_PROXIMITY_PX = 300;       // Max distance from player to drop position
 
-export interface InventoryItem {
+/** Inventory entry. Non-stackable items carry their instance attributes (item-instance.ts). */
+export interface InventoryItem extends ItemAttrs {
   item_id: number;
   qty: number;
   inv_type: string;
@@ -108,6 +230,13 @@ export interface PlayerStats {
   speed: number;
   jump: number;
   meso: number;
+  /** Unspent skill points */
+  sp: number;
+  /** Unspent ability points */
+  ap: number;
+  /** AP spent on Max HP / Max MP (limits AP Reset washing) */
+  hp_ap?: number;
+  mp_ap?: number;
 }
 
 export interface WSClient {
@@ -131,6 +260,10 @@ export interface WSClient {
   lastMoveMs: number;
   /** True once the client has sent at least one valid move on the current map */
   positionConfirmed: boolean;
+  /** Foothold/ladder validation of reported positions (movement.ts) */
+  moveCheck: MoveCheckState;
+  /** When the timed-map clock runs out (0 = not on a timed map; field.ts) */
+  fieldClockEndsAt: number;
   /** Active chair item ID (0 = not sitting on chair) */
   chairId: number;
   /** Server-tracked inventory (updated by client via save_state) */
@@ -141,11 +274,26 @@ export interface WSClient {
   achievements: Record<string, any>;
   /** Server-tracked quest states (questId → 0|1|2) */
   quests: Record<string, number>;
+  /** Learned skills (skillId → level + mastery book master level) */
+  skills: Record<string, LearnedSkill>;
+  /** Skill cooldowns (skillId → Date.now() timestamp when usable again) */
+  skillCooldowns: Map<number, number>;
+  /** NPC whose shop is currently open (null = no shop) */
+  shopNpcId: string | null;
+  /** Storage keeper whose storage is currently open (null = closed) */
+  storageNpcId: string | null;
+  /** Party the client belongs to (RoomManager.parties; null = solo) */
+  partyId: number | null;
+  /** Open trade (RoomManager.trades; null = not trading) */
+  tradeId: number | null;
+  /** Status effects inflicted by mob skills (expired entries are swept by the 1s tick) */
+  statuses: Map<StatusEffect, ActiveStatus>;
   /** GM privileges — enables slash commands */
   gm: boolean;
   // Rate limiting timestamps
   lastAttackMs: number;
   lastChatMs: number;
+  lastGlobalChatMs: number;
   lastLootMs: number;
   lastFaceMs: number;
 }
@@ -191,22 +339,17 @@ function getWeaponAfterimage(weaponItemId: number): string {
   if (_weaponAfterimageCache.has(weaponItemId)) return _weaponAfterimageCache.get(weaponItemId)!;
 
   const padded = String(weaponItemId).padStart(8, "0");
-  const { resolve: rp } = require("path");
-  const { existsSync: ex, readFileSync: rf } = require("fs");
-  const { parseWzXml: pz } = require("./wz-xml.ts");
-  const PROJECT_ROOT = rp(__dirname, "../..");
-  const fp = rp(PROJECT_ROOT, "resourcesv3", "Character.wz", "Weapon", `${padded}.img.xml`);
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
+  const fp = resourcePath("Character.wz", "Weapon", `${padded}.img.xml`);
 
   let name = "";
-  if (ex(fp)) {
-    try {
-      const json = pz(rf(fp, "utf-8"));
-      const info = json?.$$?.find((s: any) => s.$imgdir === "info");
-      for (const child of info?.$$ || []) {
-        if (child.$string === "afterImage") { name = child.value || ""; break; }
-      }
-    } catch {}
-  }
+  try {
+    const json = readWzImage(fp);
+    const info = json?.$$?.find((s: any) => s.$imgdir === "info");
+    for (const child of info?.$$ || []) {
+      if (child.$string === "afterImage") { name = child.value || ""; break; }
+    }
+  } catch {}
   _weaponAfterimageCache.set(weaponItemId, name);
   return name;
 }
@@ -216,33 +359,28 @@ function getAfterimageRange(aiName: string, stance: string, weaponLevel: number)
   const key = `${aiName}/${stance}`;
   if (_afterimageRangeCache.has(key)) return _afterimageRangeCache.get(key)!;
 
-  const { resolve: rp } = require("path");
-  const { existsSync: ex, readFileSync: rf } = require("fs");
-  const { parseWzXml: pz } = require("./wz-xml.ts");
-  const PROJECT_ROOT = rp(__dirname, "../..");
-  const fp = rp(PROJECT_ROOT, "resourcesv3", "Character.wz", "Afterimage", `${aiName}.img.xml`);
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
+  const fp = resourcePath("Character.wz", "Afterimage", `${aiName}.img.xml`);
 
   let result = FALLBACK_ATTACK_RANGE;
-  if (ex(fp)) {
-    try {
-      const json = pz(rf(fp, "utf-8"));
-      // C++: level/10 selects the sub-node. Level 0 weapons use "0".
-      const levelKey = String(Math.floor(weaponLevel / 10));
-      const levelNode = json?.$$?.find((s: any) => s.$imgdir === levelKey);
-      const stanceNode = levelNode?.$$?.find((s: any) => s.$imgdir === stance);
-      if (stanceNode?.$$) {
-        let lt: { x: number; y: number } | null = null;
-        let rb: { x: number; y: number } | null = null;
-        for (const child of stanceNode.$$) {
-          if (child.$vector === "lt") lt = { x: Number(child.x), y: Number(child.y) };
-          if (child.$vector === "rb") rb = { x: Number(child.x), y: Number(child.y) };
-        }
-        if (lt && rb) {
-          result = { left: lt.x, right: rb.x, top: lt.y, bottom: rb.y };
-        }
+  try {
+    const json = readWzImage(fp);
+    // C++: level/10 selects the sub-node. Level 0 weapons use "0".
+    const levelKey = String(Math.floor(weaponLevel / 10));
+    const levelNode = json?.$$?.find((s: any) => s.$imgdir === levelKey);
+    const stanceNode = levelNode?.$$?.find((s: any) => s.$imgdir === stance);
+    if (stanceNode?.$$) {
+      let lt: { x: number; y: number } | null = null;
+      let rb: { x: number; y: number } | null = null;
+      for (const child of stanceNode.$$) {
+        if (child.$vector === "lt") lt = { x: Number(child.x), y: Number(child.y) };
+        if (child.$vector === "rb") rb = { x: Number(child.x), y: Number(child.y) };
       }
-    } catch {}
-  }
+      if (lt && rb) {
+        result = { left: lt.x, right: rb.x, top: lt.y, bottom: rb.y };
+      }
+    }
+  } catch {}
   _afterimageRangeCache.set(key, result);
   return result;
 }
@@ -288,32 +426,27 @@ const MOB_BOUNDS_FALLBACK = { ltx: -40, lty: -60, rbx: 40, rby: 0 };
 function getMobBounds(mobId: string): { ltx: number; lty: number; rbx: number; rby: number } {
   if (_mobBoundsCache.has(mobId)) return _mobBoundsCache.get(mobId)!;
 
-  const { resolve: rp } = require("path");
-  const { existsSync: ex, readFileSync: rf } = require("fs");
-  const { parseWzXml: pz } = require("./wz-xml.ts");
-  const PROJECT_ROOT = rp(__dirname, "../..");
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
   const padded = mobId.padStart(7, "0");
-  const fp = rp(PROJECT_ROOT, "resourcesv3", "Mob.wz", `${padded}.img.xml`);
+  const fp = resourcePath("Mob.wz", `${padded}.img.xml`);
 
   let result = MOB_BOUNDS_FALLBACK;
-  if (ex(fp)) {
-    try {
-      const json = pz(rf(fp, "utf-8"));
-      // Try stand first, then move — mirrors C++ which uses current stance but stand is most common
-      for (const stanceName of ["stand", "move"]) {
-        const stance = json?.$$?.find((s: any) => s.$imgdir === stanceName);
-        if (!stance?.$$) continue;
-        const frame0 = stance.$$.find((c: any) => c.$canvas === "0" || c.$imgdir === "0");
-        if (!frame0?.$$) continue;
-        const lt = frame0.$$.find((c: any) => c.$vector === "lt");
-        const rb = frame0.$$.find((c: any) => c.$vector === "rb");
-        if (lt && rb) {
-          result = { ltx: Number(lt.x), lty: Number(lt.y), rbx: Number(rb.x), rby: Number(rb.y) };
-          break;
-        }
+  try {
+    const json = readWzImage(fp);
+    // Try stand first, then move — mirrors C++ which uses current stance but stand is most common
+    for (const stanceName of ["stand", "move"]) {
+      const stance = json?.$$?.find((s: any) => s.$imgdir === stanceName);
+      if (!stance?.$$) continue;
+      const frame0 = stance.$$.find((c: any) => c.$canvas === "0" || c.$imgdir === "0");
+      if (!frame0?.$$) continue;
+      const lt = frame0.$$.find((c: any) => c.$vector === "lt");
+      const rb = frame0.$$.find((c: any) => c.$vector === "rb");
+      if (lt && rb) {
+        result = { ltx: Number(lt.x), lty: Number(lt.y), rbx: Number(rb.x), rby: Number(rb.y) };
+        break;
       }
-    } catch {}
-  }
+    }
+  } catch {}
   _mobBoundsCache.set(mobId, result);
   return result;
 }
@@ -382,6 +515,15 @@ function hasInventorySpace(client: WSClient, invType: string): boolean {
   return false;
 }
 
+/** Number of free slots in an inventory tab. */
+function countFreeSlots(client: WSClient, invType: string): number {
+  let used = 0;
+  for (const it of client.inventory) {
+    if (it.inv_type === invType && it.slot >= 0 && it.slot < INV_MAX_SLOTS_PER_TAB) used++;
+  }
+  return INV_MAX_SLOTS_PER_TAB - used;
+}
+
 /**
  * Check if the client's inventory can accommodate a stackable item.
  * Returns true if the item can be stacked onto existing slots or a free slot exists.
@@ -417,8 +559,10 @@ function canFitItem(client: WSClient, itemId: number, qty: number): boolean {
 /**
  * Add an item to the server-tracked inventory.
  * Stacks onto existing slots when possible, otherwise uses first free slot.
+ * Equips are instances: they keep `attrs` when moved (trade, storage, loot),
+ * otherwise get a new uid and the WZ base stats, tagged with `attrs.creator`.
  */
-function addItemToInventory(client: WSClient, itemId: number, qty: number, category: string | null): void {
+function addItemToInventory(client: WSClient, itemId: number, qty: number, category: string | null, attrs?: ItemAttrs): void {
   const invType = inventoryTypeByItemId(itemId);
   const isEquip = invType === "EQUIP";
   const slotMax = isEquip ? 1 : 100;
@@ -453,17 +597,33 @@ function addItemToInventory(client: WSClient, itemId: number, qty: number, categ
     if (freeSlot === -1) break; // inventory full — items lost
 
     const add = Math.min(remaining, slotMax);
-    client.inventory.push({
+    const entry: InventoryItem = {
       item_id: itemId,
       qty: add,
       inv_type: invType,
       slot: freeSlot,
       category: category,
-    });
+    };
+    if (isEquip) {
+      // Only the first copy can be the given instance; the rest are new ones
+      Object.assign(entry, newItemInstance(itemId, remaining === qty ? attrs : { creator: attrs?.creator }));
+    }
+    client.inventory.push(entry);
     remaining -= add;
   }
 }
 
+/** Attributes for an instance item: `attrs` as given, plus a uid and base stats if it has none. */
+function newItemInstance(itemId: number, attrs?: ItemAttrs): ItemAttrs {
+  const inst = pickItemAttrs(attrs);
+  if (!inst.uid) inst.uid = newItemUid();
+  if (!inst.stats) {
+    const base = getEquipBaseStats(itemId);
+    if (base) inst.stats = { ...base };
+  }
+  return inst;
+}
+
 /** Job name → numeric ID for quest requirement validation. */
 const JOB_NAME_TO_ID: Record<string, number> = {
   "Beginner": 0,
@@ -475,7 +635,7 @@ const JOB_NAME_TO_ID: Record<string, number> = {
 };
 
 /** Apply quest reward (exp/meso/items) to a client. Handles level-ups. */
-function applyQuestReward(client: WSClient, reward: QuestReward, rm?: RoomManager): void {
+function applyQuestReward(client: WSClient, reward: QuestReward, rm?: RoomManager, questId?: string): void {
   if (reward.exp > 0) {
     client.stats.exp += reward.exp;
     // Level up loop (matching server-side level up logic)
@@ -487,6 +647,8 @@ function applyQuestReward(client: WSClient, reward: QuestReward, rm?: RoomManage
       client.stats.max_mp += 10 + Math.floor(Math.random() * 3);
       client.stats.hp = client.stats.max_hp;
       client.stats.mp = client.stats.max_mp;
+      client.stats.sp = (client.stats.sp ?? 0) + getSpForLevelUp(getClientJobId(client), client.stats.level);
+      client.stats.ap = (client.stats.ap ?? 0) + AP_PER_LEVEL;
       // Broadcast level up
       rm?.broadcastToRoom(client.mapId, {
         type: "player_level_up",
@@ -500,7 +662,7 @@ function applyQuestReward(client: WSClient, reward: QuestReward, rm?: RoomManage
   }
   for (const item of reward.items) {
     if (item.count > 0) {
-      addItemToInventory(client, item.id, item.count, null);
+      addItemToInventory(client, item.id, item.count, null, { creator: `quest:${questId ?? ""}` });
     } else if (item.count < 0) {
       removeItemFromInventory(client, item.id, -item.count);
     }
@@ -516,6 +678,16 @@ function countItemInInventory(client: WSClient, itemId: number): number {
   return total;
 }
 
+/**
+ * Inventory index of the entry a client action names: by `uid` when the client
+ * sent one (an unknown uid matches nothing — it never falls back to another
+ * copy), else the first entry with `itemId`. -1 if there is none.
+ */
+function findInventoryIndex(client: WSClient, itemId: number, uid: unknown): number {
+  if (typeof uid === "string" && uid) return client.inventory.findIndex(it => it.uid === uid && it.item_id === itemId);
+  return client.inventory.findIndex(it => it.item_id === itemId);
+}
+
 /** Remove qty of itemId from client inventory (LIFO — remove from last slots first). */
 function removeItemFromInventory(client: WSClient, itemId: number, qty: number): void {
   let remaining = qty;
@@ -544,6 +716,20 @@ interface ServerMobState {
   spawnY: number;
   dead: boolean;
   respawnAt: number; // timestamp when mob should respawn (0 = alive)
+  skillReadyAt: Map<number, number>; // MobSkill ID → timestamp when it can be tried again
+  mobTime: number;   // map life `mobTime` in seconds (boss respawn fallback)
+  boss: ServerBossState | null; // null for regular mobs
+}
+
+interface ServerBossState {
+  /** Mob ID placed on the map (phase 0); later phases come from info/revive */
+  baseMobId: string;
+  phase: number;
+  phases: number;
+  /** sessionId → damage dealt this fight (loot rights) */
+  damageBy: Map<string, number>;
+  /** Next phase's mob ID while waiting to revive (null = respawn on schedule) */
+  reviveAs: string | null;
 }
 
 /** mapId → mobIdx → ServerMobState */
@@ -552,6 +738,12 @@ const _mapMobStates = new Map<string, Map<number, ServerMobState>>();
 /** mapId → (lifeIdx → mob ID string). Cached to avoid re-parsing WZ. */
 const _mapMobIds = new Map<string, Map<number, string>>();
 
+/**
+ * "mapId:lifeIdx" → pending boss respawn. Outlives _mapMobStates so an empty
+ * map keeps its boss timer; the spawn is announced when the timer ends.
+ */
+const _bossRespawns = new Map<string, { mapId: string; mobId: string; at: number }>();
+
 /** Initialize mob states for a map from WZ data. Called when first player joins. */
 function initMapMobStates(mapId: string): Map<number, ServerMobState> {
   const existing = _mapMobStates.get(mapId);
@@ -560,21 +752,36 @@ function initMapMobStates(mapId: string): Map<number, ServerMobState> {
   const states = new Map<number, ServerMobState>();
   _mapMobStates.set(mapId, states);
 
+  // Field limit: the map's mobs never spawn
+  if (getMapData(mapId)?.field.noMobSpawn) {
+    _mapMobIds.set(mapId, new Map());
+    return states;
+  }
+
   const mobIds = _parseMapLifeEntries(mapId);
   _mapMobIds.set(mapId, mobIds);
 
+  const now = Date.now();
   for (const [lifeIdx, mobId] of mobIds) {
     const mobStats = getMobStats(mobId);
     const maxHp = mobStats?.maxHP ?? 100;
+    // A boss whose timer is still running stays dead until it ends
+    const pending = mobStats?.boss ? _bossRespawns.get(`${mapId}:${lifeIdx}`) : undefined;
+    const waiting = !!pending && pending.at > now;
     // Position will be updated from mob_state authority messages.
     // Initialize with spawn position from WZ.
     states.set(lifeIdx, {
-      hp: maxHp,
+      hp: waiting ? 0 : maxHp,
       maxHp,
       x: 0, y: 0,
       spawnX: 0, spawnY: 0, // filled from WZ below
-      dead: false,
-      respawnAt: 0,
+      dead: waiting,
+      respawnAt: waiting ? pending!.at : 0,
+      skillReadyAt: new Map(),
+      mobTime: 0,
+      boss: mobStats?.boss
+        ? { baseMobId: mobId, phase: 0, phases: countBossPhases(mobId), damageBy: new Map(), reviveAs: null }
+        : null,
     });
   }
 
@@ -586,18 +793,14 @@ function initMapMobStates(mapId: string): Map<number, ServerMobState> {
 /** Parse the map's life section in WZ order to get lifeIdx → mobId mapping. */
 function _parseMapLifeEntries(mapId: string): Map<number, string> {
   const result = new Map<number, string>();
-  const { resolve } = require("path");
-  const { existsSync, readFileSync } = require("fs");
-  const { parseWzXml } = require("./wz-xml.ts");
-  const PROJECT_ROOT = resolve(__dirname, "../..");
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
 
   const mapIdStr = String(mapId).padStart(9, "0");
   const mapDir = `Map${mapIdStr[0]}`;
-  const filePath = resolve(PROJECT_ROOT, "resourcesv3", "Map.wz", "Map", mapDir, `${mapIdStr}.img.xml`);
+  const filePath = resourcePath("Map.wz", "Map", mapDir, `${mapIdStr}.img.xml`);
 
-  if (!existsSync(filePath)) return result;
   let mapJson: any;
-  try { mapJson = parseWzXml(readFileSync(filePath, "utf-8")); } catch { return result; }
+  try { mapJson = readWzImage(filePath); } catch { return result; }
 
   const sections: any[] = mapJson?.$$;
   if (!Array.isArray(sections)) return result;
@@ -625,18 +828,14 @@ function _parseMapLifeEntries(mapId: string): Map<number, string> {
 
 /** Fill spawn positions from WZ data. */
 function _fillMobSpawnPositions(mapId: string, states: Map<number, ServerMobState>): void {
-  const { resolve } = require("path");
-  const { existsSync, readFileSync } = require("fs");
-  const { parseWzXml } = require("./wz-xml.ts");
-  const PROJECT_ROOT = resolve(__dirname, "../..");
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
 
   const mapIdStr = String(mapId).padStart(9, "0");
   const mapDir = `Map${mapIdStr[0]}`;
-  const filePath = resolve(PROJECT_ROOT, "resourcesv3", "Map.wz", "Map", mapDir, `${mapIdStr}.img.xml`);
+  const filePath = resourcePath("Map.wz", "Map", mapDir, `${mapIdStr}.img.xml`);
 
-  if (!existsSync(filePath)) return;
   let mapJson: any;
-  try { mapJson = parseWzXml(readFileSync(filePath, "utf-8")); } catch { return; }
+  try { mapJson = readWzImage(filePath); } catch { return; }
 
   const sections: any[] = mapJson?.$$;
   if (!Array.isArray(sections)) return;
@@ -652,6 +851,7 @@ function _fillMobSpawnPositions(mapId: string, states: Map<number, ServerMobStat
       for (const child of children) {
         if (child.$int === "x") { st.x = st.spawnX = Number(child.value) || 0; }
         else if (child.$int === "cy") { st.y = st.spawnY = Number(child.value) || 0; }
+        else if (child.$int === "mobTime") { st.mobTime = Number(child.value) || 0; }
       }
     }
     lifeIdx++;
@@ -670,6 +870,10 @@ function tickMobRespawns(roomManager: RoomManager): void {
   for (const [mapId, states] of _mapMobStates) {
     for (const [mobIdx, mob] of states) {
       if (mob.dead && mob.respawnAt > 0 && now >= mob.respawnAt) {
+        if (mob.boss) {
+          respawnBoss(roomManager, mapId, mobIdx, mob);
+          continue;
+        }
         mob.dead = false;
         mob.hp = mob.maxHp;
         mob.respawnAt = 0;
@@ -680,12 +884,196 @@ function tickMobRespawns(roomManager: RoomManager): void {
         roomManager.broadcastToRoom(mapId, {
           type: "mob_respawn",
           mob_idx: mobIdx,
+          mob_id: _mapMobIds.get(mapId)?.get(mobIdx),
           x: mob.spawnX,
           y: mob.spawnY,
         });
       }
     }
   }
+
+  // Bosses on empty maps: the timer still ends (and is announced) on schedule
+  for (const [key, pending] of _bossRespawns) {
+    if (_mapMobStates.has(pending.mapId) || now < pending.at) continue;
+    _bossRespawns.delete(key);
+    announceBossSpawn(roomManager, pending.mapId, pending.mobId);
+  }
+}
+
+// ─── Bosses ─────────────────────────────────────────────────────────
+
+/** Phases in a boss's revive chain (1 = no revive). */
+function countBossPhases(mobId: string): number {
+  let phases = 1;
+  let next = getMobStats(mobId)?.revive[0];
+  while (next && phases < 10) {
+    phases++;
+    next = getMobStats(next)?.revive[0];
+  }
+  return phases;
+}
+
+/** Boss HP bar data (map_state.bosses / boss_state). */
+function serializeBoss(mapId: string, mobIdx: number, mob: ServerMobState) {
+  const mobId = _mapMobIds.get(mapId)?.get(mobIdx) ?? "";
+  const stats = getMobStats(mobId);
+  return {
+    mob_idx: mobIdx,
+    mob_id: mobId,
+    hp: mob.hp,
+    max_hp: mob.maxHp,
+    dead: mob.dead,
+    phase: mob.boss?.phase ?? 0,
+    phases: mob.boss?.phases ?? 1,
+    hp_tag_color: stats?.hpTagColor ?? 0,
+    hp_tag_bgcolor: stats?.hpTagBgcolor ?? 0,
+  };
+}
+
+function serializeBosses(mapId: string) {
+  const states = _mapMobStates.get(mapId);
+  if (!states) return [];
+  return [...states].filter(([, mob]) => mob.boss).map(([idx, mob]) => serializeBoss(mapId, idx, mob));
+}
+
+/** A boss phase died: queue the next phase, or start the spawn point's respawn timer. */
+function onBossKilled(mapId: string, mobIdx: number, mob: ServerMobState, mobId: string): void {
+  const boss = mob.boss!;
+  const now = Date.now();
+  boss.reviveAs = getMobStats(mobId)?.revive[0] ?? null;
+  if (boss.reviveAs) {
+    mob.respawnAt = now + BOSS_REVIVE_DELAY_MS;
+    return;
+  }
+  mob.respawnAt = now + getBossRespawnMs(boss.baseMobId, mob.mobTime);
+  _bossRespawns.set(`${mapId}:${mobIdx}`, { mapId, mobId: boss.baseMobId, at: mob.respawnAt });
+}
+
+/** Bring a boss back: the next phase in place, or phase 0 at its spawn point. */
+function respawnBoss(roomManager: RoomManager, mapId: string, mobIdx: number, mob: ServerMobState): void {
+  const boss = mob.boss!;
+  const revived = boss.reviveAs !== null;
+  const mobId = boss.reviveAs ?? boss.baseMobId;
+  _mapMobIds.get(mapId)?.set(mobIdx, mobId);
+
+  mob.maxHp = getMobStats(mobId)?.maxHP ?? mob.maxHp;
+  mob.hp = mob.maxHp;
+  mob.dead = false;
+  mob.respawnAt = 0;
+  boss.reviveAs = null;
+  if (revived) {
+    boss.phase++;
+  } else {
+    boss.phase = 0;
+    boss.damageBy.clear();
+    mob.x = mob.spawnX;
+    mob.y = mob.spawnY;
+    _bossRespawns.delete(`${mapId}:${mobIdx}`);
+  }
+
+  roomManager.broadcastToRoom(mapId, { type: "mob_respawn", mob_idx: mobIdx, mob_id: mobId, x: mob.x, y: mob.y });
+  roomManager.broadcastToRoom(mapId, { type: "boss_state", boss: serializeBoss(mapId, mobIdx, mob) });
+  if (!revived) announceBossSpawn(roomManager, mapId, mobId);
+}
+
+function announceBossSpawn(roomManager: RoomManager, mapId: string, mobId: string): void {
+  roomManager.broadcastGlobal({ type: "boss_spawn", mob_id: mobId, map_id: mapId });
+}
+
+/**
+ * Let living mobs on occupied maps cast their status skills — call every 1s.
+ * Each try puts the skill on cooldown whether or not the `prop` roll succeeds,
+ * and a mob casts at most one skill per tick.
+ */
+function tickMobSkills(roomManager: RoomManager): void {
+  const now = Date.now();
+  for (const [mapId, states] of _mapMobStates) {
+    const room = roomManager.rooms.get(mapId);
+    const mobIds = _mapMobIds.get(mapId);
+    if (!room || room.size === 0 || !mobIds) continue;
+
+    for (const [mobIdx, mob] of states) {
+      if (mob.dead) continue;
+      const mobId = mobIds.get(mobIdx);
+      const skills = mobId ? getMobStats(mobId)?.skills : null;
+      if (!skills?.length) continue;
+
+      for (const { id, level, action } of skills) {
+        const skill = getMobSkillLevel(id, level);
+        if (!skill || !canCastMobSkill(skill, mob.hp, mob.maxHp, mob.skillReadyAt.get(id) ?? 0, now)) continue;
+        const targets = [...room.values()].filter((c) =>
+          c.positionConfirmed && (c.stats.hp ?? 0) > 0 && isInMobSkillRange(skill, mob.x, mob.y, c.x, c.y));
+        if (targets.length === 0) continue;
+
+        mob.skillReadyAt.set(id, now + skill.interval);
+        if (Math.random() * 100 >= skill.prop) continue;
+        roomManager.broadcastToRoom(mapId, { type: "mob_skill", mob_idx: mobIdx, skill_id: id, level, action });
+        for (const target of targets) roomManager.applyStatusEffect(target, skill);
+        break;
+      }
+    }
+  }
+}
+
+/** Apply poison damage and expire finished statuses — call every 1s. */
+function tickStatusEffects(roomManager: RoomManager): void {
+  const now = Date.now();
+  for (const client of roomManager.allClients.values()) {
+    if (client.statuses.size === 0) continue;
+
+    const poison = client.statuses.get("poison");
+    if (poison && poison.expiresAt > now && (client.stats.hp ?? 0) > 0) {
+      const dmg = getPoisonDamage(client.stats.hp, poison);
+      if (dmg > 0) {
+        client.stats.hp -= dmg;
+        sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+        roomManager.sendPartyHp(client);
+      }
+    }
+    for (const effect of expireStatuses(client.statuses, now)) {
+      sendDirect(client, { type: "status_end", effect });
+    }
+  }
+}
+
+/** Send players whose timed-map clock ran out to the map's forced return. */
+function tickFieldClocks(roomManager: RoomManager): void {
+  const now = Date.now();
+  for (const client of roomManager.allClients.values()) {
+    if (client.fieldClockEndsAt === 0 || now < client.fieldClockEndsAt) continue;
+    client.fieldClockEndsAt = 0;
+    if (!client.mapId || client.pendingMapId) continue;
+    const returnMapId = getMapData(client.mapId)?.field.returnMapId;
+    if (returnMapId == null || !mapExists(String(returnMapId))) continue;
+    if (_moduleDb) appendLog(_moduleDb, client.name, `time ran out on map ${client.mapId} → map ${returnMapId}`, client.ip);
+    roomManager.initiateMapChange(client.id, String(returnMapId));
+  }
+}
+
+/** Remove items whose `expires_at` has passed from online players' inventory and equipment. */
+function tickItemExpiry(roomManager: RoomManager): void {
+  const now = Date.now();
+  for (const client of roomManager.allClients.values()) {
+    const expired = [...client.inventory, ...client.look.equipment].filter(it => isItemExpired(it, now));
+    if (expired.length === 0) continue;
+    client.inventory = client.inventory.filter(it => !isItemExpired(it, now));
+    const equipCount = client.look.equipment.length;
+    client.look.equipment = client.look.equipment.filter(e => !isItemExpired(e, now));
+    sendDirect(client, { type: "item_expired", item_ids: expired.map(it => it.item_id) });
+    sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+    if (client.look.equipment.length !== equipCount) {
+      sendDirect(client, { type: "equipment_update", equipment: client.look.equipment });
+      roomManager.broadcastToRoom(client.mapId, {
+        type: "player_equip",
+        id: client.id,
+        equipment: client.look.equipment,
+      }, client.id);
+    }
+    persistClientState(client, _moduleDb);
+    if (_moduleDb) {
+      appendLog(_moduleDb, client.name, `items expired: ${expired.map(it => `item#${it.item_id} (${it.uid})`).join(", ")}`, client.ip);
+    }
+  }
 }
 
 // ─── Stats payload builder (includes derived stats for UI) ───
@@ -746,26 +1134,21 @@ function getWeaponWatk(weaponItemId: number): number {
 
   // Look up weapon in Character.wz/Weapon/0XXYYYY.img.xml → info/incPAD
   const padded = String(weaponItemId).padStart(8, "0");
-  const { resolve: rp } = require("path");
-  const { existsSync: ex, readFileSync: rf } = require("fs");
-  const { parseWzXml: pz } = require("./wz-xml.ts");
-  const PROJECT_ROOT = rp(__dirname, "../..");
-  const fp = rp(PROJECT_ROOT, "resourcesv3", "Character.wz", "Weapon", `${padded}.img.xml`);
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
+  const fp = resourcePath("Character.wz", "Weapon", `${padded}.img.xml`);
 
   let watk = 0;
-  if (ex(fp)) {
-    try {
-      const json = pz(rf(fp, "utf-8"));
-      const info = json?.$$?.find((s: any) => s.$imgdir === "info");
-      if (info?.$$) {
-        for (const child of info.$$) {
-          if ((child.$int === "incPAD" || child.$short === "incPAD") && child.value) {
-            watk = Number(child.value) || 0;
-          }
+  try {
+    const json = readWzImage(fp);
+    const info = json?.$$?.find((s: any) => s.$imgdir === "info");
+    if (info?.$$) {
+      for (const child of info.$$) {
+        if ((child.$int === "incPAD" || child.$short === "incPAD") && child.value) {
+          watk = Number(child.value) || 0;
         }
       }
-    } catch {}
-  }
+    }
+  } catch {}
   _weaponStatsCache.set(weaponItemId, { watk });
   return watk;
 }
@@ -781,6 +1164,7 @@ interface ItemSpec {
   jump: number;  // jump buff
   pad: number;   // WATK buff
   pdd: number;   // WDEF buff
+  moveTo: number; // return scroll destination (0 = none, 999999999 = the map's returnMap)
 }
 const _itemSpecCache = new Map<number, ItemSpec | null>();
 
@@ -789,16 +1173,11 @@ function getItemSpec(itemId: number): ItemSpec | null {
 
   const padded = String(itemId).padStart(8, "0");
   const prefix = padded.slice(0, 4); // e.g. "0200"
-  const { resolve: rp } = require("path");
-  const { existsSync: ex, readFileSync: rf } = require("fs");
-  const { parseWzXml: pz } = require("./wz-xml.ts");
-  const PROJECT_ROOT = rp(__dirname, "../..");
-  const fp = rp(PROJECT_ROOT, "resourcesv3", "Item.wz", "Consume", `${prefix}.img.xml`);
-
-  if (!ex(fp)) { _itemSpecCache.set(itemId, null); return null; }
+  const { readWzImage, resourcePath } = require("./wz-xml.ts");
+  const fp = resourcePath("Item.wz", "Consume", `${prefix}.img.xml`);
 
   try {
-    const json = pz(rf(fp, "utf-8"));
+    const json = readWzImage(fp);
     const itemDir = json?.$$?.find((s: any) => s.$imgdir === padded);
     if (!itemDir?.$$) { _itemSpecCache.set(itemId, null); return null; }
 
@@ -807,7 +1186,7 @@ function getItemSpec(itemId: number): ItemSpec | null {
     if (!specDir) specDir = itemDir.$$.find((s: any) => s.$imgdir === "spec");
     if (!specDir?.$$) { _itemSpecCache.set(itemId, null); return null; }
 
-    const spec: ItemSpec = { hp: 0, mp: 0, hpR: 0, mpR: 0, time: -1, speed: 0, jump: 0, pad: 0, pdd: 0 };
+    const spec: ItemSpec = { hp: 0, mp: 0, hpR: 0, mpR: 0, time: -1, speed: 0, jump: 0, pad: 0, pdd: 0, moveTo: 0 };
     for (const child of specDir.$$) {
       const name = child.$int ?? child.$short ?? child.$string;
       const val = Number(child.value) || 0;
@@ -820,6 +1199,7 @@ function getItemSpec(itemId: number): ItemSpec | null {
       else if (name === "jump") spec.jump = val;
       else if (name === "pad") spec.pad = val;
       else if (name === "pdd") spec.pdd = val;
+      else if (name === "moveTo") spec.moveTo = val;
     }
     _itemSpecCache.set(itemId, spec);
     return spec;
@@ -846,20 +1226,24 @@ function calcPlayerDamageRange(client: WSClient): { min: number; max: number; ac
   const luk = client.stats?.luk ?? 4;
   const accuracy = Math.floor(dex * 0.8 + luk * 0.5);
 
-  // Find equipped weapon from look.equipment
+  // Find equipped weapon from look.equipment; scrolled gear adds its own WATK
   let weaponId = 0;
+  let weaponWatk = 0;
+  let gearWatk = 0;
   for (const eq of client.look.equipment) {
     if (eq.slot_type === "Weapon") {
       weaponId = eq.item_id;
-      break;
+      weaponWatk = eq.stats?.watk ?? getWeaponWatk(eq.item_id);
+    } else {
+      gearWatk += eq.stats?.watk ?? 0;
     }
   }
 
   // C++ multiplier = weapon-type-specific
   const multiplier = weaponId ? getWeaponMultiplier(weaponId) : 0;
 
-  // Total WATK = weapon base + buffs (no buffs yet)
-  const watk = weaponId ? getWeaponWatk(weaponId) : 0;
+  // Total WATK = weapon + other gear + buffs (no buffs yet)
+  const watk = weaponId ? weaponWatk + gearWatk : 0;
 
   // No weapon equipped → very low damage (fist fighting)
   if (!weaponId || multiplier === 0) {
@@ -919,7 +1303,545 @@ function calcMobDamage(
   return { damage, critical, miss: false };
 }
 
-export interface MapDrop {
+// ─── Attack resolution (shared by basic attacks and skills) ───
+
+/**
+ * Validate and apply the position sent with an attack or skill message.
+ * Must be near the last known server position — prevents teleport-via-attack.
+ * Before the first move on a map that is the spawn portal, and the position
+ * must also be reachable from it (movement.ts checkMove).
+ */
+function acceptAttackPosition(client: WSClient, msg: { [key: string]: unknown }): boolean {
+  const atkX = Number(msg.x) || client.x;
+  const atkY = Number(msg.y) || client.y;
+  const atkFacing = Number(msg.facing) || client.facing;
+  if (client.positionConfirmed || client.lastMoveMs > 0) {
+    const atkDist = Math.abs(atkX - client.x) + Math.abs(atkY - client.y);
+    if (atkDist > MAX_MOVE_SPEED_PX_PER_S) return false; // reject teleport
+  }
+  if (!client.positionConfirmed && client.lastMoveMs > 0 && !client.gm) {
+    const map = getMapData(client.mapId);
+    if (map && map.footholds.length > 0
+      && checkMove(client.moveCheck, map, client.x, client.y, atkX, atkY, Date.now())) return false;
+  }
+  client.x = atkX;
+  client.y = atkY;
+  client.facing = atkFacing;
+  if (!client.positionConfirmed) client.positionConfirmed = true;
+  return true;
+}
+
+/** Attack hitbox for the client's equipped weapon (bare hands if none). */
+function buildWeaponAttackRect(
+  client: WSClient, px: number, py: number, facingLeft: boolean, stance: string,
+): { l: number; r: number; t: number; b: number } {
+  let weaponId = 0;
+  for (const eq of client.look.equipment) {
+    if (eq.slot_type === "Weapon") { weaponId = eq.item_id; break; }
+  }
+  if (!weaponId) {
+    // Bare-handed: use barehands afterimage
+    return buildAttackRect(px, py, facingLeft, getAfterimageRange("barehands", "stabO1", 0));
+  }
+  const aiName = getWeaponAfterimage(weaponId);
+  const weaponLevel = 0; // TODO: read reqLevel from weapon WZ
+  const range = aiName
+    ? getAfterimageRange(aiName, stance, weaponLevel)
+    : FALLBACK_ATTACK_RANGE;
+  return buildAttackRect(px, py, facingLeft, range);
+}
+
+/**
+ * Alive mobs whose sprite bounds overlap `rect`, closest first, at most `count`.
+ * Mirrors C++ Combat::find_closest + Mob::is_in_range:
+ *   range.overlaps(mob_sprite_bounds.shift(mob_position))
+ */
+function findMobsInRect(
+  mapId: string, rect: { l: number; r: number; t: number; b: number },
+  px: number, py: number, count: number,
+): number[] {
+  const mobStates = _mapMobStates.get(mapId);
+  if (!mobStates) return [];
+  const mobIds = _mapMobIds.get(mapId);
+  const hits: { idx: number; dist: number }[] = [];
+  for (const [idx, mob] of mobStates) {
+    if (mob.dead) continue;
+    // Get this mob's sprite bounds from WZ (cached)
+    const bounds = getMobBounds(mobIds?.get(idx) ?? "");
+    if (!attackOverlapsMob(rect, mob.x, mob.y, bounds)) continue;
+    hits.push({ idx, dist: Math.abs(mob.x - px) + Math.abs(mob.y - py) });
+  }
+  hits.sort((a, b) => a.dist - b.dist);
+  return hits.slice(0, count).map(h => h.idx);
+}
+
+/**
+ * Apply one resolved hit to a server mob: deduct HP, broadcast
+ * `mob_damage_result` to the room, and on kill grant EXP and spawn loot.
+ * Returns true if the hit killed the mob.
+ */
+function applyMobHit(
+  client: WSClient, roomManager: RoomManager, mobIdx: number,
+  result: { damage: number; critical: boolean; miss: boolean },
+): boolean {
+  const mob = _mapMobStates.get(client.mapId)?.get(mobIdx);
+  if (!mob || mob.dead) return false;
+
+  const mobId = _mapMobIds.get(client.mapId)?.get(mobIdx) ?? "";
+  const mobStats = mobId ? getMobStats(mobId) : null;
+  const mobLevel = mobStats?.level ?? 1;
+  const mobKnockback = mobStats?.knockback ?? 1;
+  const mobExp = mobStats?.exp ?? 3;
+
+  const attackerIsLeft = client.x < mob.x;
+  let killed = false;
+
+  if (!result.miss) {
+    if (mob.boss) recordBossDamage(mob.boss.damageBy, client.id, Math.min(result.damage, mob.hp));
+    mob.hp -= result.damage;
+    if (mob.hp <= 0) {
+      mob.hp = 0;
+      mob.dead = true;
+      mob.respawnAt = Date.now() + MOB_RESPAWN_DELAY_MS;
+      if (mob.boss) onBossKilled(client.mapId, mobIdx, mob, mobId);
+      killed = true;
+    }
+  }
+
+  // Broadcast damage result to ALL players in room (including attacker)
+  roomManager.broadcastToRoom(client.mapId, {
+    type: "mob_damage_result",
+    attacker_id: client.id,
+    mob_idx: mobIdx,
+    damage: result.damage,
+    critical: result.critical,
+    miss: result.miss,
+    killed,
+    direction: attackerIsLeft ? 1 : -1,
+    new_hp: mob.hp,
+    max_hp: mob.maxHp,
+    // Knockback is applied client-side from the mob_damage_result
+    knockback: (!result.miss && result.damage >= mobKnockback) ? 1 : 0,
+    exp: killed ? mobExp : 0,
+  });
+
+  if (killed) {
+    if (mobExp > 0) grantKillExp(client, mobExp, roomManager);
+    spawnMobDrops(client, roomManager, mob, mobId, mobLevel);
+  }
+  return killed;
+}
+
+/**
+ * Grant a kill's EXP. Party kills are shared with living members on the
+ * killer's map (splitPartyExp); other sharers are told via `party_exp`.
+ */
+function grantKillExp(killer: WSClient, exp: number, roomManager: RoomManager): void {
+  const party = roomManager.getParty(killer.partyId);
+  const sharers = party
+    ? roomManager.getPartyMembers(party).filter(c =>
+        c.id === killer.id || (c.mapId === killer.mapId && (c.stats.hp ?? 0) > 0))
+    : [killer];
+  const shares = splitPartyExp(exp, killer.id, sharers.map(c => ({ id: c.id, level: c.stats.level })));
+  for (const c of sharers) {
+    const share = shares.get(c.id) ?? 0;
+    if (share <= 0) continue;
+    const leveledUp = grantExp(c, share, roomManager);
+    if (c.id !== killer.id) roomManager.sendTo(c, { type: "party_exp", exp: share, level_up: leveledUp });
+  }
+}
+
+/**
+ * Grant EXP to a client and run the level-up loop (can multi-level from high EXP mobs).
+ * Returns true if the client leveled up.
+ */
+function grantExp(client: WSClient, amount: number, roomManager: RoomManager): boolean {
+  client.stats.exp += amount;
+  let leveledUp = false;
+  while (client.stats.level < 200 && client.stats.exp >= client.stats.max_exp) {
+    client.stats.exp -= client.stats.max_exp;
+    client.stats.level++;
+    client.stats.max_exp = getExpForLevel(client.stats.level);
+    // Beginner HP/MP gain per level: +20 HP, +10 MP
+    client.stats.max_hp += 20;
+    client.stats.max_mp += 10;
+    client.stats.hp = client.stats.max_hp;
+    client.stats.mp = client.stats.max_mp;
+    client.stats.sp = (client.stats.sp ?? 0) + getSpForLevelUp(getClientJobId(client), client.stats.level);
+    client.stats.ap = (client.stats.ap ?? 0) + AP_PER_LEVEL;
+    leveledUp = true;
+  }
+  // Send updated stats to the killer
+  roomManager.sendTo(client, { type: "stats_update", stats: buildStatsPayload(client) });
+  if (leveledUp) {
+    roomManager.broadcastToRoom(client.mapId, {
+      type: "player_level_up", id: client.id, level: client.stats.level,
+    }, client.id);
+    // Global celebration for level ≥ 10
+    if (client.stats.level >= 10) {
+      roomManager.broadcastGlobal({
+        type: "global_level_up",
+        name: client.name,
+        level: client.stats.level,
+      });
+    }
+    persistClientState(client, _moduleDb);
+    if (_moduleDb) appendLog(_moduleDb, client.name, `level_up to ${client.stats.level}`, client.ip);
+    if (client.partyId !== null) roomManager.sendPartyUpdate(client.partyId);
+  }
+  return leveledUp;
+}
+
+/** Roll and spawn loot for a killed mob — Cosmic-style: each entry rolled independently. */
+function spawnMobDrops(
+  client: WSClient, roomManager: RoomManager, mob: ServerMobState, mobId: string, mobLevel: number,
+): void {
+  const mapData = getMapData(client.mapId);
+  const loots = rollMobLoot(mobId, mobLevel);
+  // Boss drops are dealt out by damage contribution among players still on the map
+  const owners = mob.boss
+    ? assignBossLoot(loots.length, mob.boss.damageBy, (id) => roomManager.getClient(id)?.mapId === client.mapId, client.id)
+    : null;
+  let dropIndex = 0;
+  for (const loot of loots) {
+    // Slight X spread so drops don't stack on top of each other.
+    // index 0 → 0, 1 → +12, 2 → -12, 3 → +24, 4 → -24 ...
+    const xOffset = (dropIndex === 0) ? 0
+      : ((dropIndex % 2 === 1)
+        ? (12 * Math.ceil(dropIndex / 2))
+        : -(12 * Math.floor(dropIndex / 2)));
+    const dropX = mob.x + xOffset;
+
+    // Find ground at the drop's X.  mob.y IS the mob's foothold Y, so
+    // search from that Y downward — never pick a platform above the mob.
+    let destY = mob.y;
+    if (mapData) {
+      const groundY = findGroundY(mapData.footholds, dropX, mob.y);
+      if (groundY !== null) destY = groundY;
+    }
+
+    const drop = roomManager.addDrop(client.mapId, {
+      item_id: loot.item_id,
+      name: loot.meso ? `${loot.qty} meso` : "",
+      ...(loot.meso ? {} : rollDropInstance(loot.item_id, `mob:${mobId}`)),
+      qty: loot.qty,
+      x: dropX,
+      startX: mob.x,
+      startY: mob.y - 20,
+      destY,
+      owner_id: owners?.[dropIndex] ?? client.id,
+      protect_ms: owners ? BOSS_LOOT_PROTECTION_MS : undefined,
+      iconKey: "",
+      category: loot.category,
+      meso: loot.meso,
+    });
+    roomManager.broadcastToRoom(client.mapId, {
+      type: "drop_spawn",
+      drop,
+    });
+    dropIndex++;
+  }
+}
+
+// ─── Skills ─────────────────────────────────────────────────────────
+
+/** Mastery used for the magic damage floor (no mastery skills yet). */
+const MAGIC_MASTERY = 0.1;
+
+/** Numeric job ID for the client's job name (unknown names → Beginner). */
+function getClientJobId(client: WSClient): number {
+  return JOB_NAME_TO_ID[client.stats.job] ?? 0;
+}
+
+/** Payload for `skills_update` — learned skills and unspent SP. */
+function buildSkillsPayload(client: WSClient): object {
+  return { type: "skills_update", sp: client.stats.sp ?? 0, skills: { ...client.skills } };
+}
+
+/**
+ * Magic damage range for a spell with attack `mad`.
+ * Pre-BB formula (INT doubles as total magic attack — no MATK equips yet):
+ *   max = ((M² / 1000 + M) / 30 + INT / 200) * mad
+ *   min = ((M² / 1000 + M * mastery * 0.9) / 30 + INT / 200) * mad
+ */
+function calcMagicDamageRange(client: WSClient, mad: number): { min: number; max: number; accuracy: number } {
+  const int = client.stats?.int ?? 4;
+  const luk = client.stats?.luk ?? 4;
+  const magic = int;
+  const max = ((magic * magic) / 1000 + magic) / 30 + int / 200;
+  const min = ((magic * magic) / 1000 + magic * MAGIC_MASTERY * 0.9) / 30 + int / 200;
+  return {
+    min: Math.max(1, min * mad),
+    max: Math.max(1, max * mad),
+    // Spells use INT/LUK for accuracy (C++ CharStats magic accuracy)
+    accuracy: Math.floor(int / 10 + luk / 10) + 1,
+  };
+}
+
+/**
+ * Read a mastery book: raises the master level of one of the listed skills the
+ * client's job can use. The book is consumed whether or not the roll succeeds.
+ */
+function useSkillBook(client: WSClient, invIdx: number, itemId: number, book: SkillBookSpec): void {
+  const jobId = getClientJobId(client);
+  const fail = (reason: string) => {
+    sendDirect(client, { type: "skill_book_result", item_id: itemId, ok: false, reason });
+  };
+
+  const skillId = book.skills.find(id => canJobUseSkill(jobId, id) && getSkillDef(id)?.needsMasteryBook);
+  if (!skillId) { fail("You cannot use this book."); return; }
+  const learned = client.skills[String(skillId)];
+  if ((learned?.level ?? 0) < book.reqSkillLevel) {
+    fail(`Requires skill level ${book.reqSkillLevel}.`);
+    return;
+  }
+  if ((learned?.master ?? 0) >= book.masterLevel) { fail("You have already mastered this book."); return; }
+
+  if (client.inventory[invIdx].qty <= 1) {
+    client.inventory.splice(invIdx, 1);
+  } else {
+    client.inventory[invIdx].qty -= 1;
+  }
+
+  const success = Math.random() * 100 < book.success;
+  if (success) {
+    client.skills[String(skillId)] = { level: learned?.level ?? 0, master: book.masterLevel };
+  }
+
+  sendDirect(client, { type: "skill_book_result", item_id: itemId, skill_id: skillId, ok: true, success });
+  sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+  sendDirect(client, buildSkillsPayload(client));
+  persistClientState(client, _moduleDb);
+  if (_moduleDb) {
+    appendLog(_moduleDb, client.name, `read skill book item#${itemId} for skill#${skillId}: ${success ? `master ${book.masterLevel}` : "failed"}`, client.ip);
+  }
+}
+
+// ─── Equip Scrolls ──────────────────────────────────────────────────
+
+/**
+ * Use an upgrade scroll on an equipped item (`slotType`) or one in the EQUIP
+ * tab (`invSlot`). The scroll and one upgrade slot are used whatever the
+ * outcome; a boom destroys the item.
+ */
+function scrollEquip(client: WSClient, scrollId: number, target: { slotType?: string; invSlot?: number }, roomManager: RoomManager): void {
+  const where = target.slotType !== undefined ? { slot_type: target.slotType } : { slot: target.invSlot };
+  const fail = (reason: string) => {
+    sendDirect(client, { type: "scroll_result", ok: false, scroll_id: scrollId, ...where, reason });
+  };
+
+  const scrollIdx = client.inventory.findIndex(it => it.item_id === scrollId && it.inv_type === "USE");
+  if (scrollIdx === -1) { fail("You don't have that scroll."); return; }
+  const scroll = getScrollSpec(scrollId);
+  if (!scroll) { fail("That item can't be used on equipment."); return; }
+
+  const equipIdx = target.slotType !== undefined
+    ? client.look.equipment.findIndex(e => e.slot_type === target.slotType)
+    : -1;
+  const invIdx = target.slotType === undefined
+    ? client.inventory.findIndex(it => it.inv_type === "EQUIP" && it.slot === target.invSlot)
+    : -1;
+  const item = equipIdx !== -1 ? client.look.equipment[equipIdx] : invIdx !== -1 ? client.inventory[invIdx] : null;
+  if (!item) { fail("Item not found."); return; }
+  if (!canScroll(scrollId, item.item_id)) { fail("This scroll can't be used on that item."); return; }
+  const stats = item.stats ?? getEquipBaseStats(item.item_id);
+  if (!stats || stats.slots <= 0) { fail("This item has no upgrade slots left."); return; }
+
+  const scrollItem = client.inventory[scrollIdx];
+  if (scrollItem.qty <= 1) {
+    client.inventory.splice(scrollIdx, 1);
+  } else {
+    scrollItem.qty -= 1;
+  }
+
+  const outcome = applyScroll(stats, scroll);
+  if (outcome.stats) {
+    item.stats = outcome.stats;
+  } else if (equipIdx !== -1) {
+    client.look.equipment.splice(equipIdx, 1);
+  } else {
+    client.inventory.splice(client.inventory.indexOf(item as InventoryItem), 1);
+  }
+
+  sendDirect(client, {
+    type: "scroll_result", ok: true, result: outcome.result,
+    scroll_id: scrollId, item_id: item.item_id, ...where, stats: outcome.stats,
+  });
+  sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+  if (equipIdx !== -1 && outcome.result === "boom") {
+    roomManager.broadcastToRoom(client.mapId, {
+      type: "player_equip",
+      id: client.id,
+      equipment: client.look.equipment,
+    }, client.id);
+  }
+  roomManager.broadcastToRoom(client.mapId, {
+    type: "player_scroll",
+    id: client.id,
+    success: outcome.result === "success",
+  }, client.id);
+  persistClientState(client, _moduleDb);
+  if (_moduleDb) {
+    appendLog(_moduleDb, client.name, `scroll item#${scrollId} on item#${item.item_id}: ${outcome.result}`, client.ip);
+  }
+}
+
+// ─── Shops ──────────────────────────────────────────────────────────
+
+/** Meso wallet cap (signed 32-bit, as in the client). */
+const MAX_MESO = 2_147_483_647;
+/** Server-side stack cap (matches addItemToInventory) — rechargeables refill to this. */
+const SHOP_STACK_MAX = 100;
+
+/** Sell price per distinct item in the client's inventory (shown in the shop window). */
+function buildShopSellPrices(client: WSClient): Record<number, number> {
+  const prices: Record<number, number> = {};
+  for (const it of client.inventory) {
+    if (prices[it.item_id] === undefined) prices[it.item_id] = getSellPrice(it.item_id, 1);
+  }
+  return prices;
+}
+
+/** The client's open shop, if its NPC is still on the client's map. */
+function getOpenShop(client: WSClient) {
+  if (!client.shopNpcId || !isNpcOnMap(client.mapId, client.shopNpcId)) return null;
+  return getShop(client.shopNpcId);
+}
+
+/** Push the result of a shop transaction plus the authoritative meso/inventory. */
+function sendShopResult(client: WSClient, action: string, result: { ok: boolean; reason?: string; meso?: number }): void {
+  sendDirect(client, { type: "shop_result", action, ...result, sell_prices: buildShopSellPrices(client) });
+  if (!result.ok) return;
+  sendDirect(client, { type: "stats_update", stats: { meso: client.stats.meso } });
+  sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+  persistClientState(client, _moduleDb);
+}
+
+// ─── Trades ─────────────────────────────────────────────────────────
+
+function serializeTradeSide(side: TradeSide) {
+  return { items: side.items, meso: side.meso, locked: side.locked, confirmed: side.confirmed };
+}
+
+/** Cash items can't change hands (same rule as shop selling). */
+function isTradeable(item: InventoryItem): boolean {
+  return item.inv_type !== "CASH" && !getItemTradeInfo(item.item_id).cash;
+}
+
+/**
+ * Resolve a side's offer against its owner's current inventory.
+ * Returns inventory item → quantity taken from it, or null if anything
+ * offered is gone (moved, used, dropped) since it was offered.
+ */
+function resolveTradeOffer(client: WSClient, side: TradeSide): Map<InventoryItem, number> | null {
+  if (side.meso > client.stats.meso) return null;
+  const taken = new Map<InventoryItem, number>();
+  for (const offer of side.items) {
+    const item = client.inventory.find(it => it.inv_type === offer.inv_type && it.slot === offer.slot);
+    if (!item || item.item_id !== offer.item_id) return null;
+    const qty = (taken.get(item) ?? 0) + offer.qty;
+    if (qty > item.qty) return null;
+    taken.set(item, qty);
+  }
+  return taken;
+}
+
+/**
+ * Swap both offers atomically: both inventories are snapshotted, offers are
+ * removed, then each side's items are added to the other only if they fit.
+ * Any failure restores both snapshots. Returns null on success or a reason.
+ */
+function executeTrade(a: WSClient, sideA: TradeSide, b: WSClient, sideB: TradeSide): string | null {
+  const takenA = resolveTradeOffer(a, sideA);
+  const takenB = resolveTradeOffer(b, sideB);
+  if (!takenA) return `${a.name}'s offer is no longer available.`;
+  if (!takenB) return `${b.name}'s offer is no longer available.`;
+  if (a.stats.meso - sideA.meso + sideB.meso > MAX_MESO) return `${a.name} cannot hold any more mesos.`;
+  if (b.stats.meso - sideB.meso + sideA.meso > MAX_MESO) return `${b.name} cannot hold any more mesos.`;
+
+  const snapshotA = a.inventory.map(it => ({ ...it }));
+  const snapshotB = b.inventory.map(it => ({ ...it }));
+  const take = (client: WSClient, taken: Map<InventoryItem, number>) => {
+    const moved: ({ item_id: number; qty: number; category: string | null } & ItemAttrs)[] = [];
+    for (const [item, qty] of taken) {
+      moved.push({ item_id: item.item_id, qty, category: item.category, ...pickItemAttrs(item) });
+      item.qty -= qty;
+    }
+    client.inventory = client.inventory.filter(it => it.qty > 0);
+    return moved;
+  };
+  const give = (client: WSClient, moved: ({ item_id: number; qty: number; category: string | null } & ItemAttrs)[]) => {
+    for (const it of moved) {
+      if (!canFitItem(client, it.item_id, it.qty)) return false;
+      addItemToInventory(client, it.item_id, it.qty, it.category, it);
+    }
+    return true;
+  };
+
+  const toB = take(a, takenA);
+  const toA = take(b, takenB);
+  if (!give(b, toB) || !give(a, toA)) {
+    a.inventory = snapshotA;
+    b.inventory = snapshotB;
+    return "Not enough inventory space to complete the trade.";
+  }
+  a.stats.meso += sideB.meso - sideA.meso;
+  b.stats.meso += sideA.meso - sideB.meso;
+  return null;
+}
+
+/** Audit text for one side of a completed trade. */
+function describeTradeOffer(side: TradeSide): string {
+  const parts = side.items.map(it => `item#${it.item_id} x${it.qty}`);
+  if (side.meso > 0) parts.push(`${side.meso} meso`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
+// ─── Account Storage ────────────────────────────────────────────────
+
+/** Account whose storage the client has open, if the keeper is still on the client's map. */
+function getOpenStorageAccount(client: WSClient): string | null {
+  if (!_moduleDb || !client.storageNpcId || !isNpcOnMap(client.mapId, client.storageNpcId)) return null;
+  return getAccountName(_moduleDb, client.name);
+}
+
+function loadAccountStorage(account: string): AccountStorage {
+  return parseStorage(_moduleDb ? loadStorageData(_moduleDb, account) : null);
+}
+
+function sendStorageResult(client: WSClient, action: string, result: { ok: boolean; reason?: string; storage?: AccountStorage }): void {
+  sendDirect(client, { type: "storage_result", action, ...result });
+}
+
+/** Save a successful storage transaction (storage + character) and push the new state. */
+function commitStorage(client: WSClient, action: string, account: string, storage: AccountStorage): void {
+  if (_moduleDb) saveStorageData(_moduleDb, account, JSON.stringify(storage));
+  persistClientState(client, _moduleDb);
+  sendStorageResult(client, action, { ok: true, storage });
+  sendDirect(client, { type: "stats_update", stats: { meso: client.stats.meso } });
+  sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+}
+
+// ─── Cash Shop ──────────────────────────────────────────────────────
+
+/** Account whose NX wallet the client spends (claimed accounts only). */
+function getCashAccount(client: WSClient): string | null {
+  return _moduleDb ? getAccountName(_moduleDb, client.name) : null;
+}
+
+function sendCashResult(client: WSClient, action: string, result: { ok: boolean; reason?: string; nx?: number; item_id?: number; qty?: number }): void {
+  sendDirect(client, { type: "cash_result", action, ...result });
+}
+
+/** Save a successful cash shop transaction and push the new state. */
+function commitCash(client: WSClient, action: string, account: string, item: { item_id: number; qty: number }): void {
+  persistClientState(client, _moduleDb);
+  sendCashResult(client, action, { ok: true, nx: getNx(_moduleDb!, account), ...item });
+  sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+}
+
+/** Ground drop. Instance items (equips) carry their uid and attributes. */
+export interface MapDrop extends ItemAttrs {
   drop_id: number;
   item_id: number;
   name: string;
@@ -929,12 +1851,20 @@ export interface MapDrop {
   startY: number;     // Y where the drop animation begins (dropper's position)
   destY: number;      // Y where the drop lands (foothold)
   owner_id: string;   // session ID of who dropped it
+  protect_ms?: number; // owner-only loot window (default LOOT_PROTECTION_MS; longer for boss drops)
   iconKey: string;    // client icon cache key for rendering
   category: string | null;
   created_at: number; // Date.now() timestamp
   meso: boolean;      // true = meso drop (item_id = amount, qty = amount)
 }
 
+/** A new instance for an equip dropped by a mob or reactor, with rolled stats ({} for stackables). */
+function rollDropInstance(itemId: number, creator: string): ItemAttrs {
+  if (!isInstanceItem(itemId)) return {};
+  const base = getEquipBaseStats(itemId);
+  return newItemInstance(itemId, { creator, stats: base ? rollEquipStats(base) : undefined });
+}
+
 // ─── Room Manager ───────────────────────────────────────────────────
 
 export class RoomManager {
@@ -948,6 +1878,16 @@ export class RoomManager {
   private _nextDropId = 1;
   /** mapId → sessionId of the mob authority (the client controlling mobs) */
   mobAuthority: Map<string, string> = new Map();
+  /** partyId → Party (members may be on different maps) */
+  parties: Map<number, Party> = new Map();
+  /** invitee sessionId → pending party invite */
+  partyInvites: Map<string, PartyInvite> = new Map();
+  private _nextPartyId = 1;
+  /** tradeId → Trade (both sides on the same map; cancelled when either leaves it) */
+  trades: Map<number, Trade> = new Map();
+  /** invitee sessionId → pending trade invite */
+  tradeInvites: Map<string, TradeInvite> = new Map();
+  private _nextTradeId = 1;
 
   private heartbeatInterval: ReturnType<typeof setInterval> | null = null;
   private playerCountInterval: ReturnType<typeof setInterval> | null = null;
@@ -985,6 +1925,7 @@ export class RoomManager {
     if (existing) {
       try { existing.ws.close(4004, "Replaced by new connection"); } catch {}
       this.removeClientFromRoom(existing);
+      client.partyId = existing.partyId;
     }
     this.allClients.set(client.id, client);
     this.addClientToRoom(client, client.mapId);
@@ -999,6 +1940,7 @@ export class RoomManager {
     if (existing) {
       try { existing.ws.close(4004, "Replaced by new connection"); } catch {}
       this.removeClientFromRoom(existing);
+      client.partyId = existing.partyId;
     }
     this.allClients.set(client.id, client);
   }
@@ -1021,6 +1963,7 @@ export class RoomManager {
     client.pendingMapId = newMapId;
     client.pendingSpawnPortal = spawnPortal;
     client.chairId = 0;
+    client.fieldClockEndsAt = 0;
 
     // Tell client to load the map
     this.sendTo(client, {
@@ -1040,12 +1983,23 @@ export class RoomManager {
     if (!client || !client.pendingMapId) return false;
 
     const newMapId = client.pendingMapId;
+    const spawn = findSpawnPortal(newMapId, client.pendingSpawnPortal);
     client.mapId = newMapId;
     client.pendingMapId = "";
     client.pendingSpawnPortal = "";
-    // Reset position tracking — client must send new moves on the new map
+    // Reset position tracking — client must send new moves on the new map.
+    // Moves are checked from the spawn portal: lastMoveMs is the entry time
+    // until the first one arrives (0 = map without data, nothing to check)
     client.positionConfirmed = false;
-    client.lastMoveMs = 0;
+    client.moveCheck = createMoveCheckState();
+    if (spawn) {
+      client.x = spawn.x;
+      client.y = spawn.y;
+      resetMoveCheck(client.moveCheck, spawn.x, spawn.y);
+      client.lastMoveMs = Date.now();
+    } else {
+      client.lastMoveMs = 0;
+    }
 
     // Join the room
     this.addClientToRoom(client, newMapId);
@@ -1055,11 +2009,18 @@ export class RoomManager {
     const drops = this.getDrops(newMapId);
     const isMobAuthority = this.mobAuthority.get(newMapId) === sessionId;
     const reactors = serializeReactors(newMapId);
-    this.sendTo(client, { type: "map_state", players, drops, mob_authority: isMobAuthority, reactors });
+    const field = this.startFieldClock(client, newMapId);
+    this.sendTo(client, { type: "map_state", players, drops, mob_authority: isMobAuthority, reactors, shop_npcs: getShopNpcIds(), storage_npcs: getStorageKeeperIds(), bosses: serializeBosses(newMapId), field });
     // Send server-authoritative stats to client (meso, level, hp, str, etc.)
     this.sendTo(client, { type: "stats_update", stats: buildStatsPayload(client) });
     // Send server-authoritative quest states
     this.sendTo(client, { type: "quests_update", quests: { ...client.quests } });
+    // Send learned skills + SP
+    this.sendTo(client, buildSkillsPayload(client));
+    // Party members see the new map in their party window
+    if (client.partyId !== null) this.sendPartyUpdate(client.partyId);
+    // Buddies see the character come online / change maps
+    this.notifyBuddyStatus(client, true);
 
     // Broadcast player_enter to new room (exclude self)
     this.broadcastToRoom(newMapId, {
@@ -1073,6 +2034,8 @@ export class RoomManager {
       look: client.look,
       chair_id: client.chairId,
       achievements: client.achievements,
+      level: client.stats.level,
+      job: client.stats.job,
     }, client.id);
 
     // Log map entry
@@ -1081,11 +2044,26 @@ export class RoomManager {
     return true;
   }
 
+  /**
+   * Start (or clear) the client's timed-map clock on entering `mapId`.
+   * Returns the map's field rules for map_state (null if the map has no WZ data).
+   */
+  private startFieldClock(client: WSClient, mapId: string) {
+    const rules = getMapData(mapId)?.field;
+    const now = Date.now();
+    client.fieldClockEndsAt = rules && rules.timeLimitMs > 0 ? now + rules.timeLimitMs : 0;
+    return rules ? serializeFieldRules(rules, client.fieldClockEndsAt, now) : null;
+  }
+
   removeClient(sessionId: string): void {
     const client = this.allClients.get(sessionId);
     if (!client) return;
     this.removeClientFromRoom(client);
     this.allClients.delete(sessionId);
+    this.partyInvites.delete(sessionId);
+    this.tradeInvites.delete(sessionId);
+    if (client.partyId !== null) this.leaveParty(client);
+    this.notifyBuddyStatus(client, false);
   }
 
   changeRoom(sessionId: string, newMapId: string): void {
@@ -1104,10 +2082,14 @@ export class RoomManager {
     const drops = this.getDrops(newMapId);
     const isMobAuthority = this.mobAuthority.get(newMapId) === sessionId;
     const reactors = serializeReactors(newMapId);
-    this.sendTo(client, { type: "map_state", players, drops, mob_authority: isMobAuthority, reactors });
+    const field = this.startFieldClock(client, newMapId);
+    this.sendTo(client, { type: "map_state", players, drops, mob_authority: isMobAuthority, reactors, shop_npcs: getShopNpcIds(), storage_npcs: getStorageKeeperIds(), bosses: serializeBosses(newMapId), field });
     // Send server-authoritative stats + quests for initial map load
     this.sendTo(client, { type: "stats_update", stats: buildStatsPayload(client) });
     this.sendTo(client, { type: "quests_update", quests: { ...client.quests } });
+    this.sendTo(client, buildSkillsPayload(client));
+    if (client.partyId !== null) this.sendPartyUpdate(client.partyId);
+    this.notifyBuddyStatus(client, true);
 
     // Broadcast player_enter to new room (exclude self)
     this.broadcastToRoom(newMapId, {
@@ -1121,6 +2103,8 @@ export class RoomManager {
       look: client.look,
       chair_id: client.chairId,
       achievements: client.achievements,
+      level: client.stats.level,
+      job: client.stats.job,
     }, client.id);
   }
 
@@ -1144,7 +2128,7 @@ export class RoomManager {
   getMapState(mapId: string): Array<{
     id: string; name: string; x: number; y: number;
     action: string; facing: number; look: PlayerLook; chair_id: number;
-    achievements: Record<string, any>;
+    achievements: Record<string, any>; level: number; job: string;
   }> {
     const room = this.rooms.get(mapId);
     if (!room) return [];
@@ -1158,6 +2142,8 @@ export class RoomManager {
       look: c.look,
       chair_id: c.chairId,
       achievements: c.achievements,
+      level: c.stats.level,
+      job: c.stats.job,
     }));
   }
 
@@ -1178,6 +2164,175 @@ export class RoomManager {
     return this.allClients.size;
   }
 
+  // ── Party management ──
+
+  createParty(leader: WSClient): Party {
+    const party: Party = { id: this._nextPartyId++, leaderId: leader.id, memberIds: [leader.id] };
+    this.parties.set(party.id, party);
+    leader.partyId = party.id;
+    return party;
+  }
+
+  getParty(partyId: number | null): Party | null {
+    return partyId === null ? null : this.parties.get(partyId) ?? null;
+  }
+
+  joinParty(client: WSClient, party: Party): void {
+    party.memberIds.push(client.id);
+    client.partyId = party.id;
+    this.sendPartyUpdate(party.id);
+  }
+
+  /** Remove a client from its party; the next member becomes leader, empty parties disband. */
+  leaveParty(client: WSClient): void {
+    const party = this.getParty(client.partyId);
+    client.partyId = null;
+    this.sendTo(client, { type: "party_update", party: null });
+    if (!party) return;
+    party.memberIds = party.memberIds.filter(id => id !== client.id);
+    if (party.memberIds.length === 0) {
+      this.parties.delete(party.id);
+      return;
+    }
+    if (party.leaderId === client.id) party.leaderId = party.memberIds[0];
+    this.sendPartyUpdate(party.id);
+  }
+
+  /** Online party members (members are removed on disconnect, so normally all of them). */
+  getPartyMembers(party: Party): WSClient[] {
+    const members: WSClient[] = [];
+    for (const id of party.memberIds) {
+      const c = this.allClients.get(id);
+      if (c) members.push(c);
+    }
+    return members;
+  }
+
+  /** Push the full member list (map, level, job, HP) to every member. */
+  sendPartyUpdate(partyId: number): void {
+    const party = this.parties.get(partyId);
+    if (!party) return;
+    const members = this.getPartyMembers(party);
+    const msg = {
+      type: "party_update",
+      party: {
+        id: party.id,
+        leader_id: party.leaderId,
+        members: members.map(c => ({
+          id: c.id,
+          name: c.name,
+          level: c.stats.level,
+          job: c.stats.job,
+          map_id: c.mapId || c.pendingMapId,
+          hp: c.stats.hp,
+          max_hp: c.stats.max_hp,
+        })),
+      },
+    };
+    for (const c of members) this.sendTo(c, msg);
+  }
+
+  /** Inflict a mob skill's status on a player and tell their client. */
+  applyStatusEffect(client: WSClient, skill: MobSkillLevel): void {
+    const now = Date.now();
+    const status = applyStatus(client.statuses, skill, now);
+    this.sendTo(client, { type: "status_effect", ...serializeStatus(status, now) });
+  }
+
+  /**
+   * Snap a client that keeps reporting off-geometry positions back to its last
+   * supported position. Logged once per streak (until a valid move arrives).
+   */
+  rubberBand(client: WSClient, violation: MoveViolation, reportedX: number, reportedY: number): void {
+    const check = client.moveCheck;
+    const x = check.lastValidX;
+    const y = check.lastValidY;
+    if (!check.flagged && _moduleDb) {
+      appendLog(_moduleDb, client.name,
+        `movement violation (${violation}) on map ${client.mapId}: reported ${reportedX},${reportedY}, moved back to ${x},${y}`, client.ip);
+    }
+    check.flagged = true;
+    resetMoveCheck(check, x, y);
+    client.x = x;
+    client.y = y;
+    this.sendTo(client, { type: "position_correction", x, y, reason: violation });
+    this.broadcastToRoom(client.mapId, {
+      type: "player_move", id: client.id, x, y, action: client.action, facing: client.facing,
+    }, client.id);
+  }
+
+  /** Tell party members on the same map about a member's HP (drawn above their head). */
+  sendPartyHp(client: WSClient): void {
+    const party = this.getParty(client.partyId);
+    if (!party) return;
+    const msg = { type: "party_hp", id: client.id, hp: client.stats.hp, max_hp: client.stats.max_hp };
+    for (const c of this.getPartyMembers(party)) {
+      if (c.id !== client.id && c.mapId === client.mapId) this.sendTo(c, msg);
+    }
+  }
+
+  // ── Trades ──
+
+  openTrade(a: WSClient, b: WSClient): Trade {
+    const trade = createTrade(this._nextTradeId++, a.id, b.id);
+    this.trades.set(trade.id, trade);
+    a.tradeId = trade.id;
+    b.tradeId = trade.id;
+    this.sendTo(a, { type: "trade_open", partner_name: b.name });
+    this.sendTo(b, { type: "trade_open", partner_name: a.name });
+    return trade;
+  }
+
+  getTrade(client: WSClient): Trade | null {
+    return client.tradeId === null ? null : this.trades.get(client.tradeId) ?? null;
+  }
+
+  /** End a trade. `reason` = cancelled (offers stay with their owners), null = completed. */
+  closeTrade(trade: Trade, reason: string | null): void {
+    this.trades.delete(trade.id);
+    for (const side of trade.sides) {
+      const c = this.allClients.get(side.clientId);
+      if (!c || c.tradeId !== trade.id) continue;
+      c.tradeId = null;
+      this.sendTo(c, { type: "trade_closed", completed: reason === null, reason: reason ?? undefined });
+    }
+  }
+
+  /** Push both offers to both sides, each from its own perspective. */
+  sendTradeUpdate(trade: Trade): void {
+    for (const side of trade.sides) {
+      const c = this.allClients.get(side.clientId);
+      const sides = getTradeSides(trade, side.clientId)!;
+      if (c) this.sendTo(c, { type: "trade_update", self: serializeTradeSide(sides.self), partner: serializeTradeSide(sides.partner) });
+    }
+  }
+
+  // ── Buddy list ──
+
+  /**
+   * Send the client's buddy list. Online status and map are only filled in for
+   * mutual buddies; one-sided entries stay `mutual: false` and show offline.
+   */
+  sendBuddyList(client: WSClient): void {
+    if (!_moduleDb) return;
+    const mutual = new Set(getMutualBuddies(_moduleDb, client.name));
+    const buddies = getBuddies(_moduleDb, client.name).map(name => {
+      const online = mutual.has(name) ? this.getClientByName(name) : null;
+      return { name, mutual: mutual.has(name), online: !!online, map_id: online ? online.mapId || online.pendingMapId : null };
+    });
+    this.sendTo(client, { type: "buddy_list", buddies });
+  }
+
+  /** Tell online mutual buddies of `client` where it is (or that it left). */
+  notifyBuddyStatus(client: WSClient, online: boolean): void {
+    if (!_moduleDb) return;
+    const msg = { type: "buddy_status", name: client.name, online, map_id: online ? client.mapId : null };
+    for (const name of getMutualBuddies(_moduleDb, client.name)) {
+      const buddy = this.getClientByName(name);
+      if (buddy && buddy.id !== client.id) this.sendTo(buddy, msg);
+    }
+  }
+
   // ── Drop management ──
 
   addDrop(mapId: string, drop: Omit<MapDrop, "drop_id" | "created_at">): MapDrop {
@@ -1235,7 +2390,7 @@ export class RoomManager {
     }
   }
 
-  /** Start periodic reactor + mob respawn check. Call once at server start. */
+  /** Start periodic reactor + mob respawn + mob skill check. Call once at server start. */
   startReactorTick(): void {
     setInterval(() => {
       const respawned = tickReactorRespawns();
@@ -1248,8 +2403,12 @@ export class RoomManager {
           y: reactor.placement.y,
         });
       }
-      // Also tick mob respawns
+      // Also tick mob respawns, mob skills, and player status effects
       tickMobRespawns(this);
+      tickMobSkills(this);
+      tickStatusEffects(this);
+      tickFieldClocks(this);
+      tickItemExpiry(this);
     }, 1000); // check every 1s
   }
 
@@ -1274,6 +2433,9 @@ export class RoomManager {
   }
 
   private removeClientFromRoom(client: WSClient): void {
+    const trade = this.getTrade(client);
+    if (trade) this.closeTrade(trade, `${client.name} left the map.`);
+
     const mapId = client.mapId;
     const room = this.rooms.get(mapId);
     if (room) {
@@ -1417,10 +2579,21 @@ function handleGmCommand(
       const itemId = parseInt(args[0], 10);
       const qty = Math.max(1, parseInt(args[1], 10) || 1);
       if (!itemId) { reply("Usage: /item <item_id> [qty]", false); break; }
-      addItemToInventory(client, itemId, qty, null);
+      addItemToInventory(client, itemId, qty, null, { creator: `gm:${client.name}` });
       sendDirect(client, { type: "inventory_update", inventory: client.inventory });
       persistClientState(client, db);
-      reply(`Added item ${itemId} x${qty} to inventory`);
+      reply(`Added item ${itemId} x${qty} to inventory`);
+      break;
+    }
+
+    case "sp": {
+      const val = parseInt(args[0], 10);
+      if (isNaN(val) || val < 0 || val > 1000) { reply("Usage: /sp <0-1000>", false); break; }
+      client.stats.sp = val;
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      sendDirect(client, buildSkillsPayload(client));
+      persistClientState(client, db);
+      reply(`SP set to ${val}`);
       break;
     }
 
@@ -1434,6 +2607,17 @@ function handleGmCommand(
       break;
     }
 
+    case "nx": {
+      const amount = parseInt(args[0], 10);
+      const targetName = args[1]?.trim() || client.name;
+      if (isNaN(amount) || Math.abs(amount) > MAX_NX_GRANT) { reply("Usage: /nx <amount> [character]", false); break; }
+      const account = db ? getAccountName(db, targetName) : null;
+      if (!db || !account) { reply(`'${targetName}' is not a claimed account.`, false); break; }
+      const nx = grantNx(db, account, amount);
+      reply(`${amount >= 0 ? "Granted" : "Removed"} ${Math.abs(amount)} NX ${amount >= 0 ? "to" : "from"} account ${account} (balance ${nx}).`);
+      break;
+    }
+
     default:
       reply(`Unknown GM command: /${command}`, false);
   }
@@ -1461,6 +2645,7 @@ function buildServerSave(client: WSClient): object {
       slot_type: e.slot_type,
       item_id: e.item_id,
       item_name: "",
+      ...pickItemAttrs(e),
     })),
     inventory: client.inventory.map(it => ({
       item_id: it.item_id,
@@ -1468,9 +2653,11 @@ function buildServerSave(client: WSClient): object {
       inv_type: it.inv_type,
       slot: it.slot,
       category: it.category,
+      ...pickItemAttrs(it),
     })),
     achievements: { ...client.achievements },
     quests: { ...(client.quests || {}) },
+    skills: { ...(client.skills || {}) },
     version: 1,
     saved_at: new Date().toISOString(),
   };
@@ -1521,18 +2708,37 @@ export function handleClientMessage(
       const newY = msg.y as number;
       const now = Date.now();
 
-      // Velocity check: reject impossibly fast movement
-      if (client.positionConfirmed && client.lastMoveMs > 0) {
+      // Stunned players stay put — the move is neither accepted nor relayed
+      if (hasStatus(client.statuses, "stun", now)) break;
+
+      // Velocity check: reject impossibly fast movement (slow shrinks the cap with the speed stat).
+      // The first move on a map is measured from the spawn portal
+      if (client.lastMoveMs > 0) {
         const dtS = Math.max((now - client.lastMoveMs) / 1000, 0.01);
         const dist = distance(client.x, client.y, newX, newY);
         const speed = dist / dtS;
-        if (speed > MAX_MOVE_SPEED_PX_PER_S) {
+        const speedStat = Math.max(1, client.stats.speed || 100);
+        const maxSpeed = MAX_MOVE_SPEED_PX_PER_S * getEffectiveSpeed(speedStat, client.statuses, now) / speedStat;
+        if (speed > maxSpeed) {
           // Silently drop the move — don't update server position
           // Still relay so remote players don't freeze, but use server's last valid position
           break;
         }
       }
 
+      // Geometry check: walls, hovering (GMs may fly; maps without footholds can't be checked).
+      // Before the first move client.x/y is the spawn portal, so that move is checked too
+      const moveMap = client.gm ? null : getMapData(client.mapId);
+      if (moveMap && moveMap.footholds.length > 0) {
+        const violation = checkMove(client.moveCheck, moveMap, client.x, client.y, newX, newY, now);
+        if (violation) {
+          if (++client.moveCheck.violations >= MOVE_VIOLATION_LIMIT) roomManager.rubberBand(client, violation, newX, newY);
+          break;
+        }
+        client.moveCheck.violations = 0;
+        client.moveCheck.flagged = false;
+      }
+
       client.x = newX;
       client.y = newY;
       client.action = msg.action as string;
@@ -1557,13 +2763,88 @@ export function handleClientMessage(
       client.lastChatMs = now;
       const chatText = String(msg.text ?? "").slice(0, CHAT_MAX_LENGTH);
       if (!chatText) break;
-      roomManager.broadcastToRoom(client.mapId, {
-        type: "player_chat",
-        id: client.id,
-        name: client.name,
-        text: chatText,
-      });
-      if (_moduleDb) appendLog(_moduleDb, client.name, `send_message: ${chatText.slice(0, 200)}`, client.ip);
+      const channel = String(msg.channel ?? "map");
+
+      // Map chat (default): speech bubble + chat log for everyone in the room
+      if (channel === "map") {
+        roomManager.broadcastToRoom(client.mapId, {
+          type: "player_chat",
+          id: client.id,
+          name: client.name,
+          text: chatText,
+        });
+        if (_moduleDb) appendLog(_moduleDb, client.name, `send_message: ${chatText.slice(0, 200)}`, client.ip);
+        break;
+      }
+
+      // Cross-map channels: chat log only (no bubble), sender included as echo
+      const channelMsg = { type: "channel_chat", channel, name: client.name, text: chatText };
+      const reject = (reason: string) => sendDirect(client, { type: "chat_result", channel, ok: false, reason });
+      if (channel === "party") {
+        const party = roomManager.getParty(client.partyId);
+        if (!party) { reject("You are not in a party."); break; }
+        for (const c of roomManager.getPartyMembers(party)) sendDirect(c, channelMsg);
+      } else if (channel === "buddy") {
+        if (!_moduleDb) break;
+        sendDirect(client, channelMsg);
+        for (const name of getMutualBuddies(_moduleDb, client.name)) {
+          const buddy = roomManager.getClientByName(name);
+          if (buddy) sendDirect(buddy, channelMsg);
+        }
+      } else if (channel === "global") {
+        const wait = client.lastGlobalChatMs + GLOBAL_CHAT_COOLDOWN_MS - now;
+        if (wait > 0) { reject(`You can use global chat again in ${Math.ceil(wait / 1000)}s.`); break; }
+        client.lastGlobalChatMs = now;
+        roomManager.broadcastGlobal(channelMsg);
+      } else {
+        break;
+      }
+      if (_moduleDb) appendLog(_moduleDb, client.name, `send_message [${channel}]: ${chatText.slice(0, 200)}`, client.ip);
+      break;
+    }
+
+    case "whisper": {
+      const now = Date.now();
+      if (now - client.lastChatMs < CHAT_COOLDOWN_MS) break; // shares the chat rate limit
+      client.lastChatMs = now;
+      const text = String(msg.text ?? "").slice(0, CHAT_MAX_LENGTH);
+      if (!text) break;
+      const target = roomManager.getClientByName(String(msg.name ?? ""));
+      if (!target) {
+        sendDirect(client, { type: "whisper_result", ok: false, to: String(msg.name ?? ""), reason: `${msg.name} is not online.` });
+        break;
+      }
+      sendDirect(target, { type: "whisper", from: client.name, text });
+      sendDirect(client, { type: "whisper_result", ok: true, to: target.name, text });
+      if (_moduleDb) appendLog(_moduleDb, client.name, `whisper to ${target.name}: ${text.slice(0, 200)}`, client.ip);
+      break;
+    }
+
+    case "buddy_add":
+    case "buddy_remove": {
+      if (!_moduleDb) break;
+      const action = msg.type === "buddy_add" ? "add" : "remove";
+      const reply = (ok: boolean, reason?: string) =>
+        sendDirect(client, { type: "buddy_result", action, name: String(msg.name ?? ""), ok, reason });
+      const name = String(msg.name ?? "").trim();
+      if (!name) { reply(false, "Enter a character name."); break; }
+
+      if (action === "remove") {
+        if (!removeBuddy(_moduleDb, client.name, name)) { reply(false, `${name} is not on your buddy list.`); break; }
+      } else {
+        if (name.toLowerCase() === client.name.toLowerCase()) { reply(false, "You cannot add yourself."); break; }
+        if (!characterExists(_moduleDb, name)) { reply(false, `There is no character named ${name}.`); break; }
+        if (getBuddies(_moduleDb, client.name).length >= MAX_BUDDIES) { reply(false, "Your buddy list is full."); break; }
+        if (!addBuddy(_moduleDb, client.name, name)) { reply(false, `${name} is already on your buddy list.`); break; }
+      }
+      reply(true);
+      roomManager.sendBuddyList(client);
+      // The other side's entry for us may have just become (or stopped being) mutual
+      const other = roomManager.getClientByName(name);
+      if (other) {
+        if (action === "add") sendDirect(other, { type: "buddy_added", name: client.name });
+        roomManager.sendBuddyList(other);
+      }
       break;
     }
 
@@ -1595,6 +2876,10 @@ export function handleClientMessage(
         if (reqChairId > 0) {
           const hasChair = client.inventory.some(it => it.item_id === reqChairId);
           if (!hasChair) break; // reject fake chair_id
+          if (getMapData(client.mapId)?.field.noChair) {
+            sendDirect(client, { type: "field_denied", action: "chair" });
+            break;
+          }
         }
         client.chairId = reqChairId;
       } else {
@@ -1639,8 +2924,8 @@ export function handleClientMessage(
         : (msg.slot_type as string);
 
       if (action === "equip" && itemId && slotType) {
-        // Validate item exists in server inventory
-        const invIdx = client.inventory.findIndex(it => it.item_id === itemId);
+        // Validate item exists in server inventory (the client's uid picks between copies)
+        const invIdx = findInventoryIndex(client, itemId, msg.uid);
         if (invIdx === -1) break; // client doesn't have this item
 
         // Remove from inventory
@@ -1655,12 +2940,12 @@ export function handleClientMessage(
         const existingIdx = client.look.equipment.findIndex(e => e.slot_type === slotType);
         if (existingIdx !== -1) {
           const oldEquip = client.look.equipment[existingIdx];
-          addItemToInventory(client, oldEquip.item_id, 1, null);
+          addItemToInventory(client, oldEquip.item_id, 1, null, oldEquip);
           client.look.equipment.splice(existingIdx, 1);
         }
 
         // Equip the new item
-        client.look.equipment.push({ slot_type: slotType, item_id: itemId });
+        client.look.equipment.push({ slot_type: slotType, item_id: itemId, ...pickItemAttrs(invItem) });
       } else if (action === "unequip" && slotType) {
         // Validate item is equipped
         const equipIdx = client.look.equipment.findIndex(e => e.slot_type === slotType);
@@ -1672,7 +2957,7 @@ export function handleClientMessage(
 
         // Move to inventory
         client.look.equipment.splice(equipIdx, 1);
-        addItemToInventory(client, removedItem.item_id, 1, null);
+        addItemToInventory(client, removedItem.item_id, 1, null, removedItem);
       } else {
         break; // invalid action
       }
@@ -1756,7 +3041,7 @@ export function handleClientMessage(
       const act = getQuestAct(qid);
       const startReward = act?.["0"];
       if (startReward) {
-        applyQuestReward(client, startReward, roomManager);
+        applyQuestReward(client, startReward, roomManager, qid);
       }
 
       sendDirect(client, { type: "quest_result", action: "accept", questId: qid, ok: true });
@@ -1797,7 +3082,7 @@ export function handleClientMessage(
       const act = getQuestAct(qid);
       const endReward = act?.["1"];
       if (endReward) {
-        applyQuestReward(client, endReward, roomManager);
+        applyQuestReward(client, endReward, roomManager, qid);
       }
 
       // Set quest state to completed
@@ -1830,6 +3115,63 @@ export function handleClientMessage(
       break;
     }
 
+    // ── Server-authoritative job advancement ──
+
+    case "job_advance": {
+      const targetJobId = Number(msg.job_id);
+      const npcId = String(msg.npc_id || "");
+      const fail = (reason: string) => {
+        sendDirect(client, { type: "job_advance_result", job_id: targetJobId, ok: false, reason });
+      };
+
+      const check = checkJobAdvancement(getClientJobId(client), targetJobId, client.stats);
+      if (!check.ok) { fail(check.reason); break; }
+      const adv = check.adv;
+
+      // Instructor must be on the player's current map
+      if (npcId !== adv.npcId || !isNpcOnMap(client.mapId, npcId)) {
+        fail("Job instructor not on this map.");
+        break;
+      }
+
+      // Starter items need one slot each
+      const slotsNeeded: Record<string, number> = {};
+      for (const item of adv.items) {
+        const invType = inventoryTypeByItemId(item.id);
+        slotsNeeded[invType] = (slotsNeeded[invType] || 0) + 1;
+      }
+      if (Object.entries(slotsNeeded).some(([invType, n]) => countFreeSlots(client, invType) < n)) {
+        fail("Please make room in your inventory first.");
+        break;
+      }
+
+      client.stats.job = adv.name;
+      const spGain = getAdvancementSp(adv, client.stats.level);
+      client.stats.sp = (client.stats.sp ?? 0) + spGain;
+      client.stats.ap = (client.stats.ap ?? 0) + adv.ap;
+      client.stats.max_hp += rollBonus(adv.hpBonus);
+      client.stats.max_mp += rollBonus(adv.mpBonus);
+      client.stats.hp = client.stats.max_hp;
+      client.stats.mp = client.stats.max_mp;
+      for (const item of adv.items) {
+        addItemToInventory(client, item.id, item.qty, null, { creator: `job:${adv.jobId}` });
+      }
+
+      sendDirect(client, { type: "job_advance_result", job_id: adv.jobId, ok: true, job: adv.name, sp: spGain, ap: adv.ap });
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+      sendDirect(client, buildSkillsPayload(client));
+      roomManager.broadcastToRoom(client.mapId, {
+        type: "player_job_change", id: client.id, job: adv.name, level: client.stats.level,
+      }, client.id);
+      if (client.partyId !== null) roomManager.sendPartyUpdate(client.partyId);
+      persistClientState(client, _moduleDb);
+      if (_moduleDb) {
+        appendLog(_moduleDb, client.name, `advanced to ${adv.name} at level ${client.stats.level} (+${spGain} SP, +${adv.ap} AP)`, client.ip);
+      }
+      break;
+    }
+
     case "jump":
       roomManager.broadcastToRoom(client.mapId, {
         type: "player_jump",
@@ -2164,6 +3506,7 @@ export function handleClientMessage(
 
       // Deduct HP
       client.stats.hp = Math.max(0, (client.stats.hp ?? 0) - dmg);
+      if (client.stats.hp <= 0) client.statuses.clear(); // death removes every status
 
       // Send authoritative stats + calculated damage back to client
       sendDirect(client, {
@@ -2183,6 +3526,7 @@ export function handleClientMessage(
         damage: dmg,
         direction,
       }, client.id);
+      roomManager.sendPartyHp(client);
 
       persistClientState(client, _moduleDb);
       break;
@@ -2219,10 +3563,31 @@ export function handleClientMessage(
       const curHp = client.stats.hp ?? 1;
       if (curHp <= 0) break;
 
+      // Mastery books (229xxxx) raise a skill's master level instead of restoring HP/MP
+      const book = getSkillBookSpec(useItemId);
+      if (book) {
+        useSkillBook(client, useIdx, useItemId, book);
+        break;
+      }
+
       // Load item spec from WZ
       const spec = getItemSpec(useItemId);
       if (!spec) break; // no spec = not a consumable
 
+      // Return scrolls warp to a town (999999999 = this map's returnMap)
+      let scrollDestId = "";
+      if (spec.moveTo > 0) {
+        if (client.pendingMapId) break;
+        const mapData = getMapData(client.mapId);
+        if (mapData?.field.noPortalScroll) {
+          sendDirect(client, { type: "field_denied", action: "portal_scroll" });
+          break;
+        }
+        const dest = spec.moveTo === 999999999 ? mapData?.info.returnMap ?? 999999999 : spec.moveTo;
+        if (dest === 999999999 || String(dest) === client.mapId || !mapExists(String(dest))) break;
+        scrollDestId = String(dest);
+      }
+
       // Deduct 1 from inventory
       if (client.inventory[useIdx].qty <= 1) {
         client.inventory.splice(useIdx, 1);
@@ -2251,9 +3616,27 @@ export function handleClientMessage(
         type: "stats_update",
         stats: buildStatsPayload(client),
       });
+      roomManager.sendPartyHp(client);
 
       // Persist
       persistClientState(client, _moduleDb);
+
+      if (scrollDestId) {
+        if (_moduleDb) appendLog(_moduleDb, client.name, `used item#${useItemId} on map ${client.mapId} → map ${scrollDestId}`, client.ip);
+        roomManager.initiateMapChange(client.id, scrollDestId);
+      }
+      break;
+    }
+
+    case "scroll_equip": {
+      const scrollId = Number(msg.scroll_id);
+      if (!scrollId) break;
+      if ((client.stats.hp ?? 1) <= 0) break;
+      if (typeof msg.slot_type === "string") {
+        scrollEquip(client, scrollId, { slotType: msg.slot_type }, roomManager);
+      } else if (Number.isInteger(msg.slot)) {
+        scrollEquip(client, scrollId, { invSlot: msg.slot as number }, roomManager);
+      }
       break;
     }
 
@@ -2262,13 +3645,17 @@ export function handleClientMessage(
       const dropItemId = Number(msg.item_id);
       const dropQty = Math.max(1, Math.floor(Number(msg.qty) || 1));
       if (!dropItemId) break;
+      if (getMapData(client.mapId)?.field.noDrop) {
+        sendDirect(client, { type: "field_denied", action: "drop" });
+        break;
+      }
 
       // Proximity check: drop position must be near the player
       const dropX = Number(msg.x) || client.x;
       if (Math.abs(dropX - client.x) > DROP_PROXIMITY_PX) break;
 
-      // Find the item in server-tracked inventory
-      const invIdx = client.inventory.findIndex(it => it.item_id === dropItemId);
+      // Find the item in server-tracked inventory (the client's uid picks between copies)
+      const invIdx = findInventoryIndex(client, dropItemId, msg.uid);
       if (invIdx === -1) break; // client doesn't have this item — reject silently
 
       const invItem = client.inventory[invIdx];
@@ -2292,6 +3679,7 @@ export function handleClientMessage(
         iconKey: (msg.iconKey as string) || "",
         category: invItem.category || (msg.category as string) || null,
         meso: false,
+        ...pickItemAttrs(invItem),
       });
       // Broadcast to everyone in the room INCLUDING the dropper
       roomManager.broadcastToRoom(client.mapId, {
@@ -2309,6 +3697,10 @@ export function handleClientMessage(
       if (mesoAmount <= 0) break;
       const currentMeso = client.stats.meso || 0;
       if (mesoAmount > currentMeso) break; // can't drop more than you have
+      if (getMapData(client.mapId)?.field.noDrop) {
+        sendDirect(client, { type: "field_denied", action: "drop" });
+        break;
+      }
       // Proximity check
       const mesoDropX = Number(msg.x) || client.x;
       if (Math.abs(mesoDropX - client.x) > DROP_PROXIMITY_PX) break;
@@ -2377,67 +3769,22 @@ export function handleClientMessage(
 
       // Rate limit attacks
       const atkNow = Date.now();
+      if (hasStatus(client.statuses, "stun", atkNow)) break;
       if (atkNow - client.lastAttackMs < ATTACK_COOLDOWN_MS) break;
       client.lastAttackMs = atkNow;
 
       // Validate attack position — must be near last known server position
-      // Prevents teleport-via-attack exploit
-      const atkX = Number(msg.x) || client.x;
-      const atkY = Number(msg.y) || client.y;
-      const atkFacing = Number(msg.facing) || client.facing;
-      if (client.positionConfirmed) {
-        const atkDist = Math.abs(atkX - client.x) + Math.abs(atkY - client.y);
-        if (atkDist > MAX_MOVE_SPEED_PX_PER_S) break; // reject teleport
-      }
-      client.x = atkX;
-      client.y = atkY;
-      client.facing = atkFacing;
-      if (!client.positionConfirmed) client.positionConfirmed = true;
-
-      const px = atkX;
-      const py = atkY;
-      const facingLeft = atkFacing < 0;
+      if (!acceptAttackPosition(client, msg)) break;
+
+      const px = client.x;
+      const py = client.y;
+      const facingLeft = client.facing < 0;
 
       // Build weapon-specific attack hitbox from WZ Afterimage data
-      let weaponId = 0;
-      for (const eq of client.look.equipment) {
-        if (eq.slot_type === "Weapon") { weaponId = eq.item_id; break; }
-      }
-
-      let attackRect: { l: number; r: number; t: number; b: number };
-      if (weaponId) {
-        const aiName = getWeaponAfterimage(weaponId);
-        // Determine attack stance from client message or default
-        const attackStance = (msg.stance as string) || "stabO1";
-        const weaponLevel = 0; // TODO: read reqLevel from weapon WZ
-        const range = aiName
-          ? getAfterimageRange(aiName, attackStance, weaponLevel)
-          : FALLBACK_ATTACK_RANGE;
-        attackRect = buildAttackRect(px, py, facingLeft, range);
-      } else {
-        // Bare-handed: use barehands afterimage
-        const range = getAfterimageRange("barehands", "stabO1", 0);
-        attackRect = buildAttackRect(px, py, facingLeft, range);
-      }
+      const attackRect = buildWeaponAttackRect(client, px, py, facingLeft, (msg.stance as string) || "stabO1");
 
       // Find closest alive mob in range (mobcount=1 for regular attack)
-      // Mirrors C++ Combat::find_closest + Mob::is_in_range:
-      //   range.overlaps(mob_sprite_bounds.shift(mob_position))
-      const mobIds = _mapMobIds.get(client.mapId);
-      let bestIdx = -1;
-      let bestDist = Infinity;
-      for (const [idx, mob] of mobStates) {
-        if (mob.dead) continue;
-        // Get this mob's sprite bounds from WZ (cached)
-        const mobId = mobIds?.get(idx) ?? "";
-        const bounds = getMobBounds(mobId);
-        if (!attackOverlapsMob(attackRect, mob.x, mob.y, bounds)) continue;
-        const dist = Math.abs(mob.x - px) + Math.abs(mob.y - py);
-        if (dist < bestDist) {
-          bestDist = dist;
-          bestIdx = idx;
-        }
-      }
+      const [bestIdx] = findMobsInRect(client.mapId, attackRect, px, py, 1);
 
       // Broadcast attack animation to other players
       roomManager.broadcastToRoom(client.mapId, {
@@ -2446,130 +3793,609 @@ export function handleClientMessage(
         stance: msg.stance,
       }, client.id);
 
-      if (bestIdx < 0) break; // no mob in range
-
-      const mob = mobStates.get(bestIdx)!;
+      if (bestIdx === undefined) break; // no mob in range
 
       // Look up mob WZ stats via cached mob ID map
-      const mapData = getMapData(client.mapId);
-      const mobIdMap = _mapMobIds.get(client.mapId);
-      const mobId = mobIdMap?.get(bestIdx) ?? "";
-
+      const mobId = _mapMobIds.get(client.mapId)?.get(bestIdx) ?? "";
       const mobStats = mobId ? getMobStats(mobId) : null;
-      const mobLevel = mobStats?.level ?? 1;
-      const mobWdef = mobStats?.wdef ?? 0;
-      const mobAvoid = mobStats?.avoid ?? 0;
-      const mobKnockback = mobStats?.knockback ?? 1;
-      const mobExp = mobStats?.exp ?? 3;
 
-      const result = calcMobDamage(pmin, pmax, pAcc, playerLevel, mobLevel, mobWdef, mobAvoid, isDegenerate);
+      const result = calcMobDamage(
+        pmin, pmax, pAcc, playerLevel,
+        mobStats?.level ?? 1, mobStats?.wdef ?? 0, mobStats?.avoid ?? 0,
+        isDegenerate,
+      );
+      applyMobHit(client, roomManager, bestIdx, result);
+      break;
+    }
 
-      const attackerIsLeft = px < mob.x;
-      let killed = false;
+    // ── Parties (state in RoomManager, survives map changes) ──
 
-      if (!result.miss) {
-        mob.hp -= result.damage;
-        if (result.damage >= mobKnockback) {
-          // Knockback will be applied client-side from the mob_damage_result
-        }
-        if (mob.hp <= 0) {
-          mob.hp = 0;
-          mob.dead = true;
-          mob.respawnAt = Date.now() + MOB_RESPAWN_DELAY_MS;
-          killed = true;
-        }
+    case "party_create": {
+      if (client.partyId !== null) {
+        sendDirect(client, { type: "party_result", action: "create", ok: false, reason: "You are already in a party." });
+        break;
       }
+      roomManager.createParty(client);
+      sendDirect(client, { type: "party_result", action: "create", ok: true });
+      roomManager.sendPartyUpdate(client.partyId!);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `created party #${client.partyId}`, client.ip);
+      break;
+    }
 
-      // Broadcast damage result to ALL players in room (including attacker)
-      roomManager.broadcastToRoom(client.mapId, {
-        type: "mob_damage_result",
-        attacker_id: client.id,
-        mob_idx: bestIdx,
-        damage: result.damage,
-        critical: result.critical,
-        miss: result.miss,
-        killed,
-        direction: attackerIsLeft ? 1 : -1,
-        new_hp: mob.hp,
-        max_hp: mob.maxHp,
-        knockback: (!result.miss && result.damage >= mobKnockback) ? 1 : 0,
-        exp: killed ? mobExp : 0,
+    case "party_invite": {
+      const reply = (ok: boolean, reason?: string) =>
+        sendDirect(client, { type: "party_result", action: "invite", ok, reason });
+      const party = roomManager.getParty(client.partyId);
+      if (!party) { reply(false, "You are not in a party."); break; }
+      if (party.leaderId !== client.id) { reply(false, "Only the party leader can invite."); break; }
+      if (party.memberIds.length >= MAX_PARTY_SIZE) { reply(false, "The party is full."); break; }
+      const target = roomManager.getClientByName(String(msg.name ?? ""));
+      if (!target) { reply(false, "That character is not online."); break; }
+      if (target.id === client.id) { reply(false, "You cannot invite yourself."); break; }
+      if (target.partyId !== null) { reply(false, `${target.name} is already in a party.`); break; }
+
+      roomManager.partyInvites.set(target.id, {
+        partyId: party.id, fromId: client.id, expiresAt: Date.now() + PARTY_INVITE_TTL_MS,
       });
+      sendDirect(target, { type: "party_invite", party_id: party.id, from_name: client.name });
+      reply(true);
+      break;
+    }
+
+    case "party_accept":
+    case "party_decline": {
+      const action = msg.type === "party_accept" ? "accept" : "decline";
+      const invite = roomManager.partyInvites.get(client.id);
+      roomManager.partyInvites.delete(client.id);
+      const party = invite && invite.expiresAt > Date.now() ? roomManager.getParty(invite.partyId) : null;
+      if (!invite || !party) {
+        sendDirect(client, { type: "party_result", action, ok: false, reason: "You have no pending party invite." });
+        break;
+      }
+      const inviter = roomManager.getClient(invite.fromId);
+      if (action === "decline") {
+        sendDirect(client, { type: "party_result", action, ok: true });
+        if (inviter) sendDirect(inviter, { type: "party_result", action: "invite", ok: false, reason: `${client.name} declined the party invite.` });
+        break;
+      }
+      if (client.partyId !== null) {
+        sendDirect(client, { type: "party_result", action, ok: false, reason: "You are already in a party." });
+        break;
+      }
+      if (party.memberIds.length >= MAX_PARTY_SIZE) {
+        sendDirect(client, { type: "party_result", action, ok: false, reason: "The party is full." });
+        break;
+      }
+      sendDirect(client, { type: "party_result", action, ok: true });
+      roomManager.joinParty(client, party);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `joined party #${party.id}`, client.ip);
+      break;
+    }
+
+    case "party_leave": {
+      if (client.partyId === null) {
+        sendDirect(client, { type: "party_result", action: "leave", ok: false, reason: "You are not in a party." });
+        break;
+      }
+      const partyId = client.partyId;
+      roomManager.leaveParty(client);
+      sendDirect(client, { type: "party_result", action: "leave", ok: true });
+      if (_moduleDb) appendLog(_moduleDb, client.name, `left party #${partyId}`, client.ip);
+      break;
+    }
+
+    case "party_kick": {
+      const reply = (ok: boolean, reason?: string) =>
+        sendDirect(client, { type: "party_result", action: "kick", ok, reason });
+      const party = roomManager.getParty(client.partyId);
+      if (!party) { reply(false, "You are not in a party."); break; }
+      if (party.leaderId !== client.id) { reply(false, "Only the party leader can kick."); break; }
+      const name = String(msg.name ?? "").toLowerCase();
+      const target = roomManager.getPartyMembers(party).find(c => c.name.toLowerCase() === name);
+      if (!target || target.id === client.id) { reply(false, "That character is not in your party."); break; }
+
+      roomManager.leaveParty(target);
+      sendDirect(target, { type: "party_result", action: "kicked", ok: true });
+      reply(true);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `kicked ${target.name} from party #${party.id}`, client.ip);
+      break;
+    }
+
+    // ── Trades (two-phase: lock offers, then both confirm; swap is server-side) ──
+
+    case "trade_invite": {
+      const reply = (ok: boolean, reason?: string) =>
+        sendDirect(client, { type: "trade_result", action: "invite", ok, reason });
+      if (client.tradeId !== null) { reply(false, "You are already trading."); break; }
+      const target = roomManager.getClientByName(String(msg.name ?? ""));
+      if (!target || target.mapId !== client.mapId) { reply(false, "That character is not on this map."); break; }
+      if (target.id === client.id) { reply(false, "You cannot trade with yourself."); break; }
+      if (target.tradeId !== null) { reply(false, `${target.name} is already trading.`); break; }
+
+      roomManager.tradeInvites.set(target.id, { fromId: client.id, expiresAt: Date.now() + TRADE_INVITE_TTL_MS });
+      sendDirect(target, { type: "trade_invite", from_name: client.name });
+      reply(true);
+      break;
+    }
+
+    case "trade_accept":
+    case "trade_decline": {
+      const action = msg.type === "trade_accept" ? "accept" : "decline";
+      const invite = roomManager.tradeInvites.get(client.id);
+      roomManager.tradeInvites.delete(client.id);
+      const inviter = invite && invite.expiresAt > Date.now() ? roomManager.getClient(invite.fromId) : undefined;
+      if (!inviter) {
+        sendDirect(client, { type: "trade_result", action, ok: false, reason: "You have no pending trade invite." });
+        break;
+      }
+      if (action === "decline") {
+        sendDirect(client, { type: "trade_result", action, ok: true });
+        sendDirect(inviter, { type: "trade_result", action: "invite", ok: false, reason: `${client.name} declined the trade.` });
+        break;
+      }
+      let reason: string | null = null;
+      if (client.tradeId !== null) reason = "You are already trading.";
+      else if (inviter.tradeId !== null) reason = `${inviter.name} is already trading.`;
+      else if (inviter.mapId !== client.mapId) reason = `${inviter.name} is no longer on this map.`;
+      if (reason) {
+        sendDirect(client, { type: "trade_result", action, ok: false, reason });
+        break;
+      }
+      roomManager.openTrade(inviter, client);
+      roomManager.sendTradeUpdate(roomManager.getTrade(client)!);
+      break;
+    }
+
+    case "trade_offer_item":
+    case "trade_offer_meso":
+    case "trade_lock":
+    case "trade_confirm":
+    case "trade_cancel": {
+      const action = msg.type.slice("trade_".length);
+      const reply = (reason: string) => sendDirect(client, { type: "trade_result", action, ok: false, reason });
+      const trade = roomManager.getTrade(client);
+      if (!trade) { reply("You are not trading."); break; }
+      const { self, partner } = getTradeSides(trade, client.id)!;
+
+      if (msg.type === "trade_cancel") {
+        roomManager.closeTrade(trade, `${client.name} cancelled the trade.`);
+        break;
+      }
 
-      // Grant EXP to killer and handle level-up
-      if (killed && mobExp > 0) {
-        client.stats.exp += mobExp;
-        let leveledUp = false;
-        // Level-up loop (can multi-level from high EXP mobs)
-        while (client.stats.level < 200 && client.stats.exp >= client.stats.max_exp) {
-          client.stats.exp -= client.stats.max_exp;
-          client.stats.level++;
-          client.stats.max_exp = getExpForLevel(client.stats.level);
-          // Beginner HP/MP gain per level: +20 HP, +10 MP
-          client.stats.max_hp += 20;
-          client.stats.max_mp += 10;
-          client.stats.hp = client.stats.max_hp;
-          client.stats.mp = client.stats.max_mp;
-          leveledUp = true;
+      if (msg.type === "trade_offer_item" || msg.type === "trade_offer_meso") {
+        if (self.locked) { reply("Your offer is locked."); break; }
+        if (msg.type === "trade_offer_item") {
+          const invType = String(msg.inv_type || "");
+          const slot = Number(msg.slot);
+          const item = client.inventory.find(it => it.inv_type === invType && it.slot === slot);
+          if (!item) { reply("Item not found."); break; }
+          if (!isTradeable(item)) { reply("Cash items cannot be traded."); break; }
+          if (self.items.some(it => it.inv_type === invType && it.slot === slot)) { reply("That item is already offered."); break; }
+          if (self.items.length >= MAX_TRADE_ITEMS) { reply("The trade window is full."); break; }
+          const qty = Math.floor(Number(msg.qty) || 1);
+          if (qty < 1 || qty > item.qty) { reply("Invalid quantity."); break; }
+          self.items.push({ inv_type: invType, slot, item_id: item.item_id, qty });
+        } else {
+          const meso = Math.floor(Number(msg.meso));
+          if (!Number.isFinite(meso) || meso < 0 || meso > client.stats.meso) { reply("You don't have that many mesos."); break; }
+          self.meso = meso;
         }
-        // Send updated stats to the killer
-        roomManager.sendTo(client, { type: "stats_update", stats: buildStatsPayload(client) });
-        if (leveledUp) {
-          roomManager.broadcastToRoom(client.mapId, {
-            type: "player_level_up", id: client.id, level: client.stats.level,
-          }, client.id);
-          // Global celebration for level ≥ 10
-          if (client.stats.level >= 10) {
-            roomManager.broadcastGlobal({
-              type: "global_level_up",
-              name: client.name,
-              level: client.stats.level,
-            });
-          }
-          persistClientState(client, _moduleDb);
-          if (_moduleDb) appendLog(_moduleDb, client.name, `level_up to ${client.stats.level}`, client.ip);
+        onOfferChanged(trade, self);
+        roomManager.sendTradeUpdate(trade);
+        break;
+      }
+
+      if (msg.type === "trade_lock") {
+        self.locked = true;
+        roomManager.sendTradeUpdate(trade);
+        break;
+      }
+
+      // trade_confirm
+      if (!bothLocked(trade)) { reply("Both offers must be locked before confirming."); break; }
+      self.confirmed = true;
+      if (!bothConfirmed(trade)) {
+        roomManager.sendTradeUpdate(trade);
+        break;
+      }
+      const other = roomManager.getClient(partner.clientId);
+      const failure = other ? executeTrade(client, self, other, partner) : "Your trade partner is gone.";
+      if (failure || !other) {
+        roomManager.closeTrade(trade, failure);
+        break;
+      }
+      roomManager.closeTrade(trade, null);
+      for (const [c, gave, got] of [[client, self, partner], [other, partner, self]] as const) {
+        sendDirect(c, { type: "inventory_update", inventory: c.inventory });
+        sendDirect(c, { type: "stats_update", stats: { meso: c.stats.meso } });
+        persistClientState(c, _moduleDb);
+        const partnerName = c === client ? other.name : client.name;
+        if (_moduleDb) {
+          appendLog(_moduleDb, c.name, `traded with ${partnerName}: gave ${describeTradeOffer(gave)}; received ${describeTradeOffer(got)}`, c.ip);
         }
       }
+      break;
+    }
 
-      // Spawn drops if mob killed — Cosmic-style: each entry rolled independently
-      if (killed) {
-        const loots = rollMobLoot(mobId, mobLevel);
-        let dropIndex = 0;
-        for (const loot of loots) {
-          // Slight X spread so drops don't stack on top of each other.
-          // index 0 → 0, 1 → +12, 2 → -12, 3 → +24, 4 → -24 ...
-          const xOffset = (dropIndex === 0) ? 0
-            : ((dropIndex % 2 === 1)
-              ? (12 * Math.ceil(dropIndex / 2))
-              : -(12 * Math.floor(dropIndex / 2)));
-          const dropX = mob.x + xOffset;
-
-          // Find ground at the drop's X.  mob.y IS the mob's foothold Y, so
-          // search from that Y downward — never pick a platform above the mob.
-          let destY = mob.y;
-          if (mapData) {
-            const groundY = findGroundY(mapData.footholds, dropX, mob.y);
-            if (groundY !== null) destY = groundY;
-          }
+    // ── Server-authoritative NPC shops ──
 
-          const drop = roomManager.addDrop(client.mapId, {
-            item_id: loot.item_id,
-            name: loot.meso ? `${loot.qty} meso` : "",
-            qty: loot.qty,
-            x: dropX,
-            startX: mob.x,
-            startY: mob.y - 20,
-            destY,
-            owner_id: client.id,
-            iconKey: "",
-            category: loot.category,
-            meso: loot.meso,
-          });
-          roomManager.broadcastToRoom(client.mapId, {
-            type: "drop_spawn",
-            drop,
-          });
-          dropIndex++;
+    case "shop_open": {
+      const npcId = String(msg.npc_id || "");
+      const shop = getShop(npcId);
+      if (!shop || !isNpcOnMap(client.mapId, npcId)) {
+        sendDirect(client, { type: "shop_result", action: "open", ok: false, reason: "This shop is not available here." });
+        break;
+      }
+      client.shopNpcId = npcId;
+      sendDirect(client, {
+        type: "shop_open",
+        npc_id: npcId,
+        name: shop.name,
+        recharge: shop.recharge,
+        items: shop.items.map(it => ({
+          ...it,
+          unit_price: isRechargeable(it.item_id) ? getItemTradeInfo(it.item_id).unitPrice : undefined,
+        })),
+        sell_prices: buildShopSellPrices(client),
+      });
+      break;
+    }
+
+    case "shop_close":
+      client.shopNpcId = null;
+      break;
+
+    case "shop_buy": {
+      const shop = getOpenShop(client);
+      if (!shop) { sendShopResult(client, "buy", { ok: false, reason: "No shop is open." }); break; }
+      const itemId = Number(msg.item_id);
+      const entry = shop.items.find(it => it.item_id === itemId);
+      if (!entry) { sendShopResult(client, "buy", { ok: false, reason: "That item is not sold here." }); break; }
+      const isEquip = inventoryTypeByItemId(itemId) === "EQUIP";
+      const maxQty = isEquip ? 1 : SHOP_STACK_MAX;
+      const qty = Math.floor(Number(msg.qty) || 1);
+      if (qty < 1 || qty > maxQty) { sendShopResult(client, "buy", { ok: false, reason: `You can buy 1 to ${maxQty} at a time.` }); break; }
+      const cost = entry.price * qty;
+      if (client.stats.meso < cost) { sendShopResult(client, "buy", { ok: false, reason: "You don't have enough mesos." }); break; }
+      if (!canFitItem(client, itemId, qty)) { sendShopResult(client, "buy", { ok: false, reason: "Please check if your inventory is full." }); break; }
+
+      client.stats.meso -= cost;
+      addItemToInventory(client, itemId, qty, null, { creator: `shop:${shop.npcId}` });
+      sendShopResult(client, "buy", { ok: true, meso: -cost });
+      if (_moduleDb) appendLog(_moduleDb, client.name, `shop ${shop.npcId}: bought item#${itemId} x${qty} for ${cost} meso`, client.ip);
+      break;
+    }
+
+    case "shop_sell": {
+      const shop = getOpenShop(client);
+      if (!shop) { sendShopResult(client, "sell", { ok: false, reason: "No shop is open." }); break; }
+      const invType = String(msg.inv_type || "");
+      const slot = Number(msg.slot);
+      const item = client.inventory.find(it => it.inv_type === invType && it.slot === slot);
+      if (!item) { sendShopResult(client, "sell", { ok: false, reason: "Item not found." }); break; }
+      if (invType === "CASH" || getItemTradeInfo(item.item_id).cash) {
+        sendShopResult(client, "sell", { ok: false, reason: "Cash items cannot be sold." });
+        break;
+      }
+      // Rechargeables always sell as a whole stack
+      const qty = isRechargeable(item.item_id)
+        ? item.qty
+        : Math.floor(Number(msg.qty) || 1);
+      if (qty < 1 || qty > item.qty) { sendShopResult(client, "sell", { ok: false, reason: "Invalid quantity." }); break; }
+
+      const gain = getSellPrice(item.item_id, qty);
+      if (client.stats.meso + gain > MAX_MESO) { sendShopResult(client, "sell", { ok: false, reason: "You cannot hold any more mesos." }); break; }
+      item.qty -= qty;
+      if (item.qty <= 0) client.inventory.splice(client.inventory.indexOf(item), 1);
+      client.stats.meso += gain;
+      sendShopResult(client, "sell", { ok: true, meso: gain });
+      if (_moduleDb) appendLog(_moduleDb, client.name, `shop ${shop.npcId}: sold item#${item.item_id} x${qty} for ${gain} meso`, client.ip);
+      break;
+    }
+
+    case "shop_recharge": {
+      const shop = getOpenShop(client);
+      if (!shop?.recharge) { sendShopResult(client, "recharge", { ok: false, reason: "This shop does not recharge." }); break; }
+      const slot = Number(msg.slot);
+      const item = client.inventory.find(it => it.inv_type === "USE" && it.slot === slot);
+      if (!item || !isRechargeable(item.item_id)) {
+        sendShopResult(client, "recharge", { ok: false, reason: "Only throwing stars and bullets can be recharged." });
+        break;
+      }
+      const target = Math.min(getItemTradeInfo(item.item_id).slotMax, SHOP_STACK_MAX);
+      if (item.qty >= target) { sendShopResult(client, "recharge", { ok: false, reason: "That item is already fully charged." }); break; }
+      const cost = getRechargeCost(item.item_id, item.qty, target);
+      if (client.stats.meso < cost) { sendShopResult(client, "recharge", { ok: false, reason: "You don't have enough mesos." }); break; }
+
+      client.stats.meso -= cost;
+      item.qty = target;
+      sendShopResult(client, "recharge", { ok: true, meso: -cost });
+      if (_moduleDb) appendLog(_moduleDb, client.name, `shop ${shop.npcId}: recharged item#${item.item_id} to ${target} for ${cost} meso`, client.ip);
+      break;
+    }
+
+    // ── Cash shop (NX wallet shared by every character on a claimed account) ──
+
+    case "cash_open": {
+      const account = getCashAccount(client);
+      if (!account) {
+        sendCashResult(client, "open", { ok: false, reason: "Claim your account to use the Cash Shop." });
+        break;
+      }
+      sendDirect(client, { type: "cash_open", nx: getNx(_moduleDb!, account), items: getCommodities(), gachapon_ticket: GACHAPON_TICKET_ID });
+      break;
+    }
+
+    case "cash_buy": {
+      const account = getCashAccount(client);
+      if (!account) { sendCashResult(client, "buy", { ok: false, reason: "Claim your account to use the Cash Shop." }); break; }
+      const commodity = getCommodity(Number(msg.sn));
+      if (!commodity) { sendCashResult(client, "buy", { ok: false, reason: "That item is not sold in the Cash Shop." }); break; }
+      if (!fitsGender(commodity, client.look.gender)) { sendCashResult(client, "buy", { ok: false, reason: "That item can't be worn by your character." }); break; }
+      if (!canFitItem(client, commodity.item_id, commodity.count)) { sendCashResult(client, "buy", { ok: false, reason: "Please check if your inventory is full." }); break; }
+      if (!spendNx(_moduleDb!, account, commodity.price)) { sendCashResult(client, "buy", { ok: false, reason: "You don't have enough NX." }); break; }
+
+      addItemToInventory(client, commodity.item_id, commodity.count, null, {
+        creator: `cash:${commodity.sn}`,
+        expires_at: commodityExpiresAt(commodity, Date.now()),
+      });
+      commitCash(client, "buy", account, { item_id: commodity.item_id, qty: commodity.count });
+      appendLog(_moduleDb!, client.name, `cash shop (${account}): bought item#${commodity.item_id} x${commodity.count} for ${commodity.price} NX (sn ${commodity.sn})`, client.ip);
+      break;
+    }
+
+    case "cash_gachapon": {
+      const account = getCashAccount(client);
+      if (!account) { sendCashResult(client, "gachapon", { ok: false, reason: "Claim your account to use the Cash Shop." }); break; }
+      if (countItemInInventory(client, GACHAPON_TICKET_ID) < 1) { sendCashResult(client, "gachapon", { ok: false, reason: "You don't have a Gachapon Ticket." }); break; }
+      const prize = rollGachaponPrize();
+      if (!canFitItem(client, prize.item_id, prize.qty)) { sendCashResult(client, "gachapon", { ok: false, reason: "Please check if your inventory is full." }); break; }
+
+      removeItemFromInventory(client, GACHAPON_TICKET_ID, 1);
+      addItemToInventory(client, prize.item_id, prize.qty, prize.category, { creator: "gachapon" });
+      commitCash(client, "gachapon", account, { item_id: prize.item_id, qty: prize.qty });
+      appendLog(_moduleDb!, client.name, `gachapon: won item#${prize.item_id} x${prize.qty}`, client.ip);
+      break;
+    }
+
+    // ── Account storage (shared by every character on a claimed account) ──
+
+    case "storage_open": {
+      const npcId = String(msg.npc_id || "");
+      if (!isStorageKeeper(npcId) || !isNpcOnMap(client.mapId, npcId)) {
+        sendStorageResult(client, "open", { ok: false, reason: "Storage is not available here." });
+        break;
+      }
+      const account = _moduleDb ? getAccountName(_moduleDb, client.name) : null;
+      if (!account) {
+        sendStorageResult(client, "open", { ok: false, reason: "Claim your account to use storage." });
+        break;
+      }
+      client.storageNpcId = npcId;
+      sendDirect(client, { type: "storage_open", npc_id: npcId, fee: STORAGE_FEE, storage: loadAccountStorage(account) });
+      break;
+    }
+
+    case "storage_close":
+      client.storageNpcId = null;
+      break;
+
+    case "storage_deposit": {
+      const account = getOpenStorageAccount(client);
+      if (!account) { sendStorageResult(client, "deposit", { ok: false, reason: "No storage is open." }); break; }
+      const invType = String(msg.inv_type || "");
+      const slot = Number(msg.slot);
+      const item = client.inventory.find(it => it.inv_type === invType && it.slot === slot);
+      if (!item) { sendStorageResult(client, "deposit", { ok: false, reason: "Item not found." }); break; }
+      // Rechargeables keep their charge, so they're stored as a whole stack
+      const qty = isRechargeable(item.item_id) ? item.qty : Math.floor(Number(msg.qty) || 1);
+      if (qty < 1 || qty > item.qty) { sendStorageResult(client, "deposit", { ok: false, reason: "Invalid quantity." }); break; }
+      if (client.stats.meso < STORAGE_FEE) {
+        sendStorageResult(client, "deposit", { ok: false, reason: `Storing an item costs ${STORAGE_FEE} mesos.` });
+        break;
+      }
+      const storage = loadAccountStorage(account);
+      const stackable = inventoryTypeByItemId(item.item_id) !== "EQUIP";
+      if (!storeItem(storage, { item_id: item.item_id, qty, category: item.category, ...pickItemAttrs(item) }, stackable)) {
+        sendStorageResult(client, "deposit", { ok: false, reason: "Your storage is full." });
+        break;
+      }
+      item.qty -= qty;
+      if (item.qty <= 0) client.inventory.splice(client.inventory.indexOf(item), 1);
+      client.stats.meso -= STORAGE_FEE;
+      commitStorage(client, "deposit", account, storage);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `storage (${account}): stored item#${item.item_id} x${qty}`, client.ip);
+      break;
+    }
+
+    case "storage_withdraw": {
+      const account = getOpenStorageAccount(client);
+      if (!account) { sendStorageResult(client, "withdraw", { ok: false, reason: "No storage is open." }); break; }
+      const storage = loadAccountStorage(account);
+      const index = Number(msg.index);
+      const entry = Number.isInteger(index) ? storage.items[index] : undefined;
+      if (!entry) { sendStorageResult(client, "withdraw", { ok: false, reason: "Item not found." }); break; }
+      if (!canFitItem(client, entry.item_id, entry.qty)) {
+        sendStorageResult(client, "withdraw", { ok: false, reason: "Your inventory is full." });
+        break;
+      }
+      storage.items.splice(index, 1);
+      addItemToInventory(client, entry.item_id, entry.qty, entry.category, entry);
+      commitStorage(client, "withdraw", account, storage);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `storage (${account}): took item#${entry.item_id} x${entry.qty}`, client.ip);
+      break;
+    }
+
+    case "storage_meso": {
+      // amount > 0 stores mesos, amount < 0 takes them out
+      const account = getOpenStorageAccount(client);
+      if (!account) { sendStorageResult(client, "meso", { ok: false, reason: "No storage is open." }); break; }
+      const amount = Math.trunc(Number(msg.amount));
+      if (!Number.isFinite(amount) || amount === 0) { sendStorageResult(client, "meso", { ok: false, reason: "Invalid amount." }); break; }
+      const storage = loadAccountStorage(account);
+      let reason: string | null = null;
+      if (amount > 0 && client.stats.meso < amount) reason = "You don't have that many mesos.";
+      else if (amount > 0 && storage.meso + amount > MAX_MESO) reason = "Your storage cannot hold any more mesos.";
+      else if (amount < 0 && storage.meso < -amount) reason = "Your storage doesn't have that many mesos.";
+      else if (amount < 0 && client.stats.meso - amount > MAX_MESO) reason = "You cannot hold any more mesos.";
+      if (reason) { sendStorageResult(client, "meso", { ok: false, reason }); break; }
+
+      storage.meso += amount;
+      client.stats.meso -= amount;
+      commitStorage(client, "meso", account, storage);
+      if (_moduleDb) {
+        appendLog(_moduleDb, client.name, `storage (${account}): ${amount > 0 ? "stored" : "took"} ${Math.abs(amount)} meso`, client.ip);
+      }
+      break;
+    }
+
+    // ── Server-authoritative AP distribution ──
+
+    case "assign_ap": {
+      const stat = msg.stat;
+      if (!isApStat(stat)) break;
+      const amount = Math.max(1, Math.min(Math.floor(Number(msg.amount) || 1), client.stats.ap ?? 0));
+      let reason: string | null = null;
+      for (let i = 0; i < amount && !reason; i++) {
+        reason = assignAp(getClientJobId(client), client.stats, stat);
+      }
+      if (reason) sendDirect(client, { type: "ap_result", action: "assign", stat, ok: false, reason });
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      persistClientState(client, _moduleDb);
+      break;
+    }
+
+    case "auto_assign_ap": {
+      if ((client.stats.ap ?? 0) <= 0) {
+        sendDirect(client, { type: "ap_result", action: "auto", ok: false, reason: "No AP available." });
+        break;
+      }
+      const added = autoAssignAp(getClientJobId(client), client.stats);
+      sendDirect(client, { type: "ap_result", action: "auto", ok: true, added });
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      persistClientState(client, _moduleDb);
+      break;
+    }
+
+    case "reset_ap": {
+      const stat = msg.stat;
+      if (!isApStat(stat)) break;
+      const fail = (reason: string) => {
+        sendDirect(client, { type: "ap_result", action: "reset", stat, ok: false, reason });
+      };
+      if (countItemInInventory(client, AP_RESET_ITEM_ID) <= 0) { fail("You need an AP Reset."); break; }
+      const reason = resetAp(getClientJobId(client), client.stats, stat);
+      if (reason) { fail(reason); break; }
+      removeItemFromInventory(client, AP_RESET_ITEM_ID, 1);
+      sendDirect(client, { type: "ap_result", action: "reset", stat, ok: true });
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+      persistClientState(client, _moduleDb);
+      if (_moduleDb) appendLog(_moduleDb, client.name, `AP reset: -1 ${stat}`, client.ip);
+      break;
+    }
+
+    // ── Server-authoritative skills ──
+
+    case "skill_assign_sp": {
+      const skillId = Number(msg.skill_id);
+      const fail = (reason: string) => {
+        sendDirect(client, { type: "skill_result", action: "assign", skill_id: skillId, ok: false, reason });
+      };
+      if ((client.stats.sp ?? 0) <= 0) { fail("No SP available."); break; }
+      const def = getSkillDef(skillId);
+      if (!def || def.invisible) { fail("Unknown skill."); break; }
+      if (!canJobUseSkill(getClientJobId(client), skillId)) { fail("Your job cannot learn this skill."); break; }
+
+      const key = String(skillId);
+      const learned = client.skills[key];
+      const curLevel = learned?.level ?? 0;
+      if (curLevel >= getSkillCap(def, learned)) { fail("Skill is already at its master level."); break; }
+      const missingReq = def.reqSkills.find(r => (client.skills[String(r.id)]?.level ?? 0) < r.level);
+      if (missingReq) { fail(`Requires skill #${missingReq.id} at level ${missingReq.level}.`); break; }
+
+      client.stats.sp -= 1;
+      client.skills[key] = { level: curLevel + 1, master: learned?.master ?? 0 };
+      sendDirect(client, buildSkillsPayload(client));
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      persistClientState(client, _moduleDb);
+      break;
+    }
+
+    case "use_skill": {
+      // Server-authoritative skill cast.
+      // Client sends: { type: "use_skill", skill_id, stance, x, y, facing }
+      // Server: validates level/MP/cooldown/range, deducts MP, resolves hits like character_attack.
+      const skillId = Number(msg.skill_id);
+      const fail = (reason: string) => {
+        sendDirect(client, { type: "skill_result", action: "use", skill_id: skillId, ok: false, reason });
+      };
+      if (!client.mapId) break;
+      if ((client.stats.hp ?? 0) <= 0) break; // dead
+      if (hasStatus(client.statuses, "stun", Date.now())) { fail("You can't act while stunned."); break; }
+      if (hasStatus(client.statuses, "seal", Date.now())) { fail("You are sealed and can't use skills."); break; }
+
+      const def = getSkillDef(skillId);
+      const learned = client.skills[String(skillId)];
+      if (!def || !learned || learned.level <= 0) { fail("You have not learned this skill."); break; }
+      if (!canJobUseSkill(getClientJobId(client), skillId)) { fail("Your job cannot use this skill."); break; }
+      const lvl = def.levels[Math.min(learned.level, def.levels.length) - 1];
+
+      // Skills share the attack rate limit
+      const castNow = Date.now();
+      if (castNow - client.lastAttackMs < ATTACK_COOLDOWN_MS) break;
+      const readyAt = client.skillCooldowns.get(skillId) ?? 0;
+      if (castNow < readyAt) { fail("This skill is still cooling down."); break; }
+      if ((client.stats.mp ?? 0) < lvl.mpCon) { fail("Not enough MP."); break; }
+      if (lvl.hpCon > 0 && (client.stats.hp ?? 0) <= lvl.hpCon) { fail("Not enough HP."); break; }
+      if (!acceptAttackPosition(client, msg)) break;
+
+      client.lastAttackMs = castNow;
+      client.stats.mp -= lvl.mpCon;
+      client.stats.hp -= lvl.hpCon;
+      if (lvl.cooltime > 0) client.skillCooldowns.set(skillId, castNow + lvl.cooltime);
+
+      const stance = def.action || (msg.stance as string) || "swingO1";
+      roomManager.broadcastToRoom(client.mapId, {
+        type: "player_attack",
+        id: client.id,
+        stance,
+      }, client.id);
+      sendDirect(client, { type: "skill_result", action: "use", skill_id: skillId, ok: true, cooldown_ms: lvl.cooltime });
+      sendDirect(client, { type: "stats_update", stats: buildStatsPayload(client) });
+      if (lvl.hpCon > 0) roomManager.sendPartyHp(client);
+
+      // Non-attack skills (buffs, passives) stop here — MP and cooldown are the only effects for now
+      const isMagic = lvl.mad > 0;
+      if (lvl.damage <= 0 && !isMagic) break;
+
+      const px = client.x;
+      const py = client.y;
+      const facingLeft = client.facing < 0;
+      const rect = lvl.range
+        ? buildAttackRect(px, py, facingLeft, lvl.range)
+        : buildWeaponAttackRect(client, px, py, facingLeft, stance);
+      const targets = findMobsInRect(client.mapId, rect, px, py, lvl.mobCount);
+
+      let range: { min: number; max: number; accuracy: number };
+      if (isMagic) {
+        range = calcMagicDamageRange(client, lvl.mad);
+      } else {
+        const base = calcPlayerDamageRange(client);
+        range = { min: base.min * lvl.damage / 100, max: base.max * lvl.damage / 100, accuracy: base.accuracy };
+      }
+
+      const mobIdMap = _mapMobIds.get(client.mapId);
+      for (const idx of targets) {
+        const mobId = mobIdMap?.get(idx) ?? "";
+        const mobStats = mobId ? getMobStats(mobId) : null;
+        for (let hit = 0; hit < lvl.attackCount; hit++) {
+          const result = calcMobDamage(
+            range.min, range.max, range.accuracy, client.stats.level ?? 1,
+            mobStats?.level ?? 1, mobStats?.wdef ?? 0, mobStats?.avoid ?? 0,
+            false,
+          );
+          if (applyMobHit(client, roomManager, idx, result)) break; // killed
         }
       }
       break;
@@ -2588,17 +4414,18 @@ export function handleClientMessage(
         break;
       }
 
-      // Loot ownership: if someone else owns this drop, they must wait 5s
+      // Loot ownership: if someone else owns this drop, they must wait 5s (boss drops: longer)
       const LOOT_PROTECTION_MS = 5_000;
+      const protectMs = pendingDrop.protect_ms ?? LOOT_PROTECTION_MS;
       if (pendingDrop.owner_id && pendingDrop.owner_id !== client.id) {
         const age = Date.now() - pendingDrop.created_at;
-        if (age < LOOT_PROTECTION_MS) {
+        if (age < protectMs) {
           roomManager.sendTo(client, {
             type: "loot_failed",
             drop_id: dropId,
             reason: "owned",
             owner_id: pendingDrop.owner_id,
-            remaining_ms: LOOT_PROTECTION_MS - age,
+            remaining_ms: protectMs - age,
           });
           break;
         }
@@ -2629,7 +4456,7 @@ export function handleClientMessage(
         client.stats.meso = (client.stats.meso || 0) + looted.qty;
       } else {
         // Item: add to server-tracked inventory
-        addItemToInventory(client, looted.item_id, looted.qty, looted.category);
+        addItemToInventory(client, looted.item_id, looted.qty, looted.category, looted);
       }
 
       // Persist inventory/meso change
@@ -2648,6 +4475,10 @@ export function handleClientMessage(
         meso: looted.meso,
         meso_total: looted.meso ? client.stats.meso : undefined,
       });
+      // The looter adds the item locally on drop_loot; this gives it the server's slot and instance
+      if (isInstanceItem(looted.item_id) && !looted.meso) {
+        sendDirect(client, { type: "inventory_update", inventory: client.inventory });
+      }
       if (_moduleDb) appendLog(_moduleDb, client.name, `looted ${looted.meso ? `${looted.qty} meso` : `${looted.name || `item#${looted.item_id}`} x${looted.qty}`} on map ${client.mapId}`, client.ip);
       break;
     }
@@ -2678,6 +4509,7 @@ export function handleClientMessage(
         const drop = roomManager.addDrop(client.mapId, {
           item_id: loot.item_id,
           name: "",    // client resolves name from WZ
+          ...rollDropInstance(loot.item_id, `reactor:${reactor.placement.reactor_id}`),
           qty: loot.qty,
           x: dropX,
           startX: dropX,      // reactor drop: no X spread
@@ -0,0 +1,99 @@
+/**
+ * WZ archive tests — images read from .wz files written with the WZ editor's
+ * packer, decoded lazily through the LRU cache (wz-archive.ts).
+ */
+import { describe, expect, test } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import * as path from "path";
+import { configureWzArchives, listArchiveImages, LruCache, readArchiveImage, readArchiveImageXml, wzArchiveStats } from "./wz-archive.ts";
+
+const wzLib = (file: string) => require(path.resolve(__dirname, "../../client/wzeditor/wz", file));
+
+describe("wz archives", () => {
+  /** WzNode with fields and children, marked parsed. */
+  function node(name: string, type: string, fields: Record<string, unknown> = {}, children: any[] = []): any {
+    const { WzNode } = wzLib("wz-node.js");
+    const n = Object.assign(new WzNode(name, type), fields);
+    for (const c of children) n.addChild(c);
+    n.parsed = true;
+    return n;
+  }
+
+  /** An Etc.wz holding `images`, written with the WZ editor's packer. */
+  function writeTestArchive(dir: string, images: any[]): void {
+    const { repackWzFile } = wzLib("wz-binary-writer.js");
+    const { generateWzKey } = wzLib("wz-crypto.js");
+    const { getIvByMapleVersion } = wzLib("wz-constants.js");
+    const wzKey = generateWzKey(getIvByMapleVersion("GMS"));
+    const data = repackWzFile(node("Etc.wz", "file", {}, images), { mapleVersion: "GMS", gameVersion: 83, wzKey });
+    writeFileSync(path.join(dir, "Etc.wz"), new Uint8Array(data));
+  }
+
+  test("images decode lazily from .wz files through an LRU cache", () => {
+    const dir = mkdtempSync(path.join(tmpdir(), "wz-"));
+    try {
+      writeTestArchive(dir, [
+        node("Commodity.img", "image", {}, [
+          node("0", "sub", {}, [
+            node("SN", "int", { value: 10000001 }),
+            node("name", "string", { value: "Ticket & Co" }),
+            node("origin", "vector", { x: 3, y: -4 }),
+          ]),
+        ]),
+        node("Other.img", "image", {}, [node("rate", "float", { value: 0.5 })]),
+      ]);
+      configureWzArchives(dir, { cacheSize: 1 });
+
+      expect(listArchiveImages("Etc.wz")).toEqual(["Commodity.img.xml", "Other.img.xml"]);
+      expect(readArchiveImage("Etc.wz/Commodity.img.xml")).toEqual({
+        $imgdir: "Commodity.img",
+        $$: [{ $imgdir: "0", $$: [
+          { $int: "SN", value: "10000001" },
+          { $string: "name", value: "Ticket & Co" },
+          { $vector: "origin", x: "3", y: "-4" },
+        ] }],
+      });
+      expect(readArchiveImageXml("etc.wz/commodity.img.xml")).toContain(`<string name="name" value="Ticket &amp; Co"/>`);
+      expect(readArchiveImage("Etc.wz/Missing.img.xml")).toBeNull();
+      expect(readArchiveImage("Map.wz/Map/Map1/100000000.img.xml")).toBeNull();
+
+      // Capacity 1: Other.img evicts Commodity.img
+      readArchiveImage("Etc.wz/Other.img.xml");
+      readArchiveImage("Etc.wz/Commodity.img.xml");
+      expect(wzArchiveStats()).toMatchObject({ open: ["etc.wz"], cachedImages: 1, hits: 1, misses: 3 });
+    } finally {
+      configureWzArchives(null);
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("images past the first megabyte are read from their own byte range", () => {
+    const dir = mkdtempSync(path.join(tmpdir(), "wz-"));
+    try {
+      // 1.5 MB of string pushes Small.img past the first directory read
+      writeTestArchive(dir, [
+        node("Big.img", "image", {}, [node("pad", "string", { value: "x".repeat(3 << 19) })]),
+        node("Small.img", "image", {}, [node("rate", "float", { value: 0.5 })]),
+      ]);
+      configureWzArchives(dir);
+
+      expect(readArchiveImage("Etc.wz/Small.img.xml")).toEqual({ $imgdir: "Small.img", $$: [{ $float: "rate", value: "0.5" }] });
+      expect(readArchiveImage("Etc.wz/Big.img.xml").$$[0].value).toHaveLength(3 << 19);
+    } finally {
+      configureWzArchives(null);
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("LRU cache refreshes on get and evicts the oldest", () => {
+    const lru = new LruCache<string, number>(2);
+    lru.set("a", 1);
+    lru.set("b", 2);
+    lru.get("a");
+    lru.set("c", 3);
+    expect(lru.get("b")).toBeUndefined();
+    expect(lru.get("a")).toBe(1);
+    expect(lru.size).toBe(2);
+  });
+});
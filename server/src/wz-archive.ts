@@ -0,0 +1,362 @@
+/**
+ * WZ archives — game data read straight from .wz files.
+ *
+ * By default the server (and, through `GET /resourcesv3/*`, the client) reads
+ * the Classic XML that `bun run wz2xml` exports to resourcesv3/. When WZ_DIR
+ * points at a folder of .wz files, the same resourcesv3-relative paths
+ * ("Map.wz/Map/Map1/100000000.img.xml") resolve inside the archives instead,
+ * so the gigabytes of XML never have to be written out:
+ *
+ *   - An archive's ("Map.wz") directory tree is parsed the first time a path
+ *     inside it is asked for (client/wzeditor/wz parseWzFile). Only the start
+ *     of the file is read — header and directory, which come before the images
+ *   - An image's byte range is read from the file and decoded on demand
+ *     (parseImageFromReader) and kept in an LRU cache of WZ_CACHE_SIZE images,
+ *     as server JSON nodes and/or client XML
+ *   - Server JSON matches wz-xml.ts parseWzXml minus canvas / sound payloads
+ *     (the server never draws); client XML is the wz2xml serialization (raw
+ *     canvas bytes + wzrawformat), byte-for-byte what the export would hold
+ *
+ * XML files that do exist under resourcesv3/ still win (wz-xml.ts
+ * readWzImage), so single images can be overridden without repacking.
+ * Only the directory trees and the cached images stay in memory.
+ */
+import { closeSync, existsSync, fstatSync, openSync, readdirSync, readSync } from "fs";
+import { resolve } from "path";
+
+// ─── Types ──────────────────────────────────────────────────────────
+
+/** Options for configureWzArchives. Version / encryption are auto-detected unless set. */
+export interface WzArchiveOptions {
+  /** Decoded images kept in memory */
+  cacheSize?: number;
+  /** "GMS" | "EMS" | "BMS" | "AUTO" */
+  mapleVersion?: string;
+  /** Game patch version (-1 = auto) */
+  gameVersion?: number;
+}
+
+interface Archive {
+  filePath: string;
+  /** WzNode tree (client/wzeditor/wz/wz-node.js) */
+  root: any;
+  mapleVersion: string;
+}
+
+interface CachedImage {
+  json?: any;
+  xml?: string;
+}
+
+// ─── Constants ──────────────────────────────────────────────────────
+
+// server/src/wz-archive.ts → ../../client/wzeditor/wz
+const WZ_LIB_DIR = resolve(__dirname, "../../client/wzeditor/wz");
+
+const DEFAULT_CACHE_SIZE = 256;
+
+/** Bytes read for the header + directory at first; doubled until the whole directory fits. */
+const DIRECTORY_READ_SIZE = 1 << 20;
+
+// ─── LRU Cache ──────────────────────────────────────────────────────
+
+/** Least-recently-used map: `get` refreshes an entry, `set` evicts the oldest past capacity. */
+export class LruCache<K, V> {
+  private entries = new Map<K, V>();
+
+  constructor(private capacity: number) {}
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get(key: K): V | undefined {
+    const value = this.entries.get(key);
+    if (value === undefined) return undefined;
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key: K, value: V): void {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value as K);
+    }
+  }
+
+  delete(key: K): void {
+    this.entries.delete(key);
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+}
+
+// ─── State ──────────────────────────────────────────────────────────
+
+let _dir: string | null = null;
+let _options: Required<WzArchiveOptions> = { cacheSize: DEFAULT_CACHE_SIZE, mapleVersion: "AUTO", gameVersion: -1 };
+/** Lower-cased archive name ("map.wz") → file path */
+let _files = new Map<string, string>();
+/** Lower-cased archive name → parsed archive (null = failed to open) */
+const _archives = new Map<string, Archive | null>();
+let _images = new LruCache<string, CachedImage>(DEFAULT_CACHE_SIZE);
+let _hits = 0;
+let _misses = 0;
+
+let _wzLib: any = null;
+
+/** The wzeditor parser modules (plain ES modules, loaded on first use). */
+function wzLib(): any {
+  if (_wzLib) return _wzLib;
+  _wzLib = {
+    ...require(resolve(WZ_LIB_DIR, "wz-file.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-image.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-binary-reader.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-crypto.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-constants.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-node.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-raw.js")),
+    ...require(resolve(WZ_LIB_DIR, "wz-xml-serializer.js")),
+  };
+  return _wzLib;
+}
+
+// ─── Configuration ──────────────────────────────────────────────────
+
+/** Read .wz files from `dir` (null turns archive reads off). Drops every open archive and cached image. */
+export function configureWzArchives(dir: string | null, options: WzArchiveOptions = {}): void {
+  _dir = dir ? resolve(dir) : null;
+  _options = {
+    cacheSize: Math.max(1, options.cacheSize ?? DEFAULT_CACHE_SIZE),
+    mapleVersion: options.mapleVersion ?? "AUTO",
+    gameVersion: options.gameVersion ?? -1,
+  };
+  _files = new Map();
+  _archives.clear();
+  _images = new LruCache(_options.cacheSize);
+  _hits = 0;
+  _misses = 0;
+  if (!_dir) return;
+  if (!existsSync(_dir)) {
+    console.warn(`[wz] WZ_DIR not found: ${_dir}`);
+    return;
+  }
+  for (const f of readdirSync(_dir)) {
+    if (f.toLowerCase().endsWith(".wz")) _files.set(f.toLowerCase(), resolve(_dir, f));
+  }
+  console.log(`[wz] ${_files.size} archive(s) in ${_dir} (image cache ${_options.cacheSize})`);
+}
+
+export function wzArchivesEnabled(): boolean {
+  return _files.size > 0;
+}
+
+export function wzArchiveStats(): { dir: string | null; archives: string[]; open: string[]; cachedImages: number; hits: number; misses: number } {
+  return {
+    dir: _dir,
+    archives: [..._files.keys()],
+    open: [..._archives.entries()].filter(([, a]) => a).map(([name]) => name),
+    cachedImages: _images.size,
+    hits: _hits,
+    misses: _misses,
+  };
+}
+
+// ─── Archives ───────────────────────────────────────────────────────
+
+/** `length` bytes of an open file from `position` on. */
+function readRange(fd: number, position: number, length: number): ArrayBuffer {
+  const buffer = new ArrayBuffer(length);
+  const bytes = new Uint8Array(buffer);
+  let done = 0;
+  while (done < length) {
+    const n = readSync(fd, bytes, done, length - done, position + done);
+    if (n === 0) throw new Error(`Unexpected end of file at ${position + done}`);
+    done += n;
+  }
+  return buffer;
+}
+
+/** Every subdirectory's entries start inside the first `length` bytes (parseWzFile stops quietly past the end). */
+function directoryRead(node: any, length: number): boolean {
+  return node.children.every((c: any) => c.type !== "dir" || (c._binaryOffset < length && directoryRead(c, length)));
+}
+
+function openArchive(name: string): Archive | null {
+  const key = name.toLowerCase();
+  if (_archives.has(key)) return _archives.get(key)!;
+  const filePath = _files.get(key);
+  if (!filePath) return null;
+
+  let archive: Archive | null = null;
+  let fd: number | null = null;
+  try {
+    fd = openSync(filePath, "r");
+    const size = fstatSync(fd).size;
+    // The directory sits between the header and the first image; read a
+    // growing prefix until it parses and holds every subdirectory
+    for (let length = Math.min(size, DIRECTORY_READ_SIZE); ; length = Math.min(size, length * 2)) {
+      let result: any = null;
+      try {
+        result = wzLib().parseWzFile(readRange(fd, 0, length), name, _options.mapleVersion, _options.gameVersion);
+      } catch (err) {
+        if (length >= size) throw err;
+      }
+      if (result && (length >= size || directoryRead(result.root, length))) {
+        archive = { filePath, root: result.root, mapleVersion: result.mapleVersion };
+        console.log(`[wz] Opened ${name}: ${result.mapleVersion} v${result.version}, ${result.root.countImages()} images, ${(size / 1048576).toFixed(1)} MB (directory read from the first ${(length / 1048576).toFixed(1)} MB)`);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error(`[wz] Failed to open ${filePath}:`, (err as Error).message);
+  } finally {
+    if (fd !== null) closeSync(fd);
+  }
+  _archives.set(key, archive);
+  return archive;
+}
+
+/** Child whose wz2xml file name matches `segment` (exact first, then ignoring case). */
+function findChild(node: any, segment: string): any | null {
+  const { escapeFileName } = wzLib();
+  const lower = segment.toLowerCase();
+  let loose: any = null;
+  for (const child of node.children) {
+    const name = escapeFileName(child.name);
+    if (name === segment) return child;
+    if (!loose && name.toLowerCase() === lower) loose = child;
+  }
+  return loose;
+}
+
+/** Archive + node for a resourcesv3-relative path ("Map.wz/Map/Map1/100000000.img.xml"). */
+function resolvePath(relPath: string): { archive: Archive; node: any } | null {
+  const segments = relPath.replace(/\\/g, "/").split("/").filter(Boolean);
+  if (segments.length === 0 || !wzArchivesEnabled()) return null;
+  const archive = openArchive(segments[0]);
+  if (!archive) return null;
+  let node = archive.root;
+  for (let i = 1; i < segments.length && node; i++) {
+    const last = i === segments.length - 1;
+    node = findChild(node, last ? segments[i].replace(/\.xml$/i, "") : segments[i]);
+  }
+  return node ? { archive, node } : null;
+}
+
+/**
+ * Read an image's bytes from the archive and decode its properties into a
+ * standalone image WzNode (the directory tree stays lazy). Offsets inside an
+ * image are relative to its start, so it decodes from its own buffer; canvas /
+ * sound data offsets point into `buffer`.
+ */
+function decodeImage(archive: Archive, imgNode: any): { image: any; buffer: ArrayBuffer } {
+  const lib = wzLib();
+  const src = imgNode._binarySource;
+  const fd = openSync(archive.filePath, "r");
+  let buffer: ArrayBuffer;
+  try {
+    buffer = readRange(fd, src.offset, src.length);
+  } finally {
+    closeSync(fd);
+  }
+  const wzKey = lib.generateWzKey(lib.getIvByMapleVersion(archive.mapleVersion));
+  const reader = new lib.WzBinaryReader(buffer, wzKey);
+  reader.hash = src.hash;
+
+  const image = new lib.WzNode(imgNode.name, "image");
+  for (const child of lib.parseImageFromReader(reader, 0)) image.addChild(child);
+  image.parsed = true;
+  image._wzKey = wzKey;
+  return { image, buffer };
+}
+
+/** WzNode → JSON node in the wz-xml.ts parseWzXml format (values as strings, no pixel / sound data). */
+function toJsonNode(node: any): any {
+  let out: any;
+  switch (node.type) {
+    case "image":
+    case "sub":
+    case "convex":
+      out = { $imgdir: node.name };
+      break;
+    case "int": case "short": case "long": case "float": case "double": case "string": case "uol":
+      return { [`$${node.type}`]: node.name, value: String(node.value ?? "") };
+    case "null":
+      return { $null: node.name };
+    case "vector":
+      return { $vector: node.name, x: String(node.x), y: String(node.y) };
+    case "canvas":
+      out = { $canvas: node.name, width: String(node.width), height: String(node.height) };
+      break;
+    case "sound":
+      return { $sound: node.name, length: String(node.soundLength) };
+    default:
+      out = { $imgdir: node.name };
+  }
+  if (node.children.length > 0) out.$$ = node.children.map(toJsonNode);
+  return out;
+}
+
+/** The image at `relPath` and its cache entry (created empty on a miss). */
+function cachedImage(relPath: string): { archive: Archive; node: any; key: string; entry: CachedImage } | null {
+  const resolved = resolvePath(relPath);
+  if (!resolved || resolved.node.type !== "image") return null;
+  const key = resolved.node.getPath();
+  let entry = _images.get(key);
+  if (entry) {
+    _hits++;
+  } else {
+    _misses++;
+    entry = {};
+    _images.set(key, entry);
+  }
+  return { ...resolved, key, entry };
+}
+
+// ─── Lookups ────────────────────────────────────────────────────────
+
+/** Parsed image (parseWzXml node format) at a resourcesv3-relative path, or null if no archive has it. */
+export function readArchiveImage(relPath: string): any | null {
+  const cached = cachedImage(relPath);
+  if (!cached) return null;
+  if (cached.entry.json) return cached.entry.json;
+  try {
+    cached.entry.json = toJsonNode(decodeImage(cached.archive, cached.node).image);
+  } catch (err) {
+    console.error(`[wz] Failed to decode ${cached.key}:`, (err as Error).message);
+    return null;
+  }
+  return cached.entry.json;
+}
+
+/** Classic XML of an image (what wz2xml would have written to `relPath`), or null. */
+export function readArchiveImageXml(relPath: string): string | null {
+  const cached = cachedImage(relPath);
+  if (!cached) return null;
+  if (cached.entry.xml) return cached.entry.xml;
+  try {
+    const lib = wzLib();
+    const { image, buffer } = decodeImage(cached.archive, cached.node);
+    lib.extractRawBase64(image, buffer, image._wzKey);
+    cached.entry.xml = lib.serializeImage(image, { includeBase64: true }) as string;
+  } catch (err) {
+    console.error(`[wz] Failed to decode ${cached.key}:`, (err as Error).message);
+    return null;
+  }
+  return cached.entry.xml;
+}
+
+/** Image file names ("1302000.img.xml") in an archive directory, or null if it isn't one. */
+export function listArchiveImages(relDir: string): string[] | null {
+  const resolved = resolvePath(relDir);
+  if (!resolved || (resolved.node.type !== "dir" && resolved.node.type !== "file")) return null;
+  const { escapeFileName } = wzLib();
+  return resolved.node.children
+    .filter((c: any) => c.type === "image")
+    .map((c: any) => `${escapeFileName(c.name)}.xml`);
+}
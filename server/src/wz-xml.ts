@@ -9,8 +9,12 @@
  * - Attributes: name, value, x, y, width, height, basedata, basehead, length
  * - XML entities: &amp; &lt; &gt; &apos; &quot;
  *
- * No external dependencies.
+ * No external dependencies. readWzImage / listWzImages fall back to the .wz
+ * archives (wz-archive.ts) for paths the XML export doesn't have.
  */
+import { existsSync, readdirSync, readFileSync } from "fs";
+import { isAbsolute, relative, resolve } from "path";
+import { listArchiveImages, readArchiveImage, readArchiveImageXml } from "./wz-archive.ts";
 
 // ─── XML entity decoding ─────────────────────────────────────────────────────
 
@@ -172,7 +176,62 @@ export function parseWzXml(xmlText: string): any {
  * @returns Parsed JSON node tree
  */
 export function readWzXmlFile(filePath: string): any {
-  const fs = require("fs");
-  const text = fs.readFileSync(filePath, "utf8");
+  const text = readFileSync(filePath, "utf8");
   return parseWzXml(text);
 }
+
+// ─── Resource root ───────────────────────────────────────────────────────────
+
+// server/src/wz-xml.ts → ../../resourcesv3
+const DEFAULT_RESOURCES_ROOT = resolve(__dirname, "../../resourcesv3");
+let resourcesRoot = DEFAULT_RESOURCES_ROOT;
+
+/**
+ * Read game data from another resourcesv3-style folder (null = the repo's
+ * resourcesv3/). Tests point this at a small inline fixture.
+ */
+export function setResourcesRoot(dir: string | null): void {
+  resourcesRoot = dir ? resolve(dir) : DEFAULT_RESOURCES_ROOT;
+}
+
+/** The resourcesv3/ folder game data is currently read from. */
+export function getResourcesRoot(): string {
+  return resourcesRoot;
+}
+
+/** Absolute path of a file under resourcesv3/ (or the folder given to setResourcesRoot). */
+export function resourcePath(...segments: string[]): string {
+  return resolve(resourcesRoot, ...segments);
+}
+
+// ─── Resource lookup (XML export, then .wz archives) ─────────────────────────
+
+/** `filePath` relative to the resource root, or null if it lies outside. */
+function archivePath(filePath: string): string | null {
+  const rel = relative(resourcesRoot, resolve(filePath));
+  return rel && !rel.startsWith("..") && !isAbsolute(rel) ? rel : null;
+}
+
+/**
+ * Parsed image at an .img.xml path under resourcesv3/ — the exported XML if it
+ * exists, else the same path inside the .wz archives. Null if neither has it.
+ */
+export function readWzImage(filePath: string): any | null {
+  if (existsSync(filePath)) return readWzXmlFile(filePath);
+  const rel = archivePath(filePath);
+  return rel ? readArchiveImage(rel) : null;
+}
+
+/** Raw XML text of an .img.xml path under resourcesv3/ (served to clients), or null. */
+export function readWzImageXml(filePath: string): string | null {
+  if (existsSync(filePath)) return readFileSync(filePath, "utf8");
+  const rel = archivePath(filePath);
+  return rel ? readArchiveImageXml(rel) : null;
+}
+
+/** `.img.xml` file names in a resourcesv3/ directory, from disk or the .wz archives ([] if neither). */
+export function listWzImages(dirPath: string): string[] {
+  if (existsSync(dirPath)) return readdirSync(dirPath).filter((f) => f.endsWith(".img.xml"));
+  const rel = archivePath(dirPath);
+  return (rel && listArchiveImages(rel)) || [];
+}
@@ -386,7 +386,8 @@ async function proxyToGameServer(request, pathname) {
       signal: controller.signal,
     });
 
-    const resp = await fetch(proxyReq);
+    // Pass compressed bodies through as-is (asset API sends brotli/gzip with Content-Encoding)
+    const resp = await fetch(proxyReq, { decompress: false });
     clearTimeout(timeout);
 
     const headers = new Headers(resp.headers);
@@ -460,11 +461,16 @@ function handleRequest(request) {
     return new Response(html, { headers });
   }
 
-  // Game resources
+  // Game resources — images missing from resourcesv3/ come from the game server,
+  // which decodes them from .wz files when it runs with WZ_DIR
   if (pathname.startsWith("/resourcesv3/")) {
     const relativePath = pathname.slice("/resourcesv3/".length);
     try {
-      return serveFile(safeJoin(resourcesV3Root, relativePath), pathname, request);
+      const filePath = safeJoin(resourcesV3Root, relativePath);
+      if (!existsSync(filePath) && pathname.endsWith(".img.xml")) {
+        return proxyToGameServer(request, pathname);
+      }
+      return serveFile(filePath, pathname, request);
     } catch {
       return notFound();
     }
@@ -610,6 +616,7 @@ console.log(`🍄 Shlop ONLINE client running at http://${host}:${server.port}`)
 console.log(`   Mode: online${isProd ? " (PRODUCTION — minified + gzip)" : ""} (game server: ${gameServerUrl})`);
 if (!isProd) console.log("   🔄 Hot-reload: watching client/web/ for .js/.css/.html changes");
 console.log("   API proxy: /api/* → game server");
+console.log("   Resources: /resourcesv3/* (missing .img.xml → game server)");
 console.log(`   WebSocket proxy: /ws → ${gameServerUrl.replace(/^http/, "ws")}/ws`);
 console.log(`   Proxy timeout: ${proxyTimeoutMs}ms`);
 console.log(`   CORS origin: ${allowedOrigin || "(reflect request origin)"}`);
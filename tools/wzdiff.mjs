@@ -0,0 +1,260 @@
+#!/usr/bin/env bun
+/**
+ * wzdiff — CLI tool to diff two WZ trees and apply the result as a patch.
+ *
+ * Usage:
+ *   bun run wzdiff <old> <new> [--patch <out.json>] [--limit 500]
+ *   bun run wzdiff apply <patch.json> <target> <dest.wz> [--encryption GMS|MSEA|BMS] [--version 83] [--force]
+ *
+ * <old> / <new> / <target> are .wz files or Classic XML directories (as
+ * wz2xml writes them). Diffs list added / removed / renamed nodes and
+ * changed values; canvas pixels and sounds are compared by payload hash.
+ * `apply` patches <target> in memory and repacks it to <dest.wz>.
+ */
+
+import { readFileSync, readdirSync, statSync, mkdirSync, writeFileSync, existsSync } from "node:fs";
+import { join, basename, dirname, resolve, extname } from "node:path";
+
+// WZ engine — pure JS, no DOM deps, works in Bun
+import { parseWzFile } from "../client/wzeditor/wz/wz-file.js";
+import { parseImageFromReader } from "../client/wzeditor/wz/wz-image.js";
+import { WzBinaryReader } from "../client/wzeditor/wz/wz-binary-reader.js";
+import { generateWzKey } from "../client/wzeditor/wz/wz-crypto.js";
+import { WzMapleVersion, getIvByMapleVersion } from "../client/wzeditor/wz/wz-constants.js";
+import { WzNode } from "../client/wzeditor/wz/wz-node.js";
+import { parseXmlString } from "../client/wzeditor/wz/wz-xml-parser.js";
+import { repackWzFile } from "../client/wzeditor/wz/wz-binary-writer.js";
+import { extractRawBase64 } from "../client/wzeditor/wz/wz-raw.js";
+import { diffWzTrees, createPatch, applyPatch, describeValue, formatPath } from "../client/wzeditor/wz/wz-diff.js";
+
+// ─── CLI Args ────────────────────────────────────────────────────────────────
+
+const USAGE = `
+wzdiff — Diff two WZ trees, or apply a diff as a patch
+
+Usage:
+  bun run wzdiff <old> <new> [--patch <out.json>] [--limit 500]
+  bun run wzdiff apply <patch.json> <target> <dest.wz> [--encryption GMS|MSEA|BMS] [--version 83] [--force]
+
+  <old> <new>     .wz files or Classic XML directories (e.g. out/Etc.wz)
+  --patch         Also write the diff as a patch file
+  --limit         Changes to print (default 500, 0 = all)
+
+  apply           Patch <target> (.wz or XML directory) and repack it to <dest.wz>
+  --encryption    Output encryption (default: the target's; GMS for XML)
+  --version       Output patch version (default: the target's; 83 for XML)
+  --force         Apply changes even where the target differs from the patch base
+`;
+
+const ENCRYPTIONS = {
+  GMS: WzMapleVersion.GMS,
+  MSEA: WzMapleVersion.EMS,
+  EMS: WzMapleVersion.EMS,
+  BMS: WzMapleVersion.BMS,
+};
+
+const args = process.argv.slice(2);
+const positional = [];
+const flags = { limit: "500", force: false };
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === "--force") flags.force = true;
+  else if (arg === "--help" || arg === "-h") flags.help = true;
+  else if (["--patch", "--limit", "--encryption", "--version"].includes(arg)) flags[arg.slice(2)] = args[++i] ?? "";
+  else positional.push(arg);
+}
+
+const applyMode = positional[0] === "apply";
+if (flags.help || positional.length < (applyMode ? 4 : 2)) {
+  console.log(USAGE);
+  process.exit(flags.help ? 0 : 1);
+}
+
+// ─── Progress Bar ────────────────────────────────────────────────────────────
+
+const PROGRESS_WIDTH = 40;
+let _lastProgressLine = "";
+
+function progressBar(done, total, label) {
+  const pct = total > 0 ? done / total : 0;
+  const filled = Math.round(pct * PROGRESS_WIDTH);
+  const bar = "█".repeat(filled) + "░".repeat(PROGRESS_WIDTH - filled);
+  const pctStr = (pct * 100).toFixed(1).padStart(5);
+  const line = `  [${bar}] ${pctStr}% ${done}/${total}  ${label}`;
+  if (line !== _lastProgressLine) {
+    process.stdout.write(`\r${line}`);
+    _lastProgressLine = line;
+  }
+}
+
+function progressDone() {
+  process.stdout.write("\n");
+  _lastProgressLine = "";
+}
+
+// ─── Opening Trees ───────────────────────────────────────────────────────────
+
+/** Folders → dir nodes, *.img.xml → lazy image nodes (as xml2wz reads an export). */
+function buildXmlTree(dirPath, node) {
+  const entries = readdirSync(dirPath, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const full = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      const dirNode = new WzNode(entry.name, "dir");
+      dirNode.parsed = true;
+      node.addChild(dirNode);
+      buildXmlTree(full, dirNode);
+    } else if (entry.name.toLowerCase().endsWith(".img.xml")) {
+      const imgNode = new WzNode(entry.name.slice(0, -4), "image");
+      imgNode._xmlPath = full;
+      node.addChild(imgNode);
+    }
+  }
+}
+
+/**
+ * A .wz file or XML directory as a WzNode tree, plus the loadImage hook
+ * that fills its images (raw canvas / sound payloads attached).
+ */
+function openTree(path) {
+  const full = resolve(path);
+  if (!existsSync(full)) throw new Error(`not found: ${full}`);
+
+  if (statSync(full).isDirectory()) {
+    const name = basename(full).toLowerCase().endsWith(".wz") ? basename(full) : `${basename(full)}.wz`;
+    const root = new WzNode(name, "file");
+    root.parsed = true;
+    buildXmlTree(full, root);
+    const loadImage = (img) => {
+      const image = parseXmlString(readFileSync(img._xmlPath, "utf8"), basename(img._xmlPath));
+      for (const child of image.children) img.addChild(child);
+      img.parsed = true;
+    };
+    console.log(`   ${basename(full)}: XML, ${root.countImages()} images`);
+    return { kind: "xml", root, loadImage };
+  }
+
+  if (extname(full).toLowerCase() !== ".wz") throw new Error(`not a .wz file or XML directory: ${full}`);
+  const data = readFileSync(full);
+  const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const result = parseWzFile(buffer, basename(full), "AUTO", -1);
+  const wzKey = generateWzKey(getIvByMapleVersion(result.mapleVersion));
+  const loadImage = (img) => {
+    const src = img._binarySource;
+    const reader = new WzBinaryReader(buffer, wzKey);
+    reader.hash = src.hash;
+    reader.header = { fStart: src.headerFStart, fSize: 0, ident: "PKG1", copyright: "" };
+    reader.pos = src.offset;
+    for (const child of parseImageFromReader(reader, src.offset)) img.addChild(child);
+    img.parsed = true;
+    extractRawBase64(img, buffer, wzKey);
+  };
+  console.log(`   ${basename(full)}: ${result.mapleVersion} v${result.version}, ${result.root.countImages()} images`);
+  return { kind: "wz", root: result.root, loadImage, buffer, mapleVersion: result.mapleVersion, version: result.version };
+}
+
+// ─── Diff ────────────────────────────────────────────────────────────────────
+
+const OP_MARKS = { add: "+", remove: "-", rename: "→", change: "~" };
+
+function describeChange(change) {
+  const path = formatPath(change.path);
+  switch (change.op) {
+    case "add": return `${path} (${change.type})`;
+    case "remove": return `${path} (${change.type})`;
+    case "rename": return `${path} → ${change.to}`;
+    default: return `${path}: ${describeValue(change.type, change.from)} → ${describeValue(change.type, change.to)}`;
+  }
+}
+
+async function runDiff() {
+  console.log(`\n🔍 Comparing`);
+  const oldTree = openTree(positional[0]);
+  const newTree = openTree(positional[1]);
+
+  // One hook for both trees — an image belongs to whichever root it hangs off
+  const loadImage = (img) => (rootOf(img) === oldTree.root ? oldTree : newTree).loadImage(img);
+  const diff = await diffWzTrees(oldTree.root, newTree.root, {
+    loadImage,
+    unloadImages: true,
+    onProgress: (done, total, name) => progressBar(done, total, name),
+  });
+  progressDone();
+
+  const { added, removed, renamed, changed } = diff.stats;
+  console.log(`   ${added} added, ${removed} removed, ${renamed} renamed, ${changed} changed`);
+
+  const limit = Number(flags.limit) || Infinity;
+  for (const change of diff.changes.slice(0, limit)) {
+    console.log(`   ${OP_MARKS[change.op]} ${describeChange(change)}`);
+  }
+  if (diff.changes.length > limit) console.log(`   … ${diff.changes.length - limit} more`);
+
+  if (flags.patch) {
+    const patch = await createPatch(diff, { loadImage });
+    const patchPath = resolve(flags.patch);
+    mkdirSync(dirname(patchPath), { recursive: true });
+    writeFileSync(patchPath, JSON.stringify(patch));
+    console.log(`   ✓ patch (${diff.changes.length} changes) → ${patchPath}`);
+  }
+}
+
+function rootOf(node) {
+  while (node.parent) node = node.parent;
+  return node;
+}
+
+// ─── Apply ───────────────────────────────────────────────────────────────────
+
+async function runApply() {
+  const [, patchPath, targetPath, destArg] = positional;
+  const patch = JSON.parse(readFileSync(resolve(patchPath), "utf8"));
+  console.log(`\n🩹 ${basename(patchPath)}: ${patch.changes?.length ?? 0} changes (${patch.from} → ${patch.to})`);
+  const target = openTree(targetPath);
+
+  const { applied, conflicts } = await applyPatch(target.root, patch, { loadImage: target.loadImage, force: flags.force });
+  console.log(`   ✓ ${applied} applied`);
+  for (const c of conflicts.slice(0, 50)) console.log(`   ✗ ${c.op} ${formatPath(c.path)}: ${c.reason}`);
+  if (conflicts.length > 50) console.log(`   … ${conflicts.length - 50} more`);
+
+  const encryption = flags.encryption ? ENCRYPTIONS[flags.encryption.toUpperCase()] : (target.mapleVersion ?? WzMapleVersion.GMS);
+  if (!encryption) throw new Error(`unknown encryption "${flags.encryption}" (expected GMS, MSEA or BMS)`);
+  const gameVersion = flags.version ? Number(flags.version) : (target.version ?? 83);
+
+  const output = repackWzFile(target.root, {
+    mapleVersion: encryption,
+    gameVersion,
+    wzKey: generateWzKey(getIvByMapleVersion(encryption)),
+    // .wz targets copy untouched images from the original bytes; XML ones are read as they're written
+    originalBuffer: target.buffer ?? null,
+    loadImage: target.kind === "xml" ? target.loadImage : undefined,
+    onProgress: (done, total, name) => progressBar(done, total, name),
+  });
+  progressDone();
+
+  const destPath = resolve(destArg);
+  mkdirSync(dirname(destPath), { recursive: true });
+  writeFileSync(destPath, new Uint8Array(output));
+  console.log(`   ✓ ${encryption} v${gameVersion}, ${(output.byteLength / 1048576).toFixed(1)} MB → ${destPath}`);
+  return conflicts.length;
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+const startTime = Date.now();
+let conflictCount = 0;
+try {
+  if (applyMode) conflictCount = await runApply();
+  else await runDiff();
+} catch (err) {
+  progressDone();
+  console.error(`   ✗ ${err.message}`);
+  process.exit(1);
+}
+
+const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+console.log(`\nDone in ${elapsed}s`);
+if (conflictCount > 0) {
+  console.log(`⚠ ${conflictCount} change(s) not applied — rerun with --force to overwrite`);
+  process.exit(1);
+}
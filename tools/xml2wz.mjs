@@ -0,0 +1,331 @@
+#!/usr/bin/env bun
+/**
+ * xml2wz — CLI tool to repack a Classic XML directory into a .wz file.
+ * The reverse of wz2xml.
+ *
+ * Usage:
+ *   bun run xml2wz <source> <dest> [--encryption GMS|MSEA|BMS] [--version 83] [--verify]
+ *                  [--allow-placeholders]
+ *
+ * <source>  XML directory as wz2xml writes it (e.g. resourcesv3/Etc.wz)
+ * <dest>    Output .wz file (or a directory — <source name> is written into it)
+ *
+ * Canvas basedata must be raw WZ bytes (wzrawformat, as wz2xml exports).
+ * PNG basedata is not re-encoded: nothing is written unless
+ * --allow-placeholders is given, which writes those canvases as 1×1
+ * placeholders. --verify re-parses the written file and diffs every image
+ * (and the detected encryption / version) against the XML.
+ */
+
+import { readFileSync, readdirSync, statSync, mkdirSync, writeFileSync, existsSync } from "node:fs";
+import { join, basename, dirname, resolve } from "node:path";
+
+// WZ engine — pure JS, no DOM deps, works in Bun
+import { parseWzFile } from "../client/wzeditor/wz/wz-file.js";
+import { parseImageFromReader } from "../client/wzeditor/wz/wz-image.js";
+import { WzBinaryReader } from "../client/wzeditor/wz/wz-binary-reader.js";
+import { generateWzKey } from "../client/wzeditor/wz/wz-crypto.js";
+import { WzMapleVersion, getIvByMapleVersion } from "../client/wzeditor/wz/wz-constants.js";
+import { WzNode } from "../client/wzeditor/wz/wz-node.js";
+import { parseXmlString } from "../client/wzeditor/wz/wz-xml-parser.js";
+import { repackWzFile } from "../client/wzeditor/wz/wz-binary-writer.js";
+import { extractRawBase64 } from "../client/wzeditor/wz/wz-raw.js";
+
+// ─── CLI Args ────────────────────────────────────────────────────────────────
+
+const USAGE = `
+xml2wz — Repack a Classic XML directory into a .wz file
+
+Usage:
+  bun run xml2wz <source> <dest> [--encryption GMS|MSEA|BMS] [--version 83] [--verify]
+                 [--allow-placeholders]
+
+  <source>        XML directory as wz2xml writes it (e.g. resourcesv3/Etc.wz)
+  <dest>          Output .wz file, or a directory to write <source name> into
+  --encryption    Target encryption (default GMS; EMS is an alias for MSEA)
+  --version       Game patch version written to the header (default 83)
+  --verify        Re-parse the written file and diff every image against the XML
+  --allow-placeholders
+                  Write canvases with PNG basedata as 1×1 placeholders
+                  instead of failing
+
+Canvas basedata must be raw WZ bytes (wzrawformat), as wz2xml exports.
+`;
+
+const ENCRYPTIONS = {
+  GMS: WzMapleVersion.GMS,
+  MSEA: WzMapleVersion.EMS,
+  EMS: WzMapleVersion.EMS,
+  BMS: WzMapleVersion.BMS,
+};
+
+const args = process.argv.slice(2);
+const positional = [];
+const flags = { encryption: "GMS", version: "83", verify: false, allowPlaceholders: false };
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === "--verify") flags.verify = true;
+  else if (arg === "--allow-placeholders") flags.allowPlaceholders = true;
+  else if (arg === "--encryption" || arg === "--version") flags[arg.slice(2)] = args[++i] ?? "";
+  else if (arg === "--help" || arg === "-h") flags.help = true;
+  else positional.push(arg);
+}
+
+if (positional.length < 2 || flags.help) {
+  console.log(USAGE);
+  process.exit(flags.help ? 0 : 1);
+}
+
+const mapleVersion = ENCRYPTIONS[flags.encryption.toUpperCase()];
+if (!mapleVersion) {
+  console.error(`Error: unknown encryption "${flags.encryption}" (expected GMS, MSEA or BMS)`);
+  process.exit(1);
+}
+const gameVersion = Number(flags.version);
+if (!Number.isInteger(gameVersion) || gameVersion < 0 || gameVersion > 0xFFFF) {
+  console.error(`Error: --version must be a patch number (e.g. 83), got "${flags.version}"`);
+  process.exit(1);
+}
+
+const sourcePath = resolve(positional[0]);
+if (!existsSync(sourcePath) || !statSync(sourcePath).isDirectory()) {
+  console.error(`Error: source is not a directory: ${sourcePath}`);
+  process.exit(1);
+}
+
+const fileName = basename(sourcePath).toLowerCase().endsWith(".wz") ? basename(sourcePath) : `${basename(sourcePath)}.wz`;
+let destPath = resolve(positional[1]);
+if (existsSync(destPath) && statSync(destPath).isDirectory()) destPath = join(destPath, fileName);
+
+// ─── Progress Bar ────────────────────────────────────────────────────────────
+
+const PROGRESS_WIDTH = 40;
+let _lastProgressLine = "";
+
+function progressBar(done, total, label) {
+  const pct = total > 0 ? done / total : 0;
+  const filled = Math.round(pct * PROGRESS_WIDTH);
+  const bar = "█".repeat(filled) + "░".repeat(PROGRESS_WIDTH - filled);
+  const pctStr = (pct * 100).toFixed(1).padStart(5);
+  const line = `  [${bar}] ${pctStr}% ${done}/${total}  ${label}`;
+  if (line !== _lastProgressLine) {
+    process.stdout.write(`\r${line}`);
+    _lastProgressLine = line;
+  }
+}
+
+function progressDone() {
+  process.stdout.write("\n");
+  _lastProgressLine = "";
+}
+
+// ─── XML → Node Tree ─────────────────────────────────────────────────────────
+
+/**
+ * Directory tree of the XML export: folders become dir nodes, *.img.xml
+ * files lazy image nodes (read when repackWzFile / verify gets to them).
+ */
+function buildTree(dirPath, node) {
+  const entries = readdirSync(dirPath, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const full = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      const dirNode = new WzNode(entry.name, "dir");
+      dirNode.parsed = true;
+      node.addChild(dirNode);
+      buildTree(full, dirNode);
+    } else if (entry.name.toLowerCase().endsWith(".img.xml")) {
+      const imgNode = new WzNode(entry.name.slice(0, -4), "image");
+      imgNode._xmlPath = full;
+      node.addChild(imgNode);
+    }
+  }
+}
+
+/** Parsed image node for an XML file (name from the root <imgdir>, as wz2xml wrote it). */
+function readXmlImage(xmlPath) {
+  const image = parseXmlString(readFileSync(xmlPath, "utf8"), basename(xmlPath));
+  image.parsed = true;
+  return image;
+}
+
+/** repackWzFile loadImage hook — fills a lazy image from its XML file. */
+function loadImage(imgNode) {
+  const image = readXmlImage(imgNode._xmlPath);
+  imgNode.name = image.name || imgNode.name;
+  for (const child of image.children) imgNode.addChild(child);
+  imgNode.parsed = true;
+  countPngCanvases(imgNode);
+}
+
+let _pngCanvases = 0;
+
+/** Canvases whose basedata is PNG (not raw WZ bytes) can't be repacked as-is. */
+function countPngCanvases(node) {
+  for (const child of node.children) {
+    if (child.type === "canvas" && child.basedata && child.wzrawformat == null) _pngCanvases++;
+    countPngCanvases(child);
+  }
+}
+
+function collectImages(node, out = []) {
+  for (const child of node.children) {
+    if (child.type === "image") out.push(child);
+    else if (child.type === "dir") collectImages(child, out);
+  }
+  return out;
+}
+
+// ─── Round-trip Verification ─────────────────────────────────────────────────
+
+const MAX_REPORTED_DIFFS = 20;
+
+/** Whether two property values survive the trip (floats are stored as float32). */
+function sameValue(type, a, b) {
+  if (type === "float") return Math.fround(Number(a)) === Math.fround(Number(b));
+  return String(a ?? "") === String(b ?? "");
+}
+
+/** Push "path: what differs" for every mismatch between the XML and repacked nodes. */
+function diffNodes(expected, actual, path, diffs) {
+  if (expected.type !== actual.type) {
+    diffs.push(`${path}: type ${expected.type} → ${actual.type}`);
+    return;
+  }
+  const fields = {
+    canvas: ["width", "height", "wzrawformat", "basedata"],
+    sound: ["soundLength", "basehead", "basedata"],
+    vector: ["x", "y"],
+  }[expected.type] ?? [];
+  for (const field of fields) {
+    if (String(expected[field] ?? "") !== String(actual[field] ?? "")) diffs.push(`${path}: ${field} differs`);
+  }
+  if (!["canvas", "sound", "vector", "sub", "convex", "null", "image"].includes(expected.type)
+      && !sameValue(expected.type, expected.value, actual.value)) {
+    diffs.push(`${path}: value ${JSON.stringify(expected.value)} → ${JSON.stringify(actual.value)}`);
+  }
+
+  const actualByName = new Map(actual.children.map((c) => [c.name, c]));
+  for (const child of expected.children) {
+    const other = actualByName.get(child.name);
+    if (other) diffNodes(child, other, `${path}/${child.name}`, diffs);
+    else diffs.push(`${path}/${child.name}: missing`);
+    actualByName.delete(child.name);
+  }
+  for (const name of actualByName.keys()) diffs.push(`${path}/${name}: unexpected`);
+}
+
+/**
+ * Re-parse the written .wz (auto-detected encryption) and diff each image
+ * against its source XML. Returns the number of differences.
+ */
+function verify(root, output) {
+  console.log(`\n🔍 Verifying ${basename(destPath)}`);
+  // Full auto-detect — a fixed version would skip the encryption probe
+  let parsed;
+  try {
+    parsed = parseWzFile(output, fileName, "AUTO", -1);
+  } catch (err) {
+    console.log(`   ✗ unreadable: ${err.message}`);
+    return 1;
+  }
+  const diffs = [];
+  if (parsed.mapleVersion !== mapleVersion || parsed.version !== gameVersion) {
+    diffs.push(`header: detected as ${parsed.mapleVersion} v${parsed.version}, expected ${mapleVersion} v${gameVersion}`);
+  }
+  const wzKey = generateWzKey(getIvByMapleVersion(parsed.mapleVersion));
+
+  const expectedImages = collectImages(root);
+  const actualByPath = new Map(collectImages(parsed.root).map((img) => [img.getPath(), img]));
+  let done = 0;
+
+  for (const imgNode of expectedImages) {
+    const imgPath = imgNode.getPath();
+    const actual = actualByPath.get(imgPath);
+    actualByPath.delete(imgPath);
+    done++;
+    progressBar(done, expectedImages.length, imgNode.name);
+    if (!actual) {
+      diffs.push(`${imgPath}: missing from output`);
+      continue;
+    }
+
+    const src = actual._binarySource;
+    const reader = new WzBinaryReader(output, wzKey);
+    reader.hash = src.hash;
+    reader.header = { fStart: src.headerFStart, fSize: 0, ident: "PKG1", copyright: "" };
+    reader.pos = src.offset;
+    const repacked = new WzNode(actual.name, "image");
+    try {
+      for (const child of parseImageFromReader(reader, src.offset)) repacked.addChild(child);
+    } catch (err) {
+      diffs.push(`${imgPath}: unreadable (${err.message})`);
+      continue;
+    }
+    extractRawBase64(repacked, output, wzKey);
+    diffNodes(readXmlImage(imgNode._xmlPath), repacked, imgPath, diffs);
+  }
+  for (const imgPath of actualByPath.keys()) diffs.push(`${imgPath}: unexpected image in output`);
+  progressDone();
+
+  if (diffs.length === 0) {
+    console.log(`   ✓ ${expectedImages.length} images match, ${parsed.mapleVersion} v${parsed.version}`);
+  } else {
+    for (const diff of diffs.slice(0, MAX_REPORTED_DIFFS)) console.log(`   ✗ ${diff}`);
+    if (diffs.length > MAX_REPORTED_DIFFS) console.log(`   … ${diffs.length - MAX_REPORTED_DIFFS} more`);
+  }
+  return diffs.length;
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+const startTime = Date.now();
+console.log(`\n📦 ${fileName} ← ${sourcePath}`);
+
+const root = new WzNode(fileName, "file");
+root.parsed = true;
+buildTree(sourcePath, root);
+const imageCount = root.countImages();
+if (imageCount === 0) {
+  console.error(`No .img.xml files found in ${sourcePath}`);
+  process.exit(1);
+}
+console.log(`   ${imageCount} images → ${mapleVersion} v${gameVersion}`);
+
+let output;
+try {
+  output = repackWzFile(root, {
+    mapleVersion,
+    gameVersion,
+    wzKey: generateWzKey(getIvByMapleVersion(mapleVersion)),
+    loadImage,
+    onProgress: (done, total, name) => progressBar(done, total, name),
+  });
+} catch (err) {
+  progressDone();
+  console.error(`   ✗ ${err.message}`);
+  process.exit(1);
+}
+progressDone();
+
+if (_pngCanvases > 0 && !flags.allowPlaceholders) {
+  console.error(`   ✗ ${_pngCanvases} canvas(es) have PNG basedata, which can't be repacked — export with wz2xml (raw format)`);
+  console.error(`     or pass --allow-placeholders to write them as 1×1 placeholders. Nothing was written.`);
+  process.exit(1);
+}
+if (_pngCanvases > 0) {
+  console.log(`   ⚠ ${_pngCanvases} canvas(es) had PNG basedata and were written as 1×1 placeholders`);
+}
+
+mkdirSync(dirname(destPath), { recursive: true });
+writeFileSync(destPath, new Uint8Array(output));
+console.log(`   ✓ ${(output.byteLength / 1048576).toFixed(1)} MB → ${destPath}`);
+
+const diffCount = flags.verify ? verify(root, output) : 0;
+
+const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+console.log(`\nDone in ${elapsed}s`);
+if (diffCount > 0) {
+  console.log(`⚠ ${diffCount} difference(s) between the XML and ${basename(destPath)}`);
+  process.exit(1);
+}